@@ -0,0 +1,10 @@
+-- ============================================================
+-- AIクイズの再生成（追加生成）用
+-- ai_quiz_source_hash: 最後に生成したときの body_raw の SHA-256（本文が変わったかの判定）
+-- ai_quiz_regeneration_count: 初回以降に追加生成した回数（PLAN_FEATURES.ai_quiz_regenerations_per_note と比較）
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE notes
+  ADD COLUMN ai_quiz_source_hash CHAR(64) NULL AFTER ai_quiz_generated_at,
+  ADD COLUMN ai_quiz_regeneration_count INT UNSIGNED NOT NULL DEFAULT 0 AFTER ai_quiz_source_hash;
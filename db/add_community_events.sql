@@ -0,0 +1,26 @@
+-- ============================================================
+-- コミュニティの出来事ログ（参加・退会・役割変更・ノート削除・参加コード変更など）
+-- 参加申請の承認・却下は community_join_requests の decided_by / decided_at から読むので、ここには入れない
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS community_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  community_id BIGINT UNSIGNED NOT NULL,
+  event_type VARCHAR(40) NOT NULL COMMENT 'created / joined / left / removed / role_changed / ownership_transferred / note_deleted / join_code_rotated',
+  actor_user_id BIGINT UNSIGNED NULL COMMENT '操作した人',
+  target_user_id BIGINT UNSIGNED NULL COMMENT '操作された人（参加・退会なら本人）',
+  detail JSON NULL COMMENT '{ via, invite_id, from, to, note_id, title } など',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_community_events_feed (community_id, created_at),
+  CONSTRAINT fk_community_events_community FOREIGN KEY (community_id) REFERENCES communities(id) ON DELETE CASCADE,
+  CONSTRAINT fk_community_events_actor FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_community_events_target FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE communities
+  ADD COLUMN join_code_rotated_at DATETIME NULL AFTER join_code_hash;
+
+-- 承認・却下のフィード用
+CREATE INDEX idx_join_requests_decided ON community_join_requests (community_id, decided_at);
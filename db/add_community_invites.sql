@@ -0,0 +1,42 @@
+-- ============================================================
+-- コミュニティの招待リンク
+-- token_hash はトークンの SHA-256（トークン本体は作成時に一度だけ表示し、保存しない）
+-- community_invite_uses はどの招待から誰が参加・申請したかの記録
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS community_invites (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  community_id BIGINT UNSIGNED NOT NULL,
+  created_by BIGINT UNSIGNED NULL,
+  token_hash CHAR(64) NOT NULL,
+  label VARCHAR(100) NULL COMMENT '管理用のメモ（例: LINEグループ用）',
+  auto_approve TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1 ならすぐ参加、0 なら参加申請になる',
+  max_uses INT UNSIGNED NULL COMMENT 'NULL は回数無制限',
+  use_count INT UNSIGNED NOT NULL DEFAULT 0,
+  expires_at DATETIME NULL COMMENT 'NULL は無期限',
+  revoked_at DATETIME NULL,
+  revoked_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_community_invites_token (token_hash),
+  KEY idx_community_invites_community (community_id, created_at),
+  CONSTRAINT fk_community_invites_community FOREIGN KEY (community_id) REFERENCES communities(id) ON DELETE CASCADE,
+  CONSTRAINT fk_community_invites_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_community_invites_revoked_by FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS community_invite_uses (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  invite_id BIGINT UNSIGNED NOT NULL,
+  user_id BIGINT UNSIGNED NOT NULL,
+  result ENUM('joined', 'requested') NOT NULL COMMENT 'joined: そのまま参加 / requested: 参加申請を作成',
+  join_request_id BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_community_invite_uses_invite (invite_id, created_at),
+  KEY idx_community_invite_uses_user (user_id),
+  CONSTRAINT fk_community_invite_uses_invite FOREIGN KEY (invite_id) REFERENCES community_invites(id) ON DELETE CASCADE,
+  CONSTRAINT fk_community_invite_uses_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_community_invite_uses_request FOREIGN KEY (join_request_id) REFERENCES community_join_requests(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
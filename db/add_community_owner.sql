@@ -0,0 +1,31 @@
+-- ============================================================
+-- コミュニティのオーナー（作成者。譲渡できる）
+-- オーナーは常に admin。オーナーがいる限り管理者のいないコミュニティにはならない
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE communities
+  ADD COLUMN owner_user_id BIGINT UNSIGNED NULL AFTER join_code_hash,
+  ADD CONSTRAINT fk_communities_owner FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+-- admin が1人もいないコミュニティ（作成者が退会済みなど）は、最古参のメンバーを admin にする
+UPDATE user_communities uc
+  JOIN (
+    SELECT community_id, MIN(id) AS first_id
+      FROM user_communities
+     GROUP BY community_id
+    HAVING SUM(role = 'admin') = 0
+  ) x ON x.first_id = uc.id
+   SET uc.role = 'admin';
+
+-- 既存コミュニティのオーナーは、参加がいちばん古い admin（ふつうは作成者）
+UPDATE communities c
+  JOIN (
+    SELECT community_id, MIN(id) AS first_admin_id
+      FROM user_communities
+     WHERE role = 'admin'
+     GROUP BY community_id
+  ) a ON a.community_id = c.id
+  JOIN user_communities uc ON uc.id = a.first_admin_id
+   SET c.owner_user_id = uc.user_id
+ WHERE c.owner_user_id IS NULL;
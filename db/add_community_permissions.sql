@@ -0,0 +1,17 @@
+-- ============================================================
+-- コミュニティの権限（owner / admin / moderator / member）
+-- moderator 役割を追加し、コミュニティごとに「どの役割以上に許すか」を設定できるようにする
+-- オーナーは communities.owner_user_id（add_community_owner.sql）で区別する
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE user_communities
+  MODIFY role ENUM('admin', 'moderator', 'member') NOT NULL DEFAULT 'member';
+
+ALTER TABLE communities
+  ADD COLUMN approve_join_requests_role ENUM('admin', 'moderator', 'member') NOT NULL DEFAULT 'moderator'
+    COMMENT '参加申請を承認できる役割（これ以上）',
+  ADD COLUMN post_notes_role ENUM('admin', 'moderator', 'member') NOT NULL DEFAULT 'member'
+    COMMENT 'コミュニティにノートを投稿できる役割（これ以上）',
+  ADD COLUMN generate_quizzes_role ENUM('admin', 'moderator', 'member') NOT NULL DEFAULT 'member'
+    COMMENT 'コミュニティのノートでAIクイズを生成できる役割（これ以上）';
@@ -0,0 +1,28 @@
+-- ============================================================
+-- 授業（courses）: ノートを授業ごとにまとめる
+-- 同じ大学・同じ授業名・同じ学期のノートは同じ授業として扱う（授業名は NFKC・空白整理した形で保存）
+-- term（学期）を入れない授業は '' にまとめる
+-- このファイルの後に db/backfill_courses.js を実行して既存ノートを授業にひも付ける
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS courses (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  university_id BIGINT UNSIGNED NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  term VARCHAR(50) NOT NULL DEFAULT '' COMMENT '学期（例: 2026前期）。未入力は空文字',
+  instructor VARCHAR(255) NULL COMMENT '担当教員',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_courses_university_name_term (university_id, name, term),
+  CONSTRAINT fk_courses_university FOREIGN KEY (university_id) REFERENCES universities(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE notes
+  ADD COLUMN course_id BIGINT UNSIGNED NULL AFTER university_id,
+  ADD KEY idx_notes_course (course_id, lecture_date, id),
+  ADD CONSTRAINT fk_notes_course FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE SET NULL;
+
+-- 既存ノートのひも付けは、アプリと同じ授業名の正規化（NFKC）を使うため Node で行う:
+--   node db/backfill_courses.js
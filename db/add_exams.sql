@@ -0,0 +1,52 @@
+-- ============================================================
+-- 試験モード（複数ノートのクイズから作る時間制限つきの模試）
+-- exam_questions には出題時点の問題文・正解を写しておく（あとでクイズが編集・削除されても結果を比べられるように）
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS exams (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id BIGINT UNSIGNED NOT NULL,
+  title VARCHAR(100) NULL,
+  source_key VARCHAR(255) NOT NULL COMMENT '出題範囲（n:ノート|t:タグ|c:授業）。同じ範囲の過去結果との比較用',
+  source_json JSON NOT NULL COMMENT '{ note_ids, tag_ids, course_id }',
+  type_mix_json JSON NULL COMMENT '形式ごとの比率（未指定なら NULL）',
+  question_count INT UNSIGNED NOT NULL,
+  time_limit_sec INT UNSIGNED NULL COMMENT 'NULL は時間無制限',
+  shuffle_seed VARCHAR(64) NOT NULL,
+  status ENUM('in_progress', 'graded') NOT NULL DEFAULT 'in_progress',
+  started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NULL,
+  submitted_at DATETIME NULL,
+  time_over TINYINT(1) NOT NULL DEFAULT 0 COMMENT '制限時間を過ぎてから提出された',
+  correct_count INT UNSIGNED NULL,
+  score_percent DECIMAL(5,1) NULL,
+  PRIMARY KEY (id),
+  KEY idx_exams_user_started (user_id, started_at),
+  KEY idx_exams_user_source (user_id, source_key, submitted_at),
+  CONSTRAINT fk_exams_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS exam_questions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  exam_id BIGINT UNSIGNED NOT NULL,
+  position INT UNSIGNED NOT NULL,
+  quiz_id BIGINT UNSIGNED NULL,
+  note_id BIGINT UNSIGNED NULL,
+  note_title VARCHAR(255) NULL,
+  quiz_type VARCHAR(30) NOT NULL,
+  question VARCHAR(500) NOT NULL,
+  correct_answer VARCHAR(500) NOT NULL,
+  explanation TEXT NULL,
+  choices_json JSON NULL COMMENT '出題した順の選択肢',
+  given_answer VARCHAR(1000) NULL,
+  is_correct TINYINT(1) NULL,
+  graded_by ENUM('rule', 'ai') NULL,
+  feedback VARCHAR(400) NULL COMMENT 'AI採点の講評',
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_exam_questions_position (exam_id, position),
+  KEY idx_exam_questions_quiz (quiz_id),
+  CONSTRAINT fk_exam_questions_exam FOREIGN KEY (exam_id) REFERENCES exams(id) ON DELETE CASCADE,
+  CONSTRAINT fk_exam_questions_quiz FOREIGN KEY (quiz_id) REFERENCES note_quizzes(id) ON DELETE SET NULL,
+  CONSTRAINT fk_exam_questions_note FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
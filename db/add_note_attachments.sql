@@ -0,0 +1,22 @@
+-- ============================================================
+-- ノートの添付画像（画像から作成したノートの元写真など）
+-- 画像本体はサーバーのファイルシステム（ATTACHMENTS_DIR）に置き、ここには保存先キーだけを持つ
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS note_attachments (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  note_id BIGINT UNSIGNED NOT NULL,
+  user_id BIGINT UNSIGNED NULL COMMENT 'アップロードしたユーザー',
+  page_no INT UNSIGNED NULL COMMENT '複数ページOCRのときのページ番号',
+  file_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(50) NOT NULL,
+  file_size INT UNSIGNED NOT NULL,
+  storage_key VARCHAR(255) NOT NULL COMMENT 'ATTACHMENTS_DIR からの相対パス',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_note_attachments_storage_key (storage_key),
+  KEY idx_note_attachments_note (note_id, page_no, id),
+  CONSTRAINT fk_note_attachments_note FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE,
+  CONSTRAINT fk_note_attachments_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,24 @@
+-- ============================================================
+-- ノート単位の復習に「手応え」（forgot/hard/good/easy）を記録する
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE note_review_schedules
+  ADD COLUMN last_result ENUM('forgot', 'hard', 'good', 'easy') NULL AFTER stage;
+
+-- 復習1回ごとのログ（ステージの変化と、そのとき解いたクイズの正答数）
+CREATE TABLE IF NOT EXISTS note_review_logs (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id BIGINT UNSIGNED NOT NULL,
+  note_id BIGINT UNSIGNED NOT NULL,
+  result ENUM('forgot', 'hard', 'good', 'easy') NOT NULL,
+  stage_before INT NOT NULL,
+  stage_after INT NOT NULL,
+  quiz_correct_count INT UNSIGNED NULL,
+  quiz_total_count INT UNSIGNED NULL,
+  reviewed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_note_review_logs_user_note (user_id, note_id, reviewed_at),
+  CONSTRAINT fk_note_review_logs_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_note_review_logs_note FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,25 @@
+-- ============================================================
+-- ノートの変更履歴（作成・編集・復元のたびに1行追加）
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS note_revisions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  note_id BIGINT UNSIGNED NOT NULL,
+  user_id BIGINT UNSIGNED NULL COMMENT 'この版を書いたユーザー（退会時はNULL）',
+  title VARCHAR(200) NOT NULL,
+  body_raw MEDIUMTEXT NOT NULL,
+  action ENUM('create', 'edit', 'restore') NOT NULL DEFAULT 'edit',
+  restored_from_id BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_note_revisions_note (note_id, id),
+  CONSTRAINT fk_note_revisions_note FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE,
+  CONSTRAINT fk_note_revisions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- 既存ノートの現時点の内容を初版として登録しておく（差分表示の起点にするため）
+INSERT INTO note_revisions (note_id, user_id, title, body_raw, action, created_at)
+SELECT n.id, n.user_id, n.title, n.body_raw, 'create', n.created_at
+  FROM notes n
+ WHERE NOT EXISTS (SELECT 1 FROM note_revisions r WHERE r.note_id = n.id);
@@ -1,2 +1,2 @@
 ALTER TABLE notes
-  ADD COLUMN source_type ENUM('text', 'image') NOT NULL DEFAULT 'text' AFTER visibility;
+  ADD COLUMN source_type ENUM('text', 'image', 'pdf') NOT NULL DEFAULT 'text' AFTER visibility;
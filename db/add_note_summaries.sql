@@ -0,0 +1,20 @@
+-- ============================================================
+-- ノートのAI要約の保存先（1ノート1件。本文が変わったら作り直す）
+-- source_hash と現在の本文のハッシュが違えば「古い要約」として扱う
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS note_summaries (
+  note_id BIGINT UNSIGNED NOT NULL,
+  source_hash CHAR(64) NOT NULL COMMENT '要約したときの body_raw の SHA-256',
+  bullets JSON NOT NULL,
+  key_terms JSON NOT NULL,
+  remember JSON NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  created_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (note_id),
+  CONSTRAINT fk_note_summaries_note FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE,
+  CONSTRAINT fk_note_summaries_user FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,10 @@
+-- ============================================================
+-- ノートの全文検索（/api/search）用の FULLTEXT インデックス
+-- 日本語は単語の区切りが無いので ngram パーサー（ngram_token_size 既定 2）を使う
+-- タイトルだけの索引は、タイトル一致をスコアで優遇するため
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE notes
+  ADD FULLTEXT INDEX ft_notes_search (title, body_raw, course_name) WITH PARSER ngram,
+  ADD FULLTEXT INDEX ft_notes_title (title) WITH PARSER ngram;
@@ -0,0 +1,8 @@
+-- ============================================================
+-- PDF（講義スライド）から取り込んだノート用に source_type へ 'pdf' を追加
+-- add_note_source_type.sql 適用済みの環境向け（新規環境は add_note_source_type.sql だけで可）
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE notes
+  MODIFY COLUMN source_type ENUM('text', 'image', 'pdf') NOT NULL DEFAULT 'text';
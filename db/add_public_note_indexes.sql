@@ -0,0 +1,10 @@
+-- ============================================================
+-- 公開ノート一覧（GET /api/notes）の並び替え・カーソルページング用インデックス
+-- 大学を指定した一覧と、全大学横断の一覧（授業日順 / 投稿の新しい順）を想定
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE notes
+  ADD INDEX idx_notes_public_university_lecture (visibility, community_id, university_id, lecture_date, id),
+  ADD INDEX idx_notes_public_lecture (visibility, community_id, lecture_date, id),
+  ADD INDEX idx_notes_public_created (visibility, community_id, created_at, id);
@@ -0,0 +1,20 @@
+-- ============================================================
+-- クイズの回答履歴（1回答 = 1行。正答率・苦手問題の集計に使う）
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id BIGINT UNSIGNED NOT NULL,
+  quiz_id BIGINT UNSIGNED NOT NULL,
+  given_answer VARCHAR(1000) NOT NULL,
+  is_correct TINYINT(1) NOT NULL,
+  graded_by ENUM('rule', 'ai') NOT NULL DEFAULT 'rule' COMMENT 'rule=文字列比較 / ai=AI採点',
+  latency_ms INT UNSIGNED NULL COMMENT '問題表示から回答送信までの時間',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_quiz_attempts_user_quiz (user_id, quiz_id, id),
+  KEY idx_quiz_attempts_quiz (quiz_id, created_at),
+  CONSTRAINT fk_quiz_attempts_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_quiz_attempts_quiz FOREIGN KEY (quiz_id) REFERENCES note_quizzes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,10 @@
+-- ============================================================
+-- AIクイズの難易度（easy / normal / hard / exam）
+-- 手動作成のクイズや、この列を追加する前に作ったクイズは NULL のまま
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE note_quizzes
+  ADD COLUMN difficulty ENUM('easy', 'normal', 'hard', 'exam') NULL AFTER type;
+
+CREATE INDEX idx_note_quizzes_user_difficulty ON note_quizzes (user_id, difficulty);
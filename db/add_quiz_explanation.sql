@@ -0,0 +1,7 @@
+-- ============================================================
+-- クイズの解説（手動作成は入力値、AI生成はモデルの根拠＋本文からの引用）
+-- MySQL 8.x を想定
+-- ============================================================
+
+ALTER TABLE note_quizzes
+  ADD COLUMN explanation TEXT NULL AFTER answer;
@@ -0,0 +1,24 @@
+-- ============================================================
+-- 問題ごとの間隔反復（SM-2 系）
+-- quiz_attempts に回答が記録されるたびに、そのユーザー×問題の行を更新する
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS quiz_review_schedules (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id BIGINT UNSIGNED NOT NULL,
+  quiz_id BIGINT UNSIGNED NOT NULL,
+  ease_factor DECIMAL(4,2) NOT NULL DEFAULT 2.50 COMMENT '易しさ係数（下限1.3）',
+  interval_days INT UNSIGNED NOT NULL DEFAULT 0 COMMENT '前回から次回出題までの日数',
+  repetitions INT UNSIGNED NOT NULL DEFAULT 0 COMMENT '連続正解回数（againで0に戻る）',
+  lapses INT UNSIGNED NOT NULL DEFAULT 0 COMMENT '一度覚えた後に忘れた回数',
+  last_grade ENUM('again', 'hard', 'good', 'easy') NULL,
+  due_at DATETIME NOT NULL,
+  last_reviewed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uniq_quiz_review_user_quiz (user_id, quiz_id),
+  KEY idx_quiz_review_due (user_id, due_at),
+  CONSTRAINT fk_quiz_review_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_quiz_review_quiz FOREIGN KEY (quiz_id) REFERENCES note_quizzes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,49 @@
+-- ============================================================
+-- タグ（ノート・クイズの分類。「中間試験範囲」など）
+-- owner_user_id が入っていれば自分用タグ、community_id が入っていればコミュニティ共有タグ
+-- 同じ持ち主（scope_key）の中でタグ名は重複しない
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS tags (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  owner_user_id BIGINT UNSIGNED NULL COMMENT '自分用タグの持ち主（コミュニティタグは NULL）',
+  community_id BIGINT UNSIGNED NULL COMMENT 'コミュニティ共有タグのコミュニティ',
+  created_by BIGINT UNSIGNED NULL COMMENT '作成したユーザー',
+  name VARCHAR(50) NOT NULL,
+  scope_key VARCHAR(40) GENERATED ALWAYS AS (
+    IF(community_id IS NULL, CONCAT('u:', owner_user_id), CONCAT('c:', community_id))
+  ) STORED,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_tags_scope_name (scope_key, name),
+  KEY idx_tags_owner (owner_user_id),
+  KEY idx_tags_community (community_id),
+  CONSTRAINT fk_tags_owner FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_tags_community FOREIGN KEY (community_id) REFERENCES communities(id) ON DELETE CASCADE,
+  CONSTRAINT fk_tags_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS note_tags (
+  note_id BIGINT UNSIGNED NOT NULL,
+  tag_id BIGINT UNSIGNED NOT NULL,
+  created_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (note_id, tag_id),
+  KEY idx_note_tags_tag (tag_id, note_id),
+  CONSTRAINT fk_note_tags_note FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE,
+  CONSTRAINT fk_note_tags_tag FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+  CONSTRAINT fk_note_tags_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS quiz_tags (
+  quiz_id BIGINT UNSIGNED NOT NULL,
+  tag_id BIGINT UNSIGNED NOT NULL,
+  created_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (quiz_id, tag_id),
+  KEY idx_quiz_tags_tag (tag_id, quiz_id),
+  CONSTRAINT fk_quiz_tags_quiz FOREIGN KEY (quiz_id) REFERENCES note_quizzes(id) ON DELETE CASCADE,
+  CONSTRAINT fk_quiz_tags_tag FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+  CONSTRAINT fk_quiz_tags_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
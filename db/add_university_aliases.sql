@@ -0,0 +1,19 @@
+-- ============================================================
+-- 大学名の別名（表記ゆれ・略称）
+-- 「東大」→「東京大学」のように、別名で入力されたノートも同じ大学にまとめる
+-- alias_key は正規化（NFKC・空白除去・小文字化）した名前。正規化はアプリ側（services/universityNames.js）で行う
+-- 大学の統合（POST /api/admin/universities/merge）では、統合元の名前がここに別名として残る
+-- MySQL 8.x を想定
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS university_aliases (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  university_id BIGINT UNSIGNED NOT NULL,
+  alias_name VARCHAR(255) NOT NULL COMMENT '入力されたままの別名（表示用）',
+  alias_key VARCHAR(255) NOT NULL COMMENT '照合用に正規化した別名',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_university_aliases_key (alias_key),
+  KEY idx_university_aliases_university (university_id),
+  CONSTRAINT fk_university_aliases_university FOREIGN KEY (university_id) REFERENCES universities(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,79 @@
+// ============================================================
+// 既存ノートを授業（courses）にひも付ける（db/add_courses.sql の後に1回実行）
+// 授業名はアプリと同じ normalizeCourseName（NFKC・空白整理）でそろえるため、SQL ではなく Node で行う。
+// 以前の SQL だけのバックフィルで全角・半角違いの授業が別々にできていれば、1つにまとめる。
+// 何度実行してもよい。接続先は server.js と同じ環境変数（DB_HOST / DB_USER / DB_PASSWORD / DB_NAME / DB_PORT）
+//   node db/backfill_courses.js
+// ============================================================
+if (process.env.NODE_ENV !== "production") {
+  require("dotenv").config();
+}
+
+const mysqlPromise = require("mysql2/promise");
+const { planCourseMerges, groupUnlinkedNotesByCourse } = require("../services/courseIndex");
+
+async function mergeDuplicateCourses(conn) {
+  const [courses] = await conn.query("SELECT id, university_id, name, term FROM courses FOR UPDATE");
+  const plans = planCourseMerges(courses);
+  for (const plan of plans) {
+    if (plan.merge_ids.length) {
+      await conn.query("UPDATE notes SET course_id = ? WHERE course_id IN (?)", [plan.keep_id, plan.merge_ids]);
+      await conn.query("DELETE FROM courses WHERE id IN (?)", [plan.merge_ids]);
+    }
+    if (plan.rename_to) {
+      await conn.query("UPDATE courses SET name = ? WHERE id = ?", [plan.rename_to, plan.keep_id]);
+    }
+  }
+  return plans.length;
+}
+
+async function linkUnlinkedNotes(conn) {
+  const [notes] = await conn.query(
+    "SELECT id, university_id, course_name FROM notes WHERE course_id IS NULL AND university_id IS NOT NULL"
+  );
+  const groups = groupUnlinkedNotesByCourse(notes);
+  let linked = 0;
+  for (const group of groups) {
+    await conn.query(
+      "INSERT IGNORE INTO courses (university_id, name) VALUES (?, ?)",
+      [group.university_id, group.name]
+    );
+    const [[course]] = await conn.query(
+      "SELECT id FROM courses WHERE university_id = ? AND name = ? AND term = '' LIMIT 1",
+      [group.university_id, group.name]
+    );
+    const [result] = await conn.query(
+      "UPDATE notes SET course_id = ? WHERE id IN (?) AND course_id IS NULL",
+      [course.id, group.note_ids]
+    );
+    linked += result.affectedRows;
+  }
+  return { courseCount: groups.length, linked };
+}
+
+async function main() {
+  const conn = await mysqlPromise.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: Number(process.env.DB_PORT || 3306),
+  });
+  try {
+    await conn.beginTransaction();
+    const merged = await mergeDuplicateCourses(conn);
+    const { courseCount, linked } = await linkUnlinkedNotes(conn);
+    await conn.commit();
+    console.log("backfill_courses_done", { merged, courseCount, linked });
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    await conn.end();
+  }
+}
+
+main().catch((error) => {
+  console.error("backfill_courses_failed", { error: error?.message });
+  process.exitCode = 1;
+});
@@ -83,7 +83,7 @@ CREATE TABLE IF NOT EXISTS notes (
   body_raw MEDIUMTEXT NOT NULL,
   body_md MEDIUMTEXT NOT NULL,
   visibility ENUM('public', 'private') NOT NULL DEFAULT 'private',
-  source_type ENUM('text', 'image') NOT NULL DEFAULT 'text',
+  source_type ENUM('text', 'image', 'pdf') NOT NULL DEFAULT 'text',
   created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
   PRIMARY KEY (id),
   CONSTRAINT fk_notes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
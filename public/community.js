@@ -0,0 +1,370 @@
+function $(id) { return document.getElementById(id); }
+
+async function api(path, options = {}) {
+  const res = await fetch(path, {
+    headers: { "Content-Type": "application/json" },
+    ...options,
+  });
+  const text = await res.text();
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch {}
+  if (!res.ok) throw new Error(data.message || data.detail || text || "API error");
+  return data;
+}
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
+}
+
+function formatDate(v) {
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleDateString("ja-JP");
+}
+
+const communityId = Number(new URLSearchParams(location.search).get("id"));
+let me = null;
+
+const ROLE_LABELS = { admin: "管理者", moderator: "モデレーター", member: "メンバー" };
+
+const SETTING_LABELS = {
+  approve_join_requests: "参加申請の承認",
+  post_notes: "ノートの投稿",
+  generate_quizzes: "AIクイズの生成",
+};
+
+function roleLabel(m) {
+  if (m.is_owner) return "オーナー";
+  return ROLE_LABELS[m.role] || m.role;
+}
+
+// 操作ボタンはサーバーと同じルールで出し分ける（最終的な判定はサーバー側）
+function memberActions(m) {
+  if (m.is_owner || !me.permissions.manage_members) return "";
+  const isSelf = m.user_id === me.user_id;
+  if (m.role === "admin" && !isSelf && !me.is_owner) return "";
+  const options = Object.entries(ROLE_LABELS)
+    .map(([role, label]) => `<option value="${role}"${role === m.role ? " selected" : ""}>${label}</option>`)
+    .join("");
+  const actions = [`<select data-role-user="${m.user_id}" aria-label="役割">${options}</select>`];
+  if (!isSelf) actions.push(`<button type="button" data-remove="${m.user_id}">外す</button>`);
+  if (me.is_owner && !isSelf) actions.push(`<button type="button" data-transfer="${m.user_id}">オーナーを譲る</button>`);
+  return actions.join(" ");
+}
+
+function renderMembers(members) {
+  $("members").innerHTML = `<ul>${members.map((m) => `
+    <li>
+      <b>${esc(m.username)}</b>${m.user_id === me.user_id ? "（自分）" : ""}
+      <span class="tag-chip">${esc(roleLabel(m))}</span>
+      <span class="small">${esc(formatDate(m.joined_at))} 参加</span>
+      ${memberActions(m)}
+    </li>
+  `).join("")}</ul>`;
+}
+
+async function load() {
+  if (!communityId) {
+    $("message").textContent = "コミュニティが指定されていません。";
+    return;
+  }
+  try {
+    const data = await api(`/api/communities/${communityId}/members`);
+    me = data.me;
+    document.title = `${data.community.name} | 講義ノートメーカー`;
+    $("communityName").textContent = data.community.name;
+    $("communityMeta").textContent = `ID: ${data.community.id} / 👥 ${data.members.length}人 / あなた：${roleLabel(me)}`;
+    renderMembers(data.members);
+    renderSettings(data.settings);
+    renderJoinCode(data.community);
+    await loadDashboard();
+    if (me.permissions.manage_invites) await loadInvites();
+    if (me.permissions.view_events) await loadEvents(true);
+    $("btnLeave").hidden = me.is_owner;
+    $("membersCard").hidden = false;
+  } catch (e) {
+    $("message").textContent = e.message;
+  }
+}
+
+function renderSettings(settings) {
+  const editable = me.permissions.manage_settings;
+  $("settings").innerHTML = Object.entries(SETTING_LABELS).map(([key, label]) => `
+    <div class="row">
+      <span>${esc(label)}</span>
+      <select data-setting="${key}"${editable ? "" : " disabled"}>
+        ${Object.entries(ROLE_LABELS).map(([role, roleName]) => `
+          <option value="${role}"${settings[key] === role ? " selected" : ""}>${roleName}以上</option>
+        `).join("")}
+      </select>
+    </div>
+  `).join("");
+  $("btnSaveSettings").hidden = !editable;
+  $("settingsCard").hidden = false;
+}
+
+async function saveSettings() {
+  const body = {};
+  document.querySelectorAll("[data-setting]").forEach((el) => { body[el.dataset.setting] = el.value; });
+  $("settingsMessage").textContent = "保存中…";
+  try {
+    await api(`/api/communities/${communityId}/settings`, { method: "PATCH", body: JSON.stringify(body) });
+    $("settingsMessage").textContent = "保存しました。";
+  } catch (e) {
+    $("settingsMessage").textContent = e.message;
+  }
+}
+
+const INVITE_STATUS_LABELS = { active: "有効", revoked: "無効化済み", expired: "期限切れ", used_up: "上限到達" };
+
+function formatDateTime(v) {
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString("ja-JP");
+}
+
+async function loadInvites() {
+  const { invites } = await api(`/api/communities/${communityId}/invites`);
+  $("invites").innerHTML = invites.length
+    ? `<ul>${invites.map((i) => `
+      <li>
+        ${esc(i.label || "（メモなし）")}
+        <span class="tag-chip">${esc(INVITE_STATUS_LABELS[i.status] || i.status)}</span>
+        <span class="small">
+          使用 ${i.use_count}${i.max_uses == null ? "" : ` / ${i.max_uses}`}回
+          / ${i.expires_at ? `${esc(formatDateTime(i.expires_at))} まで` : "無期限"}
+          / ${i.auto_approve ? "承認なしで参加" : "参加申請"}
+          ${i.created_by_name ? ` / 作成：${esc(i.created_by_name)}` : ""}
+        </span>
+        <button type="button" data-invite-uses="${i.id}">参加した人</button>
+        ${i.status === "active" ? `<button type="button" data-invite-revoke="${i.id}">無効にする</button>` : ""}
+        <div class="small" data-invite-uses-box="${i.id}"></div>
+      </li>
+    `).join("")}</ul>`
+    : `<div class="small">招待リンクはまだありません。</div>`;
+  $("invitesCard").hidden = false;
+}
+
+async function createInvite() {
+  try {
+    const r = await api(`/api/communities/${communityId}/invites`, {
+      method: "POST",
+      body: JSON.stringify({
+        label: $("inviteLabel").value,
+        expires_in_hours: Number($("inviteExpires").value),
+        max_uses: $("inviteMaxUses").value,
+        auto_approve: $("inviteAutoApprove").checked,
+      }),
+    });
+    // リンクはこのときしか表示できない（サーバーにはハッシュだけ保存）
+    const url = new URL(r.url, location.origin).href;
+    $("newInvite").innerHTML = `
+      作成しました。このリンクを共有してください（あとから再表示はできません）：<br />
+      <input type="text" readonly value="${esc(url)}" style="width:100%;" onclick="this.select()" />
+    `;
+    await loadInvites();
+  } catch (e) {
+    alert(e.message);
+  }
+}
+
+async function showInviteUses(inviteId) {
+  const box = document.querySelector(`[data-invite-uses-box="${inviteId}"]`);
+  try {
+    const { uses } = await api(`/api/communities/${communityId}/invites/${inviteId}/uses`);
+    box.innerHTML = uses.length
+      ? uses.map((u) => `${esc(u.username)}（${u.result === "joined" ? "参加" : `申請${u.join_request_status === "pending" ? "中" : ""}`}・${esc(formatDateTime(u.created_at))}）`).join("<br />")
+      : "まだ誰も使っていません。";
+  } catch (e) {
+    box.textContent = e.message;
+  }
+}
+
+function renderJoinCode(community) {
+  if (!me.permissions.rotate_join_code) return;
+  $("joinCodeMeta").textContent = community.join_code_rotated_at
+    ? `最終変更：${formatDateTime(community.join_code_rotated_at)}`
+    : "作成時から変更されていません。";
+  $("joinCodeBox").hidden = false;
+}
+
+async function rotateJoinCode() {
+  if (!confirm("参加コードを変更しますか？（今のコードでは参加できなくなります）")) return;
+  $("joinCodeMessage").textContent = "変更中…";
+  try {
+    const r = await api(`/api/communities/${communityId}/join-code`, {
+      method: "POST",
+      body: JSON.stringify({ join_code: $("newJoinCode").value }),
+    });
+    $("newJoinCode").value = "";
+    $("joinCodeMessage").textContent = r.generated
+      ? `新しい参加コード：${r.join_code}（この画面を閉じると再表示できません）`
+      : "参加コードを変更しました。";
+    await load();
+  } catch (e) {
+    $("joinCodeMessage").textContent = e.message;
+  }
+}
+
+// ---------- ダッシュボード ----------
+
+function shortDate(key) {
+  const [, m, d] = String(key).split("-");
+  return `${Number(m)}/${Number(d)}`;
+}
+
+// 縦の棒グラフ。items: [{ label, value }]
+function renderBarChart(el, items) {
+  const max = Math.max(1, ...items.map((i) => i.value));
+  el.innerHTML = items.map((i) => `
+    <div class="bar-col" title="${esc(i.label)}: ${i.value}">
+      <span class="bar-value">${i.value || ""}</span>
+      <div class="bar" style="height:${(i.value / max) * 100}%"></div>
+      <span class="bar-label">${esc(i.label)}</span>
+    </div>
+  `).join("");
+}
+
+function renderContributors(contributors) {
+  if (!contributors.length) {
+    $("contributors").innerHTML = `<div class="small">この期間の投稿はまだありません。</div>`;
+    return;
+  }
+  const max = Math.max(1, ...contributors.map((c) => c.note_count + c.quiz_count));
+  $("contributors").innerHTML = contributors.map((c) => `
+    <div class="hbar">
+      <b>${esc(c.username)}</b>
+      <div class="bar" style="width:${((c.note_count + c.quiz_count) / max) * 100}%"></div>
+      <span class="small">${c.note_count} / ${c.quiz_count}</span>
+    </div>
+  `).join("") + `<div class="small">ノート数 / クイズ数</div>`;
+}
+
+function renderCourses(courses) {
+  if (!courses.length) {
+    $("courses").innerHTML = `<div class="small">まだノートがありません。</div>`;
+    return;
+  }
+  $("courses").innerHTML = courses.map((c) => `
+    <details>
+      <summary><b>${esc(c.course_name || "（授業名なし）")}</b> <span class="small">ノート ${c.note_count}件 / ${c.contributors.length}人</span></summary>
+      <ul>${c.lectures.map((l) => `
+        <li>${esc(l.label)}：${l.note_count}件 <span class="small">${esc(l.contributors.map((u) => u.username).join("、"))}</span></li>
+      `).join("")}</ul>
+    </details>
+  `).join("");
+}
+
+async function loadDashboard() {
+  const data = await api(`/api/communities/${communityId}/dashboard`);
+  const t = data.totals;
+  $("dashboardTotals").textContent = `ノート ${t.note_count}件 / 公開クイズ ${t.quiz_count}件 / メンバー ${t.member_count}人（グラフは${formatDate(data.since)}以降）`;
+  renderBarChart($("notesChart"), data.weekly.notes.map((w) => ({ label: shortDate(w.week_start), value: w.count })));
+  renderBarChart($("quizzesChart"), data.weekly.quizzes.map((w) => ({ label: shortDate(w.week_start), value: w.count })));
+  renderContributors(data.contributors);
+  renderCourses(data.courses);
+  const { overdue_count, overdue_member_count, days } = data.reviews;
+  $("reviewsOverdue").textContent = overdue_count
+    ? `期限切れの復習：${overdue_count}件（${overdue_member_count}人）`
+    : "期限切れの復習はありません。";
+  renderBarChart($("reviewsChart"), days.map((d) => ({ label: shortDate(d.date), value: d.review_count })));
+  $("dashboardCard").hidden = false;
+}
+
+// ---------- 履歴 ----------
+
+let eventsCursor = null;
+
+function describeEvent(ev) {
+  const actor = esc(ev.actor_name || "（退会したユーザー）");
+  const target = esc(ev.target_name || "（退会したユーザー）");
+  const d = ev.detail || {};
+  switch (ev.type) {
+    case "created": return `${actor} がコミュニティを作成しました`;
+    case "joined": return `${target} が参加しました（${d.via === "invite" ? "招待リンク" : "参加コード"}）`;
+    case "left": return `${target} が退会しました`;
+    case "removed": return `${actor} が ${target} をコミュニティから外しました`;
+    case "role_changed": return `${actor} が ${target} を${esc(ROLE_LABELS[d.from] || d.from)}から${esc(ROLE_LABELS[d.to] || d.to)}に変更しました`;
+    case "ownership_transferred": return `${actor} が ${target} にオーナーを譲りました`;
+    case "note_deleted": return `${actor} がノート「${esc(d.title || "")}」を削除しました`;
+    case "join_code_rotated": return `${actor} が参加コードを変更しました`;
+    case "approved": return `${actor} が ${target} の参加申請を承認しました`;
+    case "rejected": return `${actor} が ${target} の参加申請を却下しました`;
+    default: return esc(ev.type);
+  }
+}
+
+async function loadEvents(reset = false) {
+  if (reset) {
+    eventsCursor = null;
+    $("events").innerHTML = "";
+  }
+  const query = eventsCursor ? `?cursor=${encodeURIComponent(eventsCursor)}` : "";
+  const { events, next_cursor } = await api(`/api/communities/${communityId}/events${query}`);
+  $("events").insertAdjacentHTML("beforeend", events.map((ev) => `
+    <li>${describeEvent(ev)} <span class="small">${esc(formatDateTime(ev.created_at))}</span></li>
+  `).join("") || (reset ? `<li class="small">まだ履歴はありません。</li>` : ""));
+  eventsCursor = next_cursor;
+  $("btnMoreEvents").hidden = !next_cursor;
+  $("eventsCard").hidden = false;
+}
+
+async function runAction(confirmText, request) {
+  if (confirmText && !confirm(confirmText)) return;
+  try {
+    await request();
+    await load();
+  } catch (e) {
+    alert(e.message);
+  }
+}
+
+$("members").addEventListener("click", (e) => {
+  const btn = e.target.closest("button");
+  if (!btn) return;
+  if (btn.dataset.remove) {
+    runAction("このメンバーをコミュニティから外しますか？", () =>
+      api(`/api/communities/${communityId}/members/${btn.dataset.remove}`, { method: "DELETE" }));
+  } else if (btn.dataset.transfer) {
+    runAction("オーナーを譲りますか？（あなたは管理者として残ります）", () =>
+      api(`/api/communities/${communityId}/transfer-ownership`, {
+        method: "POST",
+        body: JSON.stringify({ user_id: Number(btn.dataset.transfer) }),
+      }));
+  }
+});
+
+$("members").addEventListener("change", (e) => {
+  const select = e.target.closest("select[data-role-user]");
+  if (!select) return;
+  runAction(null, () => api(`/api/communities/${communityId}/members/${select.dataset.roleUser}`, {
+    method: "PATCH",
+    body: JSON.stringify({ role: select.value }),
+  }));
+});
+
+$("btnSaveSettings").addEventListener("click", saveSettings);
+$("btnCreateInvite").addEventListener("click", createInvite);
+$("btnRotateJoinCode").addEventListener("click", rotateJoinCode);
+$("btnMoreEvents").addEventListener("click", () => loadEvents().catch((e) => alert(e.message)));
+
+$("invites").addEventListener("click", (e) => {
+  const btn = e.target.closest("button");
+  if (!btn) return;
+  if (btn.dataset.inviteUses) {
+    showInviteUses(btn.dataset.inviteUses);
+  } else if (btn.dataset.inviteRevoke) {
+    runAction("この招待リンクを無効にしますか？", () =>
+      api(`/api/communities/${communityId}/invites/${btn.dataset.inviteRevoke}`, { method: "DELETE" }));
+  }
+});
+
+$("btnLeave").addEventListener("click", async () => {
+  if (!confirm("このコミュニティから退会しますか？")) return;
+  try {
+    await api(`/api/communities/${communityId}/leave`, { method: "POST" });
+    location.href = "/mypage.html";
+  } catch (e) {
+    alert(e.message);
+  }
+});
+
+load();
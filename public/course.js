@@ -0,0 +1,118 @@
+function $(id) { return document.getElementById(id); }
+
+async function api(path, options = {}) {
+  const res = await fetch(path, {
+    headers: { "Content-Type": "application/json" },
+    ...options,
+  });
+  const text = await res.text();
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch {}
+  if (!res.ok) throw new Error(data.message || data.detail || text || "API error");
+  return data;
+}
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
+}
+
+// DATE列はJSONだとISO文字列で届くので YYYY-MM-DD にそろえる
+function toDateKey(v) {
+  const s = String(v || "");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return s;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+const courseId = Number(new URLSearchParams(location.search).get("id"));
+
+function renderCourse(course) {
+  document.title = `${course.name} | 講義ノートメーカー`;
+  $("courseName").textContent = course.name;
+  $("courseMeta").textContent = [course.university_name, course.term, course.instructor && `担当：${course.instructor}`]
+    .filter(Boolean)
+    .join(" / ");
+  $("term").value = course.term || "";
+  $("instructor").value = course.instructor || "";
+  $("examLink").href = `/exam.html?course_id=${encodeURIComponent(course.id)}`;
+}
+
+function renderSummary(s) {
+  const rate = s.attempted_quiz_count ? Math.round((s.last_correct_quiz_count / s.attempted_quiz_count) * 100) : null;
+  $("summary").innerHTML = `
+    <div>全${s.lecture_count}回 / ノート${s.note_count}件 / クイズ${s.quiz_count}問</div>
+    <div>解いたクイズ：${s.attempted_quiz_count} / ${s.quiz_count}問${rate == null ? "" : `（直近の正解率 ${rate}%）`}</div>
+    <div>今日復習するクイズ：${s.due_quiz_count}問 / 復習日が来ているノート：${s.review_due_note_count}件</div>
+  `;
+  $("summaryCard").hidden = false;
+}
+
+function noteStatus(n) {
+  const parts = [];
+  if (n.quiz_count) parts.push(`クイズ ${n.attempted_quiz_count}/${n.quiz_count}問 解答済`);
+  if (n.due_quiz_count) parts.push(`⏰ 復習 ${n.due_quiz_count}問`);
+  if (n.next_review_at) {
+    const due = new Date(n.next_review_at) <= new Date();
+    parts.push(due ? "📌 ノート復習日" : `次の復習 ${toDateKey(n.next_review_at)}`);
+  }
+  return parts.join(" / ");
+}
+
+function renderLecture(lecture) {
+  const notes = lecture.notes.map((n) => `
+    <li>
+      <a href="/note_detail.html?id=${encodeURIComponent(n.id)}&from=${encodeURIComponent(location.pathname + location.search)}">${esc(n.title || "(no title)")}</a>
+      <span class="small">${esc(toDateKey(n.lecture_date))}${n.author_name ? ` / 投稿：${esc(n.author_name)}` : ""}${n.is_mine ? " / 自分" : ""}</span>
+      <div class="small">${esc(noteStatus(n))}</div>
+    </li>
+  `).join("");
+  return `
+    <div class="card">
+      <h2>${esc(lecture.label)}</h2>
+      <ul>${notes}</ul>
+    </div>
+  `;
+}
+
+async function load() {
+  if (!courseId) {
+    $("message").textContent = "授業が指定されていません。";
+    return;
+  }
+  try {
+    const [detail, list] = await Promise.all([
+      api(`/api/courses/${courseId}`),
+      api(`/api/courses/${courseId}/notes`),
+    ]);
+    renderCourse(detail.course);
+    renderSummary(detail.summary);
+    $("lectures").innerHTML = list.lectures.map(renderLecture).join("");
+    // 学期・担当教員は、この授業に自分のノートがある人だけ編集できる
+    $("editCard").hidden = !list.lectures.some((l) => l.notes.some((n) => n.is_mine));
+  } catch (e) {
+    $("message").textContent = e.message;
+  }
+}
+
+async function saveCourse() {
+  $("editMessage").textContent = "保存中…";
+  try {
+    const data = await api(`/api/courses/${courseId}`, {
+      method: "PATCH",
+      body: JSON.stringify({ term: $("term").value, instructor: $("instructor").value }),
+    });
+    // 学期を変えると自分のノートは別の授業へ移るので、移った先の授業を開く
+    if (data.moved_from) {
+      location.href = `/course.html?id=${encodeURIComponent(data.course.id)}`;
+      return;
+    }
+    renderCourse(data.course);
+    $("editMessage").textContent = "保存しました。";
+  } catch (e) {
+    $("editMessage").textContent = e.message;
+  }
+}
+
+$("btnSaveCourse").addEventListener("click", saveCourse);
+load();
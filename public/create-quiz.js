@@ -163,11 +163,9 @@ async function generateDistractors() {
       method: "POST",
       body: JSON.stringify({ questionText, correctAnswer }),
     });
-    const [d1, d2, d3] = result.data.distractors;
-    $("choice1").value = $("choice1").value || correctAnswer;
-    $("choice2").value = d1;
-    $("choice3").value = d2;
-    $("choice4").value = d3;
+    // 正解を含む4つの並びはサーバー側でランダムにしてある（正解がいつも1番目にならないように）
+    const choices = result.data.choices || [correctAnswer, ...result.data.distractors];
+    choices.forEach((choice, i) => { $(`choice${i + 1}`).value = choice; });
     setMessage("不正解の候補を入力しました。必要に応じて編集してください。");
   } catch (e) {
     setMessage(e.message, true);
@@ -0,0 +1,308 @@
+function $(id) { return document.getElementById(id); }
+
+async function api(path, options = {}) {
+  const res = await fetch(path, {
+    headers: { "Content-Type": "application/json" },
+    ...options,
+  });
+  const text = await res.text();
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch {}
+  if (!res.ok) throw new Error(data.message || data.detail || text || "API error");
+  return data;
+}
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
+}
+
+function quizTypeLabel(type) {
+  if (type === "multiple_choice") return "4択";
+  if (type === "written") return "記述";
+  if (type === "true_false") return "○×";
+  if (type === "fill_blank") return "穴埋め";
+  return type || "不明";
+}
+
+function formatDateTime(v) {
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString("ja-JP", { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+function formatRemaining(sec) {
+  const s = Math.max(0, Math.floor(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+const params = new URLSearchParams(location.search);
+const preset = {
+  courseId: Number(params.get("course_id")) || null,
+  tagId: params.get("tag") || "",
+  noteId: params.get("note_id") || "",
+};
+
+let currentExam = null;
+let timerId = null;
+let submitting = false;
+
+// ---------- 出題範囲 ----------
+
+function checkedIds(containerId) {
+  return [...$(containerId).querySelectorAll("input[type=checkbox]:checked")].map((el) => Number(el.value));
+}
+
+function setChecked(containerId, ids) {
+  const set = new Set((ids || []).map(String));
+  $(containerId).querySelectorAll("input[type=checkbox]").forEach((el) => { el.checked = set.has(el.value); });
+}
+
+async function loadSources() {
+  if (preset.courseId) {
+    $("courseSource").hidden = false;
+    $("courseSource").innerHTML = `<label><input type="checkbox" id="useCourse" checked /> この授業のノートすべて（<a href="/course.html?id=${preset.courseId}">授業の目次</a>）</label>`;
+  }
+  const [tagsResult, notesResult] = await Promise.allSettled([api("/api/tags"), api("/api/my-notes")]);
+
+  const tags = tagsResult.status === "fulfilled" ? tagsResult.value.tags || [] : [];
+  $("tagSources").innerHTML = tags.length
+    ? tags.map((t) => {
+      const label = t.community_name ? `#${t.name}（${t.community_name}）` : `#${t.name}`;
+      return `<label class="tag-chip"><input type="checkbox" value="${t.id}" /> ${esc(label)}</label>`;
+    }).join(" ")
+    : "タグはまだありません。";
+
+  const notes = notesResult.status === "fulfilled" ? notesResult.value : [];
+  $("noteSources").innerHTML = notes.length
+    ? notes.map((n) => `
+      <div><label><input type="checkbox" value="${n.id}" /> ${esc(n.title || "(no title)")}
+        <span class="small">${esc([n.course_name, n.lecture_no && `第${n.lecture_no}回`].filter(Boolean).join(" "))}</span></label></div>
+    `).join("")
+    : "ノートはまだありません。";
+
+  if (preset.tagId) setChecked("tagSources", [preset.tagId]);
+  if (preset.noteId) setChecked("noteSources", [preset.noteId]);
+}
+
+function readTypeMix() {
+  const mix = {};
+  document.querySelectorAll("[data-type-mix]").forEach((el) => {
+    if (el.value !== "") mix[el.dataset.typeMix] = Number(el.value);
+  });
+  return Object.keys(mix).length ? mix : null;
+}
+
+// 「同じ範囲でもう一度」用に、前回の条件をフォームへ戻す
+function fillBuilder(exam) {
+  const source = exam.source || {};
+  setChecked("tagSources", source.tag_ids);
+  setChecked("noteSources", source.note_ids);
+  if ($("useCourse")) $("useCourse").checked = Boolean(source.course_id);
+  $("questionCount").value = exam.question_count;
+  $("timeLimit").value = exam.time_limit_sec ? Math.round(exam.time_limit_sec / 60) : 0;
+  document.querySelectorAll("[data-type-mix]").forEach((el) => {
+    el.value = exam.type_mix?.[el.dataset.typeMix] ?? "";
+  });
+  $("examTitle").value = exam.title || "";
+}
+
+async function startExam() {
+  $("message").textContent = "問題を準備しています…";
+  try {
+    const exam = await api("/api/exams", {
+      method: "POST",
+      body: JSON.stringify({
+        note_ids: checkedIds("noteSources"),
+        tag_ids: checkedIds("tagSources"),
+        course_id: $("useCourse")?.checked ? preset.courseId : null,
+        question_count: $("questionCount").value,
+        time_limit_minutes: $("timeLimit").value,
+        type_mix: readTypeMix(),
+        title: $("examTitle").value,
+      }),
+    });
+    $("message").textContent = "";
+    history.replaceState(null, "", `?exam=${exam.id}`);
+    showExam(exam);
+  } catch (e) {
+    $("message").textContent = e.message;
+  }
+}
+
+// ---------- 受験中 ----------
+
+function renderAnswerInput(q) {
+  if (q.quiz_type === "multiple_choice" && q.choices?.length) {
+    return `<div class="quiz-answer-inputs">${q.choices.map((c) => `
+      <label class="quiz-choice-option"><input type="radio" name="exam-q-${q.id}" value="${esc(c)}" /><span>${esc(c)}</span></label>
+    `).join("")}</div>`;
+  }
+  if (q.quiz_type === "true_false") {
+    return `
+      <div class="quiz-answer-inputs">
+        <label class="quiz-choice-option"><input type="radio" name="exam-q-${q.id}" value="○" /><span>○</span></label>
+        <label class="quiz-choice-option"><input type="radio" name="exam-q-${q.id}" value="×" /><span>×</span></label>
+      </div>
+    `;
+  }
+  return `<input type="text" class="quiz-answer-text" data-exam-input="${q.id}" placeholder="${q.quiz_type === "fill_blank" ? "空欄に入る語句を入力" : "回答を入力"}" />`;
+}
+
+function showExam(exam) {
+  currentExam = exam;
+  $("builderCard").hidden = true;
+  $("resultCard").hidden = true;
+  $("examCard").hidden = false;
+  $("examTitleView").textContent = exam.title || `模試（${exam.question_count}問）`;
+  $("questions").innerHTML = exam.questions.map((q) => `
+    <div class="card">
+      <div class="small">問${q.position}（${esc(quizTypeLabel(q.quiz_type))}）${q.note_title ? ` / ${esc(q.note_title)}` : ""}</div>
+      <div>${esc(q.question)}</div>
+      ${renderAnswerInput(q)}
+    </div>
+  `).join("");
+  startTimer(exam.remaining_seconds);
+}
+
+function startTimer(remainingSeconds) {
+  clearInterval(timerId);
+  if (remainingSeconds == null) {
+    $("timer").textContent = "制限時間なし";
+    return;
+  }
+  const endsAt = Date.now() + remainingSeconds * 1000;
+  const tick = () => {
+    const left = (endsAt - Date.now()) / 1000;
+    $("timer").textContent = `残り ${formatRemaining(left)}`;
+    if (left <= 0) {
+      clearInterval(timerId);
+      $("timer").textContent = "時間切れです。自動で提出します。";
+      submitExam();
+    }
+  };
+  tick();
+  timerId = setInterval(tick, 1000);
+}
+
+function collectAnswers() {
+  return currentExam.questions.map((q) => {
+    const checked = document.querySelector(`input[name="exam-q-${q.id}"]:checked`);
+    const text = document.querySelector(`[data-exam-input="${q.id}"]`);
+    return { question_id: q.id, answer: checked ? checked.value : text ? text.value : "" };
+  });
+}
+
+async function submitExam() {
+  if (!currentExam || submitting) return;
+  submitting = true;
+  $("btnSubmit").disabled = true;
+  $("message").textContent = "採点しています…（記述問題はAI採点のため少し時間がかかります）";
+  try {
+    const exam = await api(`/api/exams/${currentExam.id}/submit`, {
+      method: "POST",
+      body: JSON.stringify({ answers: collectAnswers() }),
+    });
+    $("message").textContent = "";
+    showResult(exam);
+    loadHistory();
+  } catch (e) {
+    $("message").textContent = e.message;
+  } finally {
+    submitting = false;
+    $("btnSubmit").disabled = false;
+  }
+}
+
+// ---------- 結果 ----------
+
+function breakdownTable(title, rows, labelOf) {
+  if (!rows.length) return "";
+  return `
+    <h3>${esc(title)}</h3>
+    <table>
+      ${rows.map((r) => `<tr><td>${labelOf(r)}</td><td>${r.correct_count} / ${r.total_count}</td><td>${r.score_percent}%</td></tr>`).join("")}
+    </table>
+  `;
+}
+
+function showResult(exam) {
+  clearInterval(timerId);
+  currentExam = exam;
+  $("builderCard").hidden = true;
+  $("examCard").hidden = true;
+  $("resultCard").hidden = false;
+
+  const r = exam.result;
+  const prev = r.previous;
+  const compare = prev
+    ? `前回（${esc(formatDateTime(prev.submitted_at))}）${prev.score_percent}% から ${r.score_delta >= 0 ? "+" : ""}${r.score_delta}pt`
+    : "同じ範囲の模試は今回が初めてです。";
+  $("resultSummary").innerHTML = `
+    <div><strong>${r.correct_count} / ${r.total_count}問 正解（${r.score_percent}%）</strong></div>
+    <div class="small">${compare}</div>
+    ${exam.time_over ? `<div class="small">⚠ 制限時間を過ぎてから提出されました。</div>` : ""}
+  `;
+  $("resultBreakdown").innerHTML =
+    breakdownTable("ノート別（苦手な順）", r.by_note, (n) => n.note_id
+      ? `<a href="/note_detail.html?id=${encodeURIComponent(n.note_id)}">${esc(n.note_title || "(no title)")}</a>`
+      : esc(n.note_title || "(削除されたノート)")) +
+    breakdownTable("形式別", r.by_type, (t) => esc(quizTypeLabel(t.quiz_type)));
+  $("resultQuestions").innerHTML = exam.questions.map((q) => `
+    <div class="card">
+      <div class="small">問${q.position}（${esc(quizTypeLabel(q.quiz_type))}）${q.is_correct ? "⭕ 正解" : "❌ 不正解"}${q.graded_by === "ai" ? "（AI採点）" : ""}</div>
+      <div>${esc(q.question)}</div>
+      <div class="small">あなたの回答：${esc(q.given_answer || "（未回答）")}</div>
+      <div class="small">正解：${esc(q.correct_answer)}</div>
+      ${q.feedback ? `<div class="small">講評：${esc(q.feedback)}</div>` : ""}
+      ${q.explanation ? `<div class="small">解説：${esc(q.explanation)}</div>` : ""}
+    </div>
+  `).join("");
+}
+
+function retrySameSource() {
+  fillBuilder(currentExam);
+  history.replaceState(null, "", location.pathname + (preset.courseId ? `?course_id=${preset.courseId}` : ""));
+  $("resultCard").hidden = true;
+  $("builderCard").hidden = false;
+}
+
+// ---------- 履歴 ----------
+
+async function loadHistory() {
+  try {
+    const { exams } = await api("/api/exams");
+    $("history").innerHTML = exams.length
+      ? `<ul>${exams.map((e) => `
+        <li>
+          <a href="?exam=${e.id}">${esc(e.title || `模試（${e.question_count}問）`)}</a>
+          ${esc(formatDateTime(e.started_at))}
+          ${e.status === "graded" ? ` / ${e.correct_count}/${e.question_count}問（${e.score_percent}%）${e.time_over ? " ⚠時間超過" : ""}` : " / 受験中"}
+        </li>
+      `).join("")}</ul>`
+      : "まだ模試を受けていません。";
+  } catch (e) {
+    $("history").textContent = e.message;
+  }
+}
+
+async function openExam(examId) {
+  try {
+    const exam = await api(`/api/exams/${examId}`);
+    if (exam.status === "graded") showResult(exam);
+    else showExam(exam);
+  } catch (e) {
+    $("message").textContent = e.message;
+  }
+}
+
+(async () => {
+  $("btnStart").addEventListener("click", startExam);
+  $("btnSubmit").addEventListener("click", () => {
+    if (confirm("提出して採点しますか？")) submitExam();
+  });
+  $("btnAgain").addEventListener("click", retrySameSource);
+  await loadSources();
+  loadHistory();
+  const examId = Number(params.get("exam"));
+  if (examId) await openExam(examId);
+})();
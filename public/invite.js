@@ -0,0 +1,66 @@
+function $(id) { return document.getElementById(id); }
+
+async function api(path, options = {}) {
+  const res = await fetch(path, {
+    headers: { "Content-Type": "application/json" },
+    ...options,
+  });
+  const text = await res.text();
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch {}
+  if (!res.ok) throw new Error(data.message || data.detail || text || "API error");
+  return data;
+}
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
+}
+
+const token = decodeURIComponent(location.pathname.split("/").filter(Boolean).pop() || "");
+
+function render(info) {
+  $("communityName").textContent = info.community.name;
+  const expires = info.expires_at ? `有効期限：${new Date(info.expires_at).toLocaleString("ja-JP")}` : "有効期限なし";
+  $("inviteMeta").textContent = `👥 ${info.community.member_count}人 / ${expires}`;
+
+  const body = $("inviteBody");
+  if (info.is_member) {
+    body.innerHTML = `すでに参加しています。<a href="/community.html?id=${info.community.id}">コミュニティを開く</a>`;
+  } else if (!info.usable) {
+    body.textContent = info.message;
+  } else if (info.has_pending) {
+    body.textContent = "参加申請を送信済みです。管理者の承認をお待ちください。";
+  } else if (!info.loggedIn) {
+    body.innerHTML = `参加するにはログインしてください。<a href="/login.html?next=${encodeURIComponent(location.pathname)}">ログイン / 新規登録</a>`;
+  } else {
+    body.innerHTML = `
+      <div class="small">${info.auto_approve ? "ボタンを押すとすぐに参加できます。" : "ボタンを押すと参加申請を送ります（管理者の承認後に参加できます）。"}</div>
+      <button id="btnAccept" type="button">${info.auto_approve ? "参加する" : "参加を申請する"}</button>
+    `;
+    $("btnAccept").addEventListener("click", accept);
+  }
+}
+
+async function accept() {
+  $("btnAccept").disabled = true;
+  try {
+    const r = await api(`/api/invites/${encodeURIComponent(token)}/accept`, { method: "POST" });
+    if (r.result === "joined" || r.result === "already_member") {
+      location.href = `/community.html?id=${r.community_id}`;
+      return;
+    }
+    $("inviteBody").textContent = "参加申請を送信しました。管理者の承認をお待ちください。";
+  } catch (e) {
+    $("message").textContent = e.message;
+    $("btnAccept").disabled = false;
+  }
+}
+
+(async () => {
+  try {
+    render(await api(`/api/invites/${encodeURIComponent(token)}`));
+  } catch (e) {
+    $("communityName").textContent = "招待リンクを開けませんでした";
+    $("message").textContent = e.message;
+  }
+})();
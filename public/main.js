@@ -37,6 +37,7 @@ function getForm() {
     university_name: $("university_name")?.value.trim() || "",
     author_name: $("author_name")?.value.trim() || "",
     course_name: $("course_name")?.value.trim() || "",
+    term: $("term")?.value.trim() || "",
     lecture_no: $("lecture_no")?.value.trim() || "",
     lecture_date: $("lecture_date")?.value || "",
     title: $("title")?.value.trim() || "",
@@ -64,7 +65,8 @@ function setSaveAnnouncement(message, kind = "success") {
   el.className = `small hint image-status ${kind}`;
 }
 
-function validateForSave(data) {
+// PDF取り込みでは本文はPDFから作り、タイトルは空ならファイル名を使うので必須にしない
+function validateForSave(data, { fromPdf = false } = {}) {
   const missing = [];
   const isCommunity = !!data.community_id;
 
@@ -75,8 +77,8 @@ function validateForSave(data) {
   if (!data.course_name) missing.push("授業名");
   if (!data.lecture_no) missing.push("回（第◯回）");
   if (!data.lecture_date) missing.push("日付");
-  if (!data.title) missing.push("タイトル");
-  if (!data.body_raw) missing.push("本文");
+  if (!fromPdf && !data.title) missing.push("タイトル");
+  if (!fromPdf && !data.body_raw) missing.push("本文");
 
   if (missing.length) {
     alert("未入力があります：\n- " + missing.join("\n- "));
@@ -85,98 +87,213 @@ function validateForSave(data) {
   return true;
 }
 
-// 一覧：大学名 + 授業名で絞り込み
-async function refreshList() {
+// 一覧：大学名（空なら全大学）+ 授業名・キーワードなどで絞り込み。続きは nextCursor で取得
+const listState = { cursor: null };
+
+function buildListQuery() {
+  const qs = new URLSearchParams();
+  const fields = {
+    university_name: $("university_search")?.value.trim(),
+    course: $("course_search")?.value.trim(),
+    q: $("keyword_search")?.value.trim(),
+    lecture_no: $("lecture_no_search")?.value.trim(),
+    date_from: $("date_from_search")?.value,
+    date_to: $("date_to_search")?.value,
+    sort: $("sort_search")?.value,
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value) qs.set(key, value);
+  }
+  return qs;
+}
+
+function renderNoteCard(n) {
+  const div = document.createElement("div");
+  div.className = "card";
+
+  const author = n.author_name ? ` / 投稿：${escapeHtml(n.author_name)}` : "";
+  const university = n.university_name ? `${escapeHtml(n.university_name)} / ` : "";
+  const safeTitle = escapeHtml(n.title || "(no title)");
+  const detailUrl = `/note_detail.html?id=${encodeURIComponent(n.id)}`;
+
+  div.innerHTML = `
+    <div><strong>${safeTitle}</strong></div>
+    <div>${university}${escapeHtml(n.course_name)} / ${escapeHtml(n.lecture_no)} / ${escapeHtml(toDateKey(n.lecture_date))}${author}</div>
+    <div style="margin-top:8px; display:flex; gap:10px; flex-wrap:wrap;">
+      <a href="${detailUrl}">詳細を開く</a>
+    </div>
+  `;
+  return div;
+}
+
+// DATE列はJSONだとISO文字列で届くので YYYY-MM-DD にそろえる
+function toDateKey(v) {
+  const s = String(v || "");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const d = new Date(s);
+  if (Number.isNaN(d.getTime())) return s;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+async function refreshList({ append = false } = {}) {
   const el = $("list");
   if (!el) return;
+  const moreBtn = $("btnMoreNotes");
 
-  const u = $("university_search")?.value.trim() || "";
-  const course = $("course_search")?.value.trim() || "";
-  el.innerHTML = "";
-
-  if (!u) {
-    el.textContent = "コミュニティ名を入れて検索してください。";
-    return;
+  if (!append) {
+    listState.cursor = null;
+    el.innerHTML = "";
   }
+  if (moreBtn) moreBtn.hidden = true;
 
-  let url = "/api/notes?university_name=" + encodeURIComponent(u);
-  if (course) url += "&course=" + encodeURIComponent(course);
+  const qs = buildListQuery();
+  if (append && listState.cursor) qs.set("cursor", listState.cursor);
 
-  let list = [];
+  let data;
   try {
-    list = await api(url);
+    data = await api("/api/notes?" + qs.toString());
   } catch (e) {
     el.innerHTML = `<div class="card"><strong>一覧取得に失敗</strong><br>${escapeHtml(e.message)}</div>`;
     return;
   }
 
-  if (!Array.isArray(list) || list.length === 0) {
-    el.textContent = course
-      ? "（この大学・この授業名に一致するノートはありません）"
-      : "（この大学のノートはまだありません）";
+  const notes = data?.notes || [];
+  if (!append && notes.length === 0) {
+    if (data?.suggestions?.length) {
+      el.innerHTML = `
+        <div class="small">「${escapeHtml(qs.get("university_name"))}」は見つかりませんでした。もしかして：
+          ${data.suggestions.map((u) => `<button type="button" data-university="${escapeHtml(u.name)}">${escapeHtml(u.name)}（${u.note_count}件）</button>`).join(" ")}
+        </div>`;
+      el.querySelectorAll("button[data-university]").forEach((btn) => {
+        btn.addEventListener("click", () => {
+          $("university_search").value = btn.dataset.university;
+          refreshList();
+        });
+      });
+      return;
+    }
+    el.textContent = qs.get("university_name")
+      ? "（この大学の条件に一致するノートはありません）"
+      : "（条件に一致する公開ノートはありません）";
     return;
   }
 
-  for (const n of list) {
-    const div = document.createElement("div");
-    div.className = "card";
+  for (const n of notes) el.appendChild(renderNoteCard(n));
+  listState.cursor = data.nextCursor;
+  if (moreBtn) moreBtn.hidden = !data.nextCursor;
+}
 
-    const author = n.author_name ? ` / 投稿：${escapeHtml(n.author_name)}` : "";
-    const safeTitle = escapeHtml(n.title || "(no title)");
+// 大学名の入力補完（前方一致を優先）
+let universitySuggestTimer = null;
+function suggestUniversities(value) {
+  clearTimeout(universitySuggestTimer);
+  const q = String(value || "").trim();
+  const listEl = $("university_suggestions");
+  if (!listEl || !q) return;
+  universitySuggestTimer = setTimeout(async () => {
+    try {
+      const { universities = [] } = await api("/api/universities?q=" + encodeURIComponent(q));
+      listEl.innerHTML = universities
+        .map((u) => `<option value="${escapeHtml(u.name)}">${u.note_count}件の公開ノート</option>`)
+        .join("");
+    } catch {
+      // 補完できなくても入力はそのまま使える
+    }
+  }, 250);
+}
 
-    const detailUrl = `/note_detail.html?id=${encodeURIComponent(n.id)}`;
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const dataUrl = String(reader.result || "");
+      const b64 = dataUrl.includes(",") ? dataUrl.split(",")[1] : "";
+      resolve(b64);
+    };
+    reader.onerror = () => reject(new Error("画像の読み込みに失敗しました"));
+    reader.readAsDataURL(file);
+  });
+}
 
-    div.innerHTML = `
-      <div><strong>${safeTitle}</strong></div>
-      <div>${escapeHtml(n.course_name)} / ${escapeHtml(n.lecture_no)} / ${n.lecture_date}${author}</div>
-      <div style="margin-top:8px; display:flex; gap:10px; flex-wrap:wrap;">
-        <a href="${detailUrl}">詳細を開く</a>
-      </div>
-    `;
-    el.appendChild(div);
+async function postJson(url, payload) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const text = await res.text();
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch {}
+
+  if (!res.ok) {
+    const msg = data?.message || text || "画像の送信に失敗しました";
+    throw new Error(msg);
   }
+  return data;
+}
+
+// 画像から作ったノートは、OCRに使った元の画像をノートに添付しておく（誤読の確認用）
+async function uploadNoteImages(noteId) {
+  const files = Array.from($("note_image")?.files || []);
+  let uploaded = 0;
+  const failed = [];
+  for (const [i, file] of files.entries()) {
+    try {
+      await postJson(`/api/notes/${encodeURIComponent(noteId)}/attachments`, {
+        page_no: i + 1,
+        image_base64: await readFileAsBase64(file),
+        mime_type: file.type,
+        file_name: file.name,
+        file_size: file.size,
+      });
+      uploaded += 1;
+    } catch (e) {
+      failed.push(`${file.name}（${e.message}）`);
+    }
+  }
+  return { uploaded, failed };
+}
+
+// 複数ページのときはページごとの失敗をまとめて表示する
+function describeFailedPages(pages) {
+  const failed = (pages || []).filter((p) => !p.ok);
+  if (!failed.length) return "";
+  return " 読み取れなかったページ: " + failed.map((p) => `${p.page_no}ページ目（${p.message}）`).join(" / ");
 }
 
 async function onExtractImageText() {
   const fileInput = $("note_image");
-  const file = fileInput?.files?.[0];
+  const files = Array.from(fileInput?.files || []);
 
-  if (!file) {
+  if (!files.length) {
     setImageStatus("画像ファイルを選択してください。", "warn");
     return;
   }
 
-  setImageStatus("画像を解析中です...", "info");
+  setImageStatus(files.length > 1 ? `${files.length}ページの画像を解析中です...` : "画像を解析中です...", "info");
 
   try {
-    const base64 = await new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const dataUrl = String(reader.result || "");
-        const b64 = dataUrl.includes(",") ? dataUrl.split(",")[1] : "";
-        resolve(b64);
-      };
-      reader.onerror = () => reject(new Error("画像の読み込みに失敗しました"));
-      reader.readAsDataURL(file);
-    });
-
-    const res = await fetch("/api/notes/extract-text", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        image_base64: base64,
+    let data;
+    if (files.length > 1) {
+      const pages = [];
+      for (const [i, file] of files.entries()) {
+        pages.push({
+          page_no: i + 1,
+          image_base64: await readFileAsBase64(file),
+          mime_type: file.type,
+          file_name: file.name,
+          file_size: file.size,
+        });
+      }
+      data = await postJson("/api/notes/extract-text/batch", { pages });
+    } else {
+      const file = files[0];
+      data = await postJson("/api/notes/extract-text", {
+        image_base64: await readFileAsBase64(file),
         mime_type: file.type,
         file_name: file.name,
         file_size: file.size,
-      }),
-    });
-    const text = await res.text();
-    let data = {};
-    try { data = text ? JSON.parse(text) : {}; } catch {}
-
-    if (!res.ok) {
-      const msg = data?.message || text || "画像からの文字抽出に失敗しました";
-      throw new Error(msg);
+      });
     }
 
     const extracted = String(data?.text || "").trim();
@@ -186,13 +303,65 @@ async function onExtractImageText() {
 
     if ($("body_raw")) $("body_raw").value = extracted;
     window.__noteSourceType = "image";
-    setImageStatus("文字を抽出しました。必要に応じて本文を編集して保存してください。", "success");
+    const failedNote = describeFailedPages(data?.pages);
+    setImageStatus(
+      "文字を抽出しました。必要に応じて本文を編集して保存してください。" + failedNote,
+      failedNote ? "warn" : "success"
+    );
   } catch (e) {
     window.__noteSourceType = "text";
     setImageStatus(e.message, "error");
   }
 }
 
+function setPdfStatus(message, kind = "info") {
+  const el = $("pdf_status");
+  if (!el) return;
+  el.textContent = message || "";
+  el.className = `small hint image-status ${kind}`;
+}
+
+// スライドPDFからノートを作成（テキストの無いページはサーバー側でOCR）
+async function onImportPdf() {
+  const file = $("note_pdf")?.files?.[0];
+  if (!file) {
+    setPdfStatus("PDFファイルを選択してください。", "warn");
+    return;
+  }
+
+  const data = getForm();
+  if (!validateForSave(data, { fromPdf: true })) return;
+
+  const btn = $("btnImportPdf");
+  if (btn) btn.disabled = true;
+  setPdfStatus("PDFを読み込んでいます...（画像だけのページがあると時間がかかります）", "info");
+
+  try {
+    const { body_raw, source_type, ...fields } = data;
+    const r = await postJson("/api/notes/import-pdf", {
+      ...fields,
+      pdf_base64: await readFileAsBase64(file),
+      file_name: file.name,
+      file_size: file.size,
+    });
+
+    const ocrPages = (r.pages || []).filter((p) => p.method === "ocr");
+    let msg = `PDFからノートを作成しました（${r.importedPageCount}/${r.pageCount}ページ）。`;
+    if (ocrPages.length) msg += ` うち${ocrPages.filter((p) => p.ok).length}ページは画像から読み取りました。`;
+    const failed = (r.pages || []).filter((p) => !p.ok);
+    if (failed.length) msg += ` 読み取れなかったページ: ${failed.map((p) => p.page_no).join(", ")}`;
+    setPdfStatus(msg, failed.length ? "warn" : "success");
+
+    if (confirm(`${msg}\n作成したノートを開きますか？`)) {
+      location.href = `/note_detail.html?id=${encodeURIComponent(r.id)}`;
+    }
+  } catch (e) {
+    setPdfStatus(e.message, "error");
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
 async function onPreview() {
   try {
     const data = getForm();
@@ -252,6 +421,12 @@ async function onSave() {
     // 保存成功
     let msg = `保存しました！\nノートID: ${r.id}`;
 
+    if (r.source_type === "image" && $("note_image")?.files?.length) {
+      const att = await uploadNoteImages(r.id);
+      msg += `\n元画像の添付：${att.uploaded}枚`;
+      if (att.failed.length) msg += `\n添付できなかった画像：${att.failed.join(" / ")}`;
+    }
+
     // ★保存後にクイズ自動生成（作者のみ。未ログインなら /api/notes 自体が401なのでここには来ない）
     const quiz = await tryGenerateQuiz(r.id);
     if (quiz?.ok) {
@@ -286,16 +461,21 @@ window.__noteSourceType = "text";
 
 // ---- 初期化 ----
 $("btnExtractImageText")?.addEventListener("click", onExtractImageText);
+$("btnImportPdf")?.addEventListener("click", onImportPdf);
 $("btnPreview")?.addEventListener("click", onPreview);
 $("btnSave")?.addEventListener("click", onSave);
-$("btnSearch")?.addEventListener("click", refreshList);
+$("btnSearch")?.addEventListener("click", () => refreshList());
 
-$("university_search")?.addEventListener("keydown", (e) => {
-  if (e.key === "Enter") refreshList();
+$("btnMoreNotes")?.addEventListener("click", () => refreshList({ append: true }));
+["university_search", "course_search", "keyword_search", "lecture_no_search"].forEach((id) => {
+  $(id)?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") refreshList();
+  });
 });
-$("course_search")?.addEventListener("keydown", (e) => {
-  if (e.key === "Enter") refreshList();
+["sort_search", "date_from_search", "date_to_search"].forEach((id) => {
+  $(id)?.addEventListener("change", () => refreshList());
 });
+$("university_search")?.addEventListener("input", (e) => suggestUniversities(e.target.value));
 
 $("body_raw")?.addEventListener("input", () => {
   if (!$("note_image")?.files?.length) {
@@ -303,10 +483,14 @@ $("body_raw")?.addEventListener("input", () => {
   }
 });
 
-$("university_name")?.addEventListener("input", syncUniversityToSearch);
-$("university_name")?.addEventListener("change", refreshList);
+$("university_name")?.addEventListener("input", (e) => {
+  syncUniversityToSearch();
+  suggestUniversities(e.target.value);
+});
+$("university_name")?.addEventListener("change", () => refreshList());
 
-if ($("list")) $("list").textContent = "コミュニティ名を入れて検索してください。";
+// 大学名が未入力でも、全大学の新しい公開ノートを表示しておく
+refreshList();
 
 // ===== コミュニティ検索（参加申請つき）=====
 async function searchCommunities() {
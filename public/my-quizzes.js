@@ -2,6 +2,8 @@ function $(id) { return document.getElementById(id); }
 
 let allRows = [];
 let currentSortOrder = "newest";
+// 回答欄を開いた時刻（回答までの所要時間の計測用）
+const answerOpenedAt = new Map();
 async function api(path, options = {}) {
   const res = await fetch(path, {
     headers: { "Content-Type": "application/json" },
@@ -27,6 +29,43 @@ function quizTypeLabel(type) {
 }
 
 
+function renderExplanation(text) {
+  return text ? `<div class="quiz-explanation">解説: ${esc(text).replace(/\n/g, "<br>")}</div>` : "";
+}
+
+function difficultyLabel(difficulty) {
+  if (difficulty === "easy") return "やさしい";
+  if (difficulty === "normal") return "ふつう";
+  if (difficulty === "hard") return "難しい";
+  if (difficulty === "exam") return "試験レベル";
+  return "";
+}
+
+function attemptStatsLabel(qz) {
+  const count = Number(qz.attempt_count || 0);
+  if (!count) return "未回答";
+  const rate = Math.round(Number(qz.accuracy || 0) * 100);
+  const last = qz.last_is_correct === null ? "" : ` / 前回: ${qz.last_is_correct ? "✅" : "❌"}`;
+  return `正答率 ${rate}%（${count}回中${Number(qz.correct_count || 0)}回正解）${last}`;
+}
+
+function elapsedSinceOpened(id) {
+  const openedAt = answerOpenedAt.get(String(id));
+  return openedAt ? Date.now() - openedAt : null;
+}
+
+// 回答履歴をサーバーに記録（失敗しても画面上の判定はそのまま）
+async function recordAttempt(id, answer) {
+  try {
+    await api(`/api/quizzes/${id}/attempts`, {
+      method: "POST",
+      body: JSON.stringify({ answer, latency_ms: elapsedSinceOpened(id) }),
+    });
+  } catch (e) {
+    console.warn("回答の記録に失敗しました", e);
+  }
+}
+
 function parseSortTimestamp(qz) {
   const source = qz.updated_at || qz.created_at || qz.saved_at || "";
   const t = Date.parse(source);
@@ -184,9 +223,10 @@ function render(rows, options = {}) {
 
   $("quizList").innerHTML = rows.map((qz, idx) => `
     <div class="card" data-quiz-card="${qz.id}">
-      <div><strong>${esc(qz.title)}</strong> / ${esc(quizTypeLabel(qz.quiz_type))}</div>
+      <div><strong>${esc(qz.title)}</strong> / ${esc(quizTypeLabel(qz.quiz_type))}${qz.difficulty ? ` / ${esc(difficultyLabel(qz.difficulty))}` : ""}</div>
       <div class="small">${esc(qz.question_text).slice(0, 120)}</div>
       <div class="small">作成日: ${esc(qz.created_at)}</div>
+      <div class="small">${esc(attemptStatsLabel(qz))}</div>
       <div class="row" style="margin-top:8px;">
         <button data-answer-toggle="${qz.id}">回答する</button>
         <button data-edit="${qz.id}">編集</button>
@@ -236,6 +276,7 @@ function render(rows, options = {}) {
       area.hidden = !willOpen;
       btn.textContent = willOpen ? "回答中" : "回答する";
       if (willOpen) {
+        answerOpenedAt.set(String(id), Date.now());
         const input = area.querySelector("input[type='text'], input[type='radio']");
         if (input) input.focus();
       }
@@ -284,9 +325,10 @@ function render(rows, options = {}) {
         <div><strong>${isCorrect ? "✅ 正解" : "❌ 不正解"}</strong></div>
         <div>あなたの回答: ${esc(userAnswer)}</div>
         <div>正解: ${esc(qz.correct_answer)}</div>
-        ${qz.explanation ? `<div>解説: ${esc(qz.explanation)}</div>` : ""}
+        ${renderExplanation(qz.explanation)}
       `;
     }
+    recordAttempt(id, userAnswer);
     wireNextButton(id);
   }
 
@@ -300,7 +342,7 @@ function render(rows, options = {}) {
     try {
       const result = await api(`/api/quizzes/${id}/grade`, {
         method: "POST",
-        body: JSON.stringify({ answer: userAnswer }),
+        body: JSON.stringify({ answer: userAnswer, latency_ms: elapsedSinceOpened(id) }),
       });
       if (resultEl) {
         resultEl.classList.toggle("is-correct", result.correct);
@@ -309,6 +351,7 @@ function render(rows, options = {}) {
           <div><strong>${result.correct ? "✅ 正解（AI判定）" : "❌ 不正解（AI判定）"}</strong></div>
           <div>あなたの回答: ${esc(userAnswer)}</div>
           <div>模範解答: ${esc(result.correctAnswer)}</div>
+          ${renderExplanation(result.explanation ?? qz.explanation)}
           ${result.feedback ? `<div>AIの講評: ${esc(result.feedback)}</div>` : ""}
         `;
       }
@@ -374,17 +417,42 @@ function applyFilters() {
   render(sortedRows, { keyword });
 }
 
+// 4択の選択肢はサーバーで並べ替えてもらう。絞り込みで再読み込みしても並びが変わらないよう seed を使い回す
+let shuffleSeed = null;
+
 async function load() {
-  const type = $("filterType").value;
-  const q = type ? `?quiz_type=${encodeURIComponent(type)}` : "";
-  const result = await api(`/api/quizzes/mine${q}`);
+  const qs = new URLSearchParams({ shuffle: "1" });
+  if (shuffleSeed) qs.set("seed", shuffleSeed);
+  if ($("filterType").value) qs.set("quiz_type", $("filterType").value);
+  if ($("filterDifficulty").value) qs.set("difficulty", $("filterDifficulty").value);
+  if ($("filterTag").value) qs.set("tag", $("filterTag").value);
+  const result = await api(`/api/quizzes/mine?${qs}`);
+  shuffleSeed = result.data.shuffle_seed || shuffleSeed;
   allRows = result.data.quizzes || [];
   applyFilters();
 }
 
+// タグの選択肢（?tag= で開いたときはそのタグで絞り込んだ状態にする）
+async function loadTagOptions() {
+  const select = $("filterTag");
+  const initial = new URLSearchParams(location.search).get("tag") || "";
+  try {
+    const { tags = [] } = await api("/api/tags");
+    select.insertAdjacentHTML("beforeend", tags.map((t) => {
+      const label = t.community_name ? `#${t.name}（${t.community_name}）` : `#${t.name}`;
+      return `<option value="${t.id}">${esc(label)}</option>`;
+    }).join(""));
+  } catch (e) {
+    console.warn("タグを読み込めませんでした", e);
+  }
+  select.value = [...select.options].some((o) => o.value === initial) ? initial : "";
+}
+
 (async () => {
   $("btnReload").addEventListener("click", load);
+  $("filterTag").addEventListener("change", load);
   $("filterType").addEventListener("change", load);
+  $("filterDifficulty").addEventListener("change", load);
   $("sortOrder").addEventListener("change", () => {
     currentSortOrder = $("sortOrder").value || "newest";
     applyFilters();
@@ -401,5 +469,6 @@ async function load() {
   });
   $("sortOrder").value = currentSortOrder;
   updateSortUI();
+  await loadTagOptions();
   await load();
 })();
@@ -203,7 +203,7 @@ async function handleExportPdf(noteId, messageEl, triggerBtn) {
   try {
     const result = await api(`/api/notes/${noteId}/export-pdf`, { method: "POST" });
     const msg = escapeHtml(result.message || "PDF出力リクエストが完了しました");
-    const url = result.downloadUrl ? `<a href="${escapeHtml(result.downloadUrl)}" target="_blank" rel="noopener">ダウンロードリンク</a>` : "";
+    const url = result.downloadUrl ? `<a href="${escapeHtml(result.downloadUrl)}" download="${escapeHtml(result.fileName || "")}">PDFをダウンロード</a>` : "";
     updateActionMessage(messageEl, "success", `<div>${msg}</div>${url ? `<div style="margin-top:4px;">${url}</div>` : ""}`, true);
   } catch (err) {
     updateActionMessage(messageEl, "error", formatErrorMessage(err));
@@ -225,6 +225,7 @@ const myPageState = {
   myCurrentMonth: toMonthKey(new Date()),
   mySearch: "",
   mySort: "desc",
+  myTag: "",
   myNotes: [],
   myQuizzes: [],
   mySummary: new Map(),
@@ -233,6 +234,7 @@ const myPageState = {
   communityCurrentMonth: toMonthKey(new Date()),
   communitySearch: "",
   communitySort: "desc",
+  communityTag: "",
   communityNotes: [],
   communityQuizzes: [],
   communitySummary: new Map(),
@@ -496,6 +498,21 @@ function renderMyNotesAndQuizzes() {
   });
 }
 
+// タグ絞り込みの選択肢（自分のノート欄は全タグ、コミュニティ欄はコミュ共有タグ）
+async function loadTagFilters() {
+  try {
+    const { tags = [] } = await api("/api/tags");
+    const option = (t) => {
+      const label = t.community_name ? `#${t.name}（${t.community_name}）` : `#${t.name}`;
+      return `<option value="${t.id}">${escapeHtml(label)}</option>`;
+    };
+    $("myTagSelect")?.insertAdjacentHTML("beforeend", tags.map(option).join(""));
+    $("communityTagSelect")?.insertAdjacentHTML("beforeend", tags.filter((t) => t.community_id).map(option).join(""));
+  } catch (e) {
+    console.warn("タグを読み込めませんでした", e);
+  }
+}
+
 async function loadMyNotes() {
   if (myPageState.myLoading) return;
   myPageState.myLoading = true;
@@ -514,11 +531,13 @@ async function loadMyNotes() {
           date: myPageState.mySelectedDate,
           search: myPageState.mySearch,
           sort: myPageState.mySort,
+          tag: myPageState.myTag,
         })),
         api(buildUrl("/api/quizzes/mine", {
           date: myPageState.mySelectedDate,
           search: myPageState.mySearch,
           sort: myPageState.mySort,
+          tag: myPageState.myTag,
         }))
       );
     }
@@ -670,11 +689,13 @@ async function loadCommunityNotes() {
           date: myPageState.communitySelectedDate,
           search: myPageState.communitySearch,
           sort: myPageState.communitySort,
+          tag: myPageState.communityTag,
         })),
         api(buildUrl("/api/community-quizzes", {
           date: myPageState.communitySelectedDate,
           search: myPageState.communitySearch,
           sort: myPageState.communitySort,
+          tag: myPageState.communityTag,
         }))
       );
     }
@@ -880,14 +901,15 @@ async function loadCommunitiesOnMyPage() {
     ul.innerHTML = "";
     for (const c of list) {
       const li = document.createElement("li");
-      const isAdmin = c.role === "admin";
-      const roleLabel = isAdmin ? "管理者" : "メンバー";
+      const isOwner = Boolean(c.is_owner);
+      const roleLabel = isOwner ? "オーナー" : ({ admin: "管理者", moderator: "モデレーター" }[c.role] || "メンバー");
 
+      // 解散はオーナーだけ。オーナーは譲渡するまで退会できない（メンバー管理はコミュニティページで）
       li.innerHTML = `
-        ID: <b>${c.id}</b> / ${escapeHtml(c.name || "")}
+        ID: <b>${c.id}</b> / <a href="/community.html?id=${c.id}">${escapeHtml(c.name || "")}</a>
         <span style="margin-left:6px; font-size:12px; color:#666;">👥 ${Number(c.member_count || 0)}人</span>
         <span style="display:inline-block; padding:2px 8px; border-radius:999px; background:#eee; font-size:12px; margin-left:6px;">${roleLabel}</span>
-        ${isAdmin
+        ${isOwner
           ? `<button data-delete-comm="${c.id}" style="margin-left:8px;">削除（解散）</button>`
           : `<button data-leave-comm="${c.id}" style="margin-left:8px;">退会</button>`}
       `;
@@ -1067,6 +1089,14 @@ async function initMyPage() {
     myPageState.communitySort = e.currentTarget.value || "desc";
     loadCommunityNotes();
   });
+  $("myTagSelect")?.addEventListener("change", (e) => {
+    myPageState.myTag = e.currentTarget.value || "";
+    loadMyNotes();
+  });
+  $("communityTagSelect")?.addEventListener("change", (e) => {
+    myPageState.communityTag = e.currentTarget.value || "";
+    loadCommunityNotes();
+  });
   $("btnClearMyDate")?.addEventListener("click", () => {
     myPageState.mySelectedDate = "";
     loadMyNotes();
@@ -1078,6 +1108,7 @@ async function initMyPage() {
 
   await Promise.all([
     loadBillingInfo(),
+    loadTagFilters(),
     loadMyNotes(),
     loadCommunityNotes(),
     loadCommunitiesOnMyPage(),
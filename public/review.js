@@ -26,6 +26,23 @@ function normalizeForAnswer(s) {
     .normalize("NFKC");
 }
 
+// 回答履歴をサーバーに記録（失敗しても画面上の判定はそのまま）
+// grade は正解時の手応え（hard/good/easy）。次回の出題日がこれで決まる
+async function recordAttempt(quizId, answer, latencyMs, grade) {
+  try {
+    await api(`/api/quizzes/${quizId}/attempts`, {
+      method: "POST",
+      body: JSON.stringify({ answer, latency_ms: latencyMs, grade }),
+    });
+  } catch (e) {
+    console.warn("回答の記録に失敗しました", e);
+  }
+}
+
+function renderExplanation(text) {
+  return text ? `<div class="quiz-explanation">解説: ${esc(text).replace(/\n/g, "<br>")}</div>` : "";
+}
+
 function getChoiceList(qz) {
   const direct = [qz.choice_1, qz.choice_2, qz.choice_3, qz.choice_4]
     .map((v) => String(v || "").trim())
@@ -62,11 +79,16 @@ function renderAnswerUI(qz) {
 }
 
 const session = {
+  // notes: ノート単位で復習 / quizzes: 期限の来た問題をノート横断で解く
+  mode: "notes",
   items: [],
   index: 0,
   quizzes: [],
   quizIndex: 0,
+  quizShownAt: 0,
   note: null,
+  // ノート1件分のクイズ正答数（手応えのおすすめに使う）
+  score: { correct: 0, total: 0 },
 };
 
 function renderDone() {
@@ -86,7 +108,7 @@ function renderEmpty() {
   $("reviewProgress").textContent = "";
   $("sessionArea").innerHTML = `
     <div class="card">
-      <div class="small">今のところ復習が必要なノートはありません。</div>
+      <div class="small">${session.mode === "quizzes" ? "今のところ復習が必要な問題はありません。" : "今のところ復習が必要なノートはありません。"}</div>
       <div class="row" style="margin-top:12px;">
         <a class="button-link" href="/mypage.html">マイページへ戻る</a>
       </div>
@@ -94,40 +116,92 @@ function renderEmpty() {
   `;
 }
 
-async function markCurrentDoneAndAdvance() {
+const NOTE_REVIEW_RESULT_LABELS = [
+  ["forgot", "忘れていた"],
+  ["hard", "難しかった"],
+  ["good", "ふつう"],
+  ["easy", "簡単"],
+];
+
+function tallyScore(isCorrect) {
+  session.score.total += 1;
+  if (isCorrect) session.score.correct += 1;
+}
+
+// サーバー側（services/spacedRepetition.js の suggestNoteReviewResult）と同じ基準
+function suggestNoteReviewResult({ correct, total }) {
+  if (!total) return null;
+  const rate = correct / total;
+  if (rate < 0.5) return "forgot";
+  if (rate < 0.8) return "hard";
+  if (rate < 1) return "good";
+  return "easy";
+}
+
+function resetNoteState() {
+  session.quizzes = [];
+  session.quizIndex = 0;
+  session.note = null;
+  session.score = { correct: 0, total: 0 };
+}
+
+async function markCurrentDoneAndAdvance(result) {
   const item = session.items[session.index];
   try {
-    await api(`/api/reviews/${item.note_id}/done`, { method: "POST" });
+    await api(`/api/reviews/${item.note_id}/done`, {
+      method: "POST",
+      body: JSON.stringify({
+        result,
+        quiz_correct_count: session.score.correct,
+        quiz_total_count: session.score.total,
+      }),
+    });
   } catch (e) {
     alert("復習完了の記録に失敗しました: " + e.message);
     return;
   }
   session.index += 1;
-  session.quizzes = [];
-  session.quizIndex = 0;
-  session.note = null;
+  resetNoteState();
   await renderCurrent();
 }
 
 function skipCurrent() {
   session.index += 1;
-  session.quizzes = [];
-  session.quizIndex = 0;
-  session.note = null;
+  resetNoteState();
   renderCurrent();
 }
 
 function renderFinishNoteControls() {
+  const suggested = suggestNoteReviewResult(session.score);
   return `
-    <div class="row" style="margin-top:14px;">
-      <button id="btnFinishNote" type="button">この内容を復習完了 → 次へ</button>
-      <button id="btnSkipNote" type="button">あとで復習する（スキップ）</button>
+    <div style="margin-top:14px;">
+      ${session.score.total
+        ? `<div class="small">クイズの結果: ${session.score.correct} / ${session.score.total} 問正解（おすすめの手応えを太字にしています）</div>`
+        : ""}
+      <div class="small" style="margin:6px 0;">この内容の手応えを選んで復習完了 → 次へ</div>
+      <div class="row">
+        ${NOTE_REVIEW_RESULT_LABELS.map(([value, label]) => `
+          <button type="button" data-review-result="${value}"${value === suggested ? ' style="font-weight:800;"' : ""}>
+            ${esc(label)}${value === suggested ? "（おすすめ）" : ""}
+          </button>
+        `).join("")}
+      </div>
+      <div class="row" style="margin-top:8px;">
+        <button id="btnSkipNote" type="button">あとで復習する（スキップ）</button>
+      </div>
     </div>
   `;
 }
 
 function wireFinishNoteControls() {
-  $("btnFinishNote")?.addEventListener("click", markCurrentDoneAndAdvance);
+  document.querySelectorAll("button[data-review-result]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      document.querySelectorAll("button[data-review-result]").forEach((b) => { b.disabled = true; });
+      markCurrentDoneAndAdvance(btn.dataset.reviewResult).finally(() => {
+        document.querySelectorAll("button[data-review-result]").forEach((b) => { b.disabled = false; });
+      });
+    });
+  });
   $("btnSkipNote")?.addEventListener("click", skipCurrent);
 }
 
@@ -142,21 +216,33 @@ function renderQuizStep() {
     return;
   }
 
+  if (session.mode === "quizzes") {
+    $("reviewProgress").textContent = `${session.quizIndex + 1} / ${session.quizzes.length} 問目`;
+  }
+
   area.innerHTML = `
     <div class="quiz-answer-area">
       <div class="small" style="margin-bottom:6px;">問題 ${session.quizIndex + 1} / ${session.quizzes.length}（${esc(qz.type)}）</div>
+      ${qz.note_title ? `<div class="small" style="margin-bottom:6px;">出典: <a href="/note_detail.html?id=${encodeURIComponent(qz.note_id)}">${esc(qz.note_title)}</a> ${esc(qz.course_name || "")}</div>` : ""}
       <div style="margin-bottom:10px;"><strong>${esc(qz.question)}</strong></div>
       <div id="quizAnswerInputs">${renderAnswerUI({ ...qz, quiz_type: qz.type })}</div>
       <div class="row" style="margin-top:10px;">
         <button id="btnSubmitAnswer" type="button">回答を送信</button>
       </div>
       <div class="quiz-answer-result small" id="quizResult"></div>
+      <div class="row" id="quizGradeRow" style="margin-top:10px;" hidden>
+        <span class="small">手応え:</span>
+        <button type="button" data-grade="hard">難しかった</button>
+        <button type="button" data-grade="good">ふつう</button>
+        <button type="button" data-grade="easy">簡単</button>
+      </div>
       <div class="row" id="quizNextRow" style="margin-top:10px;" hidden>
         <button id="btnNextQuiz" type="button">次の問題へ</button>
       </div>
     </div>
   `;
 
+  session.quizShownAt = Date.now();
   $("btnSubmitAnswer").addEventListener("click", () => onSubmitQuizAnswer(qz));
 }
 
@@ -178,6 +264,7 @@ async function onSubmitQuizAnswer(qz) {
     }
   }
 
+  const latencyMs = Date.now() - session.quizShownAt;
   const resultEl = $("quizResult");
   const submitBtn = $("btnSubmitAnswer");
   const nextRow = $("quizNextRow");
@@ -189,47 +276,75 @@ async function onSubmitQuizAnswer(qz) {
     try {
       const result = await api(`/api/quizzes/${qz.id}/grade`, {
         method: "POST",
-        body: JSON.stringify({ answer: userAnswer }),
+        body: JSON.stringify({ answer: userAnswer, latency_ms: latencyMs }),
       });
+      tallyScore(result.correct);
       resultEl.classList.toggle("is-correct", result.correct);
       resultEl.classList.toggle("is-wrong", !result.correct);
       resultEl.innerHTML = `
         <div><strong>${result.correct ? "✅ 正解（AI判定）" : "❌ 不正解（AI判定）"}</strong></div>
         <div>模範解答: ${esc(result.correctAnswer)}</div>
+        ${renderExplanation(result.explanation ?? qz.explanation)}
         ${result.feedback ? `<div>AIの講評: ${esc(result.feedback)}</div>` : ""}
       `;
     } catch (e) {
       const isCorrect = normalizeForAnswer(userAnswer) === normalizeForAnswer(qz.answer);
+      tallyScore(isCorrect);
       resultEl.classList.toggle("is-correct", isCorrect);
       resultEl.classList.toggle("is-wrong", !isCorrect);
       resultEl.innerHTML = `
         <div class="small">AI採点に失敗したため簡易判定を表示します（${esc(e.message)}）</div>
         <div><strong>${isCorrect ? "✅ 正解" : "❌ 不正解"}</strong></div>
         <div>正解: ${esc(qz.answer)}</div>
+        ${renderExplanation(qz.explanation)}
       `;
+      recordAttempt(qz.id, userAnswer, latencyMs);
     }
     submitBtn.disabled = true;
   } else {
     const isCorrect = normalizeForAnswer(userAnswer) === normalizeForAnswer(qz.answer);
+    tallyScore(isCorrect);
     resultEl.classList.toggle("is-correct", isCorrect);
     resultEl.classList.toggle("is-wrong", !isCorrect);
     resultEl.innerHTML = `
       <div><strong>${isCorrect ? "✅ 正解" : "❌ 不正解"}</strong></div>
       <div>正解: ${esc(qz.answer)}</div>
+      ${renderExplanation(qz.explanation)}
     `;
     submitBtn.disabled = true;
+
+    if (isCorrect) {
+      // 正解なら手応えを選んでもらい、それを記録してから次へ（次回の出題間隔に反映）
+      const gradeRow = $("quizGradeRow");
+      gradeRow.hidden = false;
+      gradeRow.querySelectorAll("button[data-grade]").forEach((btn) => {
+        btn.addEventListener("click", async () => {
+          gradeRow.querySelectorAll("button").forEach((b) => { b.disabled = true; });
+          await recordAttempt(qz.id, userAnswer, latencyMs, btn.dataset.grade);
+          goToNextQuiz();
+        });
+      });
+      return;
+    }
+    recordAttempt(qz.id, userAnswer, latencyMs);
   }
 
   nextRow.hidden = false;
-  $("btnNextQuiz").onclick = () => {
-    session.quizIndex += 1;
-    if (session.quizIndex >= session.quizzes.length) {
-      $("quizArea").innerHTML = renderFinishNoteControls();
-      wireFinishNoteControls();
-    } else {
-      renderQuizStep();
-    }
-  };
+  $("btnNextQuiz").onclick = goToNextQuiz;
+}
+
+function goToNextQuiz() {
+  session.quizIndex += 1;
+  if (session.quizIndex < session.quizzes.length) {
+    renderQuizStep();
+    return;
+  }
+  if (session.mode === "quizzes") {
+    renderDone();
+    return;
+  }
+  $("quizArea").innerHTML = renderFinishNoteControls();
+  wireFinishNoteControls();
 }
 
 function toggleBody() {
@@ -252,7 +367,7 @@ async function renderCurrent() {
   try {
     const [note, quizzes] = await Promise.all([
       api(`/api/notes/${item.note_id}`),
-      api(`/api/notes/${item.note_id}/quizzes`),
+      api(`/api/notes/${item.note_id}/quizzes?shuffle=1`),
     ]);
     session.note = note;
     session.quizzes = quizzes || [];
@@ -282,6 +397,16 @@ async function renderCurrent() {
   }
 }
 
+function renderQuizSession() {
+  $("sessionArea").innerHTML = `
+    <div class="card">
+      <h2>今日の復習問題</h2>
+      <div id="quizArea"></div>
+    </div>
+  `;
+  renderQuizStep();
+}
+
 async function init() {
   const me = await api("/api/me");
   if (!me.loggedIn) {
@@ -289,6 +414,22 @@ async function init() {
     return;
   }
 
+  session.mode = new URLSearchParams(location.search).get("mode") === "quizzes" ? "quizzes" : "notes";
+  $("modeNotes").classList.toggle("is-active", session.mode === "notes");
+  $("modeQuizzes").classList.toggle("is-active", session.mode === "quizzes");
+
+  if (session.mode === "quizzes") {
+    const data = await api("/api/reviews/due?mode=quizzes");
+    session.quizzes = data.items || [];
+    session.quizIndex = 0;
+    if (!session.quizzes.length) {
+      renderEmpty();
+      return;
+    }
+    renderQuizSession();
+    return;
+  }
+
   const data = await api("/api/reviews/due");
   session.items = data.items || [];
   session.index = 0;
@@ -0,0 +1,83 @@
+function $(id) { return document.getElementById(id); }
+
+async function api(path, options = {}) {
+  const res = await fetch(path, {
+    headers: { "Content-Type": "application/json" },
+    ...options,
+  });
+  const text = await res.text();
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch {}
+  if (!res.ok) throw new Error(data.message || data.detail || text || "API error");
+  return data;
+}
+
+function esc(s) {
+  return String(s || "").replace(/[&<>"']/g, (c) => ({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
+}
+
+const PAGE_SIZE = 20;
+const state = { q: "", scope: "all", offset: 0 };
+
+function noteOrigin(r) {
+  if (r.community_id) return `👥 ${esc(r.community_name || "コミュニティ")}`;
+  if (r.is_mine) return r.visibility === "private" ? "🔒 自分（非公開）" : "🌐 自分（公開）";
+  return "🌐 公開";
+}
+
+// title_html / snippet_html はサーバー側でエスケープ済み（一致箇所だけ <mark>）
+function renderResult(r) {
+  const meta = [r.course_name, r.lecture_no, r.created_date_jst].filter(Boolean).map(esc).join(" / ");
+  return `
+    <div class="card">
+      <div><a href="/note_detail.html?id=${encodeURIComponent(r.id)}&from=${encodeURIComponent(location.pathname + location.search)}"><strong>${r.title_html}</strong></a></div>
+      <div class="small">${meta} / ${noteOrigin(r)}${r.author_name ? ` / 投稿：${esc(r.author_name)}` : ""}</div>
+      <div style="margin-top:6px;">${r.snippet_html}</div>
+    </div>
+  `;
+}
+
+async function search({ append = false } = {}) {
+  if (!append) {
+    state.q = $("q").value.trim();
+    state.scope = $("scope").value;
+    state.offset = 0;
+    $("results").innerHTML = "";
+  }
+  if (!state.q) {
+    $("message").textContent = "キーワードを入力してください。";
+    return;
+  }
+
+  const qs = new URLSearchParams({ q: state.q, scope: state.scope, limit: String(PAGE_SIZE), offset: String(state.offset) });
+  history.replaceState(null, "", `?${new URLSearchParams({ q: state.q, scope: state.scope })}`);
+  $("message").textContent = "検索中…";
+  $("btnMore").hidden = true;
+
+  try {
+    const data = await api(`/api/search?${qs}`);
+    state.offset += data.results.length;
+    $("results").insertAdjacentHTML("beforeend", data.results.map(renderResult).join(""));
+    $("btnMore").hidden = !data.hasMore;
+    $("message").textContent = state.offset
+      ? `${state.offset}件表示${data.hasMore ? "（続きがあります）" : ""}`
+      : "一致するノートはありませんでした。";
+  } catch (e) {
+    $("message").textContent = e.message;
+  }
+}
+
+$("btnSearch").addEventListener("click", () => search());
+$("btnMore").addEventListener("click", () => search({ append: true }));
+$("q").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") search();
+});
+
+(function init() {
+  const params = new URLSearchParams(location.search);
+  if (params.get("scope")) $("scope").value = params.get("scope");
+  if (params.get("q")) {
+    $("q").value = params.get("q");
+    search();
+  }
+})();
@@ -1,9 +1,9 @@
 /**
  * server.js（全文貼り替え版）
  * - Auth（register/login/logout/me）
- * - Communities（作成/参加/自分の参加一覧）
- * - Notes（公開一覧/詳細/preview/投稿/マイノート一覧/削除/公開切替）
- * - Quizzes（一覧/生成：rule or ai/編集/削除）
+ * - Communities（作成/参加/自分の参加一覧/メンバー管理・オーナー譲渡/招待リンク/参加コード変更・出来事ログ/ダッシュボード）
+ * - Notes（公開一覧/詳細/preview/投稿/マイノート一覧/削除/公開切替/編集）
+ * - Quizzes（一覧/生成：rule or ai/編集/削除/回答記録）
  *
  * 前提DB:
  * - notes に community_id カラムがある（ALTER済み）
@@ -14,6 +14,9 @@
  * DB_HOST, DB_USER, DB_PASSWORD, DB_NAME, DB_PORT
  * SESSION_SECRET
  * OPENAI_API_KEY
+ * PDF_FONT_PATH（PDF出力用の日本語フォント .ttf/.otf。任意で PDF_BOLD_FONT_PATH）
+ * ATTACHMENTS_DIR（ノート添付画像の保存先。未設定なら ./storage/attachments）
+ * ADMIN_USER_IDS（サイト管理者のユーザーID。カンマ区切り。大学の統合など /api/admin/* を使える）
  * NODE_ENV=production
  */
 
@@ -42,6 +45,110 @@ const MySQLStore = require("express-mysql-session")(session);
 const bcrypt = require("bcrypt");
 const OpenAI = require("openai");
 const { generateQuizzesWithQualityPipeline } = require("./services/quizGenerator");
+const { QUIZ_DIFFICULTIES, normalizeQuizDifficulty } = require("./services/quizPromptBuilder");
+const { diffLines, summarizeDiff } = require("./services/noteDiff");
+const {
+  isAnswerCorrectByRule,
+  normalizeLatencyMs,
+  normalizeGivenAnswer,
+  toAttemptStats,
+} = require("./services/quizAttempts");
+const { resolvePdfFontPath, renderNotePdf, buildPdfFileName } = require("./services/notePdf");
+const { hashNoteBody, summarizeNote, summaryToText } = require("./services/noteSummarizer");
+const { OCR_MAX_PAGES, orderOcrPages, joinOcrPageTexts } = require("./services/ocrPages");
+const {
+  resolveAttachmentsDir,
+  decodeBase64File,
+  detectImageMimeType,
+  buildStorageKey,
+  resolveStoragePath,
+  saveAttachmentFile,
+  removeAttachmentFile,
+} = require("./services/attachmentStore");
+const {
+  PDF_MAX_PAGES,
+  isPdfBuffer,
+  extractPdfPageTexts,
+  loadPdfForPageSplit,
+  extractSinglePagePdf,
+  buildSlideNoteBody,
+  titleFromPdfFileName,
+} = require("./services/pdfImport");
+const {
+  normalizeShuffleSeed,
+  generateShuffleSeed,
+  shuffleWithSeed,
+  shuffleQuizChoicesForDelivery,
+  resolveDeliveredChoice,
+} = require("./services/choiceShuffle");
+const { MIN_TERM_LENGTH, splitSearchTerms, buildBooleanQuery, buildSnippet } = require("./services/noteSearch");
+const { escapeLike, encodeCursor, buildPublicNoteFilters } = require("./services/publicNoteQuery");
+const {
+  normalizeUniversityName,
+  universityNameKey,
+  findNearDuplicateUniversities,
+} = require("./services/universityNames");
+const {
+  normalizeCourseName,
+  normalizeCourseTerm,
+  groupNotesByLecture,
+  summarizeCourseProgress,
+} = require("./services/courseIndex");
+const {
+  normalizeTagName,
+  validateTagName,
+  parseTagFilter,
+  suggestTagsFromTopics,
+} = require("./services/noteTags");
+const {
+  normalizeExamRequest,
+  buildExamSourceKey,
+  selectExamQuizzes,
+  summarizeExamResult,
+} = require("./services/examBuilder");
+const {
+  normalizeCommunityRole,
+  resolveCommunitySettings,
+  normalizeCommunitySettings,
+  checkCommunityPermission,
+  listCommunityPermissions,
+  checkMemberChange,
+  checkOwnershipTransfer,
+  checkLeave,
+  pickNextOwner,
+} = require("./services/communityRoles");
+const {
+  generateInviteToken,
+  hashInviteToken,
+  isInviteTokenFormat,
+  normalizeInviteRequest,
+  inviteStatus,
+  checkInviteUsable,
+} = require("./services/communityInvites");
+const {
+  parseFeedLimit,
+  parseFeedCursor,
+  mergeCommunityFeed,
+  validateJoinCode,
+  generateJoinCode,
+} = require("./services/communityEvents");
+const {
+  DASHBOARD_WEEKS,
+  REVIEW_OUTLOOK_DAYS,
+  weekStartOf,
+  addDays,
+  buildWeeklySeries,
+  rankContributors,
+  buildCourseCoverage,
+  buildReviewOutlook,
+} = require("./services/communityDashboard");
+const {
+  gradeFromAttempt,
+  scheduleReview,
+  normalizeNoteReviewResult,
+  nextNoteReviewStage,
+  suggestNoteReviewResult,
+} = require("./services/spacedRepetition");
 
 // ---------- OpenAI ----------
 function getOpenAIClient() {
@@ -60,6 +167,7 @@ const AI_MODELS = {
   ocr: process.env.OPENAI_OCR_MODEL || "gpt-4.1-mini",
   mindmap: process.env.OPENAI_MINDMAP_MODEL || "gpt-4.1-mini",
   grading: process.env.OPENAI_GRADING_MODEL || "gpt-4.1-mini",
+  summary: process.env.OPENAI_SUMMARY_MODEL || "gpt-4.1-mini",
 };
 
 const app = express();
@@ -107,14 +215,19 @@ if (process.env.NODE_ENV === "production") {
 }
 
 // ---------- Middlewares ----------
-app.use(express.json({
+// 複数ページOCR・PDF取り込みはファイルをまとめて送るので大きめの上限でパースする。
+// 未ログインのリクエストに大きな本文を読ませないよう、ここでは読まずにルート側で requireLogin の後にパースする
+const LARGE_JSON_PATHS = new Set(["/api/notes/extract-text/batch", "/api/notes/import-pdf"]);
+const largeJsonParser = express.json({ limit: "48mb" });
+const defaultJsonParser = express.json({
   limit: "10mb",
   verify: (req, res, buf) => {
     if (req.originalUrl === "/api/billing/webhook") {
       req.rawBody = buf;
     }
   },
-}));
+});
+app.use((req, res, next) => (LARGE_JSON_PATHS.has(req.path) ? next() : defaultJsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 // ---------- Session Store ----------
@@ -184,17 +297,76 @@ const pool = mysqlPromise.createPool({
 const OCR_ALLOWED_MIME_TYPES = new Set(["image/jpeg", "image/png", "image/webp"]);
 const OCR_ALLOWED_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp"]);
 const OCR_MAX_FILE_SIZE_BYTES = 6 * 1024 * 1024;
+const OCR_BATCH_MAX_TOTAL_BYTES = 32 * 1024 * 1024;
+const OCR_MIN_TEXT_LENGTH = 10;
+
+// ノート添付画像（OCRと同じ形式・サイズ制限）
+const ATTACHMENTS_DIR = resolveAttachmentsDir();
+const NOTE_ATTACHMENT_MAX_COUNT = 20;
+
+// PDF（講義スライド）取り込み
+const NOTE_SOURCE_TYPES = new Set(["text", "image", "pdf"]);
+const PDF_IMPORT_MAX_FILE_SIZE_BYTES = 30 * 1024 * 1024;
+
+// --------権限チェック関数--------
+// コミュニティ・本人の所属・コミュニティ設定をまとめて読む（コミュが無ければ null）
+// ★オーナー・設定の列が無い環境（add_community_owner.sql / add_community_permissions.sql 未適用）でも
+//   所属の確認だけで動かす。その場合は設定を既定値にし、従来どおり管理者をオーナー扱いにする
+async function getCommunityAccess(userId, communityId, conn = pool) {
+  let rows;
+  let legacy = false;
+  try {
+    [rows] = await conn.query(
+      `SELECT c.id, c.owner_user_id, c.approve_join_requests_role, c.post_notes_role, c.generate_quizzes_role, uc.role
+         FROM communities c
+         LEFT JOIN user_communities uc ON uc.community_id = c.id AND uc.user_id = ?
+        WHERE c.id = ?
+        LIMIT 1`,
+      [userId, communityId]
+    );
+  } catch (error) {
+    if (error?.code !== "ER_BAD_FIELD_ERROR") throw error;
+    console.error("community_access_legacy_schema", { communityId, error: error.message });
+    legacy = true;
+    [rows] = await conn.query(
+      `SELECT c.id, uc.role
+         FROM communities c
+         LEFT JOIN user_communities uc ON uc.community_id = c.id AND uc.user_id = ?
+        WHERE c.id = ?
+        LIMIT 1`,
+      [userId, communityId]
+    );
+  }
+  if (!rows.length) return null;
+  const row = rows[0];
+  const isOwner = legacy ? row.role === "admin" : Number(row.owner_user_id) === Number(userId);
+  return {
+    member: row.role ? { user_id: userId, role: row.role, is_owner: isOwner } : null,
+    settings: resolveCommunitySettings(row),
+  };
+}
 
-// --------権限チェック関数-------(admin/memberが承認OK)
-async function userRoleInCommunity(userId, communityId) {
-  const [rows] = await pool.query(
-    `SELECT role
-       FROM user_communities
-      WHERE user_id = ? AND community_id = ?
-      LIMIT 1`,
-    [userId, communityId]
-  );
-  return rows.length ? rows[0].role : null; // 'admin' | 'member' | null
+// コミュニティでの操作の可否（権限表は services/communityRoles.js）。
+// canViewNote と同じく { ok, status, message } を返し、ok なら member / settings もつける
+async function requireCommunityPermission(userId, communityId, action, conn = pool) {
+  const access = await getCommunityAccess(userId, communityId, conn);
+  if (!access) return { ok: false, status: 404, message: "community not found" };
+  const check = checkCommunityPermission(access.member, action, access.settings);
+  return check.ok ? { ...check, ...access } : check;
+}
+
+// コミュニティの出来事を1件記録（種類は services/communityEvents.js の COMMUNITY_EVENT_TYPES）
+// ★ここが失敗しても元の操作は成功させる（マイグレーション未適用の環境対策）
+async function recordCommunityEvent({ communityId, type, actorUserId = null, targetUserId = null, detail = null }, conn = pool) {
+  try {
+    await conn.query(
+      `INSERT INTO community_events (community_id, event_type, actor_user_id, target_user_id, detail)
+       VALUES (?, ?, ?, ?, ?)`,
+      [communityId, type, actorUserId, targetUserId, detail ? JSON.stringify(detail) : null]
+    );
+  } catch (error) {
+    console.error("community_event_insert_failed", { communityId, type, error: error?.message });
+  }
 }
 
 // ---------- Helpers ----------
@@ -205,6 +377,24 @@ function requireLogin(req, res, next) {
   next();
 }
 
+// サイト管理者（コミュニティの admin とは別）。ADMIN_USER_IDS に載っているユーザーだけ
+const SITE_ADMIN_USER_IDS = new Set(
+  String(process.env.ADMIN_USER_IDS || "")
+    .split(",")
+    .map((x) => Number(x.trim()))
+    .filter((x) => Number.isInteger(x) && x > 0)
+);
+
+function requireSiteAdmin(req, res, next) {
+  if (!req.session?.userId) {
+    return res.status(401).json({ message: "ログインしてください" });
+  }
+  if (!SITE_ADMIN_USER_IDS.has(Number(req.session.userId))) {
+    return res.status(403).json({ message: "管理者のみ利用できます" });
+  }
+  next();
+}
+
 const wrap = (fn) => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
@@ -221,18 +411,13 @@ function slugifyJP(input) {
     .slice(0, 80);
 }
 
-async function userBelongsToCommunity(userId, communityId) {
-  const [rows] = await pool.query(
-    `SELECT 1
-       FROM user_communities
-      WHERE user_id = ? AND community_id = ?
-      LIMIT 1`,
-    [userId, communityId]
-  );
-  return rows.length > 0;
+// 本文の行は箇条書きにする。PDF取り込みのノートだけは「# スライド1」のような見出し行を小見出しとして残す
+function toBodyLine(line, sourceType) {
+  const heading = sourceType === "pdf" ? line.match(/^#{1,6}\s+(.+)$/) : null;
+  return heading ? `### ${heading[1]}` : `- ${line}`;
 }
 
-function buildMarkdown({ course_name, lecture_no, lecture_date, title, body_raw }) {
+function buildMarkdown({ course_name, lecture_no, lecture_date, title, body_raw, source_type = "text" }) {
   const lines = String(body_raw || "")
     .replace(/\r\n/g, "\n")
     .split("\n")
@@ -264,7 +449,7 @@ function buildMarkdown({ course_name, lecture_no, lecture_date, title, body_raw
 ${important.length ? important.map((x) => `- ${x}`).join("\n") : "- （なし）"}
 
 ## 本文
-${main.map((x) => `- ${x}`).join("\n")}
+${main.map((l) => toBodyLine(l, source_type)).join("\n")}
 
 ## 用語集：用語
 ${terms.length ? terms.map((x) => `- ${x}`).join("\n") : "- （なし）"}
@@ -280,13 +465,34 @@ ${todos.length ? todos.map((x) => `- ${x}`).join("\n") : "- （なし）"}
 `.trim();
 }
 
-async function getOrCreateUniversityId(name) {
-  const uniName = String(name || "").trim();
-  if (!uniName) throw new Error("university_name is required");
+// 大学名（正規化後の完全一致 → 別名）から大学IDを引く。見つからなければ null
+async function findUniversityIdByName(name) {
+  const uniName = normalizeUniversityName(name);
+  if (!uniName) return null;
 
   const [rows] = await pool.query("SELECT id FROM universities WHERE name = ?", [uniName]);
   if (rows.length) return rows[0].id;
 
+  // ★別名テーブルが無い環境（マイグレーション未適用）でも名前の一致だけで動かす
+  try {
+    const [aliases] = await pool.query(
+      "SELECT university_id FROM university_aliases WHERE alias_key = ?",
+      [universityNameKey(uniName)]
+    );
+    if (aliases.length) return aliases[0].university_id;
+  } catch (error) {
+    console.error("university_alias_lookup_failed", { name: uniName, error: error.message });
+  }
+  return null;
+}
+
+async function getOrCreateUniversityId(name) {
+  const uniName = normalizeUniversityName(name);
+  if (!uniName) throw new Error("university_name is required");
+
+  const existingId = await findUniversityIdByName(uniName);
+  if (existingId) return existingId;
+
   try {
     const [result] = await pool.query("INSERT INTO universities (name) VALUES (?)", [uniName]);
     return result.insertId;
@@ -297,18 +503,80 @@ async function getOrCreateUniversityId(name) {
   }
 }
 
+// 大学×授業名×学期で授業を引き、無ければ作る（学期なしは ''）
+async function getOrCreateCourseId(universityId, courseName, term = "", conn = pool) {
+  const name = normalizeCourseName(courseName);
+  const courseTerm = normalizeCourseTerm(term);
+  if (!universityId || !name) return null;
+
+  const select = "SELECT id FROM courses WHERE university_id = ? AND name = ? AND term = ? LIMIT 1";
+  const [rows] = await conn.query(select, [universityId, name, courseTerm]);
+  if (rows.length) return rows[0].id;
+
+  try {
+    const [result] = await conn.query(
+      "INSERT INTO courses (university_id, name, term) VALUES (?, ?, ?)",
+      [universityId, name, courseTerm]
+    );
+    return result.insertId;
+  } catch (e) {
+    const [rows2] = await conn.query(select, [universityId, name, courseTerm]);
+    if (rows2.length) return rows2[0].id;
+    throw e;
+  }
+}
+
+// ノートを授業名・学期の授業にひも付ける
+// ★ここが失敗してもノートの保存は成功させる（courses 未作成の環境対策）
+async function linkNoteToCourse(noteId, universityId, courseName, term = "") {
+  try {
+    const courseId = await getOrCreateCourseId(universityId, courseName, term);
+    await pool.query("UPDATE notes SET course_id = ? WHERE id = ?", [courseId, noteId]);
+    return courseId;
+  } catch (error) {
+    console.error("note_course_link_failed", { noteId, universityId, error: error.message });
+    return null;
+  }
+}
+
+// ノートがひも付いている授業の学期（授業なし・courses 未作成なら ''）
+async function getNoteCourseTerm(note) {
+  if (!note?.course_id) return "";
+  try {
+    const [rows] = await pool.query("SELECT term FROM courses WHERE id = ?", [note.course_id]);
+    return rows[0]?.term || "";
+  } catch (error) {
+    console.error("note_course_term_lookup_failed", { noteId: note.id, error: error.message });
+    return "";
+  }
+}
+
 async function getNoteById(noteId) {
   const [rows] = await pool.query("SELECT * FROM notes WHERE id = ?", [noteId]);
   return rows.length ? rows[0] : null;
 }
 
+// ノートの変更履歴を1件追加（作成・編集・復元など、本文を書き込むたびに呼ぶ）
+// ★ここが失敗してもノート本体の保存は成功させる（マイグレーション未適用の環境対策）
+async function recordNoteRevision({ noteId, userId, title, body_raw, action = "edit", restoredFromId = null }) {
+  try {
+    await pool.query(
+      `INSERT INTO note_revisions (note_id, user_id, title, body_raw, action, restored_from_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [noteId, userId, title, body_raw, action, restoredFromId]
+    );
+  } catch (error) {
+    console.error("note_revision_insert_failed", { noteId, action, error });
+  }
+}
+
 async function canViewNote(req, note) {
   if (!note) return { ok: false, status: 404, message: "not found" };
 
   if (note.community_id) {
     if (!req.session?.userId) return { ok: false, status: 401, message: "ログインしてください" };
-    const belongs = await userBelongsToCommunity(req.session.userId, note.community_id);
-    if (!belongs) return { ok: false, status: 403, message: "forbidden" };
+    const access = await requireCommunityPermission(req.session.userId, note.community_id, "view");
+    if (!access.ok) return { ok: false, status: 403, message: "forbidden" };
     return { ok: true };
   }
 
@@ -328,6 +596,80 @@ function canEditNote(req, note) {
   return { ok: true };
 }
 
+// クイズに回答（＝回答履歴を記録）できるか
+// 自分のクイズ、またはコミュニティ公開クイズでノートを閲覧できる場合のみ
+async function canAnswerQuiz(req, quiz) {
+  if (!req.session?.userId) return { ok: false, status: 401, message: "ログインしてください" };
+  if (!quiz) return { ok: false, status: 404, message: "not found" };
+  if (quiz.user_id === req.session.userId) return { ok: true };
+  if (quiz.visibility !== "community") return { ok: false, status: 403, message: "forbidden" };
+  return canViewNote(req, await getNoteById(quiz.note_id));
+}
+
+async function recordQuizAttempt({ userId, quizId, givenAnswer, isCorrect, gradedBy = "rule", latencyMs = null }) {
+  const [result] = await pool.query(
+    `INSERT INTO quiz_attempts (user_id, quiz_id, given_answer, is_correct, graded_by, latency_ms)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, quizId, givenAnswer, isCorrect ? 1 : 0, gradedBy, latencyMs]
+  );
+  return result.insertId;
+}
+
+// 回答結果から、その問題の次回出題日（quiz_review_schedules）を更新する
+// ★ここが失敗しても回答の記録自体は成功させる（マイグレーション未適用の環境対策）
+async function updateQuizReviewSchedule({ userId, quizId, grade }) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT ease_factor, interval_days, repetitions, lapses
+         FROM quiz_review_schedules
+        WHERE user_id = ? AND quiz_id = ?
+        LIMIT 1`,
+      [userId, quizId]
+    );
+    const next = scheduleReview(rows[0] || null, grade);
+    await pool.query(
+      `INSERT INTO quiz_review_schedules
+         (user_id, quiz_id, ease_factor, interval_days, repetitions, lapses, last_grade, due_at, last_reviewed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())
+       ON DUPLICATE KEY UPDATE
+         ease_factor = VALUES(ease_factor),
+         interval_days = VALUES(interval_days),
+         repetitions = VALUES(repetitions),
+         lapses = VALUES(lapses),
+         last_grade = VALUES(last_grade),
+         due_at = VALUES(due_at),
+         last_reviewed_at = VALUES(last_reviewed_at)`,
+      [userId, quizId, next.ease_factor, next.interval_days, next.repetitions, next.lapses, grade, next.interval_days]
+    );
+    return { grade, ...next, nextReviewInDays: next.interval_days };
+  } catch (error) {
+    console.error("quiz_review_schedule_update_failed", { userId, quizId, grade, error });
+    return null;
+  }
+}
+
+// note_quizzes（別名 nq）に「ログインユーザー本人の」回答数・正解数・最終回答をJOINする
+// ★プレースホルダは userId の1つだけ。未ログインなら NULL を渡せば全部0件になる
+const QUIZ_ATTEMPT_STATS_JOIN = `
+      LEFT JOIN (
+        SELECT quiz_id,
+               COUNT(*) AS attempt_count,
+               SUM(is_correct) AS correct_count,
+               MAX(id) AS last_attempt_id
+          FROM quiz_attempts
+         WHERE user_id = ?
+         GROUP BY quiz_id
+      ) qs ON qs.quiz_id = nq.id
+      LEFT JOIN quiz_attempts qlast ON qlast.id = qs.last_attempt_id`;
+const QUIZ_ATTEMPT_STATS_COLUMNS = `qs.attempt_count,
+           qs.correct_count,
+           qlast.created_at AS last_attempted_at,
+           qlast.is_correct AS last_is_correct`;
+
+function withAttemptStats(row) {
+  return { ...row, ...toAttemptStats(row) };
+}
+
 function validateUserQuizPayload(payload = {}) {
   const parseChoiceArray = (raw) => {
     if (!raw) return [];
@@ -495,6 +837,13 @@ function normalizeQuizChoices(row = {}) {
   };
 }
 
+// ?shuffle=1 のとき4択の選択肢を配信時に並べ替える。seed 未指定ならここで発行して返す
+// （同じ seed を回答時に送れば、選んだ位置から元の選択肢を復元できる）
+function readShuffleSeed(query = {}) {
+  if (!["1", "true"].includes(String(query.shuffle || "").toLowerCase())) return null;
+  return normalizeShuffleSeed(query.seed) || generateShuffleSeed();
+}
+
 async function buildNoteQuizSelectChoiceFragments() {
   const columns = await getNoteQuizColumns();
   return {
@@ -512,6 +861,7 @@ async function generateQuizzesForNote(note, options = {}) {
   const noteWithQuizType = {
     ...note,
     requested_quiz_type: options.quizType || "auto",
+    requested_difficulty: options.difficulty || "normal",
   };
 
   return generateQuizzesWithQualityPipeline({
@@ -519,6 +869,7 @@ async function generateQuizzesForNote(note, options = {}) {
     note: noteWithQuizType,
     // limit未指定なら、本文の内容量に応じてクイズ数を自動決定（1回の生成で本文を網羅する）
     targetCount: options.limit || null,
+    existingQuizzes: options.existingQuizzes || [],
     logger: console,
   });
 }
@@ -554,29 +905,21 @@ async function ensureNoteSaveAvailable(userId) {
   return { ok: true, ...plan, currentCount, maxNotes };
 }
 
-async function extractTextFromImageWithOpenAI({ base64Image, mimetype }) {
-  if (!base64Image || !mimetype) {
-    throw new Error("IMAGE_FILE_REQUIRED");
-  }
+const OCR_PROMPT = [
+  "あなたはOCRエンジンです。与えられたノート画像から読める文字だけを抽出してください。",
+  "出力はプレーンテキストのみ。説明・補足・Markdown記法は不要です。",
+  "読めない箇所は無理に補完せず、省略してください。",
+].join("\n");
 
+// source は input_image / input_file のどちらか（画像1枚 or PDF1ページ）
+async function runOcrWithOpenAI(source) {
   const openai = getOpenAIClient();
-  const dataUri = `data:${mimetype};base64,${base64Image}`;
-
-  const prompt = [
-    "あなたはOCRエンジンです。与えられたノート画像から読める文字だけを抽出してください。",
-    "出力はプレーンテキストのみ。説明・補足・Markdown記法は不要です。",
-    "読めない箇所は無理に補完せず、省略してください。",
-  ].join("\n");
-
   const resp = await openai.responses.create({
     model: AI_MODELS.ocr,
     input: [
       {
         role: "user",
-        content: [
-          { type: "input_text", text: prompt },
-          { type: "input_image", image_url: dataUri },
-        ],
+        content: [{ type: "input_text", text: OCR_PROMPT }, source],
       },
     ],
   });
@@ -590,15 +933,33 @@ async function extractTextFromImageWithOpenAI({ base64Image, mimetype }) {
   return text;
 }
 
+async function extractTextFromImageWithOpenAI({ base64Image, mimetype }) {
+  if (!base64Image || !mimetype) {
+    throw new Error("IMAGE_FILE_REQUIRED");
+  }
+  return runOcrWithOpenAI({ type: "input_image", image_url: `data:${mimetype};base64,${base64Image}` });
+}
+
+// 画像だけのスライドは、そのページだけのPDFを読ませる
+async function extractTextFromPdfPageWithOpenAI({ pdfBuffer, fileName }) {
+  return runOcrWithOpenAI({
+    type: "input_file",
+    filename: fileName,
+    file_data: `data:application/pdf;base64,${pdfBuffer.toString("base64")}`,
+  });
+}
+
 // 自分の参加コミュ一覧（コミュ名 + メンバー数つき）
 app.get("/api/communities/mine", requireLogin, wrap(async (req, res) => {
   const userId = req.session.userId;
 
-  const [rows] = await pool.query(
+  // ★owner_user_id 列が無い環境（add_community_owner.sql 未適用）では、従来どおり管理者をオーナー扱いにする
+  const listMine = (ownerExpr) => pool.query(
     `SELECT
         c.id,
         c.name AS name,
         uc.role,
+        ${ownerExpr} AS is_owner,
         uc.joined_at,
         (SELECT COUNT(*) FROM user_communities uc2 WHERE uc2.community_id = c.id) AS member_count
      FROM user_communities uc
@@ -608,6 +969,15 @@ app.get("/api/communities/mine", requireLogin, wrap(async (req, res) => {
     [userId]
   );
 
+  let rows;
+  try {
+    [rows] = await listMine("(c.owner_user_id = uc.user_id)");
+  } catch (error) {
+    if (error?.code !== "ER_BAD_FIELD_ERROR") throw error;
+    console.error("community_owner_column_missing", { userId, error: error.message });
+    [rows] = await listMine("(uc.role = 'admin')");
+  }
+
   res.json(rows);
 }));
 
@@ -688,15 +1058,15 @@ app.post("/api/logout", (req, res) => {
 // ---------- Communities APIs (B方式) ----------
 // ...（ここ以降は今のコードをそのまま貼る）...
 
-// 参加申請一覧（pending）: そのコミュの member/admin が見れる
+// 参加申請一覧（pending）: コミュ設定で承認を許された役割の人だけ見れる
 app.get("/api/communities/:id/join-requests", requireLogin, wrap(async (req, res) => {
   const communityId = Number(req.params.id);
   const userId = req.session.userId;
 
   if (!communityId) return res.status(400).json({ message: "invalid community id" });
 
-  const role = await userRoleInCommunity(userId, communityId);
-  if (!role) return res.status(403).json({ message: "members only" });
+  const access = await requireCommunityPermission(userId, communityId, "approve_join_requests");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
 
   const [rows] = await pool.query(
     `SELECT r.id, r.user_id, u.username, r.message, r.created_at
@@ -736,14 +1106,11 @@ app.post("/api/join-requests/:requestId/decide", requireLogin, wrap(async (req,
     const reqRow = rrows[0];
     if (reqRow.status !== "pending") return res.status(400).json({ message: "already decided" });
 
-    const [urole] = await conn.query(
-      `SELECT role
-         FROM user_communities
-        WHERE user_id = ? AND community_id = ?
-        LIMIT 1`,
-      [deciderId, reqRow.community_id]
-    );
-    if (!urole.length) return res.status(403).json({ message: "members only" });
+    const access = await requireCommunityPermission(deciderId, reqRow.community_id, "approve_join_requests", conn);
+    if (!access.ok) {
+      await conn.rollback();
+      return res.status(access.status).json({ message: access.message, code: access.code });
+    }
 
     if (action === "approve") {
       await conn.query(
@@ -794,10 +1161,21 @@ app.post("/api/communities", requireLogin, wrap(async (req, res) => {
     const joinHash = await bcrypt.hash(join_code, 10);
     const slug = slugifyJP(name) + "-" + Date.now();
 
-    const [r1] = await conn.query(
-      "INSERT INTO communities (name, slug, join_code_hash) VALUES (?, ?, ?)",
-      [name, slug, joinHash]
-    );
+    // ★owner_user_id 列が無い環境でも作成はできるようにする（作成者は admin として入る）
+    let r1;
+    try {
+      [r1] = await conn.query(
+        "INSERT INTO communities (name, slug, join_code_hash, owner_user_id) VALUES (?, ?, ?, ?)",
+        [name, slug, joinHash, req.session.userId]
+      );
+    } catch (error) {
+      if (error?.code !== "ER_BAD_FIELD_ERROR") throw error;
+      console.error("community_owner_column_missing", { userId: req.session.userId, error: error.message });
+      [r1] = await conn.query(
+        "INSERT INTO communities (name, slug, join_code_hash) VALUES (?, ?, ?)",
+        [name, slug, joinHash]
+      );
+    }
 
     const communityId = r1.insertId;
 
@@ -805,6 +1183,7 @@ app.post("/api/communities", requireLogin, wrap(async (req, res) => {
       "INSERT INTO user_communities (user_id, community_id, role) VALUES (?, ?, 'admin')",
       [req.session.userId, communityId]
     );
+    await recordCommunityEvent({ communityId, type: "created", actorUserId: req.session.userId }, conn);
 
     await conn.commit();
     res.status(201).json({ id: communityId, name });
@@ -833,33 +1212,34 @@ app.post("/api/communities/join", requireLogin, wrap(async (req, res) => {
   const ok = await bcrypt.compare(join_code, c.join_code_hash);
   if (!ok) return res.status(403).json({ message: "invalid join code" });
 
-  await pool.query(
+  const [joined] = await pool.query(
     "INSERT IGNORE INTO user_communities (user_id, community_id, role) VALUES (?, ?, 'member')",
     [req.session.userId, c.id]
   );
+  if (joined.affectedRows) {
+    await recordCommunityEvent({
+      communityId: c.id,
+      type: "joined",
+      actorUserId: req.session.userId,
+      targetUserId: req.session.userId,
+      detail: { via: "join_code" },
+    });
+  }
 
   res.json({ ok: true, id: c.id, name: c.name });
 }));
 
 
-// コミュ削除（解散）: 管理者のみ
+// コミュ削除（解散）: オーナーのみ
 app.delete("/api/communities/:id", requireLogin, wrap(async (req, res) => {
   const communityId = Number(req.params.id);
   const userId = req.session.userId;
 
   if (!communityId) return res.status(400).json({ message: "invalid community id" });
 
-  // 自分がそのコミュの admin か確認
-  const [rows] = await pool.query(
-    `SELECT role
-       FROM user_communities
-      WHERE user_id = ? AND community_id = ?
-      LIMIT 1`,
-    [userId, communityId]
-  );
-
-  if (!rows.length) return res.status(403).json({ message: "not a member" });
-  if (rows[0].role !== "admin") return res.status(403).json({ message: "admin only" });
+  // 解散できるのはオーナーだけ
+  const access = await requireCommunityPermission(userId, communityId, "delete_community");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
 
   // communities を削除（user_communitiesはCASCADE, notes.community_idはSET NULL）
   const [r] = await pool.query("DELETE FROM communities WHERE id = ? LIMIT 1", [communityId]);
@@ -870,39 +1250,192 @@ app.delete("/api/communities/:id", requireLogin, wrap(async (req, res) => {
 
 // ---------- Notes APIs ----------
 
-// 公開一覧（誰でも閲覧OK）: 大学名必須、授業名(course)は任意、publicのみ表示
-// コミュ内ノートは漏れ防止で一覧から除外（community_id IS NULL）
-app.get("/api/notes", wrap(async (req, res) => {
-  const university_name = String(req.query.university_name || "").trim();
-  const course = String(req.query.course || "").trim();
+// 大学名の候補（前方一致を優先し、部分一致も出す）。公開ノートの多い順
+const UNIVERSITY_SUGGEST_LIMIT = 10;
+
+async function suggestUniversities(q, limit = UNIVERSITY_SUGGEST_LIMIT) {
+  const keyword = String(q || "").trim();
+  if (!keyword) return [];
+  const [rows] = await pool.query(
+    `SELECT u.id, u.name,
+            (SELECT COUNT(*) FROM notes n
+              WHERE n.university_id = u.id AND n.visibility = 'public' AND n.community_id IS NULL) AS note_count
+       FROM universities u
+      WHERE u.name LIKE ?
+      ORDER BY (u.name LIKE ?) DESC, note_count DESC, u.name ASC
+      LIMIT ?`,
+    [`%${escapeLike(keyword)}%`, `${escapeLike(keyword)}%`, limit]
+  );
+  return rows.map((r) => ({ id: r.id, name: r.name, note_count: Number(r.note_count || 0) }));
+}
 
-  if (!university_name) return res.json([]);
+// 完全一致しなかった大学名の候補。見つからなければ先頭2文字（「長崎」など）で探し直す
+async function suggestUniversityCandidates(name) {
+  const candidates = await suggestUniversities(name, 5);
+  return candidates.length ? candidates : suggestUniversities(String(name).slice(0, 2), 5);
+}
 
-  const [urows] = await pool.query("SELECT id FROM universities WHERE name = ?", [university_name]);
-  if (!urows.length) return res.json([]);
+app.get("/api/universities", wrap(async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || UNIVERSITY_SUGGEST_LIMIT, 1), 30);
+  res.json({ universities: await suggestUniversities(req.query.q, limit) });
+}));
 
-  const univId = urows[0].id;
+// ---------- Admin: 大学名の表記ゆれ整理 ----------
 
-  let rows;
-  if (course) {
-    [rows] = await pool.query(
-      `SELECT id, source_type, university_id, author_name, course_name, lecture_no, lecture_date, title, created_at
-         FROM notes
-        WHERE university_id = ? AND visibility = 'public' AND community_id IS NULL AND course_name LIKE ?
-        ORDER BY lecture_date DESC, id DESC`,
-      [univId, `%${course}%`]
+// 名前の近い大学の組（統合するかは管理者が判断する）。ノート数も付けて返す
+app.get("/api/admin/universities/duplicates", requireSiteAdmin, wrap(async (req, res) => {
+  const maxDistance = Math.min(Math.max(Number(req.query.max_distance) || 2, 0), 3);
+  const [rows] = await pool.query(
+    `SELECT u.id, u.name, COUNT(n.id) AS note_count
+       FROM universities u
+       LEFT JOIN notes n ON n.university_id = u.id
+      GROUP BY u.id, u.name`
+  );
+  const universities = rows.map((r) => ({ id: r.id, name: r.name, note_count: Number(r.note_count || 0) }));
+  res.json({ pairs: findNearDuplicateUniversities(universities, { maxDistance }) });
+}));
+
+// 別名を登録する（「東大」→「東京大学」など）。同じ名前の大学が既にあるなら統合を使う
+app.post("/api/admin/universities/:id/aliases", requireSiteAdmin, wrap(async (req, res) => {
+  const universityId = Number(req.params.id);
+  const aliasName = normalizeUniversityName(req.body?.alias_name);
+  if (!universityId) return res.status(400).json({ message: "invalid id" });
+  if (!aliasName) return res.status(400).json({ message: "alias_name は必須です" });
+
+  const [urows] = await pool.query("SELECT id, name FROM universities WHERE id = ?", [universityId]);
+  if (!urows.length) return res.status(404).json({ message: "大学が見つかりません" });
+
+  const existingId = await findUniversityIdByName(aliasName);
+  if (existingId && existingId !== universityId) {
+    return res.status(409).json({
+      message: "その名前は別の大学として登録されています。統合してください",
+      code: "UNIVERSITY_NAME_TAKEN",
+      university_id: existingId,
+    });
+  }
+
+  await pool.query(
+    `INSERT INTO university_aliases (university_id, alias_name, alias_key)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE university_id = VALUES(university_id), alias_name = VALUES(alias_name)`,
+    [universityId, aliasName, universityNameKey(aliasName)]
+  );
+  res.json({ ok: true, university: urows[0], alias_name: aliasName });
+}));
+
+// 大学の統合で授業も付け替える。統合先に同じ授業名・学期があればそちらにノートを寄せる
+// （大学を消すと courses は CASCADE で消えるので、その前に呼ぶ）
+async function mergeUniversityCourses(conn, sourceId, targetId) {
+  const [courses] = await conn.query("SELECT id, name, term FROM courses WHERE university_id = ?", [sourceId]);
+  for (const course of courses) {
+    const [same] = await conn.query(
+      "SELECT id FROM courses WHERE university_id = ? AND name = ? AND term = ? LIMIT 1",
+      [targetId, course.name, course.term]
     );
-  } else {
-    [rows] = await pool.query(
-      `SELECT id, source_type, university_id, author_name, course_name, lecture_no, lecture_date, title, created_at
-         FROM notes
-        WHERE university_id = ? AND visibility = 'public' AND community_id IS NULL
-        ORDER BY lecture_date DESC, id DESC`,
-      [univId]
+    if (same.length) {
+      await conn.query("UPDATE notes SET course_id = ? WHERE course_id = ?", [same[0].id, course.id]);
+      await conn.query("DELETE FROM courses WHERE id = ?", [course.id]);
+    } else {
+      await conn.query("UPDATE courses SET university_id = ? WHERE id = ?", [targetId, course.id]);
+    }
+  }
+  return courses.length;
+}
+
+// source の大学を target に統合する: ノートと別名を付け替え、source の名前は別名として残して削除
+app.post("/api/admin/universities/merge", requireSiteAdmin, wrap(async (req, res) => {
+  const sourceId = Number(req.body?.source_id);
+  const targetId = Number(req.body?.target_id);
+  if (!sourceId || !targetId) return res.status(400).json({ message: "source_id と target_id は必須です" });
+  if (sourceId === targetId) return res.status(400).json({ message: "同じ大学どうしは統合できません" });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [urows] = await conn.query(
+      "SELECT id, name FROM universities WHERE id IN (?, ?) FOR UPDATE",
+      [sourceId, targetId]
+    );
+    const source = urows.find((u) => u.id === sourceId);
+    const target = urows.find((u) => u.id === targetId);
+    if (!source || !target) {
+      await conn.rollback();
+      return res.status(404).json({ message: "大学が見つかりません" });
+    }
+
+    const [moved] = await conn.query(
+      "UPDATE notes SET university_id = ? WHERE university_id = ?",
+      [targetId, sourceId]
+    );
+    await conn.query(
+      "UPDATE university_aliases SET university_id = ? WHERE university_id = ?",
+      [targetId, sourceId]
     );
+    // 統合元の名前で入力されても統合先に入るように
+    if (universityNameKey(source.name) !== universityNameKey(target.name)) {
+      await conn.query(
+        `INSERT INTO university_aliases (university_id, alias_name, alias_key)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE university_id = VALUES(university_id)`,
+        [targetId, normalizeUniversityName(source.name), universityNameKey(source.name)]
+      );
+    }
+    const mergedCourses = await mergeUniversityCourses(conn, sourceId, targetId);
+    await conn.query("DELETE FROM universities WHERE id = ?", [sourceId]);
+
+    await conn.commit();
+    res.json({ ok: true, source, target, moved_notes: moved.affectedRows, merged_courses: mergedCourses });
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}));
+
+// 公開ノート一覧（ログイン不要）。public のみで、コミュ内ノートは漏れ防止で除外（community_id IS NULL）
+// university_name / university_id で大学を指定（任意）。指定しなければ全大学を横断して course / q で探せる。
+// 絞り込み: course, q（タイトル・授業名・本文）, lecture_no, date_from, date_to（授業日）
+// 並び順: sort=lecture_date（既定）| newest。続きは nextCursor を cursor に渡して取得する。
+app.get("/api/notes", wrap(async (req, res) => {
+  const universityName = normalizeUniversityName(req.query.university_name);
+  let universityId = Number(req.query.university_id) || null;
+
+  if (!universityId && universityName) {
+    universityId = await findUniversityIdByName(universityName);
+    if (!universityId) {
+      // 大学名の打ち間違いで「ノートが無い」と誤解されないよう、近い大学名を返す
+      return res.json({
+        notes: [],
+        nextCursor: null,
+        university: null,
+        suggestions: await suggestUniversityCandidates(universityName),
+      });
+    }
   }
 
-  res.json(attachJstDateKey(rows));
+  const filters = buildPublicNoteFilters(req.query, { universityId });
+  const where = ["n.visibility = 'public'", "n.community_id IS NULL", ...filters.conditions].join(" AND ");
+  const [rows] = await pool.query(
+    `SELECT n.id, n.source_type, n.university_id, u.name AS university_name, n.author_name,
+            n.course_name, n.lecture_no, n.lecture_date, n.title, n.created_at
+       FROM notes n
+       LEFT JOIN universities u ON u.id = n.university_id
+      WHERE ${where}
+      ORDER BY ${filters.orderBy}
+      LIMIT ?`,
+    [...filters.params, filters.limit + 1]
+  );
+
+  const hasMore = rows.length > filters.limit;
+  const notes = rows.slice(0, filters.limit);
+  res.json({
+    notes: attachJstDateKey(notes),
+    nextCursor: hasMore ? encodeCursor(notes[notes.length - 1], filters.sort) : null,
+    university: universityId ? { id: universityId, name: notes[0]?.university_name || universityName || null } : null,
+    sort: filters.sort,
+  });
 }));
 
 // 自分が所属しているコミュニティ内のノート一覧（ログイン必須）
@@ -911,6 +1444,8 @@ app.get("/api/community-notes", requireLogin, wrap(async (req, res) => {
   const date = parseDateFilter(req.query.date);
   const search = String(req.query.search || "").trim();
   const sortOrder = normalizeSortOrder(req.query.sort);
+  const tagFilter = await resolveTagFilter(userId, req.query.tag);
+  if (tagFilter.error) return res.status(tagFilter.error.status).json(tagFilter.error.body);
 
   // 自分が所属しているコミュID一覧
   const [crows] = await pool.query(
@@ -939,11 +1474,130 @@ app.get("/api/community-notes", requireLogin, wrap(async (req, res) => {
     sql += " AND (n.title LIKE ? OR n.body_raw LIKE ? OR n.course_name LIKE ?)";
     params.push(`%${search}%`, `%${search}%`, `%${search}%`);
   }
+  if (tagFilter.tagId) {
+    sql += " AND EXISTS (SELECT 1 FROM note_tags nt WHERE nt.note_id = n.id AND nt.tag_id = ?)";
+    params.push(tagFilter.tagId);
+  }
   sql += ` ORDER BY n.created_at ${sortOrder}, n.id ${sortOrder}`;
 
   const [rows] = await pool.query(sql, params);
 
-  res.json(attachJstDateKey(rows));
+  res.json(await attachTags(attachJstDateKey(rows), { userId }));
+}));
+
+// ---------- 全文検索 ----------
+// 自分のノート・所属コミュのノート・公開ノートを横断して検索する（見える範囲は canViewNote と同じ）
+// scope: all（既定） / mine / community / public
+const SEARCH_SCOPES = new Set(["all", "mine", "community", "public"]);
+const SEARCH_MAX_LIMIT = 50;
+const NOTE_SEARCH_MATCH = "MATCH(n.title, n.body_raw, n.course_name) AGAINST (? IN BOOLEAN MODE)";
+const NOTE_TITLE_MATCH = "MATCH(n.title) AGAINST (? IN BOOLEAN MODE)";
+
+// canViewNote と同じ条件（コミュのノートは所属者のみ、それ以外は公開か本人）
+const NOTE_VISIBLE_CONDITION = `(
+  (n.community_id IS NOT NULL AND EXISTS (
+    SELECT 1 FROM user_communities uc WHERE uc.user_id = ? AND uc.community_id = n.community_id
+  ))
+  OR (n.community_id IS NULL AND (n.visibility <> 'private' OR n.user_id = ?))
+)`;
+
+function buildNoteSearchScopeCondition(scope) {
+  if (scope === "mine") return " AND n.user_id = ?";
+  if (scope === "community") return " AND n.community_id IS NOT NULL";
+  if (scope === "public") return " AND n.community_id IS NULL AND n.visibility = 'public'";
+  return "";
+}
+
+// useFulltext=false は FULLTEXT インデックス未作成の環境向け（LIKE で探し、スコアは付けない）
+async function queryNoteSearch({ userId, scope, terms, limit, offset, useFulltext }) {
+  const booleanQuery = buildBooleanQuery(terms);
+  const params = [];
+  let scoreSelect = "NULL AS score";
+  let matchCondition;
+  if (useFulltext) {
+    // タイトル一致は2倍で加点する
+    scoreSelect = `(${NOTE_SEARCH_MATCH} + ${NOTE_TITLE_MATCH} * 2) AS score`;
+    params.push(booleanQuery, booleanQuery);
+    matchCondition = NOTE_SEARCH_MATCH;
+  } else {
+    matchCondition = terms.map(() => "(n.title LIKE ? OR n.body_raw LIKE ? OR n.course_name LIKE ?)").join(" AND ");
+  }
+
+  let sql = `SELECT n.id, n.user_id, n.community_id, n.visibility, n.source_type,
+                    n.author_name, n.course_name, n.lecture_no, n.lecture_date, n.title, n.body_raw, n.created_at,
+                    c.name AS community_name,
+                    ${scoreSelect}
+               FROM notes n
+               LEFT JOIN communities c ON c.id = n.community_id
+              WHERE ${matchCondition}
+                AND ${NOTE_VISIBLE_CONDITION}`;
+  if (useFulltext) {
+    params.push(booleanQuery);
+  } else {
+    for (const t of terms) params.push(`%${t}%`, `%${t}%`, `%${t}%`);
+  }
+  params.push(userId, userId);
+
+  sql += buildNoteSearchScopeCondition(scope);
+  if (scope === "mine") params.push(userId);
+
+  sql += useFulltext ? " ORDER BY score DESC, n.created_at DESC, n.id DESC" : " ORDER BY n.created_at DESC, n.id DESC";
+  sql += " LIMIT ? OFFSET ?";
+  params.push(limit + 1, offset);
+
+  const [rows] = await pool.query(sql, params);
+  return rows;
+}
+
+app.get("/api/search", wrap(async (req, res) => {
+  const userId = req.session?.userId || null;
+  const q = String(req.query.q || "").trim();
+  const scope = SEARCH_SCOPES.has(req.query.scope) ? req.query.scope : "all";
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), SEARCH_MAX_LIMIT);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  if (!userId && (scope === "mine" || scope === "community")) {
+    return res.status(401).json({ message: "ログインしてください" });
+  }
+
+  const terms = splitSearchTerms(q);
+  if (!terms.length) {
+    return res.status(400).json({
+      message: `${MIN_TERM_LENGTH}文字以上のキーワードを入力してください`,
+      code: "QUERY_TOO_SHORT",
+    });
+  }
+
+  let rows;
+  let mode = "fulltext";
+  try {
+    rows = await queryNoteSearch({ userId, scope, terms, limit, offset, useFulltext: true });
+  } catch (error) {
+    if (error?.code !== "ER_FT_MATCHING_KEY_NOT_FOUND") throw error;
+    console.error("note_search_fulltext_missing", { error: error.message });
+    mode = "like";
+    rows = await queryNoteSearch({ userId, scope, terms, limit, offset, useFulltext: false });
+  }
+
+  const hasMore = rows.length > limit;
+  const results = rows.slice(0, limit).map(({ body_raw, score, ...row }) => ({
+    ...row,
+    score: score == null ? null : Math.round(Number(score) * 1000) / 1000,
+    ...buildSnippet(body_raw, terms),
+    title_html: buildSnippet(row.title, terms, String(row.title || "").length).snippet_html,
+    is_mine: userId != null && row.user_id === userId,
+  }));
+
+  res.json({
+    q,
+    terms,
+    scope,
+    mode,
+    offset,
+    limit,
+    hasMore,
+    results: attachJstDateKey(results),
+  });
 }));
 
 app.get("/api/community-notes/calendar-summary", requireLogin, wrap(async (req, res) => {
@@ -999,6 +1653,7 @@ app.get("/api/community-quizzes", requireLogin, wrap(async (req, res) => {
                     ${choiceSelect.choices},
                     ${choiceSelect.options},
                     nq.answer AS correct_answer,
+                    nq.explanation,
                     nq.created_at,
                     nq.updated_at,
                     n.community_id,
@@ -1060,7 +1715,7 @@ app.get("/api/notes/:id", wrap(async (req, res) => {
   const perm = await canViewNote(req, note);
   if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
 
-  res.json(note);
+  res.json({ ...note, course_term: await getNoteCourseTerm(note) });
 }));
 
 // プレビュー（誰でもOK・保存しない）
@@ -1075,37 +1730,46 @@ app.post("/api/notes/preview", wrap(async (req, res) => {
   res.json({ body_md });
 }));
 
+// 画像1枚分の入力チェック（問題なければ null）
+function validateOcrImageInput({ image_base64, mime_type, file_name, file_size }) {
+  const mimeType = String(mime_type || "").toLowerCase();
+  const ext = path.extname(String(file_name || "")).toLowerCase();
+  const fileSize = Number(file_size || 0);
+
+  if (!image_base64 || !mimeType || !file_name || !fileSize) {
+    return { code: "IMAGE_FILE_REQUIRED", message: "画像データが不足しています。" };
+  }
+  if (!OCR_ALLOWED_MIME_TYPES.has(mimeType) || !OCR_ALLOWED_EXTENSIONS.has(ext)) {
+    return {
+      code: "UNSUPPORTED_IMAGE_TYPE",
+      message: "対応していない画像形式です。jpg / jpeg / png / webp をアップロードしてください。",
+    };
+  }
+  if (fileSize > OCR_MAX_FILE_SIZE_BYTES) {
+    return {
+      code: "FILE_TOO_LARGE",
+      message: `画像サイズが大きすぎます。最大${Math.floor(OCR_MAX_FILE_SIZE_BYTES / (1024 * 1024))}MBまでです。`,
+    };
+  }
+  return null;
+}
+
 app.post(
   "/api/notes/extract-text",
   requireLogin,
   requireUsageLimit("ocr_extraction", "ocr_extraction_monthly_limit", "OCRの月間利用上限に達しました。翌月にリセットされます。"),
   wrap(async (req, res) => {
-    const { image_base64, mime_type, file_name, file_size } = req.body || {};
-    const mimeType = String(mime_type || "").toLowerCase();
-    const fileName = String(file_name || "");
-    const ext = path.extname(fileName).toLowerCase();
-    const fileSize = Number(file_size || 0);
-
-    if (!image_base64 || !mimeType || !fileName || !fileSize) {
-      return res.status(400).json({ message: "画像データが不足しています。", code: "IMAGE_FILE_REQUIRED" });
+    const { image_base64, mime_type } = req.body || {};
+    const invalid = validateOcrImageInput(req.body || {});
+    if (invalid) {
+      return res.status(400).json(invalid);
     }
 
-    if (!OCR_ALLOWED_MIME_TYPES.has(mimeType) || !OCR_ALLOWED_EXTENSIONS.has(ext)) {
-      return res.status(400).json({
-        message: "対応していない画像形式です。jpg / jpeg / png / webp をアップロードしてください。",
-        code: "UNSUPPORTED_IMAGE_TYPE",
-      });
-    }
-
-    if (fileSize > OCR_MAX_FILE_SIZE_BYTES) {
-      return res.status(400).json({
-        message: `画像サイズが大きすぎます。最大${Math.floor(OCR_MAX_FILE_SIZE_BYTES / (1024 * 1024))}MBまでです。`,
-        code: "FILE_TOO_LARGE",
-      });
-    }
-
-    const extractedText = await extractTextFromImageWithOpenAI({ base64Image: String(image_base64), mimetype: mimeType });
-    if (!extractedText || extractedText.length < 10) {
+    const extractedText = await extractTextFromImageWithOpenAI({
+      base64Image: String(image_base64),
+      mimetype: String(mime_type).toLowerCase(),
+    });
+    if (!extractedText || extractedText.length < OCR_MIN_TEXT_LENGTH) {
       return res.status(422).json({
         message: "画像から十分な文字を抽出できませんでした。鮮明な画像で再度お試しください。",
         code: "OCR_TEXT_TOO_SHORT",
@@ -1125,62 +1789,166 @@ app.post(
   })
 );
 
-// 保存（投稿）：ログイン必須
-// community_id がある場合は所属必須。大学名が空なら「（コミュ）」で補完（DB要件対策）
-app.post("/api/notes", requireLogin, wrap(async (req, res) => {
-  const user_id = req.session.userId;
+// 複数ページOCR：pages: [{ page_no, image_base64, mime_type, file_name, file_size }]
+// ページ順に1枚ずつ読み取り、ページ見出しつきで1つの本文にまとめる。
+// 失敗したページはページごとにエラーを返し、読み取れたページ数だけ利用回数を加算する。
+app.post(
+  "/api/notes/extract-text/batch",
+  requireLogin,
+  largeJsonParser,
+  requireUsageLimit("ocr_extraction", "ocr_extraction_monthly_limit", "OCRの月間利用上限に達しました。翌月にリセットされます。"),
+  wrap(async (req, res) => {
+    const pages = orderOcrPages(req.body?.pages);
+    if (!pages.length) {
+      return res.status(400).json({ message: "画像データが不足しています。", code: "IMAGE_FILE_REQUIRED" });
+    }
+    if (pages.length > OCR_MAX_PAGES) {
+      return res.status(400).json({
+        message: `一度に読み取れるのは${OCR_MAX_PAGES}ページまでです。`,
+        code: "TOO_MANY_PAGES",
+      });
+    }
 
-  let {
-    university_name,
-    author_name,
-    course_name,
-    lecture_no,
-    lecture_date,
-    title,
-    body_raw,
-    visibility,
-    community_id,
-    source_type,
-  } = req.body;
+    // 合計サイズは申告された file_size ではなく、実際に送られてきたデータの大きさで見る
+    const totalSize = pages.reduce((sum, p) => sum + decodeBase64File(p.image_base64).length, 0);
+    if (totalSize > OCR_BATCH_MAX_TOTAL_BYTES) {
+      return res.status(400).json({
+        message: `画像の合計サイズが大きすぎます。合計${Math.floor(OCR_BATCH_MAX_TOTAL_BYTES / (1024 * 1024))}MBまでです。`,
+        code: "FILE_TOO_LARGE",
+      });
+    }
 
-  const communityId = community_id ? Number(community_id) : null;
-  const sourceType = source_type === "image" ? "image" : "text";
+    // 上限ありのプランは、残り回数がページ数に足りなければ読み取り前に断る
+    const limit = req.usageLimit?.limit;
+    const used = req.usageLimit?.used || 0;
+    if (limit != null && used + pages.length > limit) {
+      return res.status(429).json({
+        message: `OCRの月間利用上限を超えるため読み取れません（残り${Math.max(0, limit - used)}ページ）。`,
+        code: "USAGE_LIMIT_EXCEEDED",
+        featureCode: "ocr_extraction",
+        used,
+        limit,
+      });
+    }
 
-  if (communityId && !String(university_name || "").trim()) {
-    university_name = "（コミュ）";
-  }
+    const results = [];
+    for (const page of pages) {
+      const base = { page_no: page.page_no, file_name: String(page.file_name || "") };
+      const invalid = validateOcrImageInput(page);
+      if (invalid) {
+        results.push({ ...base, ok: false, ...invalid });
+        continue;
+      }
 
-  if (!university_name || !course_name || !lecture_no || !lecture_date || !title || !body_raw) {
-    return res.status(400).json({ message: "missing fields" });
+      try {
+        const text = await extractTextFromImageWithOpenAI({
+          base64Image: String(page.image_base64),
+          mimetype: String(page.mime_type).toLowerCase(),
+        });
+        if (text.length < OCR_MIN_TEXT_LENGTH) {
+          results.push({
+            ...base,
+            ok: false,
+            code: "OCR_TEXT_TOO_SHORT",
+            message: "このページから十分な文字を抽出できませんでした。",
+          });
+          continue;
+        }
+        results.push({ ...base, ok: true, text });
+      } catch (error) {
+        console.error("ocr_page_failed", { userId: req.session.userId, pageNo: page.page_no, error: error?.message });
+        results.push({
+          ...base,
+          ok: false,
+          code: error?.message === "OCR_EMPTY_RESULT" ? "OCR_TEXT_TOO_SHORT" : "OCR_FAILED",
+          message: "このページの読み取りに失敗しました。",
+        });
+      }
+    }
+
+    const okCount = results.filter((r) => r.ok).length;
+    const pageResults = results.map(({ text, ...rest }) => ({ ...rest, text_length: text ? text.length : 0 }));
+    if (!okCount) {
+      return res.status(422).json({
+        message: "どのページからも文字を抽出できませんでした。鮮明な画像で再度お試しください。",
+        code: "OCR_TEXT_TOO_SHORT",
+        pages: pageResults,
+      });
+    }
+
+    await incrementUsageCount(req.session.userId, "ocr_extraction", okCount);
+    res.json({
+      text: joinOcrPageTexts(results),
+      source_type: "image",
+      pages: pageResults,
+      usage: {
+        featureCode: "ocr_extraction",
+        usedAfter: used + okCount,
+        limit,
+      },
+    });
+  })
+);
+
+// 新規ノートの入力をそろえる。コミュ投稿で大学名が空なら「（コミュ）」で補完（DB要件対策）
+function readNewNoteFields(body) {
+  const fields = {
+    university_name: body?.university_name,
+    author_name: body?.author_name,
+    course_name: body?.course_name,
+    lecture_no: body?.lecture_no,
+    lecture_date: body?.lecture_date,
+    title: body?.title,
+    body_raw: body?.body_raw,
+    visibility: body?.visibility,
+    communityId: body?.community_id ? Number(body.community_id) : null,
+    sourceType: NOTE_SOURCE_TYPES.has(body?.source_type) ? body.source_type : "text",
+    term: normalizeCourseTerm(body?.term),
+  };
+  if (fields.communityId && !String(fields.university_name || "").trim()) {
+    fields.university_name = "（コミュ）";
   }
+  return fields;
+}
 
+// コミュ所属・保存上限のチェック（NG なら status と返す JSON）
+async function checkNoteCreatable(userId, communityId) {
   if (communityId) {
-    const belongs = await userBelongsToCommunity(user_id, communityId);
-    if (!belongs) return res.status(403).json({ message: "not a community member" });
+    const access = await requireCommunityPermission(userId, communityId, "post_notes");
+    if (!access.ok) return { ok: false, status: access.status, body: { message: access.message, code: access.code } };
   }
 
-  const noteLimit = await ensureNoteSaveAvailable(user_id);
+  const noteLimit = await ensureNoteSaveAvailable(userId);
   if (!noteLimit.ok) {
-    return res.status(403).json({
-      message: noteLimit.message,
-      code: "NOTE_SAVE_LIMIT_EXCEEDED",
-      limit: noteLimit.maxNotes,
-      current: noteLimit.currentCount,
-    });
+    return {
+      ok: false,
+      status: 403,
+      body: {
+        message: noteLimit.message,
+        code: "NOTE_SAVE_LIMIT_EXCEEDED",
+        limit: noteLimit.maxNotes,
+        current: noteLimit.currentCount,
+      },
+    };
   }
+  return { ok: true };
+}
 
-  const university_id = await getOrCreateUniversityId(university_name);
-  const body_md = buildMarkdown({ course_name, lecture_no, lecture_date, title, body_raw });
-  const vis = normalizeVisibility(visibility);
+// ノートを1件保存し、作成履歴と最初の復習予定を入れる（戻り値は note id）
+async function insertNote(userId, fields) {
+  const { course_name, lecture_no, lecture_date, title, body_raw } = fields;
+  const university_id = await getOrCreateUniversityId(fields.university_name);
+  const body_md = buildMarkdown({ course_name, lecture_no, lecture_date, title, body_raw, source_type: fields.sourceType });
+  const vis = normalizeVisibility(fields.visibility);
 
   const [result] = await pool.query(
     `INSERT INTO notes (user_id, community_id, university_id, author_name, course_name, lecture_no, lecture_date, title, body_raw, body_md, visibility, source_type)
      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
-      user_id,
-      communityId,
+      userId,
+      fields.communityId,
       university_id,
-      author_name || null,
+      fields.author_name || null,
       course_name,
       lecture_no,
       lecture_date,
@@ -1188,10 +1956,13 @@ app.post("/api/notes", requireLogin, wrap(async (req, res) => {
       body_raw,
       body_md,
       vis,
-      sourceType,
+      fields.sourceType,
     ]
   );
 
+  await linkNoteToCourse(result.insertId, university_id, course_name, fields.term);
+  await recordNoteRevision({ noteId: result.insertId, userId, title, body_raw, action: "create" });
+
   // 復習通知：最初のリマインドを1日後に設定
   // ★ここが失敗してもノート保存自体は成功させる（DBにマイグレーション未適用の環境でも
   //   ノート本文が「保存できませんでした」と誤解されないようにするため）
@@ -1200,21 +1971,142 @@ app.post("/api/notes", requireLogin, wrap(async (req, res) => {
       `INSERT INTO note_review_schedules (user_id, note_id, stage, next_review_at)
        VALUES (?, ?, 0, DATE_ADD(NOW(), INTERVAL 1 DAY))
        ON DUPLICATE KEY UPDATE next_review_at = VALUES(next_review_at)`,
-      [user_id, result.insertId]
+      [userId, result.insertId]
     );
   } catch (error) {
     console.error("note_review_schedule_insert_failed", { noteId: result.insertId, error });
   }
 
-  res.status(201).json({ id: result.insertId, source_type: sourceType });
+  return result.insertId;
+}
+
+// 保存（投稿）：ログイン必須
+// community_id がある場合は所属必須。
+app.post("/api/notes", requireLogin, wrap(async (req, res) => {
+  const user_id = req.session.userId;
+  const fields = readNewNoteFields(req.body);
+  const { university_name, course_name, lecture_no, lecture_date, title, body_raw } = fields;
+
+  if (!university_name || !course_name || !lecture_no || !lecture_date || !title || !body_raw) {
+    return res.status(400).json({ message: "missing fields" });
+  }
+
+  const creatable = await checkNoteCreatable(user_id, fields.communityId);
+  if (!creatable.ok) return res.status(creatable.status).json(creatable.body);
+
+  const noteId = await insertNote(user_id, fields);
+  res.status(201).json({ id: noteId, source_type: fields.sourceType });
 }));
 
+// PDF（講義スライド）からノートを作る：pdf_base64 / file_name / file_size と、ノートの各項目
+// ページごとにテキストを取り出し、文字の無いページ（画像だけのスライド）だけOCRする。
+// OCRしたページ数だけ ocr_extraction の利用回数を加算する。
+app.post(
+  "/api/notes/import-pdf",
+  requireLogin,
+  largeJsonParser,
+  wrap(async (req, res) => {
+    const userId = req.session.userId;
+    const { pdf_base64, file_name, file_size } = req.body || {};
+    const fileName = path.basename(String(file_name || ""));
+
+    if (!pdf_base64 || !fileName || !Number(file_size)) {
+      return res.status(400).json({ message: "PDFデータが不足しています。", code: "PDF_FILE_REQUIRED" });
+    }
+    if (path.extname(fileName).toLowerCase() !== ".pdf") {
+      return res.status(400).json({ message: "PDFファイルを選択してください。", code: "UNSUPPORTED_FILE_TYPE" });
+    }
+
+    const pdfBuffer = decodeBase64File(pdf_base64);
+    if (pdfBuffer.length > PDF_IMPORT_MAX_FILE_SIZE_BYTES) {
+      return res.status(400).json({
+        message: `PDFが大きすぎます。最大${Math.floor(PDF_IMPORT_MAX_FILE_SIZE_BYTES / (1024 * 1024))}MBまでです。`,
+        code: "FILE_TOO_LARGE",
+      });
+    }
+    if (!isPdfBuffer(pdfBuffer)) {
+      return res.status(400).json({ message: "PDFファイルとして読み込めません。", code: "UNSUPPORTED_FILE_TYPE" });
+    }
+
+    const fields = readNewNoteFields({
+      ...req.body,
+      title: String(req.body.title || "").trim() || titleFromPdfFileName(fileName),
+      source_type: "pdf",
+    });
+    if (!fields.university_name || !fields.course_name || !fields.lecture_no || !fields.lecture_date || !fields.title) {
+      return res.status(400).json({ message: "missing fields" });
+    }
+
+    const creatable = await checkNoteCreatable(userId, fields.communityId);
+    if (!creatable.ok) return res.status(creatable.status).json(creatable.body);
+
+    let extracted;
+    try {
+      extracted = await extractPdfPageTexts(pdfBuffer, { maxPages: PDF_MAX_PAGES });
+    } catch (error) {
+      console.error("pdf_import_parse_failed", { userId, fileName, error: error?.message });
+      return res.status(422).json({ message: "PDFを読み込めませんでした（パスワード付きや破損したPDFは取り込めません）。", code: "PDF_UNREADABLE" });
+    }
+
+    // 画像だけのページはOCR。1回の取り込みでOCRするのは OCR_MAX_PAGES ページまで（それ以降は飛ばす）
+    // OCRの上限に達していても、文字を取り出せるページだけのPDFはそのまま取り込める（OCRが要るページは飛ばす）
+    const { limit, used } = await getUsageLimitState(req, "ocr_extraction", "ocr_extraction_monthly_limit");
+    const ocrBudget = Math.min(OCR_MAX_PAGES, limit == null ? Infinity : Math.max(0, limit - used));
+    const pageResults = [];
+    let ocrCount = 0;
+    let splitSource = null;
+    for (const page of extracted.pages) {
+      if (!page.needs_ocr) {
+        pageResults.push({ page_no: page.page_no, method: "text", ok: true });
+        continue;
+      }
+      if (ocrCount >= ocrBudget) {
+        pageResults.push({ page_no: page.page_no, method: "ocr", ok: false, code: "OCR_PAGE_SKIPPED", message: "OCRできるページ数の上限を超えたため読み取っていません。" });
+        continue;
+      }
+
+      try {
+        if (!splitSource) splitSource = await loadPdfForPageSplit(pdfBuffer);
+        const pagePdf = await extractSinglePagePdf(splitSource, page.page_no);
+        page.text = await extractTextFromPdfPageWithOpenAI({ pdfBuffer: pagePdf, fileName: `page_${page.page_no}.pdf` });
+        ocrCount += 1;
+        pageResults.push({ page_no: page.page_no, method: "ocr", ok: true });
+      } catch (error) {
+        console.error("pdf_import_ocr_failed", { userId, pageNo: page.page_no, error: error?.message });
+        pageResults.push({ page_no: page.page_no, method: "ocr", ok: false, code: "OCR_FAILED", message: "このページの読み取りに失敗しました。" });
+      }
+    }
+    if (ocrCount) await incrementUsageCount(userId, "ocr_extraction", ocrCount);
+
+    const bodyRaw = buildSlideNoteBody(extracted.pages);
+    if (!bodyRaw) {
+      return res.status(422).json({
+        message: "PDFから文字を取り出せませんでした。",
+        code: "PDF_TEXT_EMPTY",
+        pages: pageResults,
+      });
+    }
+
+    const noteId = await insertNote(userId, { ...fields, body_raw: bodyRaw });
+    res.status(201).json({
+      id: noteId,
+      source_type: "pdf",
+      pageCount: extracted.pageCount,
+      importedPageCount: extracted.pages.length,
+      pages: pageResults,
+      usage: { featureCode: "ocr_extraction", usedAfter: used + ocrCount, limit },
+    });
+  })
+);
+
 // マイページ：自分のノート一覧（public/private両方、ログイン必須）
 app.get("/api/my-notes", requireLogin, wrap(async (req, res) => {
   const userId = req.session.userId;
   const date = parseDateFilter(req.query.date);
   const search = String(req.query.search || "").trim();
   const sortOrder = normalizeSortOrder(req.query.sort);
+  const tagFilter = await resolveTagFilter(userId, req.query.tag);
+  if (tagFilter.error) return res.status(tagFilter.error.status).json(tagFilter.error.body);
 
   let sql = `SELECT id, community_id, visibility, source_type, university_id, author_name, course_name, lecture_no, lecture_date, title, created_at
        FROM notes
@@ -1228,11 +2120,15 @@ app.get("/api/my-notes", requireLogin, wrap(async (req, res) => {
     sql += " AND (title LIKE ? OR body_raw LIKE ? OR course_name LIKE ?)";
     params.push(`%${search}%`, `%${search}%`, `%${search}%`);
   }
+  if (tagFilter.tagId) {
+    sql += " AND EXISTS (SELECT 1 FROM note_tags nt WHERE nt.note_id = notes.id AND nt.tag_id = ?)";
+    params.push(tagFilter.tagId);
+  }
   sql += ` ORDER BY created_at ${sortOrder}, id ${sortOrder}`;
 
   const [rows] = await pool.query(sql, params);
 
-  res.json(attachJstDateKey(rows));
+  res.json(await attachTags(attachJstDateKey(rows), { userId }));
 }));
 
 app.get("/api/my-notes/calendar-summary", requireLogin, wrap(async (req, res) => {
@@ -1250,47 +2146,818 @@ app.get("/api/my-notes/calendar-summary", requireLogin, wrap(async (req, res) =>
       ORDER BY date ASC`,
     [userId, month]
   );
-  res.json({ month, days: rows });
+  res.json({ month, days: rows });
+}));
+
+// 自分のノート削除（ログイン必須・本人のみ）
+app.delete("/api/notes/:id", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const noteId = Number(req.params.id);
+
+  const note = await getNoteById(noteId);
+  if (!note) return res.status(404).json({ message: "not found" });
+
+  if (note.user_id !== userId) return res.status(403).json({ message: "forbidden" });
+
+  // 添付画像の行は ON DELETE CASCADE で消えるので、ファイルの場所だけ先に控えておく
+  const attachmentKeys = await listNoteAttachmentKeys(noteId);
+
+  // note_quizzes は ON DELETE CASCADE の場合自動で消える（無くても notes削除はOK）
+  await pool.query("DELETE FROM notes WHERE id = ?", [noteId]);
+  if (note.community_id) {
+    await recordCommunityEvent({
+      communityId: note.community_id,
+      type: "note_deleted",
+      actorUserId: userId,
+      targetUserId: note.user_id,
+      detail: { note_id: noteId, title: note.title },
+    });
+  }
+
+  for (const key of attachmentKeys) {
+    await removeAttachmentFile(ATTACHMENTS_DIR, key).catch((error) => {
+      console.error("note_attachment_file_remove_failed", { noteId, key, error: error?.message });
+    });
+  }
+  res.json({ ok: true });
+}));
+
+// ---------- ノート添付画像 ----------
+// ★ note_attachments 未作成の環境でもノート削除は通す
+async function listNoteAttachmentKeys(noteId) {
+  try {
+    const [rows] = await pool.query("SELECT storage_key FROM note_attachments WHERE note_id = ?", [noteId]);
+    return rows.map((r) => r.storage_key);
+  } catch (error) {
+    console.error("note_attachment_list_failed", { noteId, error: error?.message });
+    return [];
+  }
+}
+
+function formatNoteAttachment(row) {
+  return {
+    id: row.id,
+    note_id: row.note_id,
+    page_no: row.page_no,
+    file_name: row.file_name,
+    mime_type: row.mime_type,
+    file_size: row.file_size,
+    created_at: row.created_at,
+    url: `/api/notes/${row.note_id}/attachments/${row.id}`,
+  };
+}
+
+async function getNoteAttachment(noteId, attachmentId) {
+  const [rows] = await pool.query(
+    `SELECT id, note_id, user_id, page_no, file_name, mime_type, file_size, storage_key, created_at
+       FROM note_attachments
+      WHERE id = ? AND note_id = ?
+      LIMIT 1`,
+    [attachmentId, noteId]
+  );
+  return rows[0] || null;
+}
+
+app.get("/api/notes/:id/attachments", wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const [rows] = await pool.query(
+    `SELECT id, note_id, page_no, file_name, mime_type, file_size, created_at
+       FROM note_attachments
+      WHERE note_id = ?
+      ORDER BY page_no IS NULL, page_no ASC, id ASC`,
+    [noteId]
+  );
+  res.json({ attachments: rows.map(formatNoteAttachment) });
+}));
+
+// 画像1枚を添付する（作者のみ）。body は OCR と同じ { image_base64, mime_type, file_name, file_size, page_no }
+app.post("/api/notes/:id/attachments", requireLogin, wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = canEditNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const invalid = validateOcrImageInput(req.body || {});
+  if (invalid) return res.status(400).json(invalid);
+
+  const mimeType = String(req.body.mime_type).toLowerCase();
+  const buffer = decodeBase64File(req.body.image_base64);
+  if (!buffer.length || buffer.length > OCR_MAX_FILE_SIZE_BYTES) {
+    return res.status(400).json({
+      message: `画像サイズが大きすぎます。最大${Math.floor(OCR_MAX_FILE_SIZE_BYTES / (1024 * 1024))}MBまでです。`,
+      code: "FILE_TOO_LARGE",
+    });
+  }
+  if (detectImageMimeType(buffer) !== mimeType) {
+    return res.status(400).json({ message: "画像ファイルの中身が形式と一致しません。", code: "UNSUPPORTED_IMAGE_TYPE" });
+  }
+
+  const [[{ attachment_count }]] = await pool.query(
+    "SELECT COUNT(*) AS attachment_count FROM note_attachments WHERE note_id = ?",
+    [noteId]
+  );
+  if (Number(attachment_count) >= NOTE_ATTACHMENT_MAX_COUNT) {
+    return res.status(409).json({
+      message: `添付できる画像は1ノートにつき${NOTE_ATTACHMENT_MAX_COUNT}枚までです。`,
+      code: "ATTACHMENT_LIMIT",
+    });
+  }
+
+  const pageNo = Number.parseInt(req.body.page_no, 10);
+  const fileName = path.basename(String(req.body.file_name)).slice(0, 255);
+  const storageKey = buildStorageKey(noteId, mimeType);
+  await saveAttachmentFile(ATTACHMENTS_DIR, storageKey, buffer);
+
+  let result;
+  try {
+    [result] = await pool.query(
+      `INSERT INTO note_attachments (note_id, user_id, page_no, file_name, mime_type, file_size, storage_key)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [noteId, req.session.userId, pageNo > 0 ? pageNo : null, fileName, mimeType, buffer.length, storageKey]
+    );
+  } catch (error) {
+    await removeAttachmentFile(ATTACHMENTS_DIR, storageKey).catch(() => {});
+    throw error;
+  }
+
+  const row = await getNoteAttachment(noteId, result.insertId);
+  res.status(201).json({ ok: true, attachment: formatNoteAttachment(row) });
+}));
+
+app.get("/api/notes/:id/attachments/:attachmentId", wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const attachment = await getNoteAttachment(noteId, Number(req.params.attachmentId));
+  if (!attachment) return res.status(404).json({ message: "not found" });
+
+  let fullPath;
+  try {
+    fullPath = resolveStoragePath(ATTACHMENTS_DIR, attachment.storage_key);
+  } catch {
+    return res.status(404).json({ message: "not found" });
+  }
+
+  res.setHeader("Content-Type", attachment.mime_type);
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="attachment_${attachment.id}"; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`
+  );
+  res.setHeader("Cache-Control", "private, max-age=3600");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.sendFile(fullPath, (err) => {
+    if (!err) return;
+    console.error("note_attachment_send_failed", { noteId, attachmentId: attachment.id, error: err.message });
+    if (!res.headersSent) res.status(404).json({ message: "ファイルが見つかりません" });
+  });
+}));
+
+app.delete("/api/notes/:id/attachments/:attachmentId", requireLogin, wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = canEditNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const attachment = await getNoteAttachment(noteId, Number(req.params.attachmentId));
+  if (!attachment) return res.status(404).json({ message: "not found" });
+
+  await pool.query("DELETE FROM note_attachments WHERE id = ?", [attachment.id]);
+  await removeAttachmentFile(ATTACHMENTS_DIR, attachment.storage_key).catch((error) => {
+    console.error("note_attachment_file_remove_failed", { noteId, key: attachment.storage_key, error: error?.message });
+  });
+  res.json({ ok: true });
+}));
+
+// 公開/非公開の切り替え（ログイン必須・本人のみ）
+// community_id があるノートは切り替え禁止（コミュ所属で守る）
+app.patch("/api/notes/:id/visibility", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const noteId = Number(req.params.id);
+  const visibility = req.body?.visibility;
+
+  if (visibility !== "private" && visibility !== "public") {
+    return res.status(400).json({ message: "invalid visibility" });
+  }
+  const vis = visibility;
+
+  const note = await getNoteById(noteId);
+  if (!note) return res.status(404).json({ message: "not found" });
+
+  if (note.user_id !== userId) return res.status(403).json({ message: "forbidden" });
+
+  if (note.community_id) {
+    return res.status(400).json({ message: "community note visibility cannot be changed" });
+  }
+
+  await pool.query("UPDATE notes SET visibility = ? WHERE id = ?", [vis, noteId]);
+  res.json({ ok: true, visibility: vis });
+}));
+
+// ノート編集（ログイン必須・本人のみ）
+// 本文などを書き換えたら body_md も buildMarkdown で作り直す（クイズは消さない）
+app.put("/api/notes/:id", requireLogin, wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = canEditNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const course_name = String(req.body?.course_name || "").trim();
+  const lecture_no = String(req.body?.lecture_no || "").trim();
+  const lecture_date = parseDateFilter(req.body?.lecture_date);
+  const title = String(req.body?.title || "").trim();
+  const body_raw = String(req.body?.body_raw || "").trim();
+
+  if (!course_name || !lecture_no || !lecture_date || !title || !body_raw) {
+    return res.status(400).json({ message: "missing fields" });
+  }
+
+  const body_md = buildMarkdown({ course_name, lecture_no, lecture_date, title, body_raw, source_type: note.source_type });
+
+  await pool.query(
+    `UPDATE notes
+        SET course_name = ?, lecture_no = ?, lecture_date = ?, title = ?, body_raw = ?, body_md = ?
+      WHERE id = ?`,
+    [course_name, lecture_no, lecture_date, title, body_raw, body_md, noteId]
+  );
+  // term を省略したときは今の授業の学期のまま
+  const currentTerm = await getNoteCourseTerm(note);
+  const term = req.body?.term === undefined ? currentTerm : normalizeCourseTerm(req.body.term);
+  let courseId = note.course_id;
+  if (normalizeCourseName(course_name) !== normalizeCourseName(note.course_name) || term !== currentTerm || !note.course_id) {
+    courseId = await linkNoteToCourse(noteId, note.university_id, course_name, term);
+  }
+  await recordNoteRevision({ noteId, userId: req.session.userId, title, body_raw, action: "edit" });
+
+  res.json({ ok: true, id: noteId, body_md, course_id: courseId || null, course_term: term });
+}));
+
+// ---------- Courses（授業ごとの目次） ----------
+
+async function getCourseById(courseId) {
+  const [rows] = await pool.query(
+    `SELECT c.id, c.university_id, u.name AS university_name, c.name, c.term, c.instructor, c.created_at, c.updated_at
+       FROM courses c
+       JOIN universities u ON u.id = c.university_id
+      WHERE c.id = ?`,
+    [courseId]
+  );
+  return rows.length ? rows[0] : null;
+}
+
+// 授業の、閲覧できるノートを回ごとに並べる（ログイン中は本人のクイズ・復習の状況も付ける）
+const COURSE_NOTES_MAX = 500;
+
+async function loadCourseLectures(req, courseId) {
+  const userId = req.session?.userId || null;
+  const [notes] = await pool.query(
+    `SELECT n.id, n.user_id, n.community_id, n.visibility, n.author_name, n.lecture_no, n.lecture_date,
+            n.title, n.source_type, n.created_at
+       FROM notes n
+      WHERE n.course_id = ?
+        AND ${NOTE_VISIBLE_CONDITION}
+      LIMIT ?`,
+    [courseId, userId, userId, COURSE_NOTES_MAX]
+  );
+  if (!notes.length) return [];
+
+  const noteIds = notes.map((n) => n.id);
+  const stats = new Map();
+  try {
+    const [rows] = await pool.query(
+      `SELECT nq.note_id,
+              COUNT(*) AS quiz_count,
+              SUM(qs.attempt_count IS NOT NULL) AS attempted_quiz_count,
+              SUM(qlast.is_correct = 1) AS last_correct_quiz_count,
+              SUM(qrs.due_at <= NOW()) AS due_quiz_count
+         FROM note_quizzes nq
+         ${QUIZ_ATTEMPT_STATS_JOIN}
+         LEFT JOIN quiz_review_schedules qrs ON qrs.quiz_id = nq.id AND qrs.user_id = ?
+        WHERE nq.note_id IN (?)
+          AND (COALESCE(nq.visibility, 'private') = 'community' OR nq.user_id = ?)
+        GROUP BY nq.note_id`,
+      [userId, userId, noteIds, userId]
+    );
+    rows.forEach((r) => stats.set(r.note_id, r));
+  } catch (error) {
+    console.error("course_quiz_stats_failed", { courseId, error: error.message });
+  }
+
+  const reviews = new Map();
+  if (userId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT note_id, stage, next_review_at
+           FROM note_review_schedules
+          WHERE user_id = ? AND note_id IN (?)`,
+        [userId, noteIds]
+      );
+      rows.forEach((r) => reviews.set(r.note_id, r));
+    } catch (error) {
+      console.error("course_review_stats_failed", { courseId, error: error.message });
+    }
+  }
+
+  const withStatus = attachJstDateKey(notes).map((note) => {
+    const s = stats.get(note.id);
+    const r = reviews.get(note.id);
+    return {
+      ...note,
+      is_mine: Boolean(userId) && note.user_id === userId,
+      quiz_count: Number(s?.quiz_count || 0),
+      attempted_quiz_count: Number(s?.attempted_quiz_count || 0),
+      last_correct_quiz_count: Number(s?.last_correct_quiz_count || 0),
+      due_quiz_count: Number(s?.due_quiz_count || 0),
+      review_stage: r ? r.stage : null,
+      next_review_at: r ? r.next_review_at : null,
+    };
+  });
+  return groupNotesByLecture(withStatus);
+}
+
+// 授業の概要と、クイズ・復習の集計
+// 閲覧できるノートが1件も無い授業は存在を見せない（コミュ内だけの授業名が漏れないように）
+app.get("/api/courses/:id", wrap(async (req, res) => {
+  const courseId = Number(req.params.id);
+  if (!courseId) return res.status(400).json({ message: "invalid id" });
+
+  const course = await getCourseById(courseId);
+  const lectures = course ? await loadCourseLectures(req, courseId) : [];
+  if (!lectures.length) return res.status(404).json({ message: "授業が見つかりません" });
+
+  res.json({
+    course,
+    summary: summarizeCourseProgress(lectures),
+    lectures: lectures.map((l) => ({ lecture_number: l.lecture_number, label: l.label, note_count: l.notes.length })),
+  });
+}));
+
+// 授業のノートを回の順に（同じ回のノートは授業日→投稿順）
+app.get("/api/courses/:id/notes", wrap(async (req, res) => {
+  const courseId = Number(req.params.id);
+  if (!courseId) return res.status(400).json({ message: "invalid id" });
+
+  const course = await getCourseById(courseId);
+  const lectures = course ? await loadCourseLectures(req, courseId) : [];
+  if (!lectures.length) return res.status(404).json({ message: "授業が見つかりません" });
+
+  res.json({ course_id: courseId, lectures });
+}));
+
+// 学期・担当教員の編集（その授業に自分のノートがある人だけ）
+// 授業は他の人のノートと共有なので、学期を変えるときは授業そのものは書き換えず、
+// 自分のノートをその学期の授業へ移す（無ければ作る。ノートが残らなくなった元の授業は消す）。
+// 担当教員は、他の人のノートもある授業では未入力のときだけ入れられる
+app.patch("/api/courses/:id", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const courseId = Number(req.params.id);
+  if (!courseId) return res.status(400).json({ message: "invalid id" });
+
+  const course = await getCourseById(courseId);
+  if (!course) return res.status(404).json({ message: "授業が見つかりません" });
+
+  const [[owners]] = await pool.query(
+    `SELECT SUM(user_id = ?) AS own_count, SUM(user_id <> ?) AS other_count
+       FROM notes WHERE course_id = ?`,
+    [userId, userId, courseId]
+  );
+  if (!Number(owners.own_count)) return res.status(403).json({ message: "この授業にノートを投稿した人だけが編集できます" });
+  const shared = Number(owners.other_count) > 0;
+
+  const term = req.body?.term === undefined ? course.term : normalizeCourseTerm(req.body.term);
+  const instructor = req.body?.instructor === undefined
+    ? course.instructor
+    : normalizeCourseName(req.body.instructor).slice(0, 255) || null;
+  if (shared && course.instructor && instructor !== course.instructor) {
+    return res.status(403).json({
+      message: "他の人のノートもある授業の担当教員は変更できません",
+      code: "COURSE_SHARED",
+    });
+  }
+
+  if (term === course.term) {
+    await pool.query("UPDATE courses SET instructor = ? WHERE id = ?", [instructor, courseId]);
+    return res.json({ ok: true, course: await getCourseById(courseId) });
+  }
+
+  const conn = await pool.getConnection();
+  let targetId;
+  try {
+    await conn.beginTransaction();
+    targetId = await getOrCreateCourseId(course.university_id, course.name, term, conn);
+    await conn.query("UPDATE notes SET course_id = ? WHERE course_id = ? AND user_id = ?", [targetId, courseId, userId]);
+    if (instructor) {
+      await conn.query("UPDATE courses SET instructor = ? WHERE id = ? AND instructor IS NULL", [instructor, targetId]);
+    }
+    if (!shared) await conn.query("DELETE FROM courses WHERE id = ?", [courseId]);
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+  res.json({ ok: true, moved_from: courseId, course: await getCourseById(targetId) });
+}));
+
+// ---------- Tags（ノート・クイズのタグ） ----------
+
+// ログインユーザーが見られるタグ（自分用タグ + 所属コミュのタグ）。プレースホルダは userId の2つ
+const TAG_VISIBLE_CONDITION = `(
+  t.owner_user_id = ?
+  OR t.community_id IN (SELECT community_id FROM user_communities WHERE user_id = ?)
+)`;
+
+function formatTag(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    scope: row.community_id ? "community" : "personal",
+    community_id: row.community_id || null,
+  };
+}
+
+async function getVisibleTag(userId, tagId) {
+  const [rows] = await pool.query(
+    `SELECT t.id, t.name, t.owner_user_id, t.community_id, t.created_by
+       FROM tags t
+      WHERE t.id = ? AND ${TAG_VISIBLE_CONDITION}`,
+    [tagId, userId, userId]
+  );
+  return rows[0] || null;
+}
+
+// 名前の変更・削除: 自分用タグは本人、コミュタグは作成者か moderator 以上
+async function canManageTag(userId, tag) {
+  if (!tag.community_id) return tag.owner_user_id === userId;
+  if (tag.created_by === userId) return true;
+  return (await requireCommunityPermission(userId, tag.community_id, "manage_tags")).ok;
+}
+
+// 付いているタグを外せるのは、ノート（クイズ）の作者・そのタグを付けた人・タグを管理できる人
+async function canDetachTag(userId, { ownerUserId, attachedBy, tag }) {
+  if (Number(ownerUserId) === Number(userId) || Number(attachedBy) === Number(userId)) return true;
+  return canManageTag(userId, tag);
+}
+
+// コミュタグはそのコミュのノート（とそのクイズ）にだけ付けられる
+function tagFitsNote(tag, note) {
+  return !tag.community_id || tag.community_id === note.community_id;
+}
+
+// 同じ名前のタグがあればそれを、無ければ作って返す（戻り値: { tag, created }）
+async function findOrCreateTag(userId, name, communityId = null) {
+  const select = communityId
+    ? ["SELECT id, name, owner_user_id, community_id, created_by FROM tags WHERE community_id = ? AND name = ?", [communityId, name]]
+    : ["SELECT id, name, owner_user_id, community_id, created_by FROM tags WHERE owner_user_id = ? AND community_id IS NULL AND name = ?", [userId, name]];
+  try {
+    const [result] = await pool.query(
+      "INSERT INTO tags (owner_user_id, community_id, created_by, name) VALUES (?, ?, ?, ?)",
+      [communityId ? null : userId, communityId, userId, name]
+    );
+    return {
+      tag: { id: result.insertId, name, owner_user_id: communityId ? null : userId, community_id: communityId, created_by: userId },
+      created: true,
+    };
+  } catch (e) {
+    if (e.code !== "ER_DUP_ENTRY") throw e;
+    const [rows] = await pool.query(...select);
+    if (!rows.length) throw e;
+    return { tag: rows[0], created: false };
+  }
+}
+
+// 一覧の各行に、見えるタグを tags として付ける（タグ未導入の環境では空配列）
+async function attachTags(rows, { userId, kind = "note", idField = "id" }) {
+  if (!rows.length) return rows;
+  const [joinTable, joinColumn] = kind === "quiz" ? ["quiz_tags", "quiz_id"] : ["note_tags", "note_id"];
+  const byId = new Map();
+  if (userId) {
+    try {
+      const [tagRows] = await pool.query(
+        `SELECT j.${joinColumn} AS target_id, t.id, t.name, t.community_id
+           FROM ${joinTable} j
+           JOIN tags t ON t.id = j.tag_id
+          WHERE j.${joinColumn} IN (?) AND ${TAG_VISIBLE_CONDITION}
+          ORDER BY t.name ASC`,
+        [rows.map((r) => r[idField]), userId, userId]
+      );
+      for (const r of tagRows) {
+        if (!byId.has(r.target_id)) byId.set(r.target_id, []);
+        byId.get(r.target_id).push(formatTag(r));
+      }
+    } catch (error) {
+      console.error("tags_load_failed", { kind, error: error.message });
+    }
+  }
+  return rows.map((r) => ({ ...r, tags: byId.get(r[idField]) || [] }));
+}
+
+// ?tag= の絞り込み。見えないタグを指定されたら 404 にする（戻り値: { tagId } か { error }）
+async function resolveTagFilter(userId, rawTag) {
+  const tagId = parseTagFilter(rawTag);
+  if (!tagId) return { tagId: null };
+  const tag = await getVisibleTag(userId, tagId);
+  if (!tag) return { error: { status: 404, body: { message: "タグが見つかりません" } } };
+  return { tagId };
+}
+
+// 見えるタグの一覧（community_id でそのコミュのタグだけ、scope=personal で自分用だけ）
+app.get("/api/tags", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const communityId = Number(req.query.community_id) || null;
+  let sql = `SELECT t.id, t.name, t.community_id, c.name AS community_name,
+                    (SELECT COUNT(*) FROM note_tags nt WHERE nt.tag_id = t.id) AS note_count,
+                    (SELECT COUNT(*) FROM quiz_tags qt WHERE qt.tag_id = t.id) AS quiz_count
+               FROM tags t
+               LEFT JOIN communities c ON c.id = t.community_id
+              WHERE ${TAG_VISIBLE_CONDITION}`;
+  const params = [userId, userId];
+  if (communityId) {
+    sql += " AND t.community_id = ?";
+    params.push(communityId);
+  } else if (req.query.scope === "personal") {
+    sql += " AND t.community_id IS NULL";
+  }
+  sql += " ORDER BY (t.community_id IS NOT NULL) ASC, c.name ASC, t.name ASC";
+
+  const [rows] = await pool.query(sql, params);
+  res.json({
+    tags: rows.map((r) => ({
+      ...formatTag(r),
+      community_name: r.community_name || null,
+      note_count: Number(r.note_count || 0),
+      quiz_count: Number(r.quiz_count || 0),
+    })),
+  });
+}));
+
+// タグ作成（community_id ありならコミュ共有タグ。同じ名前が既にあればそれを返す）
+app.post("/api/tags", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const name = normalizeTagName(req.body?.name);
+  const nameError = validateTagName(name);
+  if (nameError) return res.status(400).json({ message: nameError });
+
+  const communityId = Number(req.body?.community_id) || null;
+  if (communityId && !(await requireCommunityPermission(userId, communityId, "view")).ok) {
+    return res.status(403).json({ message: "not a community member" });
+  }
+
+  const { tag, created } = await findOrCreateTag(userId, name, communityId);
+  res.status(created ? 201 : 200).json({ ok: true, created, tag: formatTag(tag) });
+}));
+
+app.patch("/api/tags/:id", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const tag = await getVisibleTag(userId, Number(req.params.id));
+  if (!tag) return res.status(404).json({ message: "タグが見つかりません" });
+  if (!(await canManageTag(userId, tag))) return res.status(403).json({ message: "forbidden" });
+
+  const name = normalizeTagName(req.body?.name);
+  const nameError = validateTagName(name);
+  if (nameError) return res.status(400).json({ message: nameError });
+
+  try {
+    await pool.query("UPDATE tags SET name = ? WHERE id = ?", [name, tag.id]);
+  } catch (e) {
+    if (e.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ message: "同じ名前のタグが既にあります", code: "TAG_EXISTS" });
+    }
+    throw e;
+  }
+  res.json({ ok: true, tag: formatTag({ ...tag, name }) });
+}));
+
+// タグを消すと、ノート・クイズへの付与も一緒に消える（ON DELETE CASCADE）
+app.delete("/api/tags/:id", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const tag = await getVisibleTag(userId, Number(req.params.id));
+  if (!tag) return res.status(404).json({ message: "タグが見つかりません" });
+  if (!(await canManageTag(userId, tag))) return res.status(403).json({ message: "forbidden" });
+
+  await pool.query("DELETE FROM tags WHERE id = ?", [tag.id]);
+  res.json({ ok: true });
+}));
+
+// 付けるタグを tag_id か name で受け取る（name のときは自分用タグ、shared=true ならノートのコミュのタグ）
+async function resolveTagToAttach(userId, body, note) {
+  if (body?.tag_id) {
+    const tag = await getVisibleTag(userId, Number(body.tag_id));
+    if (!tag) return { error: { status: 404, body: { message: "タグが見つかりません" } } };
+    return { tag };
+  }
+  const name = normalizeTagName(body?.name);
+  const nameError = validateTagName(name);
+  if (nameError) return { error: { status: 400, body: { message: nameError } } };
+  if (body?.shared && !note.community_id) {
+    return { error: { status: 400, body: { message: "共有タグはコミュニティのノートにだけ付けられます" } } };
+  }
+  const { tag } = await findOrCreateTag(userId, name, body?.shared ? note.community_id : null);
+  return { tag };
+}
+
+app.get("/api/notes/:id/tags", wrap(async (req, res) => {
+  const note = await getNoteById(Number(req.params.id));
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const [row] = await attachTags([{ id: note.id }], { userId: req.session?.userId || null });
+  res.json({ tags: row.tags });
+}));
+
+app.post("/api/notes/:id/tags", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const note = await getNoteById(Number(req.params.id));
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const { tag, error } = await resolveTagToAttach(userId, req.body, note);
+  if (error) return res.status(error.status).json(error.body);
+  if (!tagFitsNote(tag, note)) {
+    return res.status(400).json({ message: "このコミュニティのタグは、このノートには付けられません" });
+  }
+
+  await pool.query(
+    "INSERT IGNORE INTO note_tags (note_id, tag_id, created_by) VALUES (?, ?, ?)",
+    [note.id, tag.id, userId]
+  );
+  res.json({ ok: true, tag: formatTag(tag) });
+}));
+
+app.delete("/api/notes/:id/tags/:tagId", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const note = await getNoteById(Number(req.params.id));
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const tag = await getVisibleTag(userId, Number(req.params.tagId));
+  if (!tag) return res.status(404).json({ message: "タグが見つかりません" });
+
+  const [links] = await pool.query("SELECT created_by FROM note_tags WHERE note_id = ? AND tag_id = ?", [note.id, tag.id]);
+  if (!links.length) return res.json({ ok: true });
+  if (!(await canDetachTag(userId, { ownerUserId: note.user_id, attachedBy: links[0].created_by, tag }))) {
+    return res.status(403).json({ message: "このタグを外す権限がありません" });
+  }
+
+  await pool.query("DELETE FROM note_tags WHERE note_id = ? AND tag_id = ?", [note.id, tag.id]);
+  res.json({ ok: true });
+}));
+
+// クイズへのタグ付けは、回答できるクイズ（自分のクイズ・閲覧できるコミュ公開クイズ）のみ
+async function getQuizForTagging(req, quizId) {
+  const [rows] = await pool.query(
+    "SELECT id, user_id, note_id, COALESCE(visibility, 'private') AS visibility FROM note_quizzes WHERE id = ? LIMIT 1",
+    [quizId]
+  );
+  const quiz = rows[0] || null;
+  const perm = await canAnswerQuiz(req, quiz);
+  if (!perm.ok) return { perm };
+  return { perm, quiz, note: await getNoteById(quiz.note_id) };
+}
+
+app.get("/api/quizzes/:id/tags", requireLogin, wrap(async (req, res) => {
+  const { perm, quiz } = await getQuizForTagging(req, Number(req.params.id));
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const [row] = await attachTags([{ id: quiz.id }], { userId: req.session.userId, kind: "quiz" });
+  res.json({ tags: row.tags });
+}));
+
+app.post("/api/quizzes/:id/tags", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const { perm, quiz, note } = await getQuizForTagging(req, Number(req.params.id));
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const { tag, error } = await resolveTagToAttach(userId, req.body, note || {});
+  if (error) return res.status(error.status).json(error.body);
+  if (!tagFitsNote(tag, note || {})) {
+    return res.status(400).json({ message: "このコミュニティのタグは、このクイズには付けられません" });
+  }
+
+  await pool.query(
+    "INSERT IGNORE INTO quiz_tags (quiz_id, tag_id, created_by) VALUES (?, ?, ?)",
+    [quiz.id, tag.id, userId]
+  );
+  res.json({ ok: true, tag: formatTag(tag) });
+}));
+
+app.delete("/api/quizzes/:id/tags/:tagId", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const { perm, quiz } = await getQuizForTagging(req, Number(req.params.id));
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const tag = await getVisibleTag(userId, Number(req.params.tagId));
+  if (!tag) return res.status(404).json({ message: "タグが見つかりません" });
+
+  const [links] = await pool.query("SELECT created_by FROM quiz_tags WHERE quiz_id = ? AND tag_id = ?", [quiz.id, tag.id]);
+  if (!links.length) return res.json({ ok: true });
+  if (!(await canDetachTag(userId, { ownerUserId: quiz.user_id, attachedBy: links[0].created_by, tag }))) {
+    return res.status(403).json({ message: "このタグを外す権限がありません" });
+  }
+
+  await pool.query("DELETE FROM quiz_tags WHERE quiz_id = ? AND tag_id = ?", [quiz.id, tag.id]);
+  res.json({ ok: true });
+}));
+
+// ---------- Note Revisions (変更履歴) ----------
+
+// 履歴一覧（本文は含めない。閲覧権限 = ノート閲覧権限と同じ）
+app.get("/api/notes/:id/revisions", wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const [rows] = await pool.query(
+    `SELECT r.id, r.user_id, u.username, r.title, r.action, r.restored_from_id,
+            CHAR_LENGTH(r.body_raw) AS body_length, r.created_at
+       FROM note_revisions r
+       LEFT JOIN users u ON u.id = r.user_id
+      WHERE r.note_id = ?
+      ORDER BY r.id DESC
+      LIMIT 100`,
+    [noteId]
+  );
+
+  res.json({ revisions: rows });
 }));
 
-// 自分のノート削除（ログイン必須・本人のみ）
-app.delete("/api/notes/:id", requireLogin, wrap(async (req, res) => {
-  const userId = req.session.userId;
+// 2つの版の差分（from/to は revision id。to 省略時は現在のノート本文と比較）
+app.get("/api/notes/:id/revisions/diff", wrap(async (req, res) => {
   const noteId = Number(req.params.id);
-
   const note = await getNoteById(noteId);
-  if (!note) return res.status(404).json({ message: "not found" });
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
 
-  if (note.user_id !== userId) return res.status(403).json({ message: "forbidden" });
+  const fromId = Number(req.query.from);
+  const toId = req.query.to ? Number(req.query.to) : null;
+  if (!fromId) return res.status(400).json({ message: "from is required" });
 
-  // note_quizzes は ON DELETE CASCADE の場合自動で消える（無くても notes削除はOK）
-  await pool.query("DELETE FROM notes WHERE id = ?", [noteId]);
-  res.json({ ok: true });
+  const ids = toId ? [fromId, toId] : [fromId];
+  const [rows] = await pool.query(
+    `SELECT id, title, body_raw, created_at FROM note_revisions WHERE note_id = ? AND id IN (?)`,
+    [noteId, ids]
+  );
+  const from = rows.find((r) => r.id === fromId);
+  const to = toId
+    ? rows.find((r) => r.id === toId)
+    : { id: null, title: note.title, body_raw: note.body_raw, created_at: null };
+  if (!from || !to) return res.status(404).json({ message: "revision not found" });
+
+  const lines = diffLines(from.body_raw, to.body_raw);
+  res.json({
+    from: { id: from.id, title: from.title, created_at: from.created_at },
+    to: { id: to.id, title: to.title, created_at: to.created_at },
+    titleChanged: from.title !== to.title,
+    summary: summarizeDiff(lines),
+    lines,
+  });
 }));
 
-// 公開/非公開の切り替え（ログイン必須・本人のみ）
-// community_id があるノートは切り替え禁止（コミュ所属で守る）
-app.patch("/api/notes/:id/visibility", requireLogin, wrap(async (req, res) => {
-  const userId = req.session.userId;
+// 過去の版に戻す（作者のみ）。戻した内容も新しい版として履歴に残す
+app.post("/api/notes/:id/revisions/:revId/restore", requireLogin, wrap(async (req, res) => {
   const noteId = Number(req.params.id);
-  const visibility = req.body?.visibility;
-
-  if (visibility !== "private" && visibility !== "public") {
-    return res.status(400).json({ message: "invalid visibility" });
-  }
-  const vis = visibility;
-
+  const revId = Number(req.params.revId);
   const note = await getNoteById(noteId);
-  if (!note) return res.status(404).json({ message: "not found" });
+  const perm = canEditNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
 
-  if (note.user_id !== userId) return res.status(403).json({ message: "forbidden" });
+  const [rows] = await pool.query(
+    "SELECT id, title, body_raw FROM note_revisions WHERE id = ? AND note_id = ? LIMIT 1",
+    [revId, noteId]
+  );
+  if (!rows.length) return res.status(404).json({ message: "revision not found" });
+  const rev = rows[0];
+
+  const body_md = buildMarkdown({
+    course_name: note.course_name,
+    lecture_no: note.lecture_no,
+    lecture_date: toJstDateKey(note.lecture_date),
+    title: rev.title,
+    body_raw: rev.body_raw,
+    source_type: note.source_type,
+  });
 
-  if (note.community_id) {
-    return res.status(400).json({ message: "community note visibility cannot be changed" });
-  }
+  await pool.query(
+    "UPDATE notes SET title = ?, body_raw = ?, body_md = ? WHERE id = ?",
+    [rev.title, rev.body_raw, body_md, noteId]
+  );
+  await recordNoteRevision({
+    noteId,
+    userId: req.session.userId,
+    title: rev.title,
+    body_raw: rev.body_raw,
+    action: "restore",
+    restoredFromId: rev.id,
+  });
 
-  await pool.query("UPDATE notes SET visibility = ? WHERE id = ?", [vis, noteId]);
-  res.json({ ok: true, visibility: vis });
+  res.json({ ok: true, id: noteId, restoredFrom: rev.id, title: rev.title, body_md });
 }));
 
 // ---------- Quiz APIs ----------
@@ -1306,30 +2973,35 @@ app.get("/api/notes/:id/quizzes", wrap(async (req, res) => {
   const userId = req.session?.userId || null;
   const choiceSelect = await buildNoteQuizSelectChoiceFragments();
   const [rows] = await pool.query(
-    `SELECT id,
-            type,
-            question,
-            answer,
-            source_line,
+    `SELECT nq.id,
+            nq.type,
+            nq.difficulty,
+            nq.question,
+            nq.answer,
+            nq.explanation,
+            nq.source_line,
             ${choiceSelect.choice1},
             ${choiceSelect.choice2},
             ${choiceSelect.choice3},
             ${choiceSelect.choice4},
             ${choiceSelect.choices},
             ${choiceSelect.options},
-            created_at,
-            updated_at
-       FROM note_quizzes
-      WHERE note_id = ?
+            ${QUIZ_ATTEMPT_STATS_COLUMNS},
+            nq.created_at,
+            nq.updated_at
+       FROM note_quizzes nq
+       ${QUIZ_ATTEMPT_STATS_JOIN}
+      WHERE nq.note_id = ?
         AND (
-          COALESCE(visibility, 'private') = 'community'
-          OR user_id = ?
+          COALESCE(nq.visibility, 'private') = 'community'
+          OR nq.user_id = ?
         )
-      ORDER BY id ASC`,
-    [noteId, userId]
+      ORDER BY nq.id ASC`,
+    [userId, noteId, userId]
   );
 
-  res.json(rows.map(normalizeQuizChoices));
+  const seed = readShuffleSeed(req.query);
+  res.json(rows.map((row) => withAttemptStats(shuffleQuizChoicesForDelivery(normalizeQuizChoices(row), seed))));
 }));
 
 app.get("/api/notes/:id/user-quizzes", requireLogin, wrap(async (req, res) => {
@@ -1351,6 +3023,7 @@ app.get("/api/notes/:id/user-quizzes", requireLogin, wrap(async (req, res) => {
             ${choiceSelect.choices},
             ${choiceSelect.options},
             answer AS correct_answer,
+            explanation,
             created_at
        FROM note_quizzes
       WHERE note_id = ? AND user_id = ?
@@ -1897,11 +3570,15 @@ app.patch("/api/quizzes/:quizId", requireLogin, wrap(async (req, res) => {
 
   if (!question) return res.status(400).json({ message: "question required" });
 
+  // explanation は送られてきたときだけ更新する（空文字なら解説を消す）
+  const hasExplanation = req.body && Object.prototype.hasOwnProperty.call(req.body, "explanation");
+  const explanation = hasExplanation ? String(req.body.explanation ?? "").trim().slice(0, 1000) || null : null;
   await pool.query(
     `UPDATE note_quizzes
-        SET question = ?, answer = ?, type = COALESCE(NULLIF(?, ''), type)
+        SET question = ?, answer = ?, type = COALESCE(NULLIF(?, ''), type),
+            explanation = IF(?, ?, explanation)
       WHERE id = ?`,
-    [question, answer, type, quizId]
+    [question, answer, type, hasExplanation, explanation, quizId]
   );
 
   res.json({ ok: true });
@@ -1920,75 +3597,613 @@ app.delete("/api/note-quizzes/:quizId", requireLogin, wrap(async (req, res) => {
   );
   if (!qrows.length) return res.status(404).json({ message: "not found" });
 
-  const ownerId = qrows[0].note_user_id;
-  if (ownerId !== req.session.userId) return res.status(403).json({ message: "forbidden" });
+  const ownerId = qrows[0].note_user_id;
+  if (ownerId !== req.session.userId) return res.status(403).json({ message: "forbidden" });
+
+  await pool.query("DELETE FROM note_quizzes WHERE id = ?", [quizId]);
+  res.json({ ok: true });
+}));
+
+// 退会（アカウント削除）: 自分の投稿削除→コミュ所属削除→ユーザー削除→ログアウト
+app.delete("/api/account", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // 自分の投稿削除（note_quizzes はFK ON DELETE CASCADEなら一緒に消える）
+    await conn.query("DELETE FROM notes WHERE user_id = ?", [userId]);
+
+    // オーナーのコミュニティは、残るメンバーに引き継いでから抜ける
+    await handOverOwnedCommunities(conn, userId);
+
+    // 自分のコミュ所属削除
+    await conn.query("DELETE FROM user_communities WHERE user_id = ?", [userId]);
+
+    // ユーザー削除
+    await conn.query("DELETE FROM users WHERE id = ?", [userId]);
+
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+
+  req.session.destroy(() => res.json({ ok: true }));
+}));
+
+app.delete("/api/communities/:id", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  if (!communityId) return res.status(400).json({ message: "invalid id" });
+
+  const userId = req.session.userId;
+  const access = await requireCommunityPermission(userId, communityId, "delete_community");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // ① 先にコミュ内ノート削除（note_quizzes はCASCADEで消える）
+    await conn.query(`DELETE FROM notes WHERE community_id = ?`, [communityId]);
+
+    // ② user_communities は communities削除でCASCADEでも消えるが、先に消してもOK
+    // await conn.query(`DELETE FROM user_communities WHERE community_id = ?`, [communityId]);
+
+    // ③ コミュ本体削除（ここで user_communities はCASCADE）
+    await conn.query(`DELETE FROM communities WHERE id = ?`, [communityId]);
+
+    await conn.commit();
+    res.json({ ok: true });
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}));
+
+// コミュニティ検索（未ログインでも利用可）
+app.get("/api/communities", wrap(async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.json({ communities: [] });
+
+  const like = `%${q}%`;
+  const userId = req.session?.userId || null;
+  const loggedIn = !!userId;
+
+  const [rows] = await pool.query(
+    `SELECT
+        c.id, c.name, c.slug, c.created_at,
+        CASE WHEN uc.user_id IS NULL THEN 0 ELSE 1 END AS is_member,
+        CASE WHEN r.id IS NULL THEN 0 ELSE 1 END AS has_pending
+     FROM communities c
+     LEFT JOIN user_communities uc
+       ON uc.community_id = c.id AND uc.user_id = ?
+     LEFT JOIN community_join_requests r
+       ON r.community_id = c.id AND r.user_id = ? AND r.status = 'pending'
+     WHERE c.name LIKE ?
+     ORDER BY c.name ASC
+     LIMIT 50`,
+    [userId, userId, like]
+  );
+
+  res.json({ communities: rows, loggedIn });
+}));
+
+//--------参加申請API--------
+app.post("/api/communities/:id/join-requests", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const userId = req.session.userId;
+  const message = String(req.body?.message || "").trim().slice(0, 500);
+
+  if (!communityId) return res.status(400).json({ message: "invalid community id" });
+
+  // すでに所属してたらNG
+  const member = await getCommunityMember(userId, communityId);
+  if (member) return res.status(400).json({ message: "already a member" });
+
+  // 申請作成（pending重複はUNIQUEで防ぐ）
+  try {
+    const [r] = await pool.query(
+      `INSERT INTO community_join_requests (community_id, user_id, message, status)
+       VALUES (?, ?, ?, 'pending')`,
+      [communityId, userId, message || null]
+    );
+    res.status(201).json({ ok: true, request_id: r.insertId });
+  } catch (e) {
+    // たぶん pending重複
+    return res.status(400).json({ message: "already requested" });
+  }
+}));
+
+// コミュニティ退会（自分の所属を削除）
+app.post("/api/communities/:id/leave", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const userId = req.session.userId;
+
+  if (!communityId) return res.status(400).json({ message: "invalid community id" });
+
+  // 所属しているか・抜けると管理者がいなくならないか
+  const member = await getCommunityMember(userId, communityId);
+  const counts = member ? await countCommunityMembers(communityId) : {};
+  const check = checkLeave({ member, ...counts });
+  if (!check.ok) return res.status(check.status).json({ message: check.message, code: check.code });
+
+  // 退会
+  await pool.query(
+    `DELETE FROM user_communities
+      WHERE user_id = ? AND community_id = ?
+      LIMIT 1`,
+    [userId, communityId]
+  );
+  await recordCommunityEvent({ communityId, type: "left", actorUserId: userId, targetUserId: userId });
+
+  res.json({ ok: true });
+}));
+
+// ---------- Community members（役割の変更・メンバー削除・オーナー譲渡） ----------
+
+// コミュニティでの立場（オーナーかどうかを含む）。所属していなければ null
+// ★owner_user_id 列が無い環境（add_community_owner.sql 未適用）では getCommunityAccess と同じく管理者をオーナー扱いにする
+async function getCommunityMember(userId, communityId, conn = pool) {
+  const selectMember = (ownerExpr) => conn.query(
+    `SELECT uc.user_id, uc.role, uc.joined_at, ${ownerExpr} AS is_owner
+       FROM user_communities uc
+       JOIN communities c ON c.id = uc.community_id
+      WHERE uc.user_id = ? AND uc.community_id = ?
+      LIMIT 1`,
+    [userId, communityId]
+  );
+  let rows;
+  try {
+    [rows] = await selectMember("(c.owner_user_id = uc.user_id)");
+  } catch (error) {
+    if (error?.code !== "ER_BAD_FIELD_ERROR") throw error;
+    console.error("community_owner_column_missing", { communityId, error: error.message });
+    [rows] = await selectMember("(uc.role = 'admin')");
+  }
+  return rows.length ? { ...rows[0], is_owner: Boolean(rows[0].is_owner) } : null;
+}
+
+async function countCommunityMembers(communityId, conn = pool) {
+  const [rows] = await conn.query(
+    `SELECT COUNT(*) AS member_count, COALESCE(SUM(role = 'admin'), 0) AS admin_count
+       FROM user_communities
+      WHERE community_id = ?`,
+    [communityId]
+  );
+  return { memberCount: Number(rows[0].member_count), adminCount: Number(rows[0].admin_count) };
+}
+
+// アカウント削除時：オーナーになっているコミュニティを残るメンバーに引き継ぐ
+// （他に誰もいないコミュニティはオーナーなしのまま。FK で owner_user_id は NULL になる）
+// ★owner_user_id 列が無い環境（add_community_owner.sql 未適用）では引き継ぐものが無いので何もしない
+async function handOverOwnedCommunities(conn, userId) {
+  let owned;
+  try {
+    [owned] = await conn.query(
+      "SELECT id FROM communities WHERE owner_user_id = ? FOR UPDATE",
+      [userId]
+    );
+  } catch (error) {
+    if (error?.code !== "ER_BAD_FIELD_ERROR") throw error;
+    console.error("community_owner_column_missing", { userId, error: error.message });
+    return;
+  }
+  for (const community of owned) {
+    const [members] = await conn.query(
+      "SELECT user_id, role FROM user_communities WHERE community_id = ? ORDER BY id ASC",
+      [community.id]
+    );
+    const next = pickNextOwner(members, userId);
+    if (!next) continue;
+    await conn.query(
+      "UPDATE user_communities SET role = 'admin' WHERE community_id = ? AND user_id = ?",
+      [community.id, next.user_id]
+    );
+    await conn.query("UPDATE communities SET owner_user_id = ? WHERE id = ?", [next.user_id, community.id]);
+  }
+}
+
+// メンバー一覧（メンバーなら誰でも見られる）
+app.get("/api/communities/:id/members", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const userId = req.session.userId;
+  if (!communityId) return res.status(400).json({ message: "invalid community id" });
+
+  const me = await getCommunityMember(userId, communityId);
+  if (!me) return res.status(403).json({ message: "members only" });
+
+  // ★オーナー・設定・参加コード変更日時の列が無い環境（マイグレーション未適用）では、
+  //   設定は既定値・管理者をオーナー扱い（getCommunityAccess と同じ）にして一覧は返す
+  let communities;
+  let legacy = false;
+  try {
+    [communities] = await pool.query(
+      `SELECT id, name, owner_user_id, created_at, join_code_rotated_at,
+              approve_join_requests_role, post_notes_role, generate_quizzes_role
+         FROM communities
+        WHERE id = ?
+        LIMIT 1`,
+      [communityId]
+    );
+  } catch (error) {
+    if (error?.code !== "ER_BAD_FIELD_ERROR") throw error;
+    console.error("community_members_legacy_schema", { communityId, error: error.message });
+    legacy = true;
+    [communities] = await pool.query("SELECT id, name, created_at FROM communities WHERE id = ? LIMIT 1", [communityId]);
+  }
+  if (!communities.length) return res.status(404).json({ message: "community not found" });
+  const row = communities[0];
+  const community = {
+    id: row.id,
+    name: row.name,
+    owner_user_id: row.owner_user_id ?? null,
+    created_at: row.created_at,
+    join_code_rotated_at: row.join_code_rotated_at ?? null,
+  };
+  const settings = resolveCommunitySettings(row);
+
+  const [rows] = await pool.query(
+    `SELECT uc.user_id, u.username, uc.role, uc.joined_at
+       FROM user_communities uc
+       JOIN users u ON u.id = uc.user_id
+      WHERE uc.community_id = ?
+      ORDER BY (uc.user_id = ?) DESC, (uc.role = 'admin') DESC, uc.joined_at ASC, uc.id ASC`,
+    [communityId, community.owner_user_id]
+  );
+
+  res.json({
+    community,
+    settings,
+    me: { user_id: me.user_id, role: me.role, is_owner: me.is_owner, permissions: listCommunityPermissions(me, settings) },
+    members: rows.map((r) => ({
+      ...r,
+      is_owner: legacy ? r.role === "admin" : Number(r.user_id) === Number(community.owner_user_id),
+    })),
+  });
+}));
+
+// コミュニティ設定（承認・ノート投稿・AIクイズ生成をどの役割以上に許すか）の変更: admin のみ
+app.patch("/api/communities/:id/settings", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  if (!communityId) return res.status(400).json({ message: "invalid community id" });
+
+  const access = await requireCommunityPermission(req.session.userId, communityId, "manage_settings");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+
+  const { value, errors } = normalizeCommunitySettings(req.body || {});
+  if (errors.length) return res.status(400).json({ message: errors[0], errors });
+
+  const entries = Object.entries(value);
+  await pool.query(
+    `UPDATE communities SET ${entries.map(([key]) => `${key}_role = ?`).join(", ")} WHERE id = ?`,
+    [...entries.map(([, role]) => role), communityId]
+  );
+  res.json({ ok: true, settings: { ...access.settings, ...value } });
+}));
+
+// 役割の変更（admin / moderator / member）
+app.patch("/api/communities/:id/members/:userId", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const targetUserId = Number(req.params.userId);
+  if (!communityId || !targetUserId) return res.status(400).json({ message: "invalid id" });
+
+  const role = normalizeCommunityRole(req.body?.role);
+  if (!role) return res.status(400).json({ message: "role は admin / moderator / member のいずれかです" });
+
+  const actor = await getCommunityMember(req.session.userId, communityId);
+  const target = await getCommunityMember(targetUserId, communityId);
+  const check = checkMemberChange({ actor, target, action: "change_role" });
+  if (!check.ok) return res.status(check.status).json({ message: check.message, code: check.code });
+
+  if (target.role !== role) {
+    await pool.query(
+      "UPDATE user_communities SET role = ? WHERE community_id = ? AND user_id = ?",
+      [role, communityId, targetUserId]
+    );
+    await recordCommunityEvent({
+      communityId,
+      type: "role_changed",
+      actorUserId: req.session.userId,
+      targetUserId,
+      detail: { from: target.role, to: role },
+    });
+  }
+  res.json({ ok: true, user_id: targetUserId, role });
+}));
+
+// メンバーをコミュニティから外す
+app.delete("/api/communities/:id/members/:userId", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const targetUserId = Number(req.params.userId);
+  if (!communityId || !targetUserId) return res.status(400).json({ message: "invalid id" });
+
+  const actor = await getCommunityMember(req.session.userId, communityId);
+  const target = await getCommunityMember(targetUserId, communityId);
+  const check = checkMemberChange({ actor, target, action: "remove" });
+  if (!check.ok) return res.status(check.status).json({ message: check.message, code: check.code });
 
-  await pool.query("DELETE FROM note_quizzes WHERE id = ?", [quizId]);
-  res.json({ ok: true });
+  await pool.query(
+    "DELETE FROM user_communities WHERE community_id = ? AND user_id = ? LIMIT 1",
+    [communityId, targetUserId]
+  );
+  await recordCommunityEvent({ communityId, type: "removed", actorUserId: req.session.userId, targetUserId });
+  res.json({ ok: true, removed: targetUserId });
 }));
 
-// 退会（アカウント削除）: 自分の投稿削除→コミュ所属削除→ユーザー削除→ログアウト
-app.delete("/api/account", requireLogin, wrap(async (req, res) => {
-  const userId = req.session.userId;
+// オーナー譲渡（譲渡先は admin になり、元のオーナーは admin のまま残る）
+app.post("/api/communities/:id/transfer-ownership", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const targetUserId = Number(req.body?.user_id);
+  if (!communityId || !targetUserId) return res.status(400).json({ message: "invalid id" });
 
   const conn = await pool.getConnection();
   try {
     await conn.beginTransaction();
+    // 同時に譲渡されないようコミュ行をロック
+    await conn.query("SELECT id FROM communities WHERE id = ? FOR UPDATE", [communityId]);
 
-    // 自分の投稿削除（note_quizzes はFK ON DELETE CASCADEなら一緒に消える）
-    await conn.query("DELETE FROM notes WHERE user_id = ?", [userId]);
-
-    // 自分のコミュ所属削除
-    await conn.query("DELETE FROM user_communities WHERE user_id = ?", [userId]);
+    const actor = await getCommunityMember(req.session.userId, communityId, conn);
+    const target = await getCommunityMember(targetUserId, communityId, conn);
+    const check = checkOwnershipTransfer({ actor, target });
+    if (!check.ok) {
+      await conn.rollback();
+      return res.status(check.status).json({ message: check.message, code: check.code });
+    }
 
-    // ユーザー削除
-    await conn.query("DELETE FROM users WHERE id = ?", [userId]);
+    await conn.query(
+      "UPDATE user_communities SET role = 'admin' WHERE community_id = ? AND user_id = ?",
+      [communityId, targetUserId]
+    );
+    await conn.query("UPDATE communities SET owner_user_id = ? WHERE id = ?", [targetUserId, communityId]);
+    await recordCommunityEvent({
+      communityId,
+      type: "ownership_transferred",
+      actorUserId: req.session.userId,
+      targetUserId,
+    }, conn);
 
     await conn.commit();
+    res.json({ ok: true, owner_user_id: targetUserId });
   } catch (e) {
     await conn.rollback();
     throw e;
   } finally {
     conn.release();
   }
+}));
 
-  req.session.destroy(() => res.json({ ok: true }));
+// ---------- Community invites（招待リンク） ----------
+
+const INVITE_COLUMNS = `i.id, i.community_id, i.created_by, i.label, i.auto_approve, i.max_uses, i.use_count,
+  i.expires_at, i.revoked_at, i.revoked_by, i.created_at`;
+
+function formatInvite(row, now = new Date()) {
+  return {
+    id: row.id,
+    community_id: row.community_id,
+    label: row.label,
+    auto_approve: Boolean(row.auto_approve),
+    max_uses: row.max_uses,
+    use_count: Number(row.use_count || 0),
+    expires_at: row.expires_at,
+    revoked_at: row.revoked_at,
+    created_at: row.created_at,
+    created_by_name: row.created_by_name ?? undefined,
+    status: inviteStatus(row, now),
+  };
+}
+
+async function findInviteByToken(token, conn = pool, { forUpdate = false } = {}) {
+  if (!isInviteTokenFormat(token)) return null;
+  const [rows] = await conn.query(
+    `SELECT ${INVITE_COLUMNS}, c.name AS community_name
+       FROM community_invites i
+       JOIN communities c ON c.id = i.community_id
+      WHERE i.token_hash = ?
+      LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [hashInviteToken(token)]
+  );
+  return rows[0] || null;
+}
+
+// 招待リンクの作成: admin のみ。トークンはこのレスポンスでしか返さない
+app.post("/api/communities/:id/invites", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const userId = req.session.userId;
+  if (!communityId) return res.status(400).json({ message: "invalid community id" });
+
+  const access = await requireCommunityPermission(userId, communityId, "manage_invites");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+
+  const { value, errors } = normalizeInviteRequest(req.body || {});
+  if (errors.length) return res.status(400).json({ message: errors[0], errors });
+
+  const token = generateInviteToken();
+  const [result] = await pool.query(
+    `INSERT INTO community_invites (community_id, created_by, token_hash, label, auto_approve, max_uses, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? HOUR)))`,
+    [
+      communityId,
+      userId,
+      hashInviteToken(token),
+      value.label,
+      value.autoApprove ? 1 : 0,
+      value.maxUses,
+      value.expiresInHours,
+      value.expiresInHours,
+    ]
+  );
+
+  const [rows] = await pool.query(`SELECT ${INVITE_COLUMNS} FROM community_invites i WHERE i.id = ?`, [result.insertId]);
+  res.status(201).json({ ok: true, token, url: `/invite/${token}`, invite: formatInvite(rows[0]) });
 }));
 
-async function isCommunityAdmin(userId, communityId) {
+// 招待リンクの一覧（無効・期限切れも含む）: admin のみ
+app.get("/api/communities/:id/invites", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  if (!communityId) return res.status(400).json({ message: "invalid community id" });
+
+  const access = await requireCommunityPermission(req.session.userId, communityId, "manage_invites");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+
   const [rows] = await pool.query(
-    `SELECT 1
-       FROM user_communities
-      WHERE user_id = ? AND community_id = ? AND role='admin'
-      LIMIT 1`,
-    [userId, communityId]
+    `SELECT ${INVITE_COLUMNS}, u.username AS created_by_name
+       FROM community_invites i
+       LEFT JOIN users u ON u.id = i.created_by
+      WHERE i.community_id = ?
+      ORDER BY i.created_at DESC, i.id DESC
+      LIMIT 100`,
+    [communityId]
   );
-  return rows.length > 0;
-}
+  const now = new Date();
+  res.json({ invites: rows.map((row) => formatInvite(row, now)) });
+}));
 
-app.delete("/api/communities/:id", requireLogin, wrap(async (req, res) => {
+// 招待リンクの無効化（使った人の記録は残す）
+app.delete("/api/communities/:id/invites/:inviteId", requireLogin, wrap(async (req, res) => {
   const communityId = Number(req.params.id);
-  if (!communityId) return res.status(400).json({ message: "invalid id" });
+  const inviteId = Number(req.params.inviteId);
+  const userId = req.session.userId;
+  if (!communityId || !inviteId) return res.status(400).json({ message: "invalid id" });
+
+  const access = await requireCommunityPermission(userId, communityId, "manage_invites");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+
+  const [r] = await pool.query(
+    `UPDATE community_invites
+        SET revoked_at = COALESCE(revoked_at, NOW()), revoked_by = COALESCE(revoked_by, ?)
+      WHERE id = ? AND community_id = ?`,
+    [userId, inviteId, communityId]
+  );
+  if (!r.affectedRows) return res.status(404).json({ message: "not found" });
+  res.json({ ok: true, id: inviteId });
+}));
+
+// どの招待から誰が参加・申請したか: admin のみ
+app.get("/api/communities/:id/invites/:inviteId/uses", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const inviteId = Number(req.params.inviteId);
+  if (!communityId || !inviteId) return res.status(400).json({ message: "invalid id" });
+
+  const access = await requireCommunityPermission(req.session.userId, communityId, "manage_invites");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+
+  const [rows] = await pool.query(
+    `SELECT iu.id, iu.user_id, u.username, iu.result, iu.join_request_id, r.status AS join_request_status, iu.created_at
+       FROM community_invite_uses iu
+       JOIN community_invites i ON i.id = iu.invite_id
+       JOIN users u ON u.id = iu.user_id
+       LEFT JOIN community_join_requests r ON r.id = iu.join_request_id
+      WHERE iu.invite_id = ? AND i.community_id = ?
+      ORDER BY iu.created_at DESC, iu.id DESC
+      LIMIT 500`,
+    [inviteId, communityId]
+  );
+  res.json({ uses: rows });
+}));
+
+// 招待リンクの中身（未ログインでも見られる。参加ボタンの出し分け用）
+app.get("/api/invites/:token", wrap(async (req, res) => {
+  const invite = await findInviteByToken(req.params.token);
+  if (!invite) return res.status(404).json({ message: "招待リンクが見つかりません", code: "INVITE_NOT_FOUND" });
+
+  const userId = req.session?.userId || null;
+  const [[counts]] = await pool.query(
+    `SELECT (SELECT COUNT(*) FROM user_communities WHERE community_id = ?) AS member_count,
+            (SELECT COUNT(*) FROM user_communities WHERE community_id = ? AND user_id = ?) AS is_member,
+            (SELECT COUNT(*) FROM community_join_requests WHERE community_id = ? AND user_id = ? AND status = 'pending') AS has_pending`,
+    [invite.community_id, invite.community_id, userId, invite.community_id, userId]
+  );
+  const usable = checkInviteUsable(invite);
+
+  res.json({
+    loggedIn: Boolean(userId),
+    community: { id: invite.community_id, name: invite.community_name, member_count: Number(counts.member_count) },
+    auto_approve: Boolean(invite.auto_approve),
+    expires_at: invite.expires_at,
+    status: inviteStatus(invite),
+    usable: usable.ok,
+    message: usable.ok ? null : usable.message,
+    is_member: Number(counts.is_member) > 0,
+    has_pending: Number(counts.has_pending) > 0,
+  });
+}));
 
+// 招待リンクから参加する。auto_approve ならそのまま参加、そうでなければ参加申請を作る
+app.post("/api/invites/:token/accept", requireLogin, wrap(async (req, res) => {
   const userId = req.session.userId;
-  const admin = await isCommunityAdmin(userId, communityId);
-  if (!admin) return res.status(403).json({ message: "admin only" });
 
   const conn = await pool.getConnection();
   try {
     await conn.beginTransaction();
+    // 使用回数を数え間違えないよう招待の行をロック
+    const invite = await findInviteByToken(req.params.token, conn, { forUpdate: true });
+    const usable = checkInviteUsable(invite);
+    if (!usable.ok) {
+      await conn.rollback();
+      return res.status(usable.status).json({ message: usable.message, code: usable.code });
+    }
 
-    // ① 先にコミュ内ノート削除（note_quizzes はCASCADEで消える）
-    await conn.query(`DELETE FROM notes WHERE community_id = ?`, [communityId]);
+    const communityId = invite.community_id;
+    const [memberRows] = await conn.query(
+      "SELECT 1 FROM user_communities WHERE user_id = ? AND community_id = ? LIMIT 1",
+      [userId, communityId]
+    );
+    if (memberRows.length) {
+      await conn.rollback();
+      return res.json({ ok: true, result: "already_member", community_id: communityId, name: invite.community_name });
+    }
 
-    // ② user_communities は communities削除でCASCADEでも消えるが、先に消してもOK
-    // await conn.query(`DELETE FROM user_communities WHERE community_id = ?`, [communityId]);
+    let result;
+    let joinRequestId = null;
+    if (invite.auto_approve) {
+      await conn.query(
+        "INSERT INTO user_communities (user_id, community_id, role) VALUES (?, ?, 'member')",
+        [userId, communityId]
+      );
+      await recordCommunityEvent({
+        communityId,
+        type: "joined",
+        actorUserId: userId,
+        targetUserId: userId,
+        detail: { via: "invite", invite_id: invite.id },
+      }, conn);
+      result = "joined";
+    } else {
+      const [pending] = await conn.query(
+        `SELECT id FROM community_join_requests
+          WHERE community_id = ? AND user_id = ? AND status = 'pending'
+          LIMIT 1`,
+        [communityId, userId]
+      );
+      if (pending.length) {
+        await conn.rollback();
+        return res.json({ ok: true, result: "already_requested", community_id: communityId, name: invite.community_name });
+      }
+      const [r] = await conn.query(
+        `INSERT INTO community_join_requests (community_id, user_id, message, status)
+         VALUES (?, ?, ?, 'pending')`,
+        [communityId, userId, `招待リンク${invite.label ? `（${invite.label}）` : ""}から申請`]
+      );
+      joinRequestId = r.insertId;
+      result = "requested";
+    }
 
-    // ③ コミュ本体削除（ここで user_communities はCASCADE）
-    await conn.query(`DELETE FROM communities WHERE id = ?`, [communityId]);
+    await conn.query("UPDATE community_invites SET use_count = use_count + 1 WHERE id = ?", [invite.id]);
+    await conn.query(
+      `INSERT INTO community_invite_uses (invite_id, user_id, result, join_request_id)
+       VALUES (?, ?, ?, ?)`,
+      [invite.id, userId, result, joinRequestId]
+    );
 
     await conn.commit();
-    res.json({ ok: true });
+    res.status(result === "joined" ? 201 : 202).json({ ok: true, result, community_id: communityId, name: invite.community_name });
   } catch (e) {
     await conn.rollback();
     throw e;
@@ -1997,85 +4212,217 @@ app.delete("/api/communities/:id", requireLogin, wrap(async (req, res) => {
   }
 }));
 
-// コミュニティ検索（未ログインでも利用可）
-app.get("/api/communities", wrap(async (req, res) => {
-  const q = String(req.query.q || "").trim();
-  if (!q) return res.json({ communities: [] });
+// 招待リンクのランディングページ（/invite/:token）
+app.get("/invite/:token", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "invite.html"));
+});
 
-  const like = `%${q}%`;
-  const userId = req.session?.userId || null;
-  const loggedIn = !!userId;
+// ---------- Community events（参加コードの変更・出来事ログ） ----------
 
-  const [rows] = await pool.query(
-    `SELECT
-        c.id, c.name, c.slug, c.created_at,
-        CASE WHEN uc.user_id IS NULL THEN 0 ELSE 1 END AS is_member,
-        CASE WHEN r.id IS NULL THEN 0 ELSE 1 END AS has_pending
-     FROM communities c
-     LEFT JOIN user_communities uc
-       ON uc.community_id = c.id AND uc.user_id = ?
-     LEFT JOIN community_join_requests r
-       ON r.community_id = c.id AND r.user_id = ? AND r.status = 'pending'
-     WHERE c.name LIKE ?
-     ORDER BY c.name ASC
-     LIMIT 50`,
-    [userId, userId, like]
+// 参加コードの変更: admin のみ。join_code を省略するとランダムに作って一度だけ返す
+// （変更前のコードでは参加できなくなる。招待リンクと処理中の参加申請はそのまま）
+app.post("/api/communities/:id/join-code", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
+  const userId = req.session.userId;
+  if (!communityId) return res.status(400).json({ message: "invalid community id" });
+
+  const access = await requireCommunityPermission(userId, communityId, "rotate_join_code");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+
+  const provided = String(req.body?.join_code ?? "");
+  const generated = !provided;
+  const joinCode = generated ? generateJoinCode() : provided;
+  const codeError = validateJoinCode(joinCode);
+  if (codeError) return res.status(400).json({ message: codeError });
+
+  const joinHash = await bcrypt.hash(joinCode, 10);
+  await pool.query(
+    "UPDATE communities SET join_code_hash = ?, join_code_rotated_at = NOW() WHERE id = ?",
+    [joinHash, communityId]
   );
+  await recordCommunityEvent({ communityId, type: "join_code_rotated", actorUserId: userId });
 
-  res.json({ communities: rows, loggedIn });
+  res.json({ ok: true, generated, join_code: generated ? joinCode : undefined });
 }));
 
-//--------参加申請API--------
-app.post("/api/communities/:id/join-requests", requireLogin, wrap(async (req, res) => {
+// 出来事ログ（新しい順）。参加申請の承認・却下も混ぜて返す。?cursor= で続きを取る
+app.get("/api/communities/:id/events", requireLogin, wrap(async (req, res) => {
   const communityId = Number(req.params.id);
-  const userId = req.session.userId;
-  const message = String(req.body?.message || "").trim().slice(0, 500);
-
   if (!communityId) return res.status(400).json({ message: "invalid community id" });
 
-  // すでに所属してたらNG
-  const role = await userRoleInCommunity(userId, communityId);
-  if (role) return res.status(400).json({ message: "already a member" });
+  const access = await requireCommunityPermission(req.session.userId, communityId, "view_events");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
 
-  // 申請作成（pending重複はUNIQUEで防ぐ）
+  const limit = parseFeedLimit(req.query.limit);
+  const cursor = parseFeedCursor(req.query.cursor);
+  const at = cursor ? cursor.at : null;
+
+  // 続きがあるか判定するため、それぞれ limit + 1 件まで読む
+  let eventRows = [];
   try {
-    const [r] = await pool.query(
-      `INSERT INTO community_join_requests (community_id, user_id, message, status)
-       VALUES (?, ?, ?, 'pending')`,
-      [communityId, userId, message || null]
+    [eventRows] = await pool.query(
+      `SELECT e.id, e.event_type, e.actor_user_id, a.username AS actor_name,
+              e.target_user_id, t.username AS target_name, e.detail, e.created_at
+         FROM community_events e
+         LEFT JOIN users a ON a.id = e.actor_user_id
+         LEFT JOIN users t ON t.id = e.target_user_id
+        WHERE e.community_id = ? AND (? IS NULL OR e.created_at < ? OR (e.created_at = ? AND e.id < ?))
+        ORDER BY e.created_at DESC, e.id DESC
+        LIMIT ?`,
+      [communityId, at, at, at, cursor?.ev ?? 0, limit + 1]
     );
-    res.status(201).json({ ok: true, request_id: r.insertId });
-  } catch (e) {
-    // たぶん pending重複
-    return res.status(400).json({ message: "already requested" });
+  } catch (error) {
+    // community_events 未作成でも参加申請の履歴は返す
+    console.error("community_events_load_failed", { communityId, error: error?.message });
   }
+
+  const [decisionRows] = await pool.query(
+    `SELECT r.id, r.status, r.user_id, u.username AS user_name,
+            r.decided_by, d.username AS decided_by_name, r.decided_at
+       FROM community_join_requests r
+       JOIN users u ON u.id = r.user_id
+       LEFT JOIN users d ON d.id = r.decided_by
+      WHERE r.community_id = ?
+        AND r.status IN ('approved', 'rejected')
+        AND r.decided_at IS NOT NULL
+        AND (? IS NULL OR r.decided_at < ? OR (r.decided_at = ? AND r.id < ?))
+      ORDER BY r.decided_at DESC, r.id DESC
+      LIMIT ?`,
+    [communityId, at, at, at, cursor?.jr ?? 0, limit + 1]
+  );
+
+  res.json(mergeCommunityFeed(eventRows, decisionRows, limit));
 }));
 
-// コミュニティ退会（自分の所属を削除）
-app.post("/api/communities/:id/leave", requireLogin, wrap(async (req, res) => {
-  const communityId = Number(req.params.id);
-  const userId = req.session.userId;
+// ---------- Community dashboard（活動と学習の状況） ----------
 
+// 直近 DASHBOARD_WEEKS 週の投稿数・よく投稿する人・授業ごとの担当・メンバーの復習予定。メンバーなら誰でも見られる
+// created_at / next_review_at は UTC で入っているので、日付の区切りは JST に変換してから数える
+app.get("/api/communities/:id/dashboard", requireLogin, wrap(async (req, res) => {
+  const communityId = Number(req.params.id);
   if (!communityId) return res.status(400).json({ message: "invalid community id" });
 
-  // まず所属してるか
-  const [rows] = await pool.query(
-    `SELECT role FROM user_communities
-      WHERE user_id = ? AND community_id = ?
-      LIMIT 1`,
-    [userId, communityId]
+  const access = await requireCommunityPermission(req.session.userId, communityId, "view");
+  if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+
+  const today = toJstDateKey(new Date());
+  const since = addDays(weekStartOf(today), -7 * (DASHBOARD_WEEKS - 1));
+  const reviewUntil = addDays(today, REVIEW_OUTLOOK_DAYS);
+
+  const [[totals]] = await pool.query(
+    `SELECT c.name,
+            (SELECT COUNT(*) FROM user_communities uc WHERE uc.community_id = c.id) AS member_count,
+            (SELECT COUNT(*) FROM notes n WHERE n.community_id = c.id) AS note_count,
+            (SELECT COUNT(*)
+               FROM note_quizzes nq
+               JOIN notes n ON n.id = nq.note_id
+              WHERE n.community_id = c.id AND COALESCE(nq.visibility, 'private') = 'community') AS quiz_count
+       FROM communities c
+      WHERE c.id = ?`,
+    [communityId]
   );
-  if (!rows.length) return res.status(400).json({ message: "not a member" });
 
-  // 退会
-  await pool.query(
-    `DELETE FROM user_communities
-      WHERE user_id = ? AND community_id = ?
-      LIMIT 1`,
-    [userId, communityId]
+  const [noteDays] = await pool.query(
+    `SELECT DATE_FORMAT(CONVERT_TZ(created_at, '+00:00', '+09:00'), '%Y-%m-%d') AS day, COUNT(*) AS count
+       FROM notes
+      WHERE community_id = ? AND created_at >= CONVERT_TZ(?, '+09:00', '+00:00')
+      GROUP BY day`,
+    [communityId, since]
   );
 
-  res.json({ ok: true });
+  // クイズはコミュ公開のものだけ数える（非公開クイズの件数は出さない）
+  const [quizDays] = await pool.query(
+    `SELECT DATE_FORMAT(CONVERT_TZ(nq.created_at, '+00:00', '+09:00'), '%Y-%m-%d') AS day, COUNT(*) AS count
+       FROM note_quizzes nq
+       JOIN notes n ON n.id = nq.note_id
+      WHERE n.community_id = ?
+        AND COALESCE(nq.visibility, 'private') = 'community'
+        AND nq.created_at >= CONVERT_TZ(?, '+09:00', '+00:00')
+      GROUP BY day`,
+    [communityId, since]
+  );
+
+  const [contributorRows] = await pool.query(
+    `SELECT u.id AS user_id, u.username,
+            COALESCE(nc.note_count, 0) AS note_count,
+            COALESCE(qc.quiz_count, 0) AS quiz_count,
+            GREATEST(COALESCE(nc.last_posted_at, '1000-01-01'), COALESCE(qc.last_posted_at, '1000-01-01')) AS last_posted_at
+       FROM user_communities uc
+       JOIN users u ON u.id = uc.user_id
+       LEFT JOIN (
+         SELECT user_id, COUNT(*) AS note_count, MAX(created_at) AS last_posted_at
+           FROM notes
+          WHERE community_id = ? AND created_at >= CONVERT_TZ(?, '+09:00', '+00:00')
+          GROUP BY user_id
+       ) nc ON nc.user_id = uc.user_id
+       LEFT JOIN (
+         SELECT nq.user_id, COUNT(*) AS quiz_count, MAX(nq.created_at) AS last_posted_at
+           FROM note_quizzes nq
+           JOIN notes n ON n.id = nq.note_id
+          WHERE n.community_id = ?
+            AND COALESCE(nq.visibility, 'private') = 'community'
+            AND nq.created_at >= CONVERT_TZ(?, '+09:00', '+00:00')
+          GROUP BY nq.user_id
+       ) qc ON qc.user_id = uc.user_id
+      WHERE uc.community_id = ?`,
+    [communityId, since, communityId, since, communityId]
+  );
+
+  const [courseNotes] = await pool.query(
+    `SELECT n.id, n.user_id, u.username, n.course_id, n.course_name, n.lecture_no, n.lecture_date
+       FROM notes n
+       JOIN users u ON u.id = n.user_id
+      WHERE n.community_id = ?
+      ORDER BY n.id DESC
+      LIMIT 2000`,
+    [communityId]
+  );
+
+  // 今参加しているメンバーの、このコミュのノートの復習予定
+  let reviews = buildReviewOutlook([], { today });
+  let overdueMemberCount = 0;
+  try {
+    const [reviewDays] = await pool.query(
+      `SELECT DATE_FORMAT(CONVERT_TZ(rs.next_review_at, '+00:00', '+09:00'), '%Y-%m-%d') AS day,
+              COUNT(*) AS review_count,
+              COUNT(DISTINCT rs.user_id) AS member_count
+         FROM note_review_schedules rs
+         JOIN notes n ON n.id = rs.note_id
+         JOIN user_communities uc ON uc.user_id = rs.user_id AND uc.community_id = n.community_id
+        WHERE n.community_id = ? AND rs.next_review_at < CONVERT_TZ(?, '+09:00', '+00:00')
+        GROUP BY day`,
+      [communityId, reviewUntil]
+    );
+    const [[overdue]] = await pool.query(
+      `SELECT COUNT(DISTINCT rs.user_id) AS member_count
+         FROM note_review_schedules rs
+         JOIN notes n ON n.id = rs.note_id
+         JOIN user_communities uc ON uc.user_id = rs.user_id AND uc.community_id = n.community_id
+        WHERE n.community_id = ? AND rs.next_review_at < CONVERT_TZ(?, '+09:00', '+00:00')`,
+      [communityId, today]
+    );
+    reviews = buildReviewOutlook(reviewDays, { today });
+    overdueMemberCount = Number(overdue.member_count);
+  } catch (error) {
+    console.error("community_review_outlook_failed", { communityId, error: error?.message });
+  }
+
+  res.json({
+    community: { id: communityId, name: totals.name },
+    totals: {
+      member_count: Number(totals.member_count),
+      note_count: Number(totals.note_count),
+      quiz_count: Number(totals.quiz_count),
+    },
+    since,
+    weekly: {
+      notes: buildWeeklySeries(noteDays, { today }),
+      quizzes: buildWeeklySeries(quizDays, { today }),
+    },
+    contributors: rankContributors(contributorRows),
+    courses: buildCourseCoverage(courseNotes),
+    reviews: { ...reviews, overdue_member_count: overdueMemberCount },
+  });
 }));
 
 
@@ -2095,6 +4442,8 @@ const PLAN_FEATURES = {
     ocr_extraction_monthly_limit: -1,
     written_grading_monthly_limit: 200,
     max_custom_quizzes: -1,
+    // 1ノートあたりのAIクイズ再生成（追加生成）回数。0=初回のみ / -1=無制限
+    ai_quiz_regenerations_per_note: 0,
     can_export_pdf: false,
   },
   pro: {
@@ -2106,6 +4455,7 @@ const PLAN_FEATURES = {
     ocr_extraction_monthly_limit: -1,
     written_grading_monthly_limit: 200,
     max_custom_quizzes: -1,
+    ai_quiz_regenerations_per_note: 5,
     can_export_pdf: true,
   },
 };
@@ -2277,38 +4627,47 @@ async function attachBillingContext(req, res, next) {
   next();
 }
 
+// ルートによっては attachBillingContext より先に登録されているので、無ければここで読む
+async function ensureBillingContext(req) {
+  if (!req.billing) {
+    const sub = await getUserSubscription(req.session.userId);
+    const planCode = resolvePlanCode(sub);
+    req.billing = {
+      subscription: sub,
+      planCode,
+      isActiveSubscription: isSubscriptionActive(sub),
+      features: PLAN_FEATURES[planCode],
+    };
+  }
+  return req.billing;
+}
+
+// 今月の利用回数と上限（上限なしのプランは limit: null）
+async function getUsageLimitState(req, featureCode, limitKey) {
+  const billing = await ensureBillingContext(req);
+  const limit = billing.features?.[limitKey];
+  if (limit === -1 || limit == null) return { featureCode, limit: null, used: 0 };
+  return { featureCode, limit, used: await getUsageCount(req.session.userId, featureCode) };
+}
+
 function requireUsageLimit(featureCode, limitKey, limitExceededMessage = "この機能の月間利用上限に達しました") {
   return wrap(async (req, res, next) => {
     if (!req.session?.userId) {
       return res.status(401).json({ message: "ログインしてください" });
     }
 
-    if (!req.billing) {
-      const sub = await getUserSubscription(req.session.userId);
-      const planCode = resolvePlanCode(sub);
-      req.billing = {
-        subscription: sub,
-        planCode,
-        isActiveSubscription: isSubscriptionActive(sub),
-        features: PLAN_FEATURES[planCode],
-      };
-    }
-
-    const limit = req.billing.features?.[limitKey];
-    if (limit === -1 || limit == null) return next();
+    const state = await getUsageLimitState(req, featureCode, limitKey);
+    if (state.limit === null) return next();
 
-    const used = await getUsageCount(req.session.userId, featureCode);
-    if (used >= limit) {
+    if (state.used >= state.limit) {
       return res.status(429).json({
         message: limitExceededMessage,
         code: "USAGE_LIMIT_EXCEEDED",
-        featureCode,
-        used,
-        limit,
+        ...state,
       });
     }
 
-    req.usageLimit = { featureCode, limit, used };
+    req.usageLimit = state;
     next();
   });
 }
@@ -2470,61 +4829,191 @@ app.post("/api/billing/cancel", requireLogin, wrap(async (req, res) => {
     return res.status(404).json({ message: "アクティブなサブスクリプションがありません" });
   }
 
-  const canceled = await stripe.subscriptions.update(subscription.stripe_subscription_id, {
-    cancel_at_period_end: true,
-  });
+  const canceled = await stripe.subscriptions.update(subscription.stripe_subscription_id, {
+    cancel_at_period_end: true,
+  });
+
+  await upsertSubscriptionFromStripe(canceled, canceled.customer);
+
+  res.json({
+    ok: true,
+    cancelAtPeriodEnd: canceled.cancel_at_period_end,
+    currentPeriodEnd: canceled.current_period_end,
+  });
+}));
+
+// ---------- Pro-gated Feature APIs ----------
+// PDFはリクエストのたびにその場で生成する（ノートは編集されるので保存はしない）
+// POST は権限とフォントの確認だけ行い、実ファイルはダウンロードURLから取得する
+app.post("/api/notes/:id/export-pdf", requireLogin, requirePro, wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+  if (!resolvePdfFontPath()) {
+    console.error("pdf_font_missing", { noteId });
+    return res.status(503).json({ message: "PDF出力の準備ができていません。時間をおいて再試行してください。", code: "PDF_UNAVAILABLE" });
+  }
+
+  res.json({
+    ok: true,
+    noteId,
+    message: "PDFを作成しました",
+    fileName: buildPdfFileName(note),
+    downloadUrl: `/api/notes/${noteId}/export-pdf/download`,
+  });
+}));
+
+app.get("/api/notes/:id/export-pdf/download", requireLogin, requirePro, wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  const fontPath = resolvePdfFontPath();
+  if (!fontPath) {
+    console.error("pdf_font_missing", { noteId });
+    return res.status(503).json({ message: "PDF出力の準備ができていません。時間をおいて再試行してください。", code: "PDF_UNAVAILABLE" });
+  }
+
+  let pdf;
+  try {
+    pdf = await renderNotePdf(
+      { ...note, lecture_date: toJstDateKey(note.lecture_date) },
+      { fontPath, boldFontPath: process.env.PDF_BOLD_FONT_PATH || null }
+    );
+  } catch (error) {
+    console.error("note_pdf_render_failed", { noteId, error });
+    return res.status(500).json({ message: "PDFの作成に失敗しました" });
+  }
+
+  const fileName = buildPdfFileName(note);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Length", pdf.length);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="note_${noteId}.pdf"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+  );
+  res.setHeader("Cache-Control", "private, no-store");
+  res.send(pdf);
+}));
+
+// 保存済みのAI要約（無ければ null）。stale=true は要約後に本文が編集されたもの
+async function getStoredNoteSummary(note) {
+  const [rows] = await pool.query(
+    `SELECT note_id, source_hash, bullets, key_terms, remember, model, created_at, updated_at
+       FROM note_summaries
+      WHERE note_id = ?
+      LIMIT 1`,
+    [note.id]
+  );
+  if (!rows.length) return null;
+  const row = rows[0];
+  return {
+    bullets: row.bullets || [],
+    key_terms: row.key_terms || [],
+    remember: row.remember || [],
+    model: row.model,
+    updated_at: row.updated_at,
+    stale: row.source_hash !== hashNoteBody(note.body_raw),
+  };
+}
+
+function formatSummaryResponse(noteId, summary, extra = {}) {
+  return {
+    ok: true,
+    noteId,
+    summary: summaryToText(summary),
+    bullets: summary.bullets,
+    key_terms: summary.key_terms,
+    remember: summary.remember,
+    stale: Boolean(summary.stale),
+    updated_at: summary.updated_at || null,
+    ...extra,
+  };
+}
 
-  await upsertSubscriptionFromStripe(canceled, canceled.customer);
+// 閲覧だけなら利用回数は消費しない
+app.get("/api/notes/:id/ai-summary", wrap(async (req, res) => {
+  const noteId = Number(req.params.id);
+  const note = await getNoteById(noteId);
+  const perm = await canViewNote(req, note);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
 
-  res.json({
-    ok: true,
-    cancelAtPeriodEnd: canceled.cancel_at_period_end,
-    currentPeriodEnd: canceled.current_period_end,
-  });
+  const summary = await getStoredNoteSummary(note);
+  if (!summary) return res.json({ ok: true, noteId, summary: null });
+  res.json(formatSummaryResponse(noteId, summary, { cached: true }));
 }));
 
-// ---------- Pro-gated Feature APIs (MVP sample) ----------
-app.post("/api/notes/:id/export-pdf", requireLogin, requirePro, wrap(async (req, res) => {
+// 本文が変わっていない要約が保存済みなら、利用上限チェックより前にそれを返す（回数を消費させない）
+// force=true のときだけ作り直す
+const serveStoredNoteSummary = wrap(async (req, res, next) => {
   const noteId = Number(req.params.id);
   const note = await getNoteById(noteId);
-  const perm = await canEditNote(req, note);
+  const perm = canEditNote(req, note);
   if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+  req.note = note;
 
-  // MVPでは実PDF生成ではなくサンプルレスポンス。
-  res.json({
-    ok: true,
-    noteId,
-    message: "PDF生成ジョブを開始しました（MVPサンプル）",
-    downloadUrl: `/api/notes/${noteId}/export-pdf/download/sample.pdf`,
-  });
-}));
+  if (req.body?.force === true) return next();
+  const stored = await getStoredNoteSummary(note);
+  if (stored && !stored.stale) return res.json(formatSummaryResponse(noteId, stored, { cached: true }));
+  next();
+});
 
 app.post(
   "/api/notes/:id/ai-summary",
   requireLogin,
+  serveStoredNoteSummary,
   requireUsageLimit("ai_summary", "ai_summary_monthly_limit", "AI要約の月間利用上限（200回）に達しました。翌月にリセットされます。"),
   wrap(async (req, res) => {
-    const noteId = Number(req.params.id);
-    const note = await getNoteById(noteId);
-    const perm = canEditNote(req, note);
-    if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+    const note = req.note;
+    const noteId = note.id;
+
+    let summary;
+    try {
+      summary = await summarizeNote({ openai: getOpenAIClient(), model: AI_MODELS.summary, note });
+    } catch (error) {
+      console.error("note_summary_failed", { noteId, error });
+      return res.status(502).json({ message: "AI要約に失敗しました。時間をおいて再試行してください。" });
+    }
 
-    const summary = String(note.body_raw || "").split(/\r?\n/).filter(Boolean).slice(0, 5).join(" ");
+    await pool.query(
+      `INSERT INTO note_summaries (note_id, source_hash, bullets, key_terms, remember, model, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         source_hash = VALUES(source_hash),
+         bullets = VALUES(bullets),
+         key_terms = VALUES(key_terms),
+         remember = VALUES(remember),
+         model = VALUES(model),
+         created_by = VALUES(created_by)`,
+      [
+        noteId,
+        hashNoteBody(note.body_raw),
+        JSON.stringify(summary.bullets),
+        JSON.stringify(summary.key_terms),
+        JSON.stringify(summary.remember),
+        AI_MODELS.summary,
+        req.session.userId,
+      ]
+    );
     await incrementUsageCount(req.session.userId, "ai_summary", 1);
 
-    res.json({
-      ok: true,
-      noteId,
-      summary: summary || "（要約対象が不足しています）",
+    res.json(formatSummaryResponse(noteId, { ...summary, updated_at: new Date() }, {
+      cached: false,
+      wasTruncated: summary.wasTruncated,
       usage: {
         featureCode: "ai_summary",
         usedAfter: (req.usageLimit?.used || 0) + 1,
         limit: req.usageLimit?.limit,
       },
-    });
+    }));
   })
 );
 
+// 1回のAIクイズ生成で指定できる問題数の上限（quizGenerator の要点抽出上限に合わせる）
+const MAX_AI_QUIZ_COUNT = 30;
+
 const handleGenerateQuiz = [
   requireLogin,
   requireUsageLimit("quiz_generation", "quiz_generation_monthly_limit", "AIクイズ生成の月間利用上限（200回）に達しました。翌月にリセットされます。"),
@@ -2541,13 +5030,37 @@ const handleGenerateQuiz = [
     if (!perm.ok) {
       return res.status(perm.status).json({ message: perm.message });
     }
+    if (note.community_id) {
+      const access = await requireCommunityPermission(userId, note.community_id, "generate_quizzes");
+      if (!access.ok) return res.status(access.status).json({ message: access.message, code: access.code });
+    }
 
-    if (note.ai_quiz_generated_at) {
-      return res.status(409).json({
-        message: "このノートのAIクイズ自動生成はすでに実行済みです（1ノートにつき1回のみ）。個別にクイズを追加したい場合は手動作成をご利用ください。",
-        code: "AI_QUIZ_ALREADY_GENERATED",
-        generatedAt: note.ai_quiz_generated_at,
-      });
+    // 2回目以降は「追加生成」：プランごとの回数内で、本文が変わっている場合のみ
+    const isRegeneration = Boolean(note.ai_quiz_generated_at);
+    const regenerationLimit = Number(req.billing?.features?.ai_quiz_regenerations_per_note ?? 0);
+    const regenerationsUsed = Number(note.ai_quiz_regeneration_count || 0);
+    if (isRegeneration) {
+      if (regenerationLimit === 0) {
+        return res.status(409).json({
+          message: "このノートのAIクイズ自動生成はすでに実行済みです（1ノートにつき1回のみ）。個別にクイズを追加したい場合は手動作成をご利用ください。Proプランでは編集後の内容から追加生成できます。",
+          code: "AI_QUIZ_ALREADY_GENERATED",
+          generatedAt: note.ai_quiz_generated_at,
+        });
+      }
+      if (regenerationLimit !== -1 && regenerationsUsed >= regenerationLimit) {
+        return res.status(409).json({
+          message: `このノートのAIクイズ追加生成は上限（${regenerationLimit}回）に達しました。`,
+          code: "AI_QUIZ_REGENERATION_LIMIT",
+          used: regenerationsUsed,
+          limit: regenerationLimit,
+        });
+      }
+      if (note.ai_quiz_source_hash && note.ai_quiz_source_hash === hashNoteBody(note.body_raw)) {
+        return res.status(409).json({
+          message: "前回のクイズ生成から本文が変わっていません。ノートを編集・追記してから再実行してください。",
+          code: "NOTE_NOT_CHANGED",
+        });
+      }
     }
 
     const rawText = String(note?.body_raw || "").trim();
@@ -2565,16 +5078,51 @@ const handleGenerateQuiz = [
       });
     }
 
+    const rawDifficulty = req.body?.difficulty;
+    const difficulty = rawDifficulty ? normalizeQuizDifficulty(rawDifficulty) : "normal";
+    if (!difficulty) {
+      return res.status(400).json({
+        message: `difficulty は ${QUIZ_DIFFICULTIES.join(" / ")} のいずれかを指定してください。`,
+      });
+    }
+
+    // 問題数の指定（未指定なら本文の内容量から自動決定）
+    const rawCount = req.body?.count ?? req.body?.target_count;
+    let targetCount = null;
+    if (rawCount !== undefined && rawCount !== null && rawCount !== "") {
+      targetCount = Number(rawCount);
+      if (!Number.isInteger(targetCount) || targetCount < 1 || targetCount > MAX_AI_QUIZ_COUNT) {
+        return res.status(400).json({ message: `count は 1〜${MAX_AI_QUIZ_COUNT} の整数で指定してください。` });
+      }
+    }
+
+    let existingQuizzes = [];
+    if (isRegeneration) {
+      [existingQuizzes] = await pool.query(
+        "SELECT question, source_line FROM note_quizzes WHERE note_id = ? ORDER BY id ASC",
+        [noteId]
+      );
+    }
+
     let quizzes = [];
     try {
-      quizzes = await generateQuizzesForNote(note, { quizType: requestedQuizType });
+      quizzes = await generateQuizzesForNote(note, {
+        quizType: requestedQuizType,
+        difficulty,
+        limit: targetCount,
+        existingQuizzes,
+      });
     } catch (err) {
       console.error("quiz_pipeline_failed", {
         noteId,
         userId,
+        isRegeneration,
         message: err.message,
         details: err.details || null,
       });
+      if (err.code === "NO_NEW_CONTENT") {
+        return res.status(422).json({ message: err.message, code: "NO_NEW_CONTENT" });
+      }
       return res.status(422).json({
         message: "クイズ生成品質が基準を満たしませんでした。ノート内容を見直して再実行してください。",
         detail: err.message,
@@ -2583,20 +5131,40 @@ const handleGenerateQuiz = [
 
     for (const q of quizzes) {
       await pool.query(
-        `INSERT INTO note_quizzes (user_id, note_id, type, question, answer, choice_1, choice_2, choice_3, choice_4, source_line)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [userId, noteId, q.type, q.question, q.answer, q.choice_1, q.choice_2, q.choice_3, q.choice_4, q.source_line]
+        `INSERT INTO note_quizzes (user_id, note_id, type, difficulty, question, answer, explanation, choice_1, choice_2, choice_3, choice_4, source_line)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, noteId, q.type, q.difficulty, q.question, q.answer, q.explanation, q.choice_1, q.choice_2, q.choice_3, q.choice_4, q.source_line]
       );
     }
 
-    await pool.query("UPDATE notes SET ai_quiz_generated_at = NOW() WHERE id = ?", [noteId]);
+    await pool.query(
+      `UPDATE notes
+          SET ai_quiz_generated_at = NOW(),
+              ai_quiz_source_hash = ?,
+              ai_quiz_regeneration_count = ai_quiz_regeneration_count + ?
+        WHERE id = ?`,
+      [hashNoteBody(note.body_raw), isRegeneration ? 1 : 0, noteId]
+    );
     await incrementUsageCount(userId, "quiz_generation", 1);
 
+    // 要点の topic からタグ候補を出す（付けるかどうかは画面で選ぶ）
+    const [taggedNote] = await attachTags([{ id: noteId }], { userId });
+    const suggestedTags = suggestTagsFromTopics(quizzes.map((q) => q.topic).filter(Boolean), {
+      existingNames: taggedNote.tags.map((t) => t.name),
+    });
+
     res.json({
       ok: true,
+      regenerated: isRegeneration,
       generatedCount: quizzes.length,
       quiz_type: requestedQuizType,
+      difficulty,
       quizzes,
+      suggested_tags: suggestedTags,
+      regenerations: {
+        used: regenerationsUsed + (isRegeneration ? 1 : 0),
+        limit: regenerationLimit,
+      },
       usage: {
         featureCode: "quiz_generation",
         usedAfter: (req.usageLimit?.used || 0) + 1,
@@ -2644,14 +5212,15 @@ app.post("/api/note-quizzes", requireLogin, wrap(async (req, res) => {
   }
 
 const [result] = await pool.query(
-  `INSERT INTO note_quizzes (user_id, note_id, type, question, answer, choice_1, choice_2, choice_3, choice_4)
-   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  `INSERT INTO note_quizzes (user_id, note_id, type, question, answer, explanation, choice_1, choice_2, choice_3, choice_4)
+   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
   [
     req.session.userId,
     noteId,
     type,
     question,
     answer,
+    String(req.body.explanation || "").trim().slice(0, 1000) || null,
     req.body.choice_1 || req.body.option_1 || null,
     req.body.choice_2 || req.body.option_2 || null,
     req.body.choice_3 || req.body.option_3 || null,
@@ -2682,14 +5251,15 @@ app.post(
     let result;
     try {
       [result] = await pool.query(
-        `INSERT INTO note_quizzes (user_id, note_id, type, question, answer, visibility, choice_1, choice_2, choice_3, choice_4)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO note_quizzes (user_id, note_id, type, question, answer, explanation, visibility, choice_1, choice_2, choice_3, choice_4)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           userId,
           normalized.note_id,
           normalized.quiz_type,
           normalized.question_text,
           normalized.correct_answer,
+          normalized.explanation || null,
           normalized.visibility,
           normalized.choice_1,
           normalized.choice_2,
@@ -2718,9 +5288,12 @@ app.get("/api/quizzes/mine", requireLogin, wrap(async (req, res) => {
   const userId = req.session.userId;
   const noteId = req.query.note_id ? Number(req.query.note_id) : null;
   const quizType = String(req.query.quiz_type || "").trim();
+  const difficulty = normalizeQuizDifficulty(req.query.difficulty);
   const date = parseDateFilter(req.query.date);
   const search = String(req.query.search || "").trim();
   const sortOrder = normalizeSortOrder(req.query.sort);
+  const tagFilter = await resolveTagFilter(userId, req.query.tag);
+  if (tagFilter.error) return res.status(tagFilter.error.status).json(tagFilter.error.body);
   const choiceSelect = await buildNoteQuizSelectChoiceFragments();
 
   let sql = `
@@ -2730,6 +5303,7 @@ app.get("/api/quizzes/mine", requireLogin, wrap(async (req, res) => {
            CONCAT('ノートクイズ #', nq.id) AS title,
            nq.question AS question_text,
            nq.type AS quiz_type,
+           nq.difficulty,
            ${choiceSelect.choice1},
            ${choiceSelect.choice2},
            ${choiceSelect.choice3},
@@ -2737,15 +5311,17 @@ app.get("/api/quizzes/mine", requireLogin, wrap(async (req, res) => {
            ${choiceSelect.choices},
            ${choiceSelect.options},
            nq.answer AS correct_answer,
-           NULL AS explanation,
+           nq.explanation,
            COALESCE(nq.visibility, 'private') AS visibility,
+           ${QUIZ_ATTEMPT_STATS_COLUMNS},
            nq.created_at,
            nq.updated_at,
            n.created_at AS note_created_at
       FROM note_quizzes nq
       LEFT JOIN notes n ON n.id = nq.note_id
+      ${QUIZ_ATTEMPT_STATS_JOIN}
      WHERE nq.user_id = ?`;
-  const params = [userId];
+  const params = [userId, userId];
 
   if (noteId) {
     sql += " AND nq.note_id = ?";
@@ -2755,6 +5331,10 @@ app.get("/api/quizzes/mine", requireLogin, wrap(async (req, res) => {
     sql += " AND nq.type = ?";
     params.push(quizType);
   }
+  if (difficulty) {
+    sql += " AND nq.difficulty = ?";
+    params.push(difficulty);
+  }
   if (date) {
     sql += " AND DATE(CONVERT_TZ(nq.created_at, '+00:00', '+09:00')) = ?";
     params.push(date);
@@ -2763,18 +5343,26 @@ app.get("/api/quizzes/mine", requireLogin, wrap(async (req, res) => {
     sql += " AND (nq.question LIKE ? OR nq.answer LIKE ?)";
     params.push(`%${search}%`, `%${search}%`);
   }
+  // クイズ自体のタグか、元ノートのタグ（「中間試験範囲」のノートのクイズをまとめて解く）
+  if (tagFilter.tagId) {
+    sql += ` AND (EXISTS (SELECT 1 FROM quiz_tags qt WHERE qt.quiz_id = nq.id AND qt.tag_id = ?)
+               OR EXISTS (SELECT 1 FROM note_tags nt WHERE nt.note_id = nq.note_id AND nt.tag_id = ?))`;
+    params.push(tagFilter.tagId, tagFilter.tagId);
+  }
   sql += ` ORDER BY nq.created_at ${sortOrder}, nq.id ${sortOrder}`;
 
   const [rows] = await pool.query(sql, params);
-  const normalizedRows = rows.map((row) => {
-    const normalized = normalizeQuizChoices(row);
+  const seed = readShuffleSeed(req.query);
+  const taggedRows = await attachTags(rows, { userId, kind: "quiz" });
+  const normalizedRows = taggedRows.map((row) => {
+    const normalized = withAttemptStats(shuffleQuizChoicesForDelivery(normalizeQuizChoices(row), seed));
     return {
       ...normalized,
       created_date_jst: toJstDateKey(normalized.created_at),
       note_created_date_jst: toJstDateKey(normalized.note_created_at),
     };
   });
-  res.json({ success: true, data: { quizzes: normalizedRows } });
+  res.json({ success: true, data: { quizzes: normalizedRows, shuffle_seed: seed } });
 }));
 
 app.get("/api/quizzes/mine/calendar-summary", requireLogin, wrap(async (req, res) => {
@@ -2813,7 +5401,7 @@ app.get("/api/quizzes/:id", requireLogin, wrap(async (req, res) => {
             ${choiceSelect.choices},
             ${choiceSelect.options},
             answer AS correct_answer,
-            NULL AS explanation,
+            explanation,
             COALESCE(visibility, 'private') AS visibility,
             created_at,
             updated_at
@@ -2846,7 +5434,7 @@ app.put("/api/quizzes/:id", requireLogin, wrap(async (req, res) => {
   try {
     await pool.query(
       `UPDATE note_quizzes
-          SET note_id = ?, type = ?, question = ?, answer = ?, visibility = ?,
+          SET note_id = ?, type = ?, question = ?, answer = ?, explanation = ?, visibility = ?,
               choice_1 = ?, choice_2 = ?, choice_3 = ?, choice_4 = ?
         WHERE id = ?`,
       [
@@ -2854,6 +5442,7 @@ app.put("/api/quizzes/:id", requireLogin, wrap(async (req, res) => {
         normalized.quiz_type,
         normalized.question_text,
         normalized.correct_answer,
+        normalized.explanation || null,
         normalized.visibility,
         normalized.choice_1,
         normalized.choice_2,
@@ -2919,7 +5508,7 @@ app.post(
     if (!userAnswer) return res.status(400).json({ message: "answer は必須です" });
 
     const [rows] = await pool.query(
-      "SELECT id, user_id, type AS quiz_type, question, answer AS correct_answer FROM note_quizzes WHERE id = ? LIMIT 1",
+      "SELECT id, user_id, type AS quiz_type, question, answer AS correct_answer, explanation FROM note_quizzes WHERE id = ? LIMIT 1",
       [id]
     );
     if (!rows.length) return res.status(404).json({ message: "not found" });
@@ -2942,11 +5531,33 @@ app.post(
     }
 
     await incrementUsageCount(req.session.userId, "written_grading", 1);
+    let attemptId = null;
+    try {
+      attemptId = await recordQuizAttempt({
+        userId: req.session.userId,
+        quizId: id,
+        givenAnswer: normalizeGivenAnswer(userAnswer),
+        isCorrect: result.correct,
+        gradedBy: "ai",
+        latencyMs: normalizeLatencyMs(req.body?.latency_ms),
+      });
+    } catch (error) {
+      // 採点結果は返す（回答履歴の記録だけ失敗した扱い）
+      console.error("quiz_attempt_insert_failed", { id, gradedBy: "ai", error });
+    }
+    const schedule = await updateQuizReviewSchedule({
+      userId: req.session.userId,
+      quizId: id,
+      grade: gradeFromAttempt(result.correct, req.body?.grade),
+    });
     res.json({
       ok: true,
+      attemptId,
+      schedule,
       correct: result.correct,
       feedback: result.feedback,
       correctAnswer: quiz.correct_answer,
+      explanation: quiz.explanation,
       usage: {
         featureCode: "written_grading",
         usedAfter: (req.usageLimit?.used || 0) + 1,
@@ -2956,6 +5567,434 @@ app.post(
   })
 );
 
+// 回答を1件記録（AI採点以外はサーバー側で文字列比較して正誤を決める）
+// AI採点（/grade）は採点と同時に記録されるので、ここを呼ぶのはAI採点を使わなかった・失敗した場合のみ
+// answer の代わりに choice_no（配信時の位置 1〜4）と shuffle_seed を送ってもよい（4択のみ）
+app.post("/api/quizzes/:id/attempts", requireLogin, wrap(async (req, res) => {
+  const id = Number(req.params.id);
+  const choiceNo = req.body?.choice_no;
+  let givenAnswer = normalizeGivenAnswer(req.body?.answer);
+  if (!givenAnswer && choiceNo == null) return res.status(400).json({ message: "answer は必須です" });
+
+  const choiceSelect = await buildNoteQuizSelectChoiceFragments();
+  const [rows] = await pool.query(
+    `SELECT id, user_id, note_id, type, answer, explanation, COALESCE(visibility, 'private') AS visibility,
+            ${choiceSelect.choice1},
+            ${choiceSelect.choice2},
+            ${choiceSelect.choice3},
+            ${choiceSelect.choice4},
+            ${choiceSelect.choices},
+            ${choiceSelect.options}
+       FROM note_quizzes
+      WHERE id = ?
+      LIMIT 1`,
+    [id]
+  );
+  const quiz = rows[0] ? normalizeQuizChoices(rows[0]) : null;
+  const perm = await canAnswerQuiz(req, quiz);
+  if (!perm.ok) return res.status(perm.status).json({ message: perm.message });
+
+  if (!givenAnswer) {
+    if (quiz.type !== "multiple_choice") return res.status(400).json({ message: "answer は必須です" });
+    givenAnswer = resolveDeliveredChoice(quiz, normalizeShuffleSeed(req.body?.shuffle_seed), choiceNo);
+    if (!givenAnswer) return res.status(400).json({ message: "choice_no が不正です" });
+  }
+
+  const isCorrect = isAnswerCorrectByRule(quiz.answer, givenAnswer);
+  const attemptId = await recordQuizAttempt({
+    userId: req.session.userId,
+    quizId: id,
+    givenAnswer,
+    isCorrect,
+    gradedBy: "rule",
+    latencyMs: normalizeLatencyMs(req.body?.latency_ms),
+  });
+  // 正解時だけ手応え（hard/good/easy など）を反映。不正解は常に again
+  const schedule = await updateQuizReviewSchedule({
+    userId: req.session.userId,
+    quizId: id,
+    grade: gradeFromAttempt(isCorrect, req.body?.grade),
+  });
+
+  res.status(201).json({
+    ok: true,
+    id: attemptId,
+    correct: isCorrect,
+    correctAnswer: quiz.answer,
+    explanation: quiz.explanation,
+    schedule,
+  });
+}));
+
+// ---------- Exams（試験モード） ----------
+
+const EXAM_CANDIDATE_MAX = 2000;
+// 制限時間ちょうどに自動提出した場合の通信の遅れは時間超過にしない
+const EXAM_SUBMIT_GRACE_SEC = 30;
+// 記述問題のAI採点を同時に投げる数
+const EXAM_AI_GRADING_CONCURRENCY = 4;
+
+// 出題範囲（ノート・タグ・授業）から、解けるクイズを集める
+// 見える範囲は canAnswerQuiz と同じ（自分のクイズか、閲覧できるノートのコミュ公開クイズ）
+async function loadExamCandidates(userId, { noteIds, tagIds, courseId }) {
+  const sources = [];
+  const params = [];
+  if (noteIds.length) {
+    sources.push("n.id IN (?)");
+    params.push(noteIds);
+  }
+  if (courseId) {
+    sources.push("n.course_id = ?");
+    params.push(courseId);
+  }
+  if (tagIds.length) {
+    const [visibleTags] = await pool.query(
+      `SELECT t.id FROM tags t WHERE t.id IN (?) AND ${TAG_VISIBLE_CONDITION}`,
+      [tagIds, userId, userId]
+    );
+    const ids = visibleTags.map((t) => t.id);
+    if (ids.length) {
+      sources.push(
+        "EXISTS (SELECT 1 FROM note_tags nt WHERE nt.note_id = n.id AND nt.tag_id IN (?))",
+        "EXISTS (SELECT 1 FROM quiz_tags qt WHERE qt.quiz_id = nq.id AND qt.tag_id IN (?))"
+      );
+      params.push(ids, ids);
+    }
+  }
+  if (!sources.length) return [];
+
+  const choiceSelect = await buildNoteQuizSelectChoiceFragments();
+  const [rows] = await pool.query(
+    `SELECT nq.id, nq.note_id, nq.type, nq.question, nq.answer, nq.explanation,
+            ${choiceSelect.choice1},
+            ${choiceSelect.choice2},
+            ${choiceSelect.choice3},
+            ${choiceSelect.choice4},
+            ${choiceSelect.choices},
+            ${choiceSelect.options},
+            n.title AS note_title
+       FROM note_quizzes nq
+       JOIN notes n ON n.id = nq.note_id
+      WHERE (COALESCE(nq.visibility, 'private') = 'community' OR nq.user_id = ?)
+        AND ${NOTE_VISIBLE_CONDITION}
+        AND TRIM(COALESCE(nq.answer, '')) <> ''
+        AND (${sources.join(" OR ")})
+      ORDER BY nq.id ASC
+      LIMIT ?`,
+    [userId, userId, userId, ...params, EXAM_CANDIDATE_MAX]
+  );
+  return rows.map(normalizeQuizChoices);
+}
+
+async function getOwnExam(userId, examId) {
+  const [rows] = await pool.query(
+    `SELECT e.*, TIMESTAMPDIFF(SECOND, NOW(), e.expires_at) AS remaining_seconds
+       FROM exams e
+      WHERE e.id = ? AND e.user_id = ?`,
+    [examId, userId]
+  );
+  return rows[0] || null;
+}
+
+async function listExamQuestions(examId) {
+  const [rows] = await pool.query(
+    "SELECT * FROM exam_questions WHERE exam_id = ? ORDER BY position ASC",
+    [examId]
+  );
+  return rows;
+}
+
+// 同じ出題範囲で前回採点した結果（比較用）
+async function findPreviousExam(userId, exam) {
+  const [rows] = await pool.query(
+    `SELECT id, correct_count, question_count, score_percent, submitted_at
+       FROM exams
+      WHERE user_id = ? AND source_key = ? AND status = 'graded' AND id < ?
+      ORDER BY id DESC
+      LIMIT 1`,
+    [userId, exam.source_key, exam.id]
+  );
+  if (!rows.length) return null;
+  const prev = rows[0];
+  return { ...prev, score_percent: Number(prev.score_percent) };
+}
+
+function parseJsonSafe(value, fallback = null) {
+  if (value == null) return fallback;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// 受験中は正解を隠し、採点後は正解・講評と内訳まで返す
+async function buildExamResponse(userId, exam, questions) {
+  const graded = exam.status === "graded";
+  const body = {
+    id: exam.id,
+    title: exam.title,
+    status: exam.status,
+    source: parseJsonSafe(exam.source_json, {}),
+    type_mix: parseJsonSafe(exam.type_mix_json),
+    question_count: exam.question_count,
+    time_limit_sec: exam.time_limit_sec,
+    started_at: exam.started_at,
+    expires_at: exam.expires_at,
+    remaining_seconds: graded || exam.remaining_seconds == null ? null : Math.max(0, Number(exam.remaining_seconds)),
+    submitted_at: exam.submitted_at,
+    time_over: Boolean(exam.time_over),
+    questions: questions.map((q) => ({
+      id: q.id,
+      position: q.position,
+      note_id: q.note_id,
+      note_title: q.note_title,
+      quiz_type: q.quiz_type,
+      question: q.question,
+      choices: parseJsonSafe(q.choices_json, []),
+      ...(graded
+        ? {
+            given_answer: q.given_answer,
+            is_correct: q.is_correct === null ? null : Boolean(q.is_correct),
+            graded_by: q.graded_by,
+            feedback: q.feedback,
+            correct_answer: q.correct_answer,
+            explanation: q.explanation,
+          }
+        : {}),
+    })),
+  };
+  if (!graded) return body;
+
+  const result = summarizeExamResult(questions);
+  const previous = await findPreviousExam(userId, exam);
+  return {
+    ...body,
+    result: {
+      ...result,
+      previous,
+      score_delta: previous ? Math.round((result.score_percent - previous.score_percent) * 10) / 10 : null,
+    },
+  };
+}
+
+// 模試を作る。出題範囲のクイズから問題数・形式の比率に合わせて選び、出題時点の内容を写して保存する
+app.post("/api/exams", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const { value, errors } = normalizeExamRequest(req.body || {});
+  if (errors.length) return res.status(400).json({ message: errors[0], errors });
+
+  const candidates = await loadExamCandidates(userId, value);
+  if (!candidates.length) {
+    return res.status(422).json({
+      message: "選んだ範囲に出題できるクイズがありません。先にノートからクイズを作成してください。",
+      code: "NO_EXAM_QUIZZES",
+    });
+  }
+
+  const seed = generateShuffleSeed();
+  const picked = selectExamQuizzes(candidates, value, seed);
+  const source = { note_ids: value.noteIds, tag_ids: value.tagIds, course_id: value.courseId };
+
+  const conn = await pool.getConnection();
+  let examId;
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      `INSERT INTO exams (user_id, title, source_key, source_json, type_mix_json, question_count, time_limit_sec, shuffle_seed, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? SECOND)))`,
+      [
+        userId,
+        value.title,
+        buildExamSourceKey(value),
+        JSON.stringify(source),
+        value.typeMix ? JSON.stringify(value.typeMix) : null,
+        picked.length,
+        value.timeLimitSec,
+        seed,
+        value.timeLimitSec,
+        value.timeLimitSec,
+      ]
+    );
+    examId = result.insertId;
+
+    for (const [index, quiz] of picked.entries()) {
+      const delivered = shuffleQuizChoicesForDelivery(quiz, seed);
+      const choices = [delivered.choice_1, delivered.choice_2, delivered.choice_3, delivered.choice_4].filter(Boolean);
+      await conn.query(
+        `INSERT INTO exam_questions (exam_id, position, quiz_id, note_id, note_title, quiz_type, question, correct_answer, explanation, choices_json)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          examId,
+          index + 1,
+          quiz.id,
+          quiz.note_id,
+          quiz.note_title,
+          quiz.type,
+          quiz.question,
+          quiz.answer,
+          quiz.explanation || null,
+          quiz.type === "multiple_choice" && choices.length ? JSON.stringify(choices) : null,
+        ]
+      );
+    }
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+
+  const exam = await getOwnExam(userId, examId);
+  res.status(201).json(await buildExamResponse(userId, exam, await listExamQuestions(examId)));
+}));
+
+// 過去の模試（新しい順）。source_key を渡すと同じ出題範囲のものだけ
+app.get("/api/exams", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const sourceKey = String(req.query.source_key || "").trim();
+  let sql = `SELECT id, title, status, source_key, source_json, question_count, time_limit_sec,
+                    started_at, submitted_at, time_over, correct_count, score_percent
+               FROM exams
+              WHERE user_id = ?`;
+  const params = [userId];
+  if (sourceKey) {
+    sql += " AND source_key = ?";
+    params.push(sourceKey);
+  }
+  sql += " ORDER BY id DESC LIMIT 50";
+
+  const [rows] = await pool.query(sql, params);
+  res.json({
+    exams: rows.map(({ source_json: sourceJson, ...r }) => ({
+      ...r,
+      source: parseJsonSafe(sourceJson, {}),
+      time_over: Boolean(r.time_over),
+      score_percent: r.score_percent === null ? null : Number(r.score_percent),
+    })),
+  });
+}));
+
+app.get("/api/exams/:id", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const exam = await getOwnExam(userId, Number(req.params.id));
+  if (!exam) return res.status(404).json({ message: "not found" });
+  res.json(await buildExamResponse(userId, exam, await listExamQuestions(exam.id)));
+}));
+
+// 解答を提出して採点する。記述問題はAI採点（月間上限の残りがなければ文字列比較）
+// answers: [{ question_id, answer }]（4択は選んだ選択肢の文字列）
+app.post("/api/exams/:id/submit", requireLogin, wrap(async (req, res) => {
+  const userId = req.session.userId;
+  const exam = await getOwnExam(userId, Number(req.params.id));
+  if (!exam) return res.status(404).json({ message: "not found" });
+  if (exam.status !== "in_progress") {
+    return res.status(409).json({ message: "この模試は採点済みです", code: "EXAM_ALREADY_GRADED" });
+  }
+
+  const answers = new Map();
+  for (const a of Array.isArray(req.body?.answers) ? req.body.answers : []) {
+    answers.set(Number(a?.question_id), normalizeGivenAnswer(a?.answer));
+  }
+
+  const questions = await listExamQuestions(exam.id);
+  const aiLimit = req.billing?.features?.written_grading_monthly_limit;
+  let aiBudget = aiLimit == null || aiLimit === -1
+    ? Infinity
+    : Math.max(0, aiLimit - await getUsageCount(userId, "written_grading"));
+
+  const graded = questions.map((q) => ({ ...q, given_answer: answers.get(q.id) || null, is_correct: 0, graded_by: null, feedback: null }));
+  const aiTargets = [];
+  for (const q of graded) {
+    if (!q.given_answer) continue;
+    if (q.quiz_type === "written" && aiBudget > 0) {
+      aiBudget -= 1;
+      aiTargets.push(q);
+      continue;
+    }
+    q.is_correct = isAnswerCorrectByRule(q.correct_answer, q.given_answer) ? 1 : 0;
+    q.graded_by = "rule";
+  }
+
+  let aiUsed = 0;
+  for (let i = 0; i < aiTargets.length; i += EXAM_AI_GRADING_CONCURRENCY) {
+    await Promise.all(aiTargets.slice(i, i + EXAM_AI_GRADING_CONCURRENCY).map(async (q) => {
+      try {
+        const result = await gradeWrittenAnswerWithAI({
+          question: q.question,
+          correctAnswer: q.correct_answer,
+          userAnswer: q.given_answer,
+        });
+        q.is_correct = result.correct ? 1 : 0;
+        q.graded_by = "ai";
+        q.feedback = result.feedback || null;
+        aiUsed += 1;
+      } catch (error) {
+        // AI採点に失敗した問題は文字列比較で採点する
+        console.error("exam_written_grading_failed", { examId: exam.id, questionId: q.id, error: error?.message });
+        q.is_correct = isAnswerCorrectByRule(q.correct_answer, q.given_answer) ? 1 : 0;
+        q.graded_by = "rule";
+      }
+    }));
+  }
+
+  const summary = summarizeExamResult(graded);
+  const timeOver = exam.remaining_seconds !== null && Number(exam.remaining_seconds) < -EXAM_SUBMIT_GRACE_SEC;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [updated] = await conn.query(
+      `UPDATE exams
+          SET status = 'graded', submitted_at = NOW(), time_over = ?, correct_count = ?, score_percent = ?
+        WHERE id = ? AND status = 'in_progress'`,
+      [timeOver ? 1 : 0, summary.correct_count, summary.score_percent, exam.id]
+    );
+    if (!updated.affectedRows) {
+      await conn.rollback();
+      return res.status(409).json({ message: "この模試は採点済みです", code: "EXAM_ALREADY_GRADED" });
+    }
+    for (const q of graded) {
+      await conn.query(
+        `UPDATE exam_questions
+            SET given_answer = ?, is_correct = ?, graded_by = ?, feedback = ?
+          WHERE id = ?`,
+        [q.given_answer, q.is_correct, q.graded_by, q.feedback, q.id]
+      );
+    }
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+
+  if (aiUsed) await incrementUsageCount(userId, "written_grading", aiUsed);
+
+  // 解いた問題は通常の回答履歴・復習予定にも反映する（ここが失敗しても採点結果は返す）
+  for (const q of graded) {
+    if (!q.given_answer || !q.quiz_id) continue;
+    try {
+      await recordQuizAttempt({
+        userId,
+        quizId: q.quiz_id,
+        givenAnswer: q.given_answer,
+        isCorrect: Boolean(q.is_correct),
+        gradedBy: q.graded_by,
+      });
+    } catch (error) {
+      console.error("quiz_attempt_insert_failed", { id: q.quiz_id, examId: exam.id, error });
+    }
+    await updateQuizReviewSchedule({ userId, quizId: q.quiz_id, grade: gradeFromAttempt(Boolean(q.is_correct)) });
+  }
+
+  const gradedExam = await getOwnExam(userId, exam.id);
+  res.json(await buildExamResponse(userId, gradedExam, await listExamQuestions(exam.id)));
+}));
+
 app.delete("/api/quizzes/:id", requireLogin, wrap(async (req, res) => {
   const id = Number(req.params.id);
   const [rows] = await pool.query("SELECT user_id FROM note_quizzes WHERE id = ? LIMIT 1", [id]);
@@ -3015,9 +6054,11 @@ app.post(
     }
 
     await incrementUsageCount(req.session.userId, "quiz_distractor_generation", 1);
+    const picked = unique.slice(0, 3);
     res.json({
       success: true,
-      data: { distractors: unique.slice(0, 3) },
+      // choices は正解を含む4つをランダムに並べたもの（正解がいつも先頭にならないように）
+      data: { distractors: picked, choices: shuffleWithSeed([correctAnswer, ...picked], generateShuffleSeed()) },
       usage: {
         featureCode: "quiz_distractor_generation",
         usedAfter: (req.usageLimit?.used || 0) + 1,
@@ -3031,10 +6072,65 @@ app.post(
 // 各ステージ経過後、次のリマインドまでの日数
 const REVIEW_INTERVAL_DAYS = [1, 3, 7, 14, 30];
 
+// ?mode=quizzes のときは、ノート単位ではなく期限の来た「問題」をノート横断で返す
 app.get("/api/reviews/due", requireLogin, wrap(async (req, res) => {
   const userId = req.session.userId;
-  const [rows] = await pool.query(
-    `SELECT rs.note_id, rs.stage, rs.next_review_at, rs.last_reviewed_at,
+  if (req.query.mode === "quizzes") {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 30, 1), 100);
+    const choiceSelect = await buildNoteQuizSelectChoiceFragments();
+    // 他人のクイズは、今も閲覧できるもの（コミュニティ公開 + ノート閲覧可）だけに絞る
+    const [rows] = await pool.query(
+      `SELECT nq.id,
+              nq.note_id,
+              nq.type,
+              nq.question,
+              nq.answer,
+              nq.explanation,
+              ${choiceSelect.choice1},
+              ${choiceSelect.choice2},
+              ${choiceSelect.choice3},
+              ${choiceSelect.choice4},
+              ${choiceSelect.choices},
+              ${choiceSelect.options},
+              qrs.ease_factor,
+              qrs.interval_days,
+              qrs.repetitions,
+              qrs.lapses,
+              qrs.last_grade,
+              qrs.due_at,
+              qrs.last_reviewed_at,
+              n.title AS note_title,
+              n.course_name,
+              n.lecture_no
+         FROM quiz_review_schedules qrs
+         JOIN note_quizzes nq ON nq.id = qrs.quiz_id
+         JOIN notes n ON n.id = nq.note_id
+        WHERE qrs.user_id = ?
+          AND qrs.due_at <= NOW()
+          AND (
+            nq.user_id = ?
+            OR (
+              COALESCE(nq.visibility, 'private') = 'community'
+              AND (
+                (n.community_id IS NULL AND n.visibility <> 'private')
+                OR EXISTS (
+                  SELECT 1 FROM user_communities uc
+                   WHERE uc.user_id = ? AND uc.community_id = n.community_id
+                )
+              )
+            )
+          )
+        ORDER BY qrs.due_at ASC, qrs.lapses DESC
+        LIMIT ?`,
+      [userId, userId, userId, limit]
+    );
+    const items = rows.map(normalizeQuizChoices);
+    return res.json({ mode: "quizzes", count: items.length, items });
+  }
+
+  // ★last_result 列が無い環境（マイグレーション未適用）では前回の結果なしで返す
+  const listDue = (lastResultColumn) => pool.query(
+    `SELECT rs.note_id, rs.stage, ${lastResultColumn} AS last_result, rs.next_review_at, rs.last_reviewed_at,
             n.title, n.course_name, n.lecture_no
        FROM note_review_schedules rs
        JOIN notes n ON n.id = rs.note_id
@@ -3043,19 +6139,41 @@ app.get("/api/reviews/due", requireLogin, wrap(async (req, res) => {
       LIMIT 50`,
     [userId]
   );
+  let rows;
+  try {
+    [rows] = await listDue("rs.last_result");
+  } catch (error) {
+    if (error?.code !== "ER_BAD_FIELD_ERROR") throw error;
+    console.error("note_review_last_result_missing", { userId, error: error.message });
+    [rows] = await listDue("NULL");
+  }
   res.json({ count: rows.length, items: rows });
 }));
 
+// body: { result?: "forgot"|"hard"|"good"|"easy", quiz_correct_count?, quiz_total_count? }
+// result 省略時はクイズの正答数からおすすめを使い、それも無ければ good（従来どおり1つ進む）
 app.post("/api/reviews/:noteId/done", requireLogin, wrap(async (req, res) => {
   const userId = req.session.userId;
   const noteId = Number(req.params.noteId);
 
+  const rawResult = req.body?.result;
+  if (rawResult !== undefined && rawResult !== null && rawResult !== "" && !normalizeNoteReviewResult(rawResult)) {
+    return res.status(400).json({ message: "result は forgot / hard / good / easy のいずれかを指定してください" });
+  }
+  const total = Math.trunc(Number(req.body?.quiz_total_count) || 0);
+  const totalCount = total > 0 ? total : null;
+  const correctCount = totalCount === null
+    ? null
+    : Math.min(Math.max(Math.trunc(Number(req.body?.quiz_correct_count) || 0), 0), totalCount);
+  const suggested = suggestNoteReviewResult(correctCount, totalCount);
+  const result = normalizeNoteReviewResult(rawResult) || suggested || "good";
+
   const [rows] = await pool.query(
     `SELECT stage FROM note_review_schedules WHERE user_id = ? AND note_id = ? LIMIT 1`,
     [userId, noteId]
   );
   const currentStage = rows.length ? Number(rows[0].stage) : 0;
-  const nextStage = Math.min(currentStage + 1, REVIEW_INTERVAL_DAYS.length - 1);
+  const nextStage = nextNoteReviewStage(currentStage, result, REVIEW_INTERVAL_DAYS.length);
   const intervalDays = REVIEW_INTERVAL_DAYS[nextStage];
 
   await pool.query(
@@ -3068,7 +6186,28 @@ app.post("/api/reviews/:noteId/done", requireLogin, wrap(async (req, res) => {
     [userId, noteId, nextStage, intervalDays]
   );
 
-  res.json({ ok: true, stage: nextStage, nextReviewInDays: intervalDays });
+  // ★last_result 列・ログテーブルが無くても復習完了自体は成功させる（マイグレーション未適用の環境対策）
+  try {
+    await pool.query(
+      "UPDATE note_review_schedules SET last_result = ? WHERE user_id = ? AND note_id = ?",
+      [result, userId, noteId]
+    );
+  } catch (error) {
+    console.error("note_review_last_result_update_failed", { userId, noteId, result, error });
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO note_review_logs
+         (user_id, note_id, result, stage_before, stage_after, quiz_correct_count, quiz_total_count)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, noteId, result, currentStage, nextStage, correctCount, totalCount]
+    );
+  } catch (error) {
+    console.error("note_review_log_insert_failed", { userId, noteId, result, error });
+  }
+
+  res.json({ ok: true, result, suggestedResult: suggested, stage: nextStage, nextReviewInDays: intervalDays });
 }));
 
 // ---------- Mind Map (マインドマップ: AI自動生成 + 手動編集) ----------
@@ -0,0 +1,73 @@
+// ノート添付画像の保存先（ローカルのファイルシステム）
+// DB の note_attachments には storage_key（保存先ディレクトリからの相対パス）だけを持つ。
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const EXTENSION_BY_MIME_TYPE = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+};
+
+// ATTACHMENTS_DIR 未設定時はリポジトリ直下の storage/attachments に置く
+function resolveAttachmentsDir(env = process.env) {
+  return path.resolve(env.ATTACHMENTS_DIR || path.join(__dirname, "..", "storage", "attachments"));
+}
+
+// "data:image/png;base64,...." のような data URI で送られてきても中身だけを取り出す
+function decodeBase64File(value) {
+  const raw = String(value || "");
+  const b64 = raw.startsWith("data:") && raw.includes(",") ? raw.slice(raw.indexOf(",") + 1) : raw;
+  return Buffer.from(b64, "base64");
+}
+
+// 申告された mime_type だけを信用しないよう、先頭のバイト列から画像形式を判定する
+function detectImageMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  return null;
+}
+
+function buildStorageKey(noteId, mimeType) {
+  const ext = EXTENSION_BY_MIME_TYPE[mimeType] || "";
+  return `${Number(noteId)}/${crypto.randomBytes(16).toString("hex")}${ext}`;
+}
+
+// storage_key から実際のパスを求める（保存先ディレクトリの外を指すキーは拒否）
+function resolveStoragePath(rootDir, storageKey) {
+  const root = path.resolve(rootDir);
+  const fullPath = path.resolve(root, String(storageKey || ""));
+  if (!fullPath.startsWith(root + path.sep)) {
+    throw new Error("INVALID_STORAGE_KEY");
+  }
+  return fullPath;
+}
+
+async function saveAttachmentFile(rootDir, storageKey, buffer) {
+  const fullPath = resolveStoragePath(rootDir, storageKey);
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, buffer, { flag: "wx" });
+  return fullPath;
+}
+
+// すでに無いファイルの削除はエラーにしない
+async function removeAttachmentFile(rootDir, storageKey) {
+  try {
+    await fs.unlink(resolveStoragePath(rootDir, storageKey));
+  } catch (error) {
+    if (error?.code !== "ENOENT") throw error;
+  }
+}
+
+module.exports = {
+  resolveAttachmentsDir,
+  decodeBase64File,
+  detectImageMimeType,
+  buildStorageKey,
+  resolveStoragePath,
+  saveAttachmentFile,
+  removeAttachmentFile,
+};
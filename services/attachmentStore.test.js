@@ -0,0 +1,51 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  decodeBase64File,
+  detectImageMimeType,
+  buildStorageKey,
+  resolveStoragePath,
+  saveAttachmentFile,
+  removeAttachmentFile,
+} = require("./attachmentStore");
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+(function testDecodeBase64FileAcceptsDataUri() {
+  const b64 = PNG_HEADER.toString("base64");
+  assert.ok(decodeBase64File(b64).equals(PNG_HEADER));
+  assert.ok(decodeBase64File(`data:image/png;base64,${b64}`).equals(PNG_HEADER));
+})();
+
+(function testDetectImageMimeTypeByMagicBytes() {
+  assert.strictEqual(detectImageMimeType(PNG_HEADER), "image/png");
+  assert.strictEqual(detectImageMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0, 0, 0])), "image/jpeg");
+  assert.strictEqual(detectImageMimeType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ", "ascii")), "image/webp");
+  assert.strictEqual(detectImageMimeType(Buffer.from("<svg></svg>!", "ascii")), null);
+})();
+
+(function testStorageKeyStaysInsideRoot() {
+  assert.match(buildStorageKey(12, "image/png"), /^12\/[0-9a-f]{32}\.png$/);
+  const root = path.join(os.tmpdir(), "attachments");
+  assert.strictEqual(resolveStoragePath(root, "12/a.png"), path.join(root, "12", "a.png"));
+  assert.throws(() => resolveStoragePath(root, "../secret.txt"), /INVALID_STORAGE_KEY/);
+  assert.throws(() => resolveStoragePath(root, ""), /INVALID_STORAGE_KEY/);
+})();
+
+(async function testSaveAndRemoveAttachmentFile() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "attachment-store-"));
+  try {
+    const key = buildStorageKey(3, "image/png");
+    const saved = await saveAttachmentFile(root, key, PNG_HEADER);
+    assert.ok(fs.readFileSync(saved).equals(PNG_HEADER));
+    await removeAttachmentFile(root, key);
+    assert.strictEqual(fs.existsSync(saved), false);
+    // 2回目（すでに無い）も例外にしない
+    await removeAttachmentFile(root, key);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+  console.log("attachmentStore tests passed");
+})();
@@ -0,0 +1,98 @@
+// 4択問題の選択肢を配信時に並べ替える（保存されている並び順は変えない）
+// 同じ seed なら同じ並びになるので、回答時に seed と選んだ位置を送れば元の選択肢を復元できる。
+const crypto = require("crypto");
+
+const SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function normalizeShuffleSeed(value) {
+  const seed = String(value ?? "").trim();
+  return SEED_PATTERN.test(seed) ? seed : null;
+}
+
+function generateShuffleSeed() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+// 文字列 → 32bit 整数（FNV-1a）
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (const ch of String(text)) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// seed つきの乱数（mulberry32）。0 以上 1 未満を返す
+function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleWithSeed(list, seed) {
+  const random = createSeededRandom(seed);
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function quizChoiceList(quiz) {
+  return [quiz.choice_1, quiz.choice_2, quiz.choice_3, quiz.choice_4]
+    .map((c) => String(c ?? "").trim())
+    .filter(Boolean);
+}
+
+function isMultipleChoice(quiz) {
+  return (quiz.type || quiz.quiz_type) === "multiple_choice";
+}
+
+// 1回の出題（seed）の中でも問題ごとに並びが変わるよう、seed に quiz id を混ぜる
+function deliveredChoices(quiz, seed) {
+  const choices = quizChoiceList(quiz);
+  return seed ? shuffleWithSeed(choices, `${seed}:${quiz.id}`) : choices;
+}
+
+/**
+ * 4択問題なら choice_1〜4 / choices / options を seed に従って並べ替えた行を返す。
+ * それ以外の形式と、seed なしの場合はそのまま返す。
+ */
+function shuffleQuizChoicesForDelivery(quiz, seed) {
+  if (!seed || !isMultipleChoice(quiz)) return quiz;
+  const choices = deliveredChoices(quiz, seed);
+  if (choices.length < 2) return quiz;
+  return {
+    ...quiz,
+    choice_1: choices[0] || null,
+    choice_2: choices[1] || null,
+    choice_3: choices[2] || null,
+    choice_4: choices[3] || null,
+    choices: JSON.stringify(choices),
+    options: JSON.stringify(choices),
+    shuffle_seed: seed,
+  };
+}
+
+// 配信時の位置（1〜4）から選んだ選択肢の文字列を求める（範囲外は null）
+function resolveDeliveredChoice(quiz, seed, choiceNo) {
+  const index = Number(choiceNo) - 1;
+  if (!Number.isInteger(index)) return null;
+  return deliveredChoices(quiz, seed)[index] ?? null;
+}
+
+module.exports = {
+  normalizeShuffleSeed,
+  generateShuffleSeed,
+  createSeededRandom,
+  shuffleWithSeed,
+  shuffleQuizChoicesForDelivery,
+  resolveDeliveredChoice,
+};
@@ -0,0 +1,61 @@
+const assert = require("assert");
+const {
+  normalizeShuffleSeed,
+  shuffleWithSeed,
+  shuffleQuizChoicesForDelivery,
+  resolveDeliveredChoice,
+} = require("./choiceShuffle");
+
+const quiz = {
+  id: 7,
+  type: "multiple_choice",
+  answer: "東京",
+  choice_1: "東京",
+  choice_2: "大阪",
+  choice_3: "京都",
+  choice_4: "札幌",
+};
+
+(function testNormalizeShuffleSeed() {
+  assert.strictEqual(normalizeShuffleSeed(" abc-123 "), "abc-123");
+  assert.strictEqual(normalizeShuffleSeed("a b"), null);
+  assert.strictEqual(normalizeShuffleSeed(""), null);
+  assert.strictEqual(normalizeShuffleSeed("x".repeat(65)), null);
+})();
+
+(function testSameSeedGivesSameOrder() {
+  const list = ["a", "b", "c", "d"];
+  assert.deepStrictEqual(shuffleWithSeed(list, "s1"), shuffleWithSeed(list, "s1"));
+  assert.deepStrictEqual([...shuffleWithSeed(list, "s1")].sort(), list);
+  assert.deepStrictEqual(list, ["a", "b", "c", "d"]);
+})();
+
+(function testAnswerPositionSpreadsAcrossSeeds() {
+  const counts = [0, 0, 0, 0];
+  for (let i = 0; i < 400; i++) {
+    const delivered = shuffleQuizChoicesForDelivery(quiz, `seed${i}`);
+    counts[[delivered.choice_1, delivered.choice_2, delivered.choice_3, delivered.choice_4].indexOf("東京")] += 1;
+  }
+  // 先頭に偏らない（それぞれ 1/4 前後）
+  counts.forEach((c) => assert.ok(c > 60 && c < 140, `偏りすぎ: ${counts}`));
+})();
+
+(function testDeliveredChoiceCanBeResolvedForGrading() {
+  const delivered = shuffleQuizChoicesForDelivery(quiz, "attempt-1");
+  assert.strictEqual(delivered.shuffle_seed, "attempt-1");
+  assert.deepStrictEqual(JSON.parse(delivered.choices), [delivered.choice_1, delivered.choice_2, delivered.choice_3, delivered.choice_4]);
+  for (let no = 1; no <= 4; no++) {
+    assert.strictEqual(resolveDeliveredChoice(quiz, "attempt-1", no), delivered[`choice_${no}`]);
+  }
+  assert.strictEqual(resolveDeliveredChoice(quiz, "attempt-1", 5), null);
+  // seed なしは保存順のまま
+  assert.strictEqual(resolveDeliveredChoice(quiz, null, 1), "東京");
+})();
+
+(function testNonMultipleChoiceIsUntouched() {
+  const written = { id: 1, type: "written", answer: "x" };
+  assert.strictEqual(shuffleQuizChoicesForDelivery(written, "s"), written);
+  assert.strictEqual(shuffleQuizChoicesForDelivery(quiz, null), quiz);
+})();
+
+console.log("choiceShuffle tests passed");
@@ -0,0 +1,136 @@
+// コミュニティのダッシュボード（週ごとの投稿数・よく投稿する人・授業ごとの担当・メンバーの復習予定）
+// SQL で日付（JST の YYYY-MM-DD）ごとに数えた行を受け取り、グラフ用の形にそろえる
+const { normalizeCourseName, groupNotesByLecture } = require("./courseIndex");
+
+const DASHBOARD_WEEKS = 12;
+const REVIEW_OUTLOOK_DAYS = 7;
+const TOP_CONTRIBUTORS = 10;
+const MAX_COURSES = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD" ⇔ UTC 0時の Date（日付の足し引きだけに使う）
+function parseDateKey(key) {
+  return new Date(`${key}T00:00:00Z`);
+}
+
+function formatDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(key, days) {
+  return formatDateKey(new Date(parseDateKey(key).getTime() + days * DAY_MS));
+}
+
+// その日を含む週の月曜日
+function weekStartOf(key) {
+  const day = parseDateKey(key).getUTCDay(); // 0=日
+  return addDays(key, -((day + 6) % 7));
+}
+
+/**
+ * 日ごとの件数 [{ day, count }] を、today を含む週までの weeks 週分の週ごとの件数にする（古い順・0件の週も入れる）。
+ * 戻り値: [{ week_start, count }]
+ */
+function buildWeeklySeries(dayRows, { today, weeks = DASHBOARD_WEEKS }) {
+  const lastWeek = weekStartOf(today);
+  const series = [];
+  for (let i = weeks - 1; i >= 0; i--) series.push({ week_start: addDays(lastWeek, -7 * i), count: 0 });
+  const index = new Map(series.map((s, i) => [s.week_start, i]));
+  for (const row of dayRows) {
+    const i = index.get(weekStartOf(String(row.day)));
+    if (i !== undefined) series[i].count += Number(row.count || 0);
+  }
+  return series;
+}
+
+// ノート数 + クイズ数の多い順（同数ならノートの多い人、最近投稿した人）
+function rankContributors(rows, limit = TOP_CONTRIBUTORS) {
+  return rows
+    .map((r) => ({
+      user_id: r.user_id,
+      username: r.username,
+      note_count: Number(r.note_count || 0),
+      quiz_count: Number(r.quiz_count || 0),
+      last_posted_at: r.last_posted_at || null,
+    }))
+    .filter((r) => r.note_count + r.quiz_count > 0)
+    .sort((a, b) =>
+      b.note_count + b.quiz_count - (a.note_count + a.quiz_count) ||
+      b.note_count - a.note_count ||
+      new Date(b.last_posted_at || 0) - new Date(a.last_posted_at || 0)
+    )
+    .slice(0, limit);
+}
+
+function uniqueContributors(notes) {
+  const seen = new Map();
+  for (const n of notes) {
+    if (!seen.has(n.user_id)) seen.set(n.user_id, { user_id: n.user_id, username: n.username });
+  }
+  return [...seen.values()];
+}
+
+/**
+ * 授業ごとに、どの回を誰がノートにしたか。
+ * notes: [{ id, user_id, username, course_id, course_name, lecture_no, lecture_date }]
+ * 戻り値: [{ course_id, course_name, note_count, contributors, lectures: [{ lecture_number, label, note_count, contributors }] }]
+ */
+function buildCourseCoverage(notes, limit = MAX_COURSES) {
+  const courses = new Map();
+  for (const note of notes) {
+    const name = normalizeCourseName(note.course_name);
+    if (!name) continue;
+    const key = note.course_id ? `id:${note.course_id}` : `name:${name.toLowerCase()}`;
+    if (!courses.has(key)) courses.set(key, { course_id: note.course_id || null, course_name: name, notes: [] });
+    courses.get(key).notes.push(note);
+  }
+  return [...courses.values()]
+    .map((c) => ({
+      course_id: c.course_id,
+      course_name: c.course_name,
+      note_count: c.notes.length,
+      contributors: uniqueContributors(c.notes),
+      lectures: groupNotesByLecture(c.notes).map((l) => ({
+        lecture_number: l.lecture_number,
+        label: l.label,
+        note_count: l.notes.length,
+        contributors: uniqueContributors(l.notes),
+      })),
+    }))
+    .sort((a, b) => b.note_count - a.note_count || a.course_name.localeCompare(b.course_name, "ja"))
+    .slice(0, limit);
+}
+
+/**
+ * メンバーの復習予定 [{ day, review_count, member_count }] を、期限切れと今日から days 日分にまとめる。
+ * 戻り値: { overdue_count, days: [{ date, review_count, member_count }] }
+ */
+function buildReviewOutlook(rows, { today, days = REVIEW_OUTLOOK_DAYS }) {
+  const outlook = { overdue_count: 0, days: [] };
+  for (let i = 0; i < days; i++) outlook.days.push({ date: addDays(today, i), review_count: 0, member_count: 0 });
+  const index = new Map(outlook.days.map((d, i) => [d.date, i]));
+  for (const row of rows) {
+    const day = String(row.day);
+    if (day < today) {
+      outlook.overdue_count += Number(row.review_count || 0);
+      continue;
+    }
+    const i = index.get(day);
+    if (i === undefined) continue;
+    outlook.days[i].review_count += Number(row.review_count || 0);
+    outlook.days[i].member_count += Number(row.member_count || 0);
+  }
+  return outlook;
+}
+
+module.exports = {
+  DASHBOARD_WEEKS,
+  REVIEW_OUTLOOK_DAYS,
+  weekStartOf,
+  addDays,
+  buildWeeklySeries,
+  rankContributors,
+  buildCourseCoverage,
+  buildReviewOutlook,
+};
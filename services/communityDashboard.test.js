@@ -0,0 +1,87 @@
+const assert = require("assert");
+const {
+  weekStartOf,
+  addDays,
+  buildWeeklySeries,
+  rankContributors,
+  buildCourseCoverage,
+  buildReviewOutlook,
+} = require("./communityDashboard");
+
+(function testWeekStartOf() {
+  // 2026-10-19 は月曜日
+  assert.strictEqual(weekStartOf("2026-10-19"), "2026-10-19");
+  assert.strictEqual(weekStartOf("2026-10-25"), "2026-10-19");
+  assert.strictEqual(weekStartOf("2026-10-18"), "2026-10-12");
+  assert.strictEqual(addDays("2026-12-31", 1), "2027-01-01");
+})();
+
+(function testBuildWeeklySeries() {
+  const series = buildWeeklySeries(
+    [
+      { day: "2026-10-20", count: 2 },
+      { day: "2026-10-19", count: "1" },
+      { day: "2026-10-05", count: 4 },
+      { day: "2026-01-01", count: 9 },
+    ],
+    { today: "2026-10-21", weeks: 3 }
+  );
+  assert.deepStrictEqual(series, [
+    { week_start: "2026-10-05", count: 4 },
+    { week_start: "2026-10-12", count: 0 },
+    { week_start: "2026-10-19", count: 3 },
+  ]);
+})();
+
+(function testRankContributors() {
+  const ranked = rankContributors([
+    { user_id: 1, username: "a", note_count: 2, quiz_count: 1, last_posted_at: "2026-10-01" },
+    { user_id: 2, username: "b", note_count: 1, quiz_count: 5, last_posted_at: "2026-10-02" },
+    { user_id: 3, username: "c", note_count: 3, quiz_count: 0, last_posted_at: "2026-10-03" },
+    { user_id: 4, username: "d", note_count: 0, quiz_count: 0 },
+  ]);
+  assert.deepStrictEqual(ranked.map((r) => r.user_id), [2, 3, 1]);
+  assert.strictEqual(rankContributors(ranked, 1).length, 1);
+})();
+
+(function testBuildCourseCoverage() {
+  const coverage = buildCourseCoverage([
+    { id: 1, user_id: 1, username: "a", course_id: 7, course_name: "線形代数", lecture_no: "第2回" },
+    { id: 2, user_id: 2, username: "b", course_id: 7, course_name: "線形代数", lecture_no: "1" },
+    { id: 3, user_id: 1, username: "a", course_id: 7, course_name: "線形代数", lecture_no: "第一回" },
+    { id: 4, user_id: 2, username: "b", course_id: null, course_name: " 統計学 ", lecture_no: "3" },
+    { id: 5, user_id: 2, username: "b", course_id: null, course_name: "", lecture_no: "3" },
+  ]);
+  assert.strictEqual(coverage.length, 2);
+  const [linear, stats] = coverage;
+  assert.strictEqual(linear.note_count, 3);
+  assert.deepStrictEqual(linear.contributors.map((c) => c.username), ["a", "b"]);
+  assert.deepStrictEqual(
+    linear.lectures.map((l) => [l.label, l.contributors.map((c) => c.username)]),
+    [
+      ["第1回", ["b", "a"]],
+      ["第2回", ["a"]],
+    ]
+  );
+  assert.strictEqual(stats.course_name, "統計学");
+})();
+
+(function testBuildReviewOutlook() {
+  const outlook = buildReviewOutlook(
+    [
+      { day: "2026-10-10", review_count: 3, member_count: 2 },
+      { day: "2026-10-19", review_count: 2, member_count: 1 },
+      { day: "2026-10-21", review_count: 4, member_count: 3 },
+      { day: "2026-11-30", review_count: 9, member_count: 9 },
+    ],
+    { today: "2026-10-19", days: 3 }
+  );
+  assert.strictEqual(outlook.overdue_count, 3);
+  assert.deepStrictEqual(outlook.days, [
+    { date: "2026-10-19", review_count: 2, member_count: 1 },
+    { date: "2026-10-20", review_count: 0, member_count: 0 },
+    { date: "2026-10-21", review_count: 4, member_count: 3 },
+  ]);
+})();
+
+console.log("communityDashboard tests passed");
@@ -0,0 +1,135 @@
+// コミュニティの出来事（参加・退会・承認・役割変更・ノート削除など）のフィード
+// 参加申請の承認・却下は community_join_requests（decided_by / decided_at）が正なので、
+// community_events には書かず、読み出すときに混ぜる
+const crypto = require("crypto");
+
+const COMMUNITY_EVENT_TYPES = [
+  "created",
+  "joined",
+  "left",
+  "removed",
+  "role_changed",
+  "ownership_transferred",
+  "note_deleted",
+  "join_code_rotated",
+];
+
+const DEFAULT_FEED_LIMIT = 50;
+const MAX_FEED_LIMIT = 200;
+const JOIN_CODE_MIN_LENGTH = 4;
+const JOIN_CODE_MAX_LENGTH = 100;
+// 自動生成する参加コードの文字（見間違えやすい 0/O/1/l/I は除く）
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789";
+
+function parseFeedLimit(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) return DEFAULT_FEED_LIMIT;
+  return Math.min(n, MAX_FEED_LIMIT);
+}
+
+// フィードの並び順は「日時の新しい順 → 同じ日時なら community_events が先 → id の降順」。
+// カーソルは最後に表示した1件の日時と、ソースごとの「同じ日時ならこの id より小さいもの」の上限を base64url にしたもの
+// （DATETIME は秒までなので、日時だけで区切ると境目の同じ秒の出来事が抜ける）
+const NO_ID_LIMIT = Number.MAX_SAFE_INTEGER;
+
+function encodeFeedCursor(item) {
+  const [source, rawId] = String(item.id).split(":");
+  const id = Number(rawId);
+  return Buffer.from(JSON.stringify({
+    at: new Date(item.created_at).toISOString(),
+    ev: source === "ev" ? id : 0, // 決定が最後なら、同じ日時の出来事はもう全部出ている
+    jr: source === "jr" ? id : NO_ID_LIMIT, // 出来事が最後なら、同じ日時の決定はまだ1件も出ていない
+  })).toString("base64url");
+}
+
+// ?cursor= を { at, ev, jr } にする。不正なら null（最新から）
+function parseFeedCursor(value) {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    const at = new Date(parsed?.at);
+    if (Number.isNaN(at.getTime()) || !Number.isInteger(parsed.ev) || !Number.isInteger(parsed.jr)) return null;
+    return { at, ev: parsed.ev, jr: parsed.jr };
+  } catch {
+    return null;
+  }
+}
+
+function compareFeedItems(a, b) {
+  const byTime = new Date(b.created_at) - new Date(a.created_at);
+  if (byTime) return byTime;
+  const [sourceA, idA] = String(a.id).split(":");
+  const [sourceB, idB] = String(b.id).split(":");
+  if (sourceA !== sourceB) return sourceA === "ev" ? -1 : 1;
+  return Number(idB) - Number(idA);
+}
+
+// 承認・却下済みの参加申請をフィードの1件に変換する
+function joinDecisionToEvent(row) {
+  return {
+    id: `jr:${row.id}`,
+    type: row.status === "approved" ? "approved" : "rejected",
+    actor_user_id: row.decided_by,
+    actor_name: row.decided_by_name ?? null,
+    target_user_id: row.user_id,
+    target_name: row.user_name ?? null,
+    detail: { join_request_id: row.id },
+    created_at: row.decided_at,
+  };
+}
+
+function parseDetail(value) {
+  if (value == null || typeof value === "object") return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * community_events の行と参加申請の決定を新しい順に並べ、limit 件に切る。
+ * 戻り値: { events, next_cursor }（next_cursor を ?cursor= に渡すと続きが取れる）
+ */
+function mergeCommunityFeed(eventRows, decisionRows, limit = DEFAULT_FEED_LIMIT) {
+  const events = eventRows.map((row) => ({
+    id: `ev:${row.id}`,
+    type: row.event_type,
+    actor_user_id: row.actor_user_id,
+    actor_name: row.actor_name ?? null,
+    target_user_id: row.target_user_id,
+    target_name: row.target_name ?? null,
+    detail: parseDetail(row.detail),
+    created_at: row.created_at,
+  }));
+  const merged = [...events, ...decisionRows.map(joinDecisionToEvent)]
+    .sort(compareFeedItems)
+    .slice(0, limit);
+  const hasMore = eventRows.length + decisionRows.length > limit;
+  return {
+    events: merged,
+    next_cursor: hasMore && merged.length ? encodeFeedCursor(merged[merged.length - 1]) : null,
+  };
+}
+
+// 参加コードの入力チェック（問題なければ null、NG ならメッセージ）
+function validateJoinCode(code) {
+  const length = Array.from(code).length;
+  if (length < JOIN_CODE_MIN_LENGTH || length > JOIN_CODE_MAX_LENGTH) {
+    return `参加コードは${JOIN_CODE_MIN_LENGTH}〜${JOIN_CODE_MAX_LENGTH}文字にしてください`;
+  }
+  return null;
+}
+
+function generateJoinCode(length = 10) {
+  return Array.from(crypto.randomBytes(length), (b) => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join("");
+}
+
+module.exports = {
+  COMMUNITY_EVENT_TYPES,
+  parseFeedLimit,
+  parseFeedCursor,
+  mergeCommunityFeed,
+  validateJoinCode,
+  generateJoinCode,
+};
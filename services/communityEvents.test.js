@@ -0,0 +1,87 @@
+const assert = require("assert");
+const {
+  parseFeedLimit,
+  parseFeedCursor,
+  mergeCommunityFeed,
+  validateJoinCode,
+  generateJoinCode,
+} = require("./communityEvents");
+
+(function testParseFeedParams() {
+  assert.strictEqual(parseFeedLimit(undefined), 50);
+  assert.strictEqual(parseFeedLimit("20"), 20);
+  assert.strictEqual(parseFeedLimit(1000), 200);
+  assert.strictEqual(parseFeedLimit("x"), 50);
+  assert.strictEqual(parseFeedCursor("bogus"), null);
+  assert.strictEqual(parseFeedCursor(undefined), null);
+})();
+
+(function testMergeCommunityFeed() {
+  const events = [
+    { id: 1, event_type: "joined", actor_user_id: 5, target_user_id: 5, detail: '{"via":"join_code"}', created_at: "2026-10-01T10:00:00Z" },
+    { id: 2, event_type: "role_changed", actor_user_id: 1, target_user_id: 5, detail: { from: "member", to: "moderator" }, created_at: "2026-10-03T10:00:00Z" },
+  ];
+  const decisions = [
+    { id: 9, status: "rejected", user_id: 7, user_name: "sato", decided_by: 1, decided_by_name: "owner", decided_at: "2026-10-02T10:00:00Z" },
+  ];
+  const { events: feed, next_cursor } = mergeCommunityFeed(events, decisions, 10);
+  assert.deepStrictEqual(feed.map((e) => e.id), ["ev:2", "jr:9", "ev:1"]);
+  assert.deepStrictEqual(feed[2].detail, { via: "join_code" });
+  assert.deepStrictEqual(feed[1], {
+    id: "jr:9",
+    type: "rejected",
+    actor_user_id: 1,
+    actor_name: "owner",
+    target_user_id: 7,
+    target_name: "sato",
+    detail: { join_request_id: 9 },
+    created_at: "2026-10-02T10:00:00Z",
+  });
+  assert.strictEqual(next_cursor, null);
+
+  const paged = mergeCommunityFeed(events, decisions, 2);
+  assert.deepStrictEqual(paged.events.map((e) => e.id), ["ev:2", "jr:9"]);
+  assert.deepStrictEqual(parseFeedCursor(paged.next_cursor), {
+    at: new Date("2026-10-02T10:00:00Z"),
+    ev: 0,
+    jr: 9,
+  });
+})();
+
+(function testFeedCursorKeepsItemsInTheSameSecond() {
+  // 同じ秒に出来事2件・決定2件。1件ずつめくっても抜けも重複もない
+  const at = "2026-10-05T09:00:00Z";
+  const allEvents = [
+    { id: 3, event_type: "joined", created_at: at },
+    { id: 4, event_type: "left", created_at: at },
+  ];
+  const allDecisions = [
+    { id: 10, status: "approved", user_id: 8, decided_by: 1, decided_at: at },
+    { id: 11, status: "rejected", user_id: 9, decided_by: 1, decided_at: at },
+  ];
+  // サーバーの WHERE 句と同じ条件
+  const after = (cursor, source) => (row) => {
+    const t = new Date(row.created_at || row.decided_at);
+    return !cursor || t < cursor.at || (t.getTime() === cursor.at.getTime() && row.id < cursor[source]);
+  };
+  const seen = [];
+  let cursor = null;
+  for (let i = 0; i < 10; i++) {
+    const page = mergeCommunityFeed(allEvents.filter(after(cursor, "ev")), allDecisions.filter(after(cursor, "jr")), 1);
+    seen.push(...page.events.map((e) => e.id));
+    if (!page.next_cursor) break;
+    cursor = parseFeedCursor(page.next_cursor);
+  }
+  assert.deepStrictEqual(seen, ["ev:4", "ev:3", "jr:11", "jr:10"]);
+})();
+
+(function testJoinCode() {
+  assert.strictEqual(validateJoinCode("abcd"), null);
+  assert.ok(validateJoinCode("abc"));
+  const code = generateJoinCode();
+  assert.strictEqual(code.length, 10);
+  assert.ok(/^[A-Za-z2-9]+$/.test(code));
+  assert.strictEqual(validateJoinCode(code), null);
+})();
+
+console.log("communityEvents tests passed");
@@ -0,0 +1,91 @@
+// コミュニティの招待リンク（期限・使用回数の上限・自動承認つき）
+// トークンは作成時に一度だけ返し、DB には SHA-256 のハッシュだけを保存する
+const crypto = require("crypto");
+
+const DEFAULT_INVITE_EXPIRES_HOURS = 7 * 24;
+const MAX_INVITE_EXPIRES_HOURS = 30 * 24;
+const MAX_INVITE_USES = 1000;
+const INVITE_LABEL_MAX_LENGTH = 100;
+
+function generateInviteToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash("sha256").update(String(token ?? "")).digest("hex");
+}
+
+// URL の :token として妥当な形か（DB を引く前のふるい）
+function isInviteTokenFormat(token) {
+  return /^[A-Za-z0-9_-]{20,64}$/.test(String(token ?? ""));
+}
+
+function isBlank(v) {
+  return v === undefined || v === null || v === "";
+}
+
+/**
+ * POST /api/communities/:id/invites の入力チェック。
+ * expires_in_hours: 未指定なら7日、0 なら無期限。max_uses: 未指定・0 なら回数無制限
+ * 戻り値: { value: { expiresInHours, maxUses, autoApprove, label }, errors: [] }
+ */
+function normalizeInviteRequest(body = {}) {
+  const errors = [];
+
+  let expiresInHours = DEFAULT_INVITE_EXPIRES_HOURS;
+  if (!isBlank(body.expires_in_hours)) {
+    const hours = Number(body.expires_in_hours);
+    if (hours === 0) {
+      expiresInHours = null;
+    } else if (!Number.isInteger(hours) || hours < 1 || hours > MAX_INVITE_EXPIRES_HOURS) {
+      errors.push(`expires_in_hours は 1〜${MAX_INVITE_EXPIRES_HOURS} の整数（0 で無期限）で指定してください`);
+    } else {
+      expiresInHours = hours;
+    }
+  }
+
+  let maxUses = null;
+  if (!isBlank(body.max_uses) && Number(body.max_uses) !== 0) {
+    maxUses = Number(body.max_uses);
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+      errors.push(`max_uses は 1〜${MAX_INVITE_USES} の整数（0 で無制限）で指定してください`);
+    }
+  }
+
+  const label = String(body.label ?? "").trim().slice(0, INVITE_LABEL_MAX_LENGTH) || null;
+  const autoApprove = body.auto_approve === true || body.auto_approve === 1 || body.auto_approve === "1" || body.auto_approve === "true";
+  return { value: { expiresInHours, maxUses, autoApprove, label }, errors };
+}
+
+// 招待の状態: active / revoked / expired / used_up
+function inviteStatus(invite, now = new Date()) {
+  if (invite.revoked_at) return "revoked";
+  if (invite.expires_at && new Date(invite.expires_at) <= now) return "expired";
+  if (invite.max_uses != null && Number(invite.use_count) >= Number(invite.max_uses)) return "used_up";
+  return "active";
+}
+
+const INVITE_UNUSABLE_MESSAGES = {
+  revoked: ["この招待リンクは無効になりました", "INVITE_REVOKED"],
+  expired: ["この招待リンクは期限切れです", "INVITE_EXPIRED"],
+  used_up: ["この招待リンクは使用回数の上限に達しました", "INVITE_USED_UP"],
+};
+
+// 使える招待か（canViewNote などと同じ { ok, status, message, code }）
+function checkInviteUsable(invite, now = new Date()) {
+  if (!invite) return { ok: false, status: 404, message: "招待リンクが見つかりません", code: "INVITE_NOT_FOUND" };
+  const status = inviteStatus(invite, now);
+  if (status === "active") return { ok: true };
+  const [message, code] = INVITE_UNUSABLE_MESSAGES[status];
+  return { ok: false, status: 410, message, code };
+}
+
+module.exports = {
+  DEFAULT_INVITE_EXPIRES_HOURS,
+  generateInviteToken,
+  hashInviteToken,
+  isInviteTokenFormat,
+  normalizeInviteRequest,
+  inviteStatus,
+  checkInviteUsable,
+};
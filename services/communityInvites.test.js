@@ -0,0 +1,51 @@
+const assert = require("assert");
+const {
+  generateInviteToken,
+  hashInviteToken,
+  isInviteTokenFormat,
+  normalizeInviteRequest,
+  inviteStatus,
+  checkInviteUsable,
+} = require("./communityInvites");
+
+(function testTokenAndHash() {
+  const token = generateInviteToken();
+  assert.ok(isInviteTokenFormat(token));
+  assert.notStrictEqual(token, generateInviteToken());
+  assert.strictEqual(hashInviteToken(token).length, 64);
+  assert.strictEqual(hashInviteToken(token), hashInviteToken(token));
+  assert.strictEqual(isInviteTokenFormat("../etc/passwd"), false);
+  assert.strictEqual(isInviteTokenFormat("short"), false);
+})();
+
+(function testNormalizeInviteRequest() {
+  assert.deepStrictEqual(normalizeInviteRequest({}), {
+    value: { expiresInHours: 168, maxUses: null, autoApprove: false, label: null },
+    errors: [],
+  });
+  const { value } = normalizeInviteRequest({ expires_in_hours: 0, max_uses: "10", auto_approve: true, label: " LINE用 " });
+  assert.deepStrictEqual(value, { expiresInHours: null, maxUses: 10, autoApprove: true, label: "LINE用" });
+  assert.strictEqual(normalizeInviteRequest({ expires_in_hours: 721, max_uses: -1 }).errors.length, 2);
+  assert.strictEqual(normalizeInviteRequest({ auto_approve: "yes" }).value.autoApprove, false);
+})();
+
+(function testInviteStatus() {
+  const now = new Date("2026-10-01T00:00:00Z");
+  const base = { revoked_at: null, expires_at: "2026-10-02T00:00:00Z", max_uses: 3, use_count: 1 };
+  assert.strictEqual(inviteStatus(base, now), "active");
+  assert.strictEqual(inviteStatus({ ...base, expires_at: null, max_uses: null }, now), "active");
+  assert.strictEqual(inviteStatus({ ...base, revoked_at: "2026-09-30T00:00:00Z" }, now), "revoked");
+  assert.strictEqual(inviteStatus({ ...base, expires_at: "2026-09-30T00:00:00Z" }, now), "expired");
+  assert.strictEqual(inviteStatus({ ...base, use_count: 3 }, now), "used_up");
+
+  assert.strictEqual(checkInviteUsable(base, now).ok, true);
+  assert.strictEqual(checkInviteUsable(null, now).status, 404);
+  assert.deepStrictEqual(checkInviteUsable({ ...base, use_count: 3 }, now), {
+    ok: false,
+    status: 410,
+    message: "この招待リンクは使用回数の上限に達しました",
+    code: "INVITE_USED_UP",
+  });
+})();
+
+console.log("communityInvites tests passed");
@@ -0,0 +1,174 @@
+// コミュニティの権限表（owner / admin / moderator / member）と、メンバー管理（役割の変更・削除・オーナー譲渡・退会）の可否判定
+// member は { user_id, role, is_owner }。判定結果は canViewNote などと同じ { ok, status, message, code } で返す
+const COMMUNITY_ROLES = ["admin", "moderator", "member"];
+
+// 役割の強さ。オーナーは user_communities 上は admin で、communities.owner_user_id で区別する
+const ROLE_RANK = { member: 1, moderator: 2, admin: 3, owner: 4 };
+
+// コミュニティごとに「どの役割以上に許すか」を選べる操作（communities.<key>_role 列）と既定値
+const COMMUNITY_SETTING_DEFAULTS = {
+  approve_join_requests: "moderator",
+  post_notes: "member",
+  generate_quizzes: "member",
+};
+
+// 設定では変えられない操作
+const FIXED_PERMISSIONS = {
+  view: "member",
+  view_events: "moderator",
+  manage_tags: "moderator",
+  manage_members: "admin",
+  manage_invites: "admin",
+  manage_settings: "admin",
+  rotate_join_code: "admin",
+  delete_community: "owner",
+  transfer_ownership: "owner",
+};
+
+const PERMISSION_DENIED_MESSAGES = {
+  approve_join_requests: "参加申請を承認する権限がありません",
+  post_notes: "このコミュニティにノートを投稿する権限がありません",
+  generate_quizzes: "このコミュニティのノートでAIクイズを生成する権限がありません",
+  manage_tags: "コミュニティタグを管理する権限がありません",
+  manage_members: "admin only",
+  manage_invites: "招待リンクを管理できるのは管理者のみです",
+  manage_settings: "admin only",
+  view_events: "コミュニティの履歴を見る権限がありません",
+  rotate_join_code: "参加コードを変更できるのは管理者のみです",
+  delete_community: "コミュニティを削除できるのはオーナーのみです",
+  transfer_ownership: "オーナーのみ譲渡できます",
+};
+
+function normalizeCommunityRole(value) {
+  const role = String(value ?? "").trim();
+  return COMMUNITY_ROLES.includes(role) ? role : null;
+}
+
+function deny(status, message, code) {
+  return { ok: false, status, message, ...(code ? { code } : {}) };
+}
+
+function effectiveCommunityRole(member) {
+  if (!member) return null;
+  return member.is_owner ? "owner" : member.role;
+}
+
+// communities の行（*_role 列）から設定を作る。列が無い・不正な値なら既定値
+function resolveCommunitySettings(row = {}) {
+  const settings = {};
+  for (const [key, fallback] of Object.entries(COMMUNITY_SETTING_DEFAULTS)) {
+    settings[key] = normalizeCommunityRole(row[`${key}_role`]) || fallback;
+  }
+  return settings;
+}
+
+// PATCH の入力チェック。送られてきた項目だけ返す
+function normalizeCommunitySettings(body = {}) {
+  const value = {};
+  const errors = [];
+  for (const key of Object.keys(COMMUNITY_SETTING_DEFAULTS)) {
+    if (body[key] === undefined) continue;
+    const role = normalizeCommunityRole(body[key]);
+    if (role) value[key] = role;
+    else errors.push(`${key} は ${COMMUNITY_ROLES.join(" / ")} のいずれかを指定してください`);
+  }
+  if (!errors.length && !Object.keys(value).length) errors.push("変更する設定がありません");
+  return { value, errors };
+}
+
+function requiredRoleFor(action, settings = {}) {
+  return FIXED_PERMISSIONS[action] || settings[action] || COMMUNITY_SETTING_DEFAULTS[action] || "owner";
+}
+
+function hasCommunityPermission(member, action, settings = {}) {
+  const role = effectiveCommunityRole(member);
+  if (!role) return false;
+  return ROLE_RANK[role] >= ROLE_RANK[requiredRoleFor(action, settings)];
+}
+
+function checkCommunityPermission(member, action, settings = {}) {
+  if (!member) return deny(403, "members only");
+  if (!hasCommunityPermission(member, action, settings)) {
+    return deny(403, PERMISSION_DENIED_MESSAGES[action] || "forbidden", "COMMUNITY_PERMISSION_DENIED");
+  }
+  return { ok: true };
+}
+
+// 画面の出し分け用：その人ができる操作の一覧
+function listCommunityPermissions(member, settings = {}) {
+  const actions = [...Object.keys(FIXED_PERMISSIONS), ...Object.keys(COMMUNITY_SETTING_DEFAULTS)];
+  return Object.fromEntries(actions.map((action) => [action, hasCommunityPermission(member, action, settings)]));
+}
+
+/**
+ * actor が target の役割を変えられるか / コミュニティから外せるか（action: "change_role" | "remove"）。
+ * - 操作できるのは admin だけ
+ * - オーナーは誰も変更・削除できない（先に譲渡する）
+ * - 他の admin を変更・削除できるのはオーナーだけ（自分で member に下がるのは可）
+ * - 自分を外すのは退会で行う
+ */
+function checkMemberChange({ actor, target, action }) {
+  const permission = checkCommunityPermission(actor, "manage_members");
+  if (!permission.ok) return permission;
+  if (!target) return deny(404, "メンバーが見つかりません");
+  const isSelf = Number(actor.user_id) === Number(target.user_id);
+  if (target.is_owner) {
+    return deny(403, "オーナーの役割は変更できません。先にオーナーを譲渡してください", "OWNER_PROTECTED");
+  }
+  if (action === "remove" && isSelf) {
+    return deny(400, "自分を外すときは退会してください", "USE_LEAVE");
+  }
+  if (target.role === "admin" && !isSelf && !actor.is_owner) {
+    return deny(403, "管理者の変更・削除はオーナーのみできます", "OWNER_ONLY");
+  }
+  return { ok: true };
+}
+
+// オーナーの譲渡は現オーナーから、同じコミュニティの別メンバーへのみ
+function checkOwnershipTransfer({ actor, target }) {
+  if (!actor) return deny(403, "members only");
+  if (!hasCommunityPermission(actor, "transfer_ownership")) return deny(403, "オーナーのみ譲渡できます", "OWNER_ONLY");
+  if (!target) return deny(404, "譲渡先のメンバーが見つかりません");
+  if (Number(actor.user_id) === Number(target.user_id)) return deny(400, "すでにオーナーです");
+  return { ok: true };
+}
+
+/**
+ * 退会できるか。管理者のいないコミュニティを作らないため、
+ * オーナーは退会できず（譲渡か解散）、他にメンバーがいるときは最後の admin も抜けられない。
+ */
+function checkLeave({ member, adminCount, memberCount }) {
+  if (!member) return deny(400, "not a member");
+  if (member.is_owner) {
+    return deny(409, "オーナーは退会できません。オーナーを譲渡するか、コミュニティを削除してください", "OWNER_CANNOT_LEAVE");
+  }
+  if (member.role === "admin" && adminCount <= 1 && memberCount > 1) {
+    return deny(409, "管理者がいなくなるため退会できません。先に他のメンバーを管理者にしてください", "LAST_ADMIN");
+  }
+  return { ok: true };
+}
+
+/**
+ * オーナーがいなくなるとき（アカウント削除など）の引き継ぎ先。
+ * 参加の古い admin を優先し、いなければ最古参のメンバー。members は参加順（古い順）に並べて渡す。
+ */
+function pickNextOwner(members, leavingUserId) {
+  const others = members.filter((m) => Number(m.user_id) !== Number(leavingUserId));
+  return others.find((m) => m.role === "admin") || others[0] || null;
+}
+
+module.exports = {
+  COMMUNITY_ROLES,
+  COMMUNITY_SETTING_DEFAULTS,
+  normalizeCommunityRole,
+  effectiveCommunityRole,
+  resolveCommunitySettings,
+  normalizeCommunitySettings,
+  hasCommunityPermission,
+  checkCommunityPermission,
+  listCommunityPermissions,
+  checkMemberChange,
+  checkOwnershipTransfer,
+  checkLeave,
+  pickNextOwner,
+};
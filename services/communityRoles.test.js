@@ -0,0 +1,97 @@
+const assert = require("assert");
+const {
+  normalizeCommunityRole,
+  resolveCommunitySettings,
+  normalizeCommunitySettings,
+  hasCommunityPermission,
+  checkCommunityPermission,
+  listCommunityPermissions,
+  checkMemberChange,
+  checkOwnershipTransfer,
+  checkLeave,
+  pickNextOwner,
+} = require("./communityRoles");
+
+const owner = { user_id: 1, role: "admin", is_owner: true };
+const admin = { user_id: 2, role: "admin", is_owner: false };
+const admin2 = { user_id: 3, role: "admin", is_owner: false };
+const member = { user_id: 4, role: "member", is_owner: false };
+const moderator = { user_id: 5, role: "moderator", is_owner: false };
+
+(function testNormalizeCommunityRole() {
+  assert.strictEqual(normalizeCommunityRole("admin"), "admin");
+  assert.strictEqual(normalizeCommunityRole(" member "), "member");
+  assert.strictEqual(normalizeCommunityRole("moderator"), "moderator");
+  assert.strictEqual(normalizeCommunityRole("owner"), null);
+})();
+
+(function testPermissionMatrixUsesSettings() {
+  const defaults = resolveCommunitySettings({});
+  assert.deepStrictEqual(defaults, { approve_join_requests: "moderator", post_notes: "member", generate_quizzes: "member" });
+
+  // 既定では承認は moderator 以上
+  assert.strictEqual(hasCommunityPermission(member, "approve_join_requests", defaults), false);
+  assert.strictEqual(hasCommunityPermission(moderator, "approve_join_requests", defaults), true);
+  assert.strictEqual(hasCommunityPermission(owner, "approve_join_requests", defaults), true);
+
+  const strict = resolveCommunitySettings({ post_notes_role: "moderator", generate_quizzes_role: "admin", approve_join_requests_role: "bogus" });
+  assert.strictEqual(strict.approve_join_requests, "moderator");
+  assert.strictEqual(hasCommunityPermission(member, "post_notes", strict), false);
+  assert.strictEqual(hasCommunityPermission(moderator, "generate_quizzes", strict), false);
+  assert.strictEqual(hasCommunityPermission(admin, "generate_quizzes", strict), true);
+
+  // 固定の操作は設定に左右されない
+  assert.strictEqual(hasCommunityPermission(admin, "delete_community", strict), false);
+  assert.strictEqual(hasCommunityPermission(owner, "delete_community", strict), true);
+  assert.strictEqual(hasCommunityPermission(moderator, "manage_members", strict), false);
+  assert.strictEqual(hasCommunityPermission(null, "view", strict), false);
+
+  assert.strictEqual(checkCommunityPermission(member, "approve_join_requests", defaults).code, "COMMUNITY_PERMISSION_DENIED");
+  assert.strictEqual(checkCommunityPermission(null, "view", defaults).message, "members only");
+  assert.strictEqual(listCommunityPermissions(moderator, defaults).manage_tags, true);
+})();
+
+(function testNormalizeCommunitySettings() {
+  assert.deepStrictEqual(normalizeCommunitySettings({ post_notes: "moderator", other: "x" }), {
+    value: { post_notes: "moderator" },
+    errors: [],
+  });
+  assert.strictEqual(normalizeCommunitySettings({ post_notes: "owner" }).errors.length, 1);
+  assert.strictEqual(normalizeCommunitySettings({}).errors.length, 1);
+})();
+
+(function testCheckMemberChange() {
+  assert.strictEqual(checkMemberChange({ actor: admin, target: member, action: "change_role" }).ok, true);
+  assert.strictEqual(checkMemberChange({ actor: owner, target: admin, action: "remove" }).ok, true);
+  // 自分で member に下がるのは可
+  assert.strictEqual(checkMemberChange({ actor: admin, target: admin, action: "change_role" }).ok, true);
+
+  assert.strictEqual(checkMemberChange({ actor: member, target: admin, action: "remove" }).status, 403);
+  assert.strictEqual(checkMemberChange({ actor: moderator, target: member, action: "remove" }).status, 403);
+  assert.strictEqual(checkMemberChange({ actor: admin, target: owner, action: "change_role" }).code, "OWNER_PROTECTED");
+  assert.strictEqual(checkMemberChange({ actor: admin, target: admin2, action: "remove" }).code, "OWNER_ONLY");
+  assert.strictEqual(checkMemberChange({ actor: admin, target: admin, action: "remove" }).code, "USE_LEAVE");
+  assert.strictEqual(checkMemberChange({ actor: admin, target: null, action: "remove" }).status, 404);
+})();
+
+(function testCheckOwnershipTransfer() {
+  assert.strictEqual(checkOwnershipTransfer({ actor: owner, target: member }).ok, true);
+  assert.strictEqual(checkOwnershipTransfer({ actor: admin, target: member }).code, "OWNER_ONLY");
+  assert.strictEqual(checkOwnershipTransfer({ actor: owner, target: owner }).status, 400);
+})();
+
+(function testCheckLeave() {
+  assert.strictEqual(checkLeave({ member, adminCount: 1, memberCount: 3 }).ok, true);
+  assert.strictEqual(checkLeave({ member: owner, adminCount: 2, memberCount: 3 }).code, "OWNER_CANNOT_LEAVE");
+  assert.strictEqual(checkLeave({ member: admin, adminCount: 1, memberCount: 3 }).code, "LAST_ADMIN");
+  assert.strictEqual(checkLeave({ member: admin, adminCount: 2, memberCount: 3 }).ok, true);
+  assert.strictEqual(checkLeave({ member: null, adminCount: 1, memberCount: 1 }).status, 400);
+})();
+
+(function testPickNextOwner() {
+  assert.strictEqual(pickNextOwner([owner, member, admin], 1), admin);
+  assert.strictEqual(pickNextOwner([owner, member], 1), member);
+  assert.strictEqual(pickNextOwner([owner], 1), null);
+})();
+
+console.log("communityRoles tests passed");
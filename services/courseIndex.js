@@ -0,0 +1,152 @@
+// 授業（courses）ごとのノート目次
+// lecture_no は自由入力（「第3回」「3」「第三回」「３回目」など）なので、回数を数値にして並べる。
+const KANJI_DIGITS = { 〇: 0, 零: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+function normalizeCourseName(name) {
+  return String(name ?? "")
+    .normalize("NFKC")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// 学期（「2026前期」など）。未入力は ''（学期なしの授業）
+const COURSE_TERM_MAX_LENGTH = 50;
+
+function normalizeCourseTerm(term) {
+  return normalizeCourseName(term).slice(0, COURSE_TERM_MAX_LENGTH);
+}
+
+// 「十五」「二十」「三十一」などの漢数字（99まで）
+function parseKanjiNumber(text) {
+  if (text.length === 1 && text !== "十") return KANJI_DIGITS[text] || null;
+  const m = /^([一二三四五六七八九]?)十([一二三四五六七八九]?)$/.exec(text);
+  if (!m) return null;
+  const [, tens, ones] = m;
+  const value = (tens ? KANJI_DIGITS[tens] : 1) * 10 + (ones ? KANJI_DIGITS[ones] : 0);
+  return value > 0 ? value : null;
+}
+
+// 「第3回」→ 3。数字が読めなければ null
+function parseLectureNumber(lectureNo) {
+  const text = String(lectureNo ?? "").normalize("NFKC").trim();
+  const digits = /\d+/.exec(text);
+  if (digits) return Number(digits[0]);
+  const kanji = /[〇零一二三四五六七八九十]+/.exec(text);
+  return kanji ? parseKanjiNumber(kanji[0]) : null;
+}
+
+function dateValue(value) {
+  if (!value) return Infinity;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? Infinity : t;
+}
+
+function compareNotesInLecture(a, b) {
+  return dateValue(a.lecture_date) - dateValue(b.lecture_date) || a.id - b.id;
+}
+
+/**
+ * ノートを回ごとにまとめて、回の順に並べる。
+ * 戻り値: [{ lecture_number, label, notes }]
+ * 回数が読めない lecture_no は入力の文字列ごとにまとめ、数字の回のあとに授業日順で置く。
+ */
+function groupNotesByLecture(notes) {
+  const groups = new Map();
+  for (const note of notes) {
+    const number = parseLectureNumber(note.lecture_no);
+    const label = String(note.lecture_no ?? "").trim();
+    const key = number != null ? `n:${number}` : `s:${label}`;
+    if (!groups.has(key)) {
+      groups.set(key, { lecture_number: number, label: number != null ? `第${number}回` : label || "（回数なし）", notes: [] });
+    }
+    groups.get(key).notes.push(note);
+  }
+
+  const lectures = [...groups.values()];
+  lectures.forEach((lecture) => lecture.notes.sort(compareNotesInLecture));
+  return lectures.sort((a, b) => {
+    if (a.lecture_number != null && b.lecture_number != null) return a.lecture_number - b.lecture_number;
+    if (a.lecture_number != null) return -1;
+    if (b.lecture_number != null) return 1;
+    return compareNotesInLecture(a.notes[0], b.notes[0]);
+  });
+}
+
+// 授業全体のクイズ・復習の状況（各ノートの集計値を足し合わせる）
+function summarizeCourseProgress(lectures, now = new Date()) {
+  const summary = {
+    lecture_count: lectures.length,
+    note_count: 0,
+    quiz_count: 0,
+    attempted_quiz_count: 0,
+    last_correct_quiz_count: 0,
+    due_quiz_count: 0,
+    review_due_note_count: 0,
+  };
+  for (const lecture of lectures) {
+    for (const note of lecture.notes) {
+      summary.note_count += 1;
+      summary.quiz_count += Number(note.quiz_count || 0);
+      summary.attempted_quiz_count += Number(note.attempted_quiz_count || 0);
+      summary.last_correct_quiz_count += Number(note.last_correct_quiz_count || 0);
+      summary.due_quiz_count += Number(note.due_quiz_count || 0);
+      if (note.next_review_at && dateValue(note.next_review_at) <= now.getTime()) {
+        summary.review_due_note_count += 1;
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * 既存の授業のうち、normalizeCourseName でそろえると同じになるもの（全角・半角違いなど）をまとめる計画を作る。
+ * courses: [{ id, university_id, name, term }]
+ * 戻り値: [{ keep_id, rename_to, merge_ids }]（rename_to は名前を直す必要が無ければ null。何もしない授業は含めない）
+ */
+function planCourseMerges(courses) {
+  const groups = new Map();
+  for (const course of courses) {
+    const name = normalizeCourseName(course.name);
+    if (!name) continue;
+    const key = `${course.university_id}|${course.term ?? ""}|${name}`;
+    if (!groups.has(key)) groups.set(key, { name, rows: [] });
+    groups.get(key).rows.push(course);
+  }
+  const plans = [];
+  for (const { name, rows } of groups.values()) {
+    // すでに正規化済みの名前の授業があればそれを残す（同じ名前に直すと一意制約にぶつかるため）
+    const byId = [...rows].sort((a, b) => a.id - b.id);
+    const keep = byId.find((r) => r.name === name) || byId[0];
+    const mergeIds = byId.filter((r) => r.id !== keep.id).map((r) => r.id);
+    const renameTo = keep.name === name ? null : name;
+    if (mergeIds.length || renameTo) plans.push({ keep_id: keep.id, rename_to: renameTo, merge_ids: mergeIds });
+  }
+  return plans;
+}
+
+/**
+ * 授業にひも付いていないノートを、大学と正規化した授業名ごとにまとめる。
+ * notes: [{ id, university_id, course_name }]
+ * 戻り値: [{ university_id, name, note_ids }]
+ */
+function groupUnlinkedNotesByCourse(notes) {
+  const groups = new Map();
+  for (const note of notes) {
+    const name = normalizeCourseName(note.course_name);
+    if (!note.university_id || !name) continue;
+    const key = `${note.university_id}|${name}`;
+    if (!groups.has(key)) groups.set(key, { university_id: note.university_id, name, note_ids: [] });
+    groups.get(key).note_ids.push(note.id);
+  }
+  return [...groups.values()];
+}
+
+module.exports = {
+  normalizeCourseName,
+  normalizeCourseTerm,
+  parseLectureNumber,
+  groupNotesByLecture,
+  summarizeCourseProgress,
+  planCourseMerges,
+  groupUnlinkedNotesByCourse,
+};
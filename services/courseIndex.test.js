@@ -0,0 +1,101 @@
+const assert = require("assert");
+const {
+  normalizeCourseName,
+  normalizeCourseTerm,
+  parseLectureNumber,
+  groupNotesByLecture,
+  summarizeCourseProgress,
+  planCourseMerges,
+  groupUnlinkedNotesByCourse,
+} = require("./courseIndex");
+
+(function testNormalizeCourseTerm() {
+  assert.strictEqual(normalizeCourseTerm(" ２０２６前期 "), "2026前期");
+  assert.strictEqual(normalizeCourseTerm(undefined), "");
+  assert.strictEqual(normalizeCourseTerm("x".repeat(60)).length, 50);
+})();
+
+(function testNormalizeCourseName() {
+  assert.strictEqual(normalizeCourseName("  ミクロ経済学　Ⅰ "), "ミクロ経済学 I");
+})();
+
+(function testParseLectureNumber() {
+  assert.strictEqual(parseLectureNumber("第3回"), 3);
+  assert.strictEqual(parseLectureNumber("3"), 3);
+  assert.strictEqual(parseLectureNumber("第１２回"), 12);
+  assert.strictEqual(parseLectureNumber("第三回"), 3);
+  assert.strictEqual(parseLectureNumber("第十五回"), 15);
+  assert.strictEqual(parseLectureNumber("二十一回目"), 21);
+  assert.strictEqual(parseLectureNumber("中間試験"), null);
+  assert.strictEqual(parseLectureNumber(""), null);
+})();
+
+(function testGroupNotesByLectureOrdersByNumber() {
+  const notes = [
+    { id: 1, lecture_no: "第10回", lecture_date: "2026-06-10" },
+    { id: 2, lecture_no: "3", lecture_date: "2026-04-20" },
+    { id: 3, lecture_no: "第3回", lecture_date: "2026-04-20" },
+    { id: 4, lecture_no: "期末まとめ", lecture_date: "2026-07-20" },
+    { id: 5, lecture_no: "第二回", lecture_date: "2026-04-13" },
+  ];
+  const lectures = groupNotesByLecture(notes);
+  assert.deepStrictEqual(
+    lectures.map((l) => [l.label, l.notes.map((n) => n.id)]),
+    [
+      ["第2回", [5]],
+      ["第3回", [2, 3]],
+      ["第10回", [1]],
+      ["期末まとめ", [4]],
+    ]
+  );
+})();
+
+(function testSummarizeCourseProgress() {
+  const lectures = [
+    {
+      notes: [
+        { quiz_count: 4, attempted_quiz_count: 2, last_correct_quiz_count: 1, due_quiz_count: 1, next_review_at: "2026-01-01T00:00:00Z" },
+        { quiz_count: 0, next_review_at: "2099-01-01T00:00:00Z" },
+      ],
+    },
+    { notes: [{ quiz_count: "3", attempted_quiz_count: "3", last_correct_quiz_count: "3", due_quiz_count: 0 }] },
+  ];
+  assert.deepStrictEqual(summarizeCourseProgress(lectures, new Date("2026-10-01T00:00:00Z")), {
+    lecture_count: 2,
+    note_count: 3,
+    quiz_count: 7,
+    attempted_quiz_count: 5,
+    last_correct_quiz_count: 4,
+    due_quiz_count: 1,
+    review_due_note_count: 1,
+  });
+})();
+
+(function testPlanCourseMergesJoinsWidthVariants() {
+  const plans = planCourseMerges([
+    { id: 1, university_id: 1, name: "ミクロ経済学Ａ", term: "" },
+    { id: 2, university_id: 1, name: "ミクロ経済学A", term: "" },
+    { id: 3, university_id: 1, name: "ミクロ経済学A", term: "2026前期" },
+    { id: 4, university_id: 2, name: "ミクロ経済学Ａ", term: "" },
+    { id: 5, university_id: 1, name: "統計学", term: "" },
+  ]);
+  assert.deepStrictEqual(plans, [
+    // 正規化済みの名前の授業（id 2）を残す
+    { keep_id: 2, rename_to: null, merge_ids: [1] },
+    { keep_id: 4, rename_to: "ミクロ経済学A", merge_ids: [] },
+  ]);
+})();
+
+(function testGroupUnlinkedNotesByCourse() {
+  assert.deepStrictEqual(
+    groupUnlinkedNotesByCourse([
+      { id: 10, university_id: 1, course_name: " 統計学  Ⅱ" },
+      { id: 11, university_id: 1, course_name: "統計学 II" },
+      { id: 12, university_id: 1, course_name: "" },
+      { id: 13, university_id: null, course_name: "統計学 II" },
+    ]),
+    [{ university_id: 1, name: "統計学 II", note_ids: [10, 11] }]
+  );
+})();
+
+console.log("courseIndex tests passed");
@@ -0,0 +1,181 @@
+// 試験モード: 選んだノート・タグ・授業のクイズから、時間制限つきの模試を作る
+const { shuffleWithSeed } = require("./choiceShuffle");
+
+const EXAM_QUIZ_TYPES = ["multiple_choice", "written", "true_false", "fill_blank"];
+const DEFAULT_QUESTION_COUNT = 20;
+const MAX_QUESTION_COUNT = 50;
+const MAX_TIME_LIMIT_MINUTES = 180;
+const MAX_SOURCE_IDS = 50;
+
+// [1, "2", 2] や "1,2" を重複なしの正の整数の配列にする
+function parseIdList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const ids = [];
+  for (const v of list) {
+    const id = Number(String(v).trim());
+    if (Number.isInteger(id) && id > 0 && !ids.includes(id)) ids.push(id);
+  }
+  return ids.slice(0, MAX_SOURCE_IDS);
+}
+
+// { multiple_choice: 6, written: 2 } のような形式ごとの比率。指定なしなら null（形式を問わない）
+function normalizeTypeMix(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const mix = {};
+  for (const type of EXAM_QUIZ_TYPES) {
+    const weight = Number(raw[type]);
+    if (Number.isFinite(weight) && weight > 0) mix[type] = weight;
+  }
+  return Object.keys(mix).length ? mix : null;
+}
+
+/**
+ * POST /api/exams の入力チェック。
+ * 戻り値: { value: { noteIds, tagIds, courseId, questionCount, typeMix, timeLimitSec, title }, errors: [] }
+ */
+function normalizeExamRequest(body = {}) {
+  const errors = [];
+  const noteIds = parseIdList(body.note_ids);
+  const tagIds = parseIdList(body.tag_ids);
+  const courseId = Number(body.course_id) > 0 && Number.isInteger(Number(body.course_id)) ? Number(body.course_id) : null;
+  if (!noteIds.length && !tagIds.length && !courseId) {
+    errors.push("出題範囲（ノート・タグ・授業）を1つ以上選んでください");
+  }
+
+  let questionCount = DEFAULT_QUESTION_COUNT;
+  if (body.question_count !== undefined && body.question_count !== null && body.question_count !== "") {
+    questionCount = Number(body.question_count);
+    if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_QUESTION_COUNT) {
+      errors.push(`question_count は 1〜${MAX_QUESTION_COUNT} の整数で指定してください`);
+    }
+  }
+
+  // 0・未指定は時間無制限
+  let timeLimitSec = null;
+  const minutes = body.time_limit_minutes;
+  if (minutes !== undefined && minutes !== null && minutes !== "" && Number(minutes) !== 0) {
+    const m = Number(minutes);
+    if (!Number.isInteger(m) || m < 1 || m > MAX_TIME_LIMIT_MINUTES) {
+      errors.push(`time_limit_minutes は 1〜${MAX_TIME_LIMIT_MINUTES} の整数で指定してください`);
+    } else {
+      timeLimitSec = m * 60;
+    }
+  }
+
+  const title = String(body.title || "").trim().slice(0, 100) || null;
+  return {
+    value: { noteIds, tagIds, courseId, questionCount, typeMix: normalizeTypeMix(body.type_mix), timeLimitSec, title },
+    errors,
+  };
+}
+
+// 同じ出題範囲の過去の結果と比べるためのキー（ID は並べ替えてから連結）
+function buildExamSourceKey({ noteIds = [], tagIds = [], courseId = null }) {
+  const sorted = (ids) => [...ids].sort((a, b) => a - b).join(",");
+  return [
+    noteIds.length ? `n:${sorted(noteIds)}` : null,
+    tagIds.length ? `t:${sorted(tagIds)}` : null,
+    courseId ? `c:${courseId}` : null,
+  ].filter(Boolean).join("|");
+}
+
+// 比率を問題数に割り当てる（端数は小数部分の大きい形式から1問ずつ）
+function allocateTypeCounts(typeMix, total) {
+  const entries = Object.entries(typeMix);
+  const weightSum = entries.reduce((sum, [, w]) => sum + w, 0);
+  const raw = entries.map(([type, w]) => ({ type, exact: (total * w) / weightSum }));
+  const counts = Object.fromEntries(raw.map((r) => [r.type, Math.floor(r.exact)]));
+  let rest = total - Object.values(counts).reduce((a, b) => a + b, 0);
+  raw
+    .sort((a, b) => (b.exact % 1) - (a.exact % 1))
+    .forEach((r) => {
+      if (rest > 0) {
+        counts[r.type] += 1;
+        rest -= 1;
+      }
+    });
+  return counts;
+}
+
+// ノートが偏らないよう、ノートを順番に回して1問ずつ取る
+function pickAcrossNotes(quizzes, count) {
+  const byNote = new Map();
+  for (const quiz of quizzes) {
+    if (!byNote.has(quiz.note_id)) byNote.set(quiz.note_id, []);
+    byNote.get(quiz.note_id).push(quiz);
+  }
+  const queues = [...byNote.values()];
+  const picked = [];
+  while (picked.length < count && queues.some((q) => q.length)) {
+    for (const queue of queues) {
+      if (picked.length >= count) break;
+      if (queue.length) picked.push(queue.shift());
+    }
+  }
+  return picked;
+}
+
+/**
+ * 候補のクイズから出題するものを選び、出題順に並べる（同じ seed なら同じ結果）。
+ * 形式の比率（typeMix）があればそれに合わせ、足りない分は残りの形式から埋める。
+ */
+function selectExamQuizzes(candidates, { questionCount, typeMix = null }, seed) {
+  const shuffled = shuffleWithSeed(candidates, `${seed}:pick`);
+  const picked = [];
+  if (typeMix) {
+    for (const [type, count] of Object.entries(allocateTypeCounts(typeMix, questionCount))) {
+      picked.push(...pickAcrossNotes(shuffled.filter((q) => q.type === type), count));
+    }
+  }
+  if (picked.length < questionCount) {
+    const used = new Set(picked.map((q) => q.id));
+    picked.push(...pickAcrossNotes(shuffled.filter((q) => !used.has(q.id)), questionCount - picked.length));
+  }
+  return shuffleWithSeed(picked, `${seed}:order`);
+}
+
+function addToBreakdown(map, key, base, isCorrect) {
+  if (!map.has(key)) map.set(key, { ...base, correct_count: 0, total_count: 0 });
+  const entry = map.get(key);
+  entry.total_count += 1;
+  if (isCorrect) entry.correct_count += 1;
+}
+
+function percent(correct, total) {
+  return total ? Math.round((correct / total) * 1000) / 10 : 0;
+}
+
+/**
+ * 採点済みの設問から、得点とノート別・形式別の内訳を作る（未回答は不正解として数える）。
+ * questions: [{ note_id, note_title, quiz_type, is_correct }]
+ */
+function summarizeExamResult(questions) {
+  const byNote = new Map();
+  const byType = new Map();
+  let correct = 0;
+  for (const q of questions) {
+    const isCorrect = Boolean(Number(q.is_correct));
+    if (isCorrect) correct += 1;
+    addToBreakdown(byNote, q.note_id ?? "none", { note_id: q.note_id ?? null, note_title: q.note_title || "" }, isCorrect);
+    addToBreakdown(byType, q.quiz_type, { quiz_type: q.quiz_type }, isCorrect);
+  }
+  const withPercent = (e) => ({ ...e, score_percent: percent(e.correct_count, e.total_count) });
+  return {
+    correct_count: correct,
+    total_count: questions.length,
+    score_percent: percent(correct, questions.length),
+    // 苦手なノートが上に来るように正答率の低い順
+    by_note: [...byNote.values()].map(withPercent).sort((a, b) => a.score_percent - b.score_percent),
+    by_type: [...byType.values()].map(withPercent),
+  };
+}
+
+module.exports = {
+  EXAM_QUIZ_TYPES,
+  MAX_QUESTION_COUNT,
+  normalizeExamRequest,
+  buildExamSourceKey,
+  allocateTypeCounts,
+  selectExamQuizzes,
+  summarizeExamResult,
+};
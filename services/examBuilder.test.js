@@ -0,0 +1,97 @@
+const assert = require("assert");
+const {
+  normalizeExamRequest,
+  buildExamSourceKey,
+  allocateTypeCounts,
+  selectExamQuizzes,
+  summarizeExamResult,
+} = require("./examBuilder");
+
+(function testNormalizeExamRequest() {
+  const { value, errors } = normalizeExamRequest({
+    note_ids: [3, "1", 3, "x"],
+    tag_ids: "5,6",
+    question_count: "10",
+    time_limit_minutes: 30,
+    type_mix: { multiple_choice: 3, written: 1, unknown: 5, true_false: 0 },
+  });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(value.noteIds, [3, 1]);
+  assert.deepStrictEqual(value.tagIds, [5, 6]);
+  assert.strictEqual(value.questionCount, 10);
+  assert.strictEqual(value.timeLimitSec, 1800);
+  assert.deepStrictEqual(value.typeMix, { multiple_choice: 3, written: 1 });
+
+  assert.strictEqual(normalizeExamRequest({ course_id: 2 }).value.timeLimitSec, null);
+  assert.strictEqual(normalizeExamRequest({}).errors.length, 1);
+  assert.strictEqual(normalizeExamRequest({ course_id: 2, question_count: 51, time_limit_minutes: 181 }).errors.length, 2);
+})();
+
+(function testBuildExamSourceKeyIgnoresOrder() {
+  assert.strictEqual(buildExamSourceKey({ noteIds: [3, 1], tagIds: [], courseId: 4 }), "n:1,3|c:4");
+  assert.strictEqual(
+    buildExamSourceKey({ noteIds: [1, 3], courseId: 4 }),
+    buildExamSourceKey({ noteIds: [3, 1], courseId: 4 })
+  );
+})();
+
+(function testAllocateTypeCounts() {
+  assert.deepStrictEqual(allocateTypeCounts({ multiple_choice: 2, written: 1 }, 10), { multiple_choice: 7, written: 3 });
+  assert.deepStrictEqual(allocateTypeCounts({ written: 1, true_false: 1 }, 5), { written: 3, true_false: 2 });
+})();
+
+const candidates = [];
+for (let note = 1; note <= 3; note++) {
+  for (let i = 0; i < 6; i++) {
+    candidates.push({ id: note * 100 + i, note_id: note, type: i < 4 ? "multiple_choice" : "written" });
+  }
+}
+
+(function testSelectExamQuizzesFollowsMixAndSpreadsNotes() {
+  const picked = selectExamQuizzes(candidates, { questionCount: 9, typeMix: { multiple_choice: 2, written: 1 } }, "s1");
+  assert.strictEqual(picked.length, 9);
+  assert.strictEqual(new Set(picked.map((q) => q.id)).size, 9);
+  assert.strictEqual(picked.filter((q) => q.type === "written").length, 3);
+  [1, 2, 3].forEach((note) => assert.strictEqual(picked.filter((q) => q.note_id === note).length, 3));
+  // 同じ seed なら同じ出題
+  assert.deepStrictEqual(
+    picked.map((q) => q.id),
+    selectExamQuizzes(candidates, { questionCount: 9, typeMix: { multiple_choice: 2, written: 1 } }, "s1").map((q) => q.id)
+  );
+})();
+
+(function testSelectExamQuizzesFillsShortTypes() {
+  // 記述は6問しかないので、足りない分は4択で埋める
+  const picked = selectExamQuizzes(candidates, { questionCount: 10, typeMix: { written: 1 } }, "s2");
+  assert.strictEqual(picked.length, 10);
+  assert.strictEqual(picked.filter((q) => q.type === "written").length, 6);
+  assert.strictEqual(selectExamQuizzes(candidates.slice(0, 2), { questionCount: 5 }, "s3").length, 2);
+})();
+
+(function testSummarizeExamResult() {
+  const summary = summarizeExamResult([
+    { note_id: 1, note_title: "第1回", quiz_type: "multiple_choice", is_correct: 1 },
+    { note_id: 1, note_title: "第1回", quiz_type: "written", is_correct: 0 },
+    { note_id: 2, note_title: "第2回", quiz_type: "multiple_choice", is_correct: 1 },
+    { note_id: 2, note_title: "第2回", quiz_type: "multiple_choice", is_correct: null },
+    { note_id: 1, note_title: "第1回", quiz_type: "multiple_choice", is_correct: 0 },
+  ]);
+  assert.strictEqual(summary.correct_count, 2);
+  assert.strictEqual(summary.total_count, 5);
+  assert.strictEqual(summary.score_percent, 40);
+  assert.deepStrictEqual(
+    summary.by_note.map((n) => [n.note_id, n.correct_count, n.total_count, n.score_percent]),
+    [
+      [1, 1, 3, 33.3],
+      [2, 1, 2, 50],
+    ]
+  );
+  assert.deepStrictEqual(summary.by_type.find((t) => t.quiz_type === "written"), {
+    quiz_type: "written",
+    correct_count: 0,
+    total_count: 1,
+    score_percent: 0,
+  });
+})();
+
+console.log("examBuilder tests passed");
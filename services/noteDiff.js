@@ -0,0 +1,86 @@
+// ノート本文の行単位diff（変更履歴の比較表示用）
+// 共通の先頭・末尾を除いた残りをLCSで比較する。行数が多すぎる場合は丸ごと置換扱いにする。
+const MAX_DIFF_CELLS = 4_000_000;
+
+function splitLines(text) {
+  const normalized = String(text || "").replace(/\r\n/g, "\n");
+  return normalized ? normalized.split("\n") : [];
+}
+
+function diffLines(beforeText, afterText) {
+  const a = splitLines(beforeText);
+  const b = splitLines(afterText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((text) => ({ type: "same", text }));
+  const tail = a.slice(endA).map((text) => ({ type: "same", text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  return head.concat(diffMiddle(midA, midB), tail);
+}
+
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (!n) return b.map((text) => ({ type: "add", text }));
+  if (!m) return a.map((text) => ({ type: "del", text }));
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return a.map((text) => ({ type: "del", text })).concat(b.map((text) => ({ type: "add", text })));
+  }
+
+  // lcs[i][j] = a[i..] と b[j..] の最長共通部分列の長さ
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      out.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      out.push({ type: "del", text: a[i++] });
+    } else {
+      out.push({ type: "add", text: b[j++] });
+    }
+  }
+  while (i < n) out.push({ type: "del", text: a[i++] });
+  while (j < m) out.push({ type: "add", text: b[j++] });
+  return out;
+}
+
+function summarizeDiff(lines) {
+  return lines.reduce(
+    (acc, line) => {
+      if (line.type === "add") acc.added += 1;
+      if (line.type === "del") acc.removed += 1;
+      return acc;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+module.exports = {
+  diffLines,
+  summarizeDiff,
+};
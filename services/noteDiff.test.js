@@ -0,0 +1,44 @@
+const assert = require("assert");
+const { diffLines, summarizeDiff } = require("./noteDiff");
+
+(function testIdenticalTextHasNoChanges() {
+  const lines = diffLines("a\nb\nc", "a\nb\nc");
+  assert.deepStrictEqual(summarizeDiff(lines), { added: 0, removed: 0 });
+  assert.strictEqual(lines.length, 3);
+})();
+
+(function testReplacedLineIsDeleteThenAdd() {
+  const lines = diffLines("需要\n供給\n価格", "需要\n供給曲線\n価格");
+  assert.deepStrictEqual(lines, [
+    { type: "same", text: "需要" },
+    { type: "del", text: "供給" },
+    { type: "add", text: "供給曲線" },
+    { type: "same", text: "価格" },
+  ]);
+})();
+
+(function testInsertionsAndDeletionsInMiddle() {
+  const lines = diffLines("a\nb\nc\nd", "a\nx\nc\nd\ne");
+  assert.deepStrictEqual(summarizeDiff(lines), { added: 2, removed: 1 });
+  assert.deepStrictEqual(
+    lines.filter((l) => l.type !== "del").map((l) => l.text),
+    ["a", "x", "c", "d", "e"]
+  );
+  assert.deepStrictEqual(
+    lines.filter((l) => l.type !== "add").map((l) => l.text),
+    ["a", "b", "c", "d"]
+  );
+})();
+
+(function testEmptySides() {
+  assert.deepStrictEqual(diffLines("", "x\ny"), [
+    { type: "add", text: "x" },
+    { type: "add", text: "y" },
+  ]);
+  assert.deepStrictEqual(diffLines("x\r\ny", ""), [
+    { type: "del", text: "x" },
+    { type: "del", text: "y" },
+  ]);
+})();
+
+console.log("noteDiff tests passed");
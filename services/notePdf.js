@@ -0,0 +1,221 @@
+// ノートのPDF出力（buildMarkdown が作る body_md をそのまま組版する）
+// 日本語を出すにはフォントの埋め込みが必須。PDF_FONT_PATH に Noto Sans JP などの .ttf/.otf を指定する。
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+
+// PDF_FONT_PATH 未設定時に探す場所（Debian/Ubuntu で fonts-noto-cjk / fonts-ipafont を入れた場合）
+const FALLBACK_FONT_PATHS = [
+  "/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc",
+  "/usr/share/fonts/truetype/noto/NotoSansJP-Regular.ttf",
+  "/usr/share/fonts/opentype/ipafont-gothic/ipagp.ttf",
+  "/usr/share/fonts/truetype/fonts-japanese-gothic.ttf",
+];
+// .ttc（複数フォント入り）は使うフォント名の指定が要る
+const TTC_FAMILY = "NotoSansCJKjp-Regular";
+
+const EMPTY_ITEM = "（なし）";
+const COLORS = {
+  text: "#222222",
+  muted: "#777777",
+  rule: "#cccccc",
+  importantBg: "#fff6d6",
+  importantBorder: "#e0b400",
+};
+
+function resolvePdfFontPath(env = process.env) {
+  const candidates = [env.PDF_FONT_PATH, ...FALLBACK_FONT_PATHS].filter(Boolean);
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+// 見出しの「：★」「：用語」などは body_md 上の目印なので、表示用には取り除く
+function sectionKind(heading) {
+  if (heading.startsWith("重要ポイント")) return "important";
+  if (heading.startsWith("用語集")) return "glossary";
+  return "default";
+}
+
+function stripInlineMarkdown(text) {
+  return String(text || "")
+    .replace(/\*\*(.+?)\*\*/g, "$1")
+    .replace(/`([^`]+)`/g, "$1");
+}
+
+/**
+ * body_md を { title, meta: [{label, value}], sections: [{heading, kind, items: []}] } に分解する。
+ * 想定外の行（手で書かれた段落など）は直前のセクションの項目として扱う。
+ */
+function parseNoteMarkdown(md) {
+  const doc = { title: "", meta: [], sections: [] };
+  let current = null;
+
+  for (const rawLine of String(md || "").replace(/\r\n/g, "\n").split("\n")) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith("# ")) {
+      doc.title = line.slice(2).trim();
+      continue;
+    }
+    if (line.startsWith("## ")) {
+      const raw = line.slice(3).trim();
+      const heading = raw.replace(/：[^：]*$/, "") || raw;
+      current = { heading, kind: sectionKind(raw), items: [] };
+      doc.sections.push(current);
+      continue;
+    }
+
+    const text = stripInlineMarkdown(line.replace(/^(?:[-*]|#{3,6})\s+/, ""));
+    if (!current) {
+      // タイトル直下の「- 授業名：…」などはヘッダー情報
+      const m = text.match(/^(.+?)：(.*)$/);
+      if (m) doc.meta.push({ label: m[1], value: m[2] });
+      continue;
+    }
+    current.items.push(text);
+  }
+
+  return doc;
+}
+
+// 用語集の1行を「用語」と「説明」に分ける（区切りがなければ説明なし）
+function splitGlossaryItem(text) {
+  const m = String(text).match(/^(.+?)\s*[：:=＝]\s*(.+)$/);
+  return m ? { term: m[1], description: m[2] } : { term: String(text), description: "" };
+}
+
+function formatHeaderLine({ course_name, lecture_no, lecture_date }) {
+  return [course_name, lecture_no, lecture_date].map((v) => String(v || "").trim()).filter(Boolean).join(" ／ ");
+}
+
+/**
+ * ノート1件をPDF（Buffer）にする。
+ * note: { title, course_name, lecture_no, lecture_date(YYYY-MM-DD), body_md }
+ */
+function renderNotePdf(note, { fontPath, boldFontPath } = {}) {
+  if (!fontPath) {
+    return Promise.reject(new Error("PDF用の日本語フォントが見つかりません（PDF_FONT_PATH を設定してください）"));
+  }
+
+  const parsed = parseNoteMarkdown(note.body_md);
+  const title = String(note.title || parsed.title || "(無題)");
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margins: { top: 56, bottom: 56, left: 56, right: 56 },
+      info: { Title: title, Subject: String(note.course_name || "") },
+      bufferPages: true,
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      const family = fontPath.endsWith(".ttc") ? TTC_FAMILY : undefined;
+      doc.registerFont("body", fontPath, family);
+      doc.registerFont("bold", boldFontPath || fontPath, boldFontPath ? undefined : family);
+
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      // ---- ヘッダー（授業名 / 回 / 日付 + タイトル）----
+      const headerLine = formatHeaderLine(note);
+      if (headerLine) {
+        doc.font("body").fontSize(10).fillColor(COLORS.muted).text(headerLine, { width });
+        doc.moveDown(0.3);
+      }
+      doc.font("bold").fontSize(20).fillColor(COLORS.text).text(title, { width });
+      doc.moveDown(0.4);
+      const ruleY = doc.y;
+      doc.moveTo(doc.page.margins.left, ruleY).lineTo(doc.page.margins.left + width, ruleY)
+        .lineWidth(0.8).strokeColor(COLORS.rule).stroke();
+      doc.moveDown(0.8);
+
+      // ---- 各セクション ----
+      for (const section of parsed.sections) {
+        const items = section.items.filter((t) => t !== EMPTY_ITEM);
+        doc.font("bold").fontSize(13).fillColor(COLORS.text).text(section.heading, { width });
+        doc.moveDown(0.3);
+
+        if (!items.length) {
+          doc.font("body").fontSize(10).fillColor(COLORS.muted).text(EMPTY_ITEM, { width, indent: 12 });
+          doc.moveDown(0.8);
+          continue;
+        }
+
+        if (section.kind === "important") {
+          renderImportantBox(doc, items, width);
+        } else if (section.kind === "glossary") {
+          renderGlossary(doc, items, width);
+        } else {
+          doc.font("body").fontSize(10.5).fillColor(COLORS.text)
+            .list(items, { width, bulletRadius: 1.8, textIndent: 12, bulletIndent: 4, paragraphGap: 3 });
+        }
+        doc.moveDown(0.8);
+      }
+
+      // ---- ページ番号 ----
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font("body").fontSize(8).fillColor(COLORS.muted)
+          .text(`${i + 1} / ${range.count}`, doc.page.margins.left, doc.page.height - 36, { width, align: "center" });
+        doc.page.margins.bottom = bottom;
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// ★重要ポイントは色付きの枠で囲む
+function renderImportantBox(doc, items, width) {
+  const padding = 8;
+  const text = items.map((t) => `・${t}`).join("\n");
+  doc.font("body").fontSize(10.5);
+  const height = doc.heightOfString(text, { width: width - padding * 2, paragraphGap: 3 }) + padding * 2;
+
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  const top = doc.y;
+  doc.save()
+    .rect(doc.page.margins.left, top, width, height)
+    .fillAndStroke(COLORS.importantBg, COLORS.importantBorder)
+    .restore();
+  doc.fillColor(COLORS.text)
+    .text(text, doc.page.margins.left + padding, top + padding, { width: width - padding * 2, paragraphGap: 3 });
+  doc.x = doc.page.margins.left;
+  doc.y = top + height;
+}
+
+// 用語集は「用語（太字）＋説明」の形で並べる
+function renderGlossary(doc, items, width) {
+  for (const item of items) {
+    const { term, description } = splitGlossaryItem(item);
+    doc.font("bold").fontSize(10.5).fillColor(COLORS.text)
+      .text(term, { width, continued: Boolean(description) });
+    if (description) doc.font("body").text(`　${description}`);
+    doc.moveDown(0.2);
+  }
+}
+
+function buildPdfFileName(note) {
+  const base = [note.course_name, note.lecture_no, note.title]
+    .map((v) => String(v || "").trim())
+    .filter(Boolean)
+    .join("_")
+    .replace(/[\\/:*?"<>|\r\n]+/g, "_")
+    .slice(0, 100);
+  return `${base || `note_${note.id}`}.pdf`;
+}
+
+module.exports = {
+  resolvePdfFontPath,
+  parseNoteMarkdown,
+  splitGlossaryItem,
+  renderNotePdf,
+  buildPdfFileName,
+};
@@ -0,0 +1,59 @@
+const assert = require("assert");
+const { parseNoteMarkdown, splitGlossaryItem, buildPdfFileName } = require("./notePdf");
+
+const md = `
+# 第3回 需要と供給
+
+- 授業名：ミクロ経済学
+- 回：第3回
+- 日付：2026-10-01
+
+## 重要ポイント：★
+- ★均衡価格は需要と供給が一致する点
+
+## 本文
+- 需要曲線は右下がり
+- **価格**が上がると需要は減る
+
+## 用語集：用語
+- 均衡価格：需要量と供給量が等しくなる価格
+
+## 疑問・確認したいこと：？
+- （なし）
+`;
+
+(function testParseNoteMarkdownSections() {
+  const doc = parseNoteMarkdown(md);
+  assert.strictEqual(doc.title, "第3回 需要と供給");
+  assert.deepStrictEqual(doc.meta[0], { label: "授業名", value: "ミクロ経済学" });
+  assert.deepStrictEqual(
+    doc.sections.map((s) => [s.heading, s.kind]),
+    [
+      ["重要ポイント", "important"],
+      ["本文", "default"],
+      ["用語集", "glossary"],
+      ["疑問・確認したいこと", "default"],
+    ]
+  );
+  assert.deepStrictEqual(doc.sections[1].items, ["需要曲線は右下がり", "価格が上がると需要は減る"]);
+})();
+
+(function testSlideHeadingsInBodyBecomeItems() {
+  const doc = parseNoteMarkdown("## 本文\n### スライド1\n- 需要曲線");
+  assert.deepStrictEqual(doc.sections[0].items, ["スライド1", "需要曲線"]);
+})();
+
+(function testSplitGlossaryItem() {
+  assert.deepStrictEqual(splitGlossaryItem("ATP: アデノシン三リン酸"), { term: "ATP", description: "アデノシン三リン酸" });
+  assert.deepStrictEqual(splitGlossaryItem("限界効用"), { term: "限界効用", description: "" });
+})();
+
+(function testBuildPdfFileNameIsSafe() {
+  assert.strictEqual(
+    buildPdfFileName({ id: 1, course_name: "経済/学", lecture_no: "第3回", title: "需要:供給" }),
+    "経済_学_第3回_需要_供給.pdf"
+  );
+  assert.strictEqual(buildPdfFileName({ id: 9 }), "note_9.pdf");
+})();
+
+console.log("notePdf tests passed");
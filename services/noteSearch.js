@@ -0,0 +1,69 @@
+// ノートの全文検索（FULLTEXT ngram）用のクエリ組み立てとスニペット作成
+// ngram_token_size（既定 2）未満の語は FULLTEXT で引けないので、検索語から外す。
+const MIN_TERM_LENGTH = 2;
+const MAX_TERMS = 8;
+const SNIPPET_RADIUS = 40;
+
+// BOOLEAN MODE の演算子として解釈される記号
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+
+function splitSearchTerms(query) {
+  const seen = new Set();
+  const terms = [];
+  for (const raw of String(query || "").replace(BOOLEAN_OPERATORS, " ").split(/[\s　]+/)) {
+    const term = raw.trim();
+    if (term.length < MIN_TERM_LENGTH || seen.has(term.toLowerCase())) continue;
+    seen.add(term.toLowerCase());
+    terms.push(term);
+    if (terms.length >= MAX_TERMS) break;
+  }
+  return terms;
+}
+
+// すべての語を含むものだけを対象にする（ngram では "..." で語をひとまとまりとして扱う）
+function buildBooleanQuery(terms) {
+  return terms.map((t) => `+"${t}"`).join(" ");
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 最初に見つかった語の前後を切り出し、語を <mark> で囲んだ HTML を作る。
+ * 戻り値: { snippet（プレーン）, snippet_html（エスケープ済み） }
+ */
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  const body = String(text || "").replace(/\s+/g, " ").trim();
+  const lower = body.toLowerCase();
+  const hits = terms.map((t) => lower.indexOf(t.toLowerCase())).filter((i) => i >= 0);
+  const first = hits.length ? Math.min(...hits) : 0;
+
+  const start = Math.max(0, first - radius);
+  const end = Math.min(body.length, first + radius * 2);
+  const snippet = `${start > 0 ? "…" : ""}${body.slice(start, end)}${end < body.length ? "…" : ""}`;
+
+  if (!terms.length) return { snippet, snippet_html: escapeHtml(snippet) };
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const snippetHtml = snippet
+    .split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join("");
+  return { snippet, snippet_html: snippetHtml };
+}
+
+module.exports = {
+  MIN_TERM_LENGTH,
+  splitSearchTerms,
+  buildBooleanQuery,
+  buildSnippet,
+};
@@ -0,0 +1,28 @@
+const assert = require("assert");
+const { splitSearchTerms, buildBooleanQuery, buildSnippet } = require("./noteSearch");
+
+(function testSplitSearchTermsDropsOperatorsAndShortTerms() {
+  assert.deepStrictEqual(splitSearchTerms(" 需要曲線　+価格 a 需要曲線 "), ["需要曲線", "価格"]);
+  assert.deepStrictEqual(splitSearchTerms('"均衡"*'), ["均衡"]);
+  assert.deepStrictEqual(splitSearchTerms("x"), []);
+})();
+
+(function testBuildBooleanQueryRequiresEveryTerm() {
+  assert.strictEqual(buildBooleanQuery(["需要", "供給"]), '+"需要" +"供給"');
+})();
+
+(function testBuildSnippetHighlightsAndEscapes() {
+  const text = `${"あ".repeat(60)}需要曲線は<右下がり>${"い".repeat(100)}`;
+  const { snippet, snippet_html } = buildSnippet(text, ["需要曲線"], 10);
+  assert.ok(snippet.startsWith("…"));
+  assert.ok(snippet.endsWith("…"));
+  assert.ok(snippet.includes("需要曲線は<右下がり>"));
+  assert.ok(snippet_html.includes("<mark>需要曲線</mark>は&lt;右下がり&gt;"));
+})();
+
+(function testBuildSnippetMatchesCaseInsensitively() {
+  const { snippet_html } = buildSnippet("The ATP cycle", ["atp"]);
+  assert.strictEqual(snippet_html, "The <mark>ATP</mark> cycle");
+})();
+
+console.log("noteSearch tests passed");
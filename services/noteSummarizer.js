@@ -0,0 +1,90 @@
+// ノートのAI要約（箇条書きの要約・重要用語・「覚えておくべき3つのこと」）
+const crypto = require("crypto");
+const { cleanNoteText } = require("../utils/cleanNoteText");
+
+const MAX_BULLETS = 7;
+const MAX_KEY_TERMS = 10;
+const REMEMBER_COUNT = 3;
+
+// 本文が変わったかどうかの判定用（保存済みの要約が古いかを見る）
+function hashNoteBody(bodyRaw) {
+  return crypto.createHash("sha256").update(String(bodyRaw || "").replace(/\r\n/g, "\n").trim()).digest("hex");
+}
+
+function buildSummaryPrompt({ title, course_name, cleanedText }) {
+  return [
+    "次の講義ノートを、復習用に要約してください。",
+    "出力はJSONのみ。余計な文章は禁止。",
+    `構造: {"bullets": ["要約の箇条書き"], "key_terms": [{"term": "用語", "description": "ノートに基づく短い説明"}], "remember": ["覚えておくべきこと"]}`,
+    "ルール:",
+    `- bullets は ${MAX_BULLETS} 個以内。1項目は60文字以内の日本語で、ノートの流れに沿って並べる。`,
+    `- key_terms は ${MAX_KEY_TERMS} 個以内。ノートに出てくる専門用語のみ。説明は40文字以内。`,
+    `- remember はちょうど ${REMEMBER_COUNT} 個。試験前に見返すべき最重要ポイントを1文ずつ。`,
+    "- ノートに書かれていない情報を作り話しない。",
+    "",
+    `【タイトル】${title || ""}`,
+    `【授業名】${course_name || ""}`,
+    "【本文】",
+    cleanedText,
+  ].join("\n");
+}
+
+function cleanStringList(list, max) {
+  return (Array.isArray(list) ? list : [])
+    .map((item) => String(item || "").trim())
+    .filter(Boolean)
+    .slice(0, max);
+}
+
+function parseSummaryResponse(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(raw || ""));
+  } catch {
+    throw new Error("AIの返答がJSONとして解析できませんでした");
+  }
+
+  const bullets = cleanStringList(parsed?.bullets, MAX_BULLETS);
+  const keyTerms = (Array.isArray(parsed?.key_terms) ? parsed.key_terms : [])
+    .map((t) => ({
+      term: String(t?.term || "").trim(),
+      description: String(t?.description || "").trim(),
+    }))
+    .filter((t) => t.term)
+    .slice(0, MAX_KEY_TERMS);
+  const remember = cleanStringList(parsed?.remember, REMEMBER_COUNT);
+
+  if (!bullets.length) throw new Error("要約の生成結果が不正です");
+  return { bullets, key_terms: keyTerms, remember };
+}
+
+// mypage など文字列だけ表示する画面向けの1行要約
+function summaryToText(summary) {
+  return (summary?.bullets || []).map((b) => `・${b}`).join(" ");
+}
+
+async function summarizeNote({ openai, model, note }) {
+  const { cleanedText, wasTruncated } = cleanNoteText(note?.body_raw);
+  if (!cleanedText) throw new Error("要約対象の本文がありません");
+
+  const resp = await openai.chat.completions.create({
+    model,
+    temperature: 0.2,
+    response_format: { type: "json_object" },
+    messages: [
+      { role: "system", content: "あなたは大学の講義ノートを要約するアシスタントです。JSONのみ返答してください。" },
+      { role: "user", content: buildSummaryPrompt({ title: note.title, course_name: note.course_name, cleanedText }) },
+    ],
+  });
+
+  const text = resp.choices?.[0]?.message?.content || "{}";
+  return { ...parseSummaryResponse(text), wasTruncated };
+}
+
+module.exports = {
+  hashNoteBody,
+  buildSummaryPrompt,
+  parseSummaryResponse,
+  summaryToText,
+  summarizeNote,
+};
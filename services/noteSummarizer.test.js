@@ -0,0 +1,31 @@
+const assert = require("assert");
+const { hashNoteBody, parseSummaryResponse, summaryToText } = require("./noteSummarizer");
+
+(function testHashIgnoresLineEndingsAndOuterWhitespace() {
+  assert.strictEqual(hashNoteBody("a\r\nb\n"), hashNoteBody("a\nb"));
+  assert.notStrictEqual(hashNoteBody("a\nb"), hashNoteBody("a\nc"));
+})();
+
+(function testParseSummaryResponseTrimsAndCaps() {
+  const raw = JSON.stringify({
+    bullets: [" 需要曲線は右下がり ", "", ...Array.from({ length: 10 }, (_, i) => `要点${i}`)],
+    key_terms: [{ term: "均衡価格", description: "需要と供給が一致する価格" }, { term: "", description: "x" }],
+    remember: ["1", "2", "3", "4"],
+  });
+  const summary = parseSummaryResponse(raw);
+  assert.strictEqual(summary.bullets.length, 7);
+  assert.strictEqual(summary.bullets[0], "需要曲線は右下がり");
+  assert.deepStrictEqual(summary.key_terms, [{ term: "均衡価格", description: "需要と供給が一致する価格" }]);
+  assert.deepStrictEqual(summary.remember, ["1", "2", "3"]);
+})();
+
+(function testParseSummaryResponseRejectsEmpty() {
+  assert.throws(() => parseSummaryResponse("{}"), /要約の生成結果が不正です/);
+  assert.throws(() => parseSummaryResponse("not json"), /JSON/);
+})();
+
+(function testSummaryToText() {
+  assert.strictEqual(summaryToText({ bullets: ["A", "B"] }), "・A ・B");
+})();
+
+console.log("noteSummarizer tests passed");
@@ -0,0 +1,55 @@
+// ノート・クイズのタグ（自分用タグ / コミュニティ共有タグ）
+const TAG_NAME_MAX_LENGTH = 50;
+const TAG_SUGGESTION_LIMIT = 5;
+
+// 全角・半角をそろえ、先頭の「#」と余分な空白を落とす
+function normalizeTagName(name) {
+  return String(name ?? "")
+    .normalize("NFKC")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// 入力チェック（問題なければ null、NG ならメッセージ）
+function validateTagName(name) {
+  if (!name) return "タグ名を入力してください";
+  if (Array.from(name).length > TAG_NAME_MAX_LENGTH) return `タグ名は${TAG_NAME_MAX_LENGTH}文字以内にしてください`;
+  return null;
+}
+
+// ?tag=12 の値。数字でなければ null（絞り込みなし）
+function parseTagFilter(value) {
+  const id = Number(String(value ?? "").trim());
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * AIクイズ生成で抽出した topic からタグ候補を作る。
+ * 多く出てきた topic を優先し、既に付いているタグ名（existingNames）や長すぎるものは除く。
+ */
+function suggestTagsFromTopics(topics, { existingNames = [], limit = TAG_SUGGESTION_LIMIT } = {}) {
+  const existing = new Set(existingNames.map((n) => normalizeTagName(n).toLowerCase()));
+  const counts = new Map();
+  topics.forEach((topic, index) => {
+    const name = normalizeTagName(topic);
+    const key = name.toLowerCase();
+    if (validateTagName(name) || Array.from(name).length < 2 || existing.has(key)) return;
+    const entry = counts.get(key) || { name, count: 0, first: index };
+    entry.count += 1;
+    counts.set(key, entry);
+  });
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.first - b.first)
+    .slice(0, limit)
+    .map((e) => e.name);
+}
+
+module.exports = {
+  TAG_NAME_MAX_LENGTH,
+  normalizeTagName,
+  validateTagName,
+  parseTagFilter,
+  suggestTagsFromTopics,
+};
@@ -0,0 +1,33 @@
+const assert = require("assert");
+const { normalizeTagName, validateTagName, parseTagFilter, suggestTagsFromTopics } = require("./noteTags");
+
+(function testNormalizeTagName() {
+  assert.strictEqual(normalizeTagName("＃中間試験範囲　"), "中間試験範囲");
+  assert.strictEqual(normalizeTagName("  ##第3回  まとめ "), "第3回 まとめ");
+  assert.strictEqual(normalizeTagName(null), "");
+})();
+
+(function testValidateTagName() {
+  assert.strictEqual(validateTagName("期末"), null);
+  assert.ok(validateTagName(""));
+  assert.ok(validateTagName("あ".repeat(51)));
+})();
+
+(function testParseTagFilter() {
+  assert.strictEqual(parseTagFilter("12"), 12);
+  assert.strictEqual(parseTagFilter(""), null);
+  assert.strictEqual(parseTagFilter("abc"), null);
+  assert.strictEqual(parseTagFilter("-1"), null);
+})();
+
+(function testSuggestTagsFromTopics() {
+  const topics = ["需要曲線", "供給曲線", "需要曲線", "価格弾力性", "x", "供給曲線", "需要曲線", "市場均衡"];
+  assert.deepStrictEqual(suggestTagsFromTopics(topics, { limit: 3 }), ["需要曲線", "供給曲線", "価格弾力性"]);
+  // 既に付いているタグは候補にしない（大文字小文字・全角半角の違いも同じとみなす）
+  assert.deepStrictEqual(
+    suggestTagsFromTopics(["GDP", "ｇｄｐ", "物価"], { existingNames: ["gdp"] }),
+    ["物価"]
+  );
+})();
+
+console.log("noteTags tests passed");
@@ -0,0 +1,36 @@
+// 複数ページOCR（板書・ノートの写真を1講義分まとめて読み取る）
+// ページの並べ替えと、読み取った各ページの本文を1つの body_raw にまとめる処理。
+const OCR_MAX_PAGES = 8;
+
+// page_no があればその順、無ければ送られてきた順に並べ、1始まりの通し番号を振り直す
+function orderOcrPages(pages) {
+  return (Array.isArray(pages) ? pages : [])
+    .map((page, index) => {
+      const pageNo = Number.parseInt(page?.page_no, 10);
+      return { page, index, sortKey: Number.isFinite(pageNo) ? pageNo : index + 1 };
+    })
+    .sort((a, b) => a.sortKey - b.sortKey || a.index - b.index)
+    .map(({ page }, i) => ({ ...page, page_no: i + 1 }));
+}
+
+function pageMarker(pageNo) {
+  return `【${pageNo}ページ目】`;
+}
+
+/**
+ * ページごとの結果 [{ page_no, ok, text }] をページ見出しつきで連結する。
+ * 失敗したページは本文に含めない（見出しの番号は元のページ番号のまま）。
+ */
+function joinOcrPageTexts(results) {
+  return (Array.isArray(results) ? results : [])
+    .filter((r) => r?.ok && String(r.text || "").trim())
+    .sort((a, b) => a.page_no - b.page_no)
+    .map((r) => `${pageMarker(r.page_no)}\n${String(r.text).trim()}`)
+    .join("\n\n");
+}
+
+module.exports = {
+  OCR_MAX_PAGES,
+  orderOcrPages,
+  joinOcrPageTexts,
+};
@@ -0,0 +1,26 @@
+const assert = require("assert");
+const { orderOcrPages, joinOcrPageTexts } = require("./ocrPages");
+
+(function testOrderOcrPagesByPageNoThenSentOrder() {
+  const ordered = orderOcrPages([
+    { file_name: "c.jpg", page_no: 3 },
+    { file_name: "b.jpg" },
+    { file_name: "a.jpg", page_no: 1 },
+  ]);
+  // page_no なしは送信順（2番目）として扱う
+  assert.deepStrictEqual(ordered.map((p) => p.file_name), ["a.jpg", "b.jpg", "c.jpg"]);
+  assert.deepStrictEqual(ordered.map((p) => p.page_no), [1, 2, 3]);
+  assert.deepStrictEqual(orderOcrPages(null), []);
+})();
+
+(function testJoinOcrPageTextsSkipsFailedPages() {
+  const text = joinOcrPageTexts([
+    { page_no: 3, ok: true, text: " 供給曲線 " },
+    { page_no: 1, ok: true, text: "需要曲線" },
+    { page_no: 2, ok: false, code: "OCR_TEXT_TOO_SHORT" },
+  ]);
+  assert.strictEqual(text, "【1ページ目】\n需要曲線\n\n【3ページ目】\n供給曲線");
+  assert.strictEqual(joinOcrPageTexts([]), "");
+})();
+
+console.log("ocrPages tests passed");
@@ -0,0 +1,109 @@
+// PDF（講義スライドなど）からノート本文を作る
+// ページごとにテキストを取り出し、文字がほとんど無いページ（画像だけのスライド）は OCR に回す前提で印をつける。
+const { PDFDocument } = require("pdf-lib");
+const { cleanNoteLines } = require("../utils/cleanNoteText");
+
+// これより短いページは「画像だけのページ」とみなして OCR する
+const PDF_MIN_PAGE_TEXT_LENGTH = 10;
+const PDF_MAX_PAGES = 200;
+
+// pdfjs-dist は読み込み時に canvas が無い旨の警告を出すので、使うときまで読み込まない
+let pdfjs = null;
+function loadPdfjs() {
+  if (!pdfjs) pdfjs = require("pdfjs-dist/legacy/build/pdf.js");
+  return pdfjs;
+}
+
+function isPdfBuffer(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.subarray(0, 5).toString("ascii") === "%PDF-";
+}
+
+// getTextContent の items を行単位のテキストにする（改行フラグが無くても y 座標が変われば改行）
+function pageItemsToText(items) {
+  let text = "";
+  let prevY = null;
+  for (const item of Array.isArray(items) ? items : []) {
+    const y = Array.isArray(item?.transform) ? item.transform[5] : null;
+    if (prevY !== null && y !== null && Math.abs(y - prevY) > 1 && !text.endsWith("\n")) {
+      text += "\n";
+    }
+    text += String(item?.str || "");
+    if (item?.hasEOL) text += "\n";
+    if (y !== null) prevY = y;
+  }
+  return text
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * PDF の各ページのテキストを取り出す。
+ * 戻り値: { pageCount, pages: [{ page_no, text, needs_ocr }] }（pages は先頭 maxPages ページ分）
+ */
+async function extractPdfPageTexts(buffer, { maxPages = PDF_MAX_PAGES } = {}) {
+  const { getDocument } = loadPdfjs();
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const pages = [];
+    const count = Math.min(pdf.numPages, maxPages);
+    for (let pageNo = 1; pageNo <= count; pageNo++) {
+      const page = await pdf.getPage(pageNo);
+      const content = await page.getTextContent();
+      const text = pageItemsToText(content.items);
+      pages.push({ page_no: pageNo, text, needs_ocr: text.length < PDF_MIN_PAGE_TEXT_LENGTH });
+      page.cleanup();
+    }
+    return { pageCount: pdf.numPages, pages };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// OCR するページが複数あっても PDF の読み込みは1回で済むよう、読み込んだ文書を使い回す
+async function loadPdfForPageSplit(buffer) {
+  return PDFDocument.load(buffer, { ignoreEncryption: true });
+}
+
+// OCR 用に1ページだけの PDF を切り出す（source は loadPdfForPageSplit で読み込んだもの）
+async function extractSinglePagePdf(source, pageNo) {
+  const single = await PDFDocument.create();
+  const [copied] = await single.copyPages(source, [pageNo - 1]);
+  single.addPage(copied);
+  return Buffer.from(await single.save());
+}
+
+/**
+ * ページごとのテキストを cleanNoteLines で整え、「# スライドN」見出しつきの本文にまとめる。
+ * 文字数では切らずに全ページ分を保存する。文字の取れなかったページは見出しごと省く。
+ */
+function buildSlideNoteBody(pages) {
+  return (Array.isArray(pages) ? pages : [])
+    .map((p) => ({ page_no: p?.page_no, text: cleanNoteLines(p?.text) }))
+    .filter((p) => p.text)
+    .map((p) => `# スライド${p.page_no}\n${p.text}`)
+    .join("\n");
+}
+
+function titleFromPdfFileName(fileName) {
+  return String(fileName || "").replace(/\.pdf$/i, "").trim().slice(0, 200);
+}
+
+module.exports = {
+  PDF_MIN_PAGE_TEXT_LENGTH,
+  PDF_MAX_PAGES,
+  isPdfBuffer,
+  pageItemsToText,
+  extractPdfPageTexts,
+  loadPdfForPageSplit,
+  extractSinglePagePdf,
+  buildSlideNoteBody,
+  titleFromPdfFileName,
+};
@@ -0,0 +1,74 @@
+const assert = require("assert");
+const PDFKitDocument = require("pdfkit");
+const { PDFDocument } = require("pdf-lib");
+const {
+  isPdfBuffer,
+  pageItemsToText,
+  extractPdfPageTexts,
+  loadPdfForPageSplit,
+  extractSinglePagePdf,
+  buildSlideNoteBody,
+  titleFromPdfFileName,
+} = require("./pdfImport");
+
+function makeSlidePdf() {
+  return new Promise((resolve) => {
+    const doc = new PDFKitDocument();
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.fontSize(20).text("Supply and demand");
+    doc.fontSize(12).text("The demand curve slopes downward.");
+    doc.addPage();
+    doc.rect(50, 50, 200, 120).fill("#3366cc"); // 図だけのスライド
+    doc.end();
+  });
+}
+
+(function testPageItemsToTextBreaksLinesByPosition() {
+  const items = [
+    { str: "需要と供給", transform: [1, 0, 0, 1, 0, 700], hasEOL: false },
+    { str: "価格は", transform: [1, 0, 0, 1, 0, 680], hasEOL: false },
+    { str: " 均衡する", transform: [1, 0, 0, 1, 40, 680], hasEOL: true },
+    { str: "", transform: [1, 0, 0, 1, 0, 660], hasEOL: true },
+  ];
+  assert.strictEqual(pageItemsToText(items), "需要と供給\n価格は 均衡する");
+  assert.strictEqual(pageItemsToText(null), "");
+})();
+
+(function testBuildSlideNoteBodyKeepsOneHeadingPerSlide() {
+  const body = buildSlideNoteBody([
+    { page_no: 1, text: "需要曲線\n  右下がり  \n\n" },
+    { page_no: 2, text: " \n読み込み中...\n\u200B" },
+    { page_no: 3, text: "<b>供給曲線</b>" },
+  ]);
+  assert.strictEqual(body, "# スライド1\n需要曲線\n右下がり\n# スライド3\n供給曲線");
+})();
+
+(function testBuildSlideNoteBodyKeepsLongDecks() {
+  const pages = Array.from({ length: 100 }, (_, i) => ({ page_no: i + 1, text: "あ".repeat(300) }));
+  const body = buildSlideNoteBody(pages);
+  assert.ok(body.length > 30000);
+  assert.ok(body.endsWith(`# スライド100\n${"あ".repeat(300)}`));
+})();
+
+(function testTitleFromPdfFileName() {
+  assert.strictEqual(titleFromPdfFileName("第3回_需要と供給.PDF"), "第3回_需要と供給");
+})();
+
+(async function testExtractPdfPageTextsMarksImageOnlyPages() {
+  const pdf = await makeSlidePdf();
+  assert.ok(isPdfBuffer(pdf));
+  assert.strictEqual(isPdfBuffer(Buffer.from("hello")), false);
+
+  const { pageCount, pages } = await extractPdfPageTexts(pdf);
+  assert.strictEqual(pageCount, 2);
+  assert.strictEqual(pages[0].text, "Supply and demand\nThe demand curve slopes downward.");
+  assert.strictEqual(pages[0].needs_ocr, false);
+  assert.strictEqual(pages[1].needs_ocr, true);
+
+  const single = await extractSinglePagePdf(await loadPdfForPageSplit(pdf), 2);
+  assert.strictEqual((await PDFDocument.load(single)).getPageCount(), 1);
+
+  console.log("pdfImport tests passed");
+})();
@@ -0,0 +1,115 @@
+// 公開ノート一覧（GET /api/notes）の絞り込み条件とカーソル式ページング
+// 並び順は lecture_date（授業日の新しい順）か newest（投稿の新しい順）。同じ値の中は id の降順。
+const PUBLIC_NOTE_SORTS = {
+  lecture_date: { column: "n.lecture_date", key: "lecture_date" },
+  newest: { column: "n.created_at", key: "created_at" },
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+function normalizePublicNoteSort(value) {
+  return Object.hasOwn(PUBLIC_NOTE_SORTS, value) ? value : "lecture_date";
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, "\\$&");
+}
+
+// mysql2 は DATE 列をサーバーのローカル時刻の 0:00 として Date にするので、日付はローカルの年月日で取り出す
+function toCursorValue(value, key) {
+  if (!(value instanceof Date)) return String(value ?? "");
+  if (key !== "lecture_date") return value.toISOString();
+  const m = String(value.getMonth() + 1).padStart(2, "0");
+  const d = String(value.getDate()).padStart(2, "0");
+  return `${value.getFullYear()}-${m}-${d}`;
+}
+
+// カーソルは「最後に表示した行の並び替えキーと id」を base64url にしたもの
+function encodeCursor(row, sort) {
+  const { key } = PUBLIC_NOTE_SORTS[normalizePublicNoteSort(sort)];
+  return Buffer.from(JSON.stringify({ s: sort, v: toCursorValue(row[key], key), id: row.id })).toString("base64url");
+}
+
+// 壊れたカーソルや、別の並び順で作られたカーソルは null（先頭から）
+function decodeCursor(raw, sort) {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (parsed?.s !== sort || !parsed.v || !Number.isInteger(parsed.id)) return null;
+    const value = sort === "newest" ? new Date(parsed.v) : parsed.v;
+    if (sort === "newest" && Number.isNaN(value.getTime())) return null;
+    if (sort === "lecture_date" && !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+    return { value: sort === "lecture_date" ? value.slice(0, 10) : value, id: parsed.id };
+  } catch {
+    return null;
+  }
+}
+
+function parseDateParam(value) {
+  const v = String(value || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : null;
+}
+
+/**
+ * クエリ文字列から WHERE 句の追加条件を作る（公開・コミュ外という前提条件は呼び出し側）。
+ * 戻り値: { conditions: [sql], params: [], sort, limit, cursor }
+ */
+function buildPublicNoteFilters(query = {}, { universityId = null } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (universityId) {
+    conditions.push("n.university_id = ?");
+    params.push(universityId);
+  }
+
+  const course = String(query.course || "").trim();
+  if (course) {
+    conditions.push("n.course_name LIKE ?");
+    params.push(`%${escapeLike(course)}%`);
+  }
+
+  const keyword = String(query.q || "").trim();
+  if (keyword) {
+    conditions.push("(n.title LIKE ? OR n.course_name LIKE ? OR n.body_raw LIKE ?)");
+    const like = `%${escapeLike(keyword)}%`;
+    params.push(like, like, like);
+  }
+
+  const lectureNo = String(query.lecture_no || "").trim();
+  if (lectureNo) {
+    conditions.push("n.lecture_no = ?");
+    params.push(lectureNo);
+  }
+
+  const dateFrom = parseDateParam(query.date_from);
+  if (dateFrom) {
+    conditions.push("n.lecture_date >= ?");
+    params.push(dateFrom);
+  }
+  const dateTo = parseDateParam(query.date_to);
+  if (dateTo) {
+    conditions.push("n.lecture_date <= ?");
+    params.push(dateTo);
+  }
+
+  const sort = normalizePublicNoteSort(query.sort);
+  const cursor = decodeCursor(query.cursor, sort);
+  if (cursor) {
+    const { column } = PUBLIC_NOTE_SORTS[sort];
+    conditions.push(`(${column} < ? OR (${column} = ? AND n.id < ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { conditions, params, sort, limit, orderBy: `${PUBLIC_NOTE_SORTS[sort].column} DESC, n.id DESC` };
+}
+
+module.exports = {
+  PUBLIC_NOTE_SORTS,
+  normalizePublicNoteSort,
+  escapeLike,
+  encodeCursor,
+  decodeCursor,
+  buildPublicNoteFilters,
+};
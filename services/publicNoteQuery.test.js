@@ -0,0 +1,51 @@
+const assert = require("assert");
+const { escapeLike, encodeCursor, decodeCursor, buildPublicNoteFilters } = require("./publicNoteQuery");
+
+(function testEscapeLike() {
+  assert.strictEqual(escapeLike("100%_a\\b"), "100\\%\\_a\\\\b");
+})();
+
+(function testCursorRoundTrip() {
+  const byDate = encodeCursor({ id: 42, lecture_date: "2026-10-01" }, "lecture_date");
+  assert.deepStrictEqual(decodeCursor(byDate, "lecture_date"), { value: "2026-10-01", id: 42 });
+
+  const byLocalDate = encodeCursor({ id: 5, lecture_date: new Date(2026, 9, 1) }, "lecture_date");
+  assert.deepStrictEqual(decodeCursor(byLocalDate, "lecture_date"), { value: "2026-10-01", id: 5 });
+
+  const createdAt = new Date("2026-10-02T03:04:05.000Z");
+  const byNewest = encodeCursor({ id: 7, created_at: createdAt }, "newest");
+  assert.deepStrictEqual(decodeCursor(byNewest, "newest"), { value: createdAt, id: 7 });
+
+  // 並び順が違う・壊れたカーソルは無視して先頭から
+  assert.strictEqual(decodeCursor(byDate, "newest"), null);
+  assert.strictEqual(decodeCursor("not-a-cursor", "lecture_date"), null);
+})();
+
+(function testBuildPublicNoteFilters() {
+  const cursor = encodeCursor({ id: 10, lecture_date: "2026-09-01" }, "lecture_date");
+  const f = buildPublicNoteFilters(
+    { course: "ミクロ", q: "需要", lecture_no: "第3回", date_from: "2026-04-01", date_to: "bad", cursor, limit: "500" },
+    { universityId: 3 }
+  );
+  assert.deepStrictEqual(f.conditions, [
+    "n.university_id = ?",
+    "n.course_name LIKE ?",
+    "(n.title LIKE ? OR n.course_name LIKE ? OR n.body_raw LIKE ?)",
+    "n.lecture_no = ?",
+    "n.lecture_date >= ?",
+    "(n.lecture_date < ? OR (n.lecture_date = ? AND n.id < ?))",
+  ]);
+  assert.deepStrictEqual(f.params, [3, "%ミクロ%", "%需要%", "%需要%", "%需要%", "第3回", "2026-04-01", "2026-09-01", "2026-09-01", 10]);
+  assert.strictEqual(f.limit, 50);
+  assert.strictEqual(f.orderBy, "n.lecture_date DESC, n.id DESC");
+})();
+
+(function testDefaultsToLectureDateSort() {
+  const f = buildPublicNoteFilters({ sort: "unknown" });
+  assert.strictEqual(f.sort, "lecture_date");
+  assert.strictEqual(f.limit, 20);
+  assert.deepStrictEqual(f.conditions, []);
+  assert.strictEqual(buildPublicNoteFilters({ sort: "newest" }).orderBy, "n.created_at DESC, n.id DESC");
+})();
+
+console.log("publicNoteQuery tests passed");
@@ -0,0 +1,53 @@
+// クイズ回答の記録まわり（サーバー側の正誤判定と集計値の整形）
+const MAX_GIVEN_ANSWER_LENGTH = 1000;
+const MAX_LATENCY_MS = 60 * 60 * 1000;
+
+// フロント（review.js / my-quizzes.js）の normalizeForAnswer と同じ正規化
+function normalizeForAnswer(s) {
+  return String(s || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase()
+    .normalize("NFKC");
+}
+
+function isAnswerCorrectByRule(correctAnswer, givenAnswer) {
+  const expected = normalizeForAnswer(correctAnswer);
+  if (!expected) return false;
+  return expected === normalizeForAnswer(givenAnswer);
+}
+
+// 計測できなかった・明らかにおかしい値は NULL として保存する
+function normalizeLatencyMs(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n) || n < 0) return null;
+  return Math.min(n, MAX_LATENCY_MS);
+}
+
+function normalizeGivenAnswer(value) {
+  return String(value ?? "").trim().slice(0, MAX_GIVEN_ANSWER_LENGTH);
+}
+
+// SQLの集計結果（attempt_count / correct_count / last_is_correct）をAPIレスポンス用に整形
+function toAttemptStats(row) {
+  const attemptCount = Number(row?.attempt_count || 0);
+  const correctCount = Number(row?.correct_count || 0);
+  return {
+    attempt_count: attemptCount,
+    correct_count: correctCount,
+    accuracy: attemptCount ? Math.round((correctCount / attemptCount) * 1000) / 1000 : null,
+    last_attempted_at: row?.last_attempted_at || null,
+    last_is_correct: row?.last_is_correct === null || row?.last_is_correct === undefined
+      ? null
+      : Boolean(Number(row.last_is_correct)),
+  };
+}
+
+module.exports = {
+  normalizeForAnswer,
+  isAnswerCorrectByRule,
+  normalizeLatencyMs,
+  normalizeGivenAnswer,
+  toAttemptStats,
+};
@@ -0,0 +1,43 @@
+const assert = require("assert");
+const {
+  isAnswerCorrectByRule,
+  normalizeLatencyMs,
+  normalizeGivenAnswer,
+  toAttemptStats,
+} = require("./quizAttempts");
+
+(function testRuleGradingIgnoresWidthCaseAndSpaces() {
+  assert.strictEqual(isAnswerCorrectByRule("ＡＴＰ", " atp "), true);
+  assert.strictEqual(isAnswerCorrectByRule("需要 曲線", "需要　　曲線"), true);
+  assert.strictEqual(isAnswerCorrectByRule("○", "×"), false);
+  // 正解が未設定のクイズは常に不正解扱い
+  assert.strictEqual(isAnswerCorrectByRule("", ""), false);
+})();
+
+(function testLatencyIsClampedOrNull() {
+  assert.strictEqual(normalizeLatencyMs(undefined), null);
+  assert.strictEqual(normalizeLatencyMs("abc"), null);
+  assert.strictEqual(normalizeLatencyMs(-5), null);
+  assert.strictEqual(normalizeLatencyMs("1234.6"), 1235);
+  assert.strictEqual(normalizeLatencyMs(10 * 60 * 60 * 1000), 60 * 60 * 1000);
+})();
+
+(function testGivenAnswerIsTrimmedAndCapped() {
+  assert.strictEqual(normalizeGivenAnswer("  東京  "), "東京");
+  assert.strictEqual(normalizeGivenAnswer("a".repeat(2000)).length, 1000);
+})();
+
+(function testAttemptStats() {
+  assert.deepStrictEqual(toAttemptStats({}), {
+    attempt_count: 0,
+    correct_count: 0,
+    accuracy: null,
+    last_attempted_at: null,
+    last_is_correct: null,
+  });
+  const stats = toAttemptStats({ attempt_count: 3, correct_count: "2", last_attempted_at: "2026-10-01", last_is_correct: 0 });
+  assert.strictEqual(stats.accuracy, 0.667);
+  assert.strictEqual(stats.last_is_correct, false);
+})();
+
+console.log("quizAttempts tests passed");
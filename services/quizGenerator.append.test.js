@@ -0,0 +1,41 @@
+const assert = require("assert");
+const { excludeCoveredPoints, buildExistingTopics, buildQuizExplanation } = require("./quizGenerator");
+
+(function testExcludeCoveredPointsBySourceLine() {
+  const points = [
+    { topic: "首都", fact: "日本の首都は東京", source_quote: "日本の首都は東京である" },
+    { topic: "法則", fact: "オームの法則", source_quote: "オームの法則は電圧と電流と抵抗の関係を示す" },
+    { topic: "地球", fact: "地球は丸い", source_quote: "" },
+  ];
+  const existing = [{ question: "日本の首都は？", source_line: "日本の首都は 東京である。" }];
+  assert.deepStrictEqual(
+    excludeCoveredPoints(points, existing).map((p) => p.topic),
+    ["法則", "地球"]
+  );
+})();
+
+(function testShortSourceLinesAreIgnored() {
+  const points = [{ topic: "A", fact: "a", source_quote: "需要曲線は右下がりである" }];
+  // 短すぎる根拠（「需要」など）で他の要点まで消さない
+  assert.strictEqual(excludeCoveredPoints(points, [{ source_line: "需要" }]).length, 1);
+  assert.strictEqual(excludeCoveredPoints(points, []).length, 1);
+})();
+
+(function testBuildExistingTopicsTrimsQuestions() {
+  const topics = buildExistingTopics([
+    { question: "  日本の\n首都は？ " },
+    { question: "" },
+    { question: "あ".repeat(100) },
+  ]);
+  assert.deepStrictEqual(topics, ["日本の 首都は？", "あ".repeat(60)]);
+})();
+
+(function testBuildQuizExplanationJoinsReasonAndQuote() {
+  assert.strictEqual(
+    buildQuizExplanation({ reason: "定義を問う問題", sourceQuote: "日本の首都は東京である" }),
+    "定義を問う問題\n本文より：「日本の首都は東京である」"
+  );
+  assert.strictEqual(buildQuizExplanation({ reason: " ", sourceQuote: "" }), null);
+})();
+
+console.log("quizGenerator append tests passed");
@@ -1,5 +1,5 @@
 const { cleanNoteText } = require("../utils/cleanNoteText");
-const { buildExtractPointsPrompt, buildQuizPrompt } = require("./quizPromptBuilder");
+const { buildExtractPointsPrompt, buildQuizPrompt, normalizeQuizDifficulty } = require("./quizPromptBuilder");
 const { parseAndValidateQuizResponse, filterLowQualityQuizzes } = require("./quizValidator");
 
 const DEFAULT_MODEL = process.env.OPENAI_QUIZ_MODEL || "gpt-4.1-mini";
@@ -70,9 +70,23 @@ function summarizeAnswerPositionDistribution(quizzes) {
   };
 }
 
-function formatQuizForStorage(quiz) {
+// 解説として保存する文：モデルが返した根拠（reason）＋本文からの引用（sourceQuote）
+const MAX_EXPLANATION_LENGTH = 1000;
+
+function buildQuizExplanation(quiz) {
+  const reason = String(quiz.reason || "").trim();
+  const quote = String(quiz.sourceQuote || "").trim();
+  const parts = [];
+  if (reason) parts.push(reason);
+  if (quote) parts.push(`本文より：「${quote}」`);
+  return parts.length ? parts.join("\n").slice(0, MAX_EXPLANATION_LENGTH) : null;
+}
+
+function formatQuizForStorage(quiz, difficulty = "normal") {
   return {
     type: quiz.quiz_type,
+    difficulty,
+    explanation: buildQuizExplanation(quiz),
     question: quiz.question,
     answer: quiz.correct_answer,
     choice_1: quiz.choice_1 || null,
@@ -80,6 +94,7 @@ function formatQuizForStorage(quiz) {
     choice_3: quiz.choice_3 || null,
     choice_4: quiz.choice_4 || null,
     source_line: quiz.sourceQuote || null,
+    topic: quiz.topic || null,
   };
 }
 
@@ -140,10 +155,10 @@ async function generateQuizBatch(openai, params) {
 const BATCH_SIZE = 12;
 
 async function regenerateMissingQuizzesIfNeeded(openai, params) {
-  const { targetCount, cleanedText } = params;
+  const { targetCount, cleanedText, existingTopics = [] } = params;
   let accepted = [];
   let allReasons = [];
-  let excluded = [];
+  let excluded = [...existingTopics];
 
   // targetCountが多いほど分割回数が増えるため、必要な分だけ試行回数を確保する
   // （品質フィルタで弾かれた分の埋め合わせも見込んで+2）
@@ -159,16 +174,52 @@ async function regenerateMissingQuizzesIfNeeded(openai, params) {
     const { accepted: revalidated, reasons } = filterLowQualityQuizzes(accepted.concat(batch), cleanedText);
     accepted = revalidated;
     allReasons = allReasons.concat(reasons);
-    excluded = accepted.map((q) => q.topic).filter(Boolean);
+    excluded = existingTopics.concat(accepted.map((q) => q.topic).filter(Boolean));
   }
 
   return { accepted, reasons: allReasons };
 }
 
-async function generateQuizzesWithQualityPipeline({ openai, note, targetCount = null, logger = console }) {
+function normalizeForCoverage(s) {
+  return String(s || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/g, "")
+    .replace(/[「」『』（）()【】\[\]・,，.。:：;；!?！？]/g, "");
+}
+
+// 再生成用：既存クイズの根拠（source_line）ですでに出題済みの要点を除く
+function excludeCoveredPoints(points, existingQuizzes = []) {
+  const covered = existingQuizzes
+    .map((q) => normalizeForCoverage(q.source_line))
+    .filter((s) => s.length >= 4);
+  if (!covered.length) return points;
+  return points.filter((p) => {
+    const quote = normalizeForCoverage(p.source_quote);
+    if (!quote) return true;
+    return !covered.some((c) => c.includes(quote) || quote.includes(c));
+  });
+}
+
+// 既存クイズの問題文を「再出題禁止の論点」としてプロンプトに渡す（長すぎる場合は先頭だけ）
+function buildExistingTopics(existingQuizzes = [], maxTopics = 40) {
+  return existingQuizzes
+    .map((q) => String(q.question || "").replace(/\s+/g, " ").trim().slice(0, 60))
+    .filter(Boolean)
+    .slice(0, maxTopics);
+}
+
+/**
+ * existingQuizzes を渡すと「追加生成」モードになる。
+ * 既存クイズで出題済みの要点を除き、残った要点だけから新しい問題を作る（既存と同じ問題文は捨てる）。
+ */
+async function generateQuizzesWithQualityPipeline({ openai, note, targetCount = null, logger = console, existingQuizzes = [] }) {
+  const isAppend = existingQuizzes.length > 0;
+  const difficulty = normalizeQuizDifficulty(note?.requested_difficulty) || "normal";
   const rawText = String(note?.body_raw || "");
   const { cleanedText, wasTruncated } = cleanNoteText(rawText);
-  const maxPoints = computeMaxPoints(cleanedText);
+  // 問題数の指定がある場合は、その数だけ要点を拾えるように上限を広げる
+  const maxPoints = Math.min(MAX_POINTS, Math.max(computeMaxPoints(cleanedText), targetCount || 0));
 
   logger.info("quiz_pipeline:start", {
     noteId: note?.id,
@@ -177,24 +228,35 @@ async function generateQuizzesWithQualityPipeline({ openai, note, targetCount =
     wasTruncated,
     targetCount,
     maxPoints,
+    difficulty,
   });
 
-  const points = await extractQuizPoints(openai, cleanedText, maxPoints);
-  logger.info("quiz_pipeline:points", { count: points.length });
+  const extractedPoints = await extractQuizPoints(openai, cleanedText, maxPoints);
+  const points = isAppend ? excludeCoveredPoints(extractedPoints, existingQuizzes) : extractedPoints;
+  logger.info("quiz_pipeline:points", { count: points.length, extracted: extractedPoints.length, isAppend });
+
+  if (isAppend && !points.length) {
+    const err = new Error("既存のクイズで出題済みの内容しか見つかりませんでした。本文を追記してから再実行してください。");
+    err.code = "NO_NEW_CONTENT";
+    throw err;
+  }
 
   // targetCount未指定時は、抽出できた要点の数に合わせて自動決定する
   // （＝本文の内容量に応じて1回の生成で網羅できる問題数を作る）
   if (!targetCount) {
-    targetCount = Math.max(points.length, 3);
+    targetCount = isAppend ? points.length : Math.max(points.length, 3);
   }
 
-  const { accepted, reasons } = await regenerateMissingQuizzesIfNeeded(openai, {
+  const existingQuestions = new Set(existingQuizzes.map((q) => normalizeForCoverage(q.question)));
+  const { accepted: generated, reasons } = await regenerateMissingQuizzesIfNeeded(openai, {
     cleanedText,
     points,
-    difficulty: "normal",
+    difficulty,
     targetCount,
+    existingTopics: buildExistingTopics(existingQuizzes),
     requestedQuizType: note?.requested_quiz_type || "auto",
   });
+  const accepted = generated.filter((q) => !existingQuestions.has(normalizeForCoverage(q.question)));
   logger.info("quiz_pipeline:generated", { count: accepted.length + reasons.length });
   logger.info("quiz_pipeline:validated", {
     passed: accepted.length,
@@ -202,7 +264,9 @@ async function generateQuizzesWithQualityPipeline({ openai, note, targetCount =
     dropReasons: reasons,
   });
 
-  if (accepted.length < Math.max(3, Math.floor(targetCount * 0.5))) {
+  // 追加生成は新しい要点が少ないこともあるので、1問でも作れれば成功扱いにする
+  const minAccepted = isAppend ? 1 : Math.min(targetCount, Math.max(3, Math.floor(targetCount * 0.5)));
+  if (accepted.length < minAccepted) {
     const err = new Error("クイズ品質が基準を満たしませんでした。時間をおいて再試行してください。");
     err.details = { accepted: accepted.length, rejected: reasons.length };
     throw err;
@@ -223,11 +287,14 @@ async function generateQuizzesWithQualityPipeline({ openai, note, targetCount =
     distribution: summarizeAnswerPositionDistribution(balancedMcqQuizzes),
   });
 
-  return balancedQuizzes.map(formatQuizForStorage);
+  return balancedQuizzes.map((quiz) => formatQuizForStorage(quiz, difficulty));
 }
 
 module.exports = {
   generateQuizzesWithQualityPipeline,
+  excludeCoveredPoints,
+  buildExistingTopics,
+  buildQuizExplanation,
   buildBalancedAnswerIndices,
   rebalanceQuizAnswerPositions,
   summarizeAnswerPositionDistribution,
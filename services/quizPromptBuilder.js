@@ -27,6 +27,47 @@ function resolveQuizTypeGuide(requestedQuizType) {
   return "選択形式: auto（おまかせ）。各問題ごとに multiple_choice / written / true_false / fill_blank の最適な1形式を選ぶこと。";
 }
 
+const QUIZ_DIFFICULTIES = ["easy", "normal", "hard", "exam"];
+
+// 難易度ごとに「何を問うか」「誤答選択肢をどう作るか」を具体的に指示する
+const DIFFICULTY_GUIDES = {
+  easy: [
+    "- 難易度: easy（基礎確認）",
+    "- 用語の定義や本文に明記された事実を、そのまま思い出せるかを問う。",
+    "- 問題文に本文の言い回しを多く残し、ヒントになる語を含めてよい。",
+    "- multiple_choice の誤答選択肢は、明らかに別の分野・別の概念から選ぶ。",
+  ],
+  normal: [
+    "- 難易度: normal（標準）",
+    "- 定義・因果・比較など、本文の要点を理解しているかを問う。",
+    "- 問題文は本文の言い回しを少し言い換える。",
+    "- multiple_choice の誤答選択肢は、同じ単元に出てくる語句から選ぶ。",
+  ],
+  hard: [
+    "- 難易度: hard（応用）",
+    "- 複数の記述を組み合わせないと答えられない問い（因果の連鎖、条件による違い、比較）を優先する。",
+    "- 問題文は本文の表現をそのまま使わず言い換え、答えの語を問題文に含めない。",
+    "- multiple_choice の誤答選択肢は、正答と紛らわしい本文中の概念（似た用語・逆の因果）にする。",
+  ],
+  exam: [
+    "- 難易度: exam（定期試験レベル）",
+    "- 大学の期末試験で出題される形式を想定し、理解と応用を問う。",
+    "- 具体例・場面設定を与えて本文の概念を当てはめさせる問題を半分以上含める。",
+    "- true_false は一部だけ誤りを含む文など、細部まで読まないと判定できない文にする。",
+    "- multiple_choice の誤答選択肢は、よくある誤解を反映したもっともらしいものにする。",
+    "- ただし本文から根拠を示せない問題は作らない。",
+  ],
+};
+
+function normalizeQuizDifficulty(value) {
+  const difficulty = String(value || "").trim().toLowerCase();
+  return QUIZ_DIFFICULTIES.includes(difficulty) ? difficulty : null;
+}
+
+function resolveDifficultyGuide(difficulty) {
+  return DIFFICULTY_GUIDES[normalizeQuizDifficulty(difficulty) || "normal"];
+}
+
 function buildQuizPrompt({ cleanedText, points, count, difficulty = "normal", existingTopics = [], requestedQuizType = "auto" }) {
   const typeGuide = resolveQuizTypeGuide(requestedQuizType);
   return [
@@ -42,7 +83,7 @@ function buildQuizPrompt({ cleanedText, points, count, difficulty = "normal", ex
     "- written のときは簡潔な一問一答にする。",
     "- fill_blank のとき question には空欄（___ または （　　　））を含める。",
     "- 同一論点の重複を避ける。",
-    `- 難易度: ${difficulty}`,
+    ...resolveDifficultyGuide(difficulty),
     existingTopics.length ? `- 次の論点は再出題禁止: ${existingTopics.join(" / ")}` : "",
     "",
     "出力JSON形式:",
@@ -58,6 +99,8 @@ function buildQuizPrompt({ cleanedText, points, count, difficulty = "normal", ex
 }
 
 module.exports = {
+  QUIZ_DIFFICULTIES,
+  normalizeQuizDifficulty,
   buildExtractPointsPrompt,
   buildQuizPrompt,
 };
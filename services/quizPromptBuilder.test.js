@@ -0,0 +1,33 @@
+const assert = require("assert");
+const { buildQuizPrompt, normalizeQuizDifficulty, QUIZ_DIFFICULTIES } = require("./quizPromptBuilder");
+
+const base = { cleanedText: "日本の首都は東京である。", points: [], count: 3 };
+
+(function testNormalizeQuizDifficulty() {
+  assert.strictEqual(normalizeQuizDifficulty("EXAM"), "exam");
+  assert.strictEqual(normalizeQuizDifficulty("very hard"), null);
+  assert.strictEqual(normalizeQuizDifficulty(undefined), null);
+})();
+
+(function testEachDifficultyProducesDistinctPrompt() {
+  const prompts = QUIZ_DIFFICULTIES.map((difficulty) => buildQuizPrompt({ ...base, difficulty }));
+  assert.strictEqual(new Set(prompts).size, QUIZ_DIFFICULTIES.length);
+  QUIZ_DIFFICULTIES.forEach((difficulty, i) => {
+    assert.ok(prompts[i].includes(`難易度: ${difficulty}`), difficulty);
+  });
+  assert.ok(prompts[3].includes("期末試験"));
+})();
+
+(function testUnknownDifficultyFallsBackToNormal() {
+  assert.strictEqual(
+    buildQuizPrompt({ ...base, difficulty: "???" }),
+    buildQuizPrompt({ ...base, difficulty: "normal" })
+  );
+})();
+
+(function testExistingTopicsAreListed() {
+  const prompt = buildQuizPrompt({ ...base, existingTopics: ["首都", "法則"] });
+  assert.ok(prompt.includes("次の論点は再出題禁止: 首都 / 法則"));
+})();
+
+console.log("quizPromptBuilder tests passed");
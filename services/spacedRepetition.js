@@ -0,0 +1,115 @@
+// 問題ごとの間隔反復（SM-2 系）
+// 回答の手応え（again/hard/good/easy）から、次の出題までの日数と易しさ係数（ease factor）を更新する。
+const REVIEW_GRADES = ["again", "hard", "good", "easy"];
+
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+
+// 2回目に正解したときの間隔（SM-2 の I(2) = 6日）
+const SECOND_INTERVAL_DAYS = 6;
+const HARD_INTERVAL_MULTIPLIER = 1.2;
+const EASY_BONUS = 1.3;
+
+function normalizeReviewGrade(value) {
+  const grade = String(value || "").trim().toLowerCase();
+  return REVIEW_GRADES.includes(grade) ? grade : null;
+}
+
+// 手応えの指定がない回答は正誤だけで決める（不正解=again / 正解=good）
+function gradeFromAttempt(isCorrect, requestedGrade) {
+  if (!isCorrect) return "again";
+  return normalizeReviewGrade(requestedGrade) || "good";
+}
+
+function roundEase(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 現在の状態と今回の手応えから次の状態を計算する。
+ * state: { ease_factor, interval_days, repetitions, lapses }（未出題なら null / {}）
+ * 戻り値の interval_days 日後が次の出題日。
+ */
+function scheduleReview(state, grade) {
+  const current = {
+    ease_factor: Number(state?.ease_factor) || DEFAULT_EASE_FACTOR,
+    interval_days: Math.max(0, Number(state?.interval_days) || 0),
+    repetitions: Math.max(0, Number(state?.repetitions) || 0),
+    lapses: Math.max(0, Number(state?.lapses) || 0),
+  };
+  const g = normalizeReviewGrade(grade) || "good";
+
+  if (g === "again") {
+    // 忘れた問題は連続正解数をリセットし、翌日もう一度出す
+    return {
+      ease_factor: roundEase(Math.max(MIN_EASE_FACTOR, current.ease_factor - 0.2)),
+      interval_days: 1,
+      repetitions: 0,
+      lapses: current.lapses + 1,
+    };
+  }
+
+  const easeDelta = g === "hard" ? -0.15 : g === "easy" ? 0.15 : 0;
+  const easeFactor = roundEase(Math.max(MIN_EASE_FACTOR, current.ease_factor + easeDelta));
+
+  let interval;
+  if (current.repetitions === 0) {
+    interval = g === "easy" ? 4 : 1;
+  } else if (current.repetitions === 1) {
+    interval = g === "hard" ? 3 : SECOND_INTERVAL_DAYS;
+    if (g === "easy") interval = Math.round(SECOND_INTERVAL_DAYS * EASY_BONUS);
+  } else if (g === "hard") {
+    interval = Math.max(current.interval_days + 1, Math.round(current.interval_days * HARD_INTERVAL_MULTIPLIER));
+  } else {
+    interval = Math.round(current.interval_days * easeFactor * (g === "easy" ? EASY_BONUS : 1));
+  }
+
+  return {
+    ease_factor: easeFactor,
+    interval_days: Math.min(MAX_INTERVAL_DAYS, Math.max(1, interval)),
+    repetitions: current.repetitions + 1,
+    lapses: current.lapses,
+  };
+}
+
+// ---------- ノート単位の復習（固定ステージ） ----------
+// forgot: ステージ0からやり直し / hard: 同じステージをもう一度 / good: 1つ進む / easy: 2つ進む
+const NOTE_REVIEW_RESULTS = ["forgot", "hard", "good", "easy"];
+const NOTE_STAGE_STEP = { forgot: null, hard: 0, good: 1, easy: 2 };
+
+function normalizeNoteReviewResult(value) {
+  const result = String(value || "").trim().toLowerCase();
+  return NOTE_REVIEW_RESULTS.includes(result) ? result : null;
+}
+
+function nextNoteReviewStage(currentStage, result, stageCount) {
+  const lastStage = Math.max(0, stageCount - 1);
+  const step = NOTE_STAGE_STEP[normalizeNoteReviewResult(result) || "good"];
+  if (step === null) return 0;
+  const current = Math.min(Math.max(0, Number(currentStage) || 0), lastStage);
+  return Math.min(current + step, lastStage);
+}
+
+// 復習中に解いたクイズの正答率から、おすすめの手応えを決める（問題が無ければ null）
+function suggestNoteReviewResult(correctCount, totalCount) {
+  const total = Number(totalCount) || 0;
+  if (total <= 0) return null;
+  const rate = Math.min(Math.max(Number(correctCount) || 0, 0), total) / total;
+  if (rate < 0.5) return "forgot";
+  if (rate < 0.8) return "hard";
+  if (rate < 1) return "good";
+  return "easy";
+}
+
+module.exports = {
+  REVIEW_GRADES,
+  DEFAULT_EASE_FACTOR,
+  normalizeReviewGrade,
+  gradeFromAttempt,
+  scheduleReview,
+  NOTE_REVIEW_RESULTS,
+  normalizeNoteReviewResult,
+  nextNoteReviewStage,
+  suggestNoteReviewResult,
+};
@@ -0,0 +1,69 @@
+const assert = require("assert");
+const {
+  gradeFromAttempt,
+  scheduleReview,
+  normalizeReviewGrade,
+  nextNoteReviewStage,
+  suggestNoteReviewResult,
+} = require("./spacedRepetition");
+
+(function testGradeFromAttempt() {
+  assert.strictEqual(gradeFromAttempt(false, "easy"), "again");
+  assert.strictEqual(gradeFromAttempt(true), "good");
+  assert.strictEqual(gradeFromAttempt(true, "HARD"), "hard");
+  assert.strictEqual(gradeFromAttempt(true, "perfect"), "good");
+  assert.strictEqual(normalizeReviewGrade(""), null);
+})();
+
+(function testGoodAnswersFollowSm2Intervals() {
+  let state = scheduleReview(null, "good");
+  assert.deepStrictEqual(state, { ease_factor: 2.5, interval_days: 1, repetitions: 1, lapses: 0 });
+  state = scheduleReview(state, "good");
+  assert.strictEqual(state.interval_days, 6);
+  state = scheduleReview(state, "good");
+  assert.strictEqual(state.interval_days, 15);
+  assert.strictEqual(state.repetitions, 3);
+})();
+
+(function testAgainResetsAndCountsLapse() {
+  const state = scheduleReview({ ease_factor: 2.5, interval_days: 15, repetitions: 3, lapses: 1 }, "again");
+  assert.deepStrictEqual(state, { ease_factor: 2.3, interval_days: 1, repetitions: 0, lapses: 2 });
+})();
+
+(function testHardAndEasyAdjustEaseAndInterval() {
+  const base = { ease_factor: 2.5, interval_days: 10, repetitions: 3, lapses: 0 };
+  const hard = scheduleReview(base, "hard");
+  assert.strictEqual(hard.ease_factor, 2.35);
+  assert.strictEqual(hard.interval_days, 12);
+  const easy = scheduleReview(base, "easy");
+  assert.strictEqual(easy.ease_factor, 2.65);
+  assert.strictEqual(easy.interval_days, 34);
+})();
+
+(function testEaseFloorAndIntervalCap() {
+  let state = { ease_factor: 1.35, interval_days: 300, repetitions: 5, lapses: 0 };
+  state = scheduleReview(state, "hard");
+  assert.strictEqual(state.ease_factor, 1.3);
+  state = scheduleReview({ ...state, interval_days: 300 }, "easy");
+  assert.strictEqual(state.interval_days, 365);
+})();
+
+(function testNoteStageMovesByResult() {
+  assert.strictEqual(nextNoteReviewStage(3, "forgot", 5), 0);
+  assert.strictEqual(nextNoteReviewStage(2, "hard", 5), 2);
+  assert.strictEqual(nextNoteReviewStage(2, "good", 5), 3);
+  assert.strictEqual(nextNoteReviewStage(2, "easy", 5), 4);
+  assert.strictEqual(nextNoteReviewStage(4, "easy", 5), 4);
+  // 結果の指定なし（旧クライアント）は従来どおり1つ進める
+  assert.strictEqual(nextNoteReviewStage(0, undefined, 5), 1);
+})();
+
+(function testSuggestNoteReviewResultFromScore() {
+  assert.strictEqual(suggestNoteReviewResult(0, 0), null);
+  assert.strictEqual(suggestNoteReviewResult(1, 4), "forgot");
+  assert.strictEqual(suggestNoteReviewResult(3, 5), "hard");
+  assert.strictEqual(suggestNoteReviewResult(4, 5), "good");
+  assert.strictEqual(suggestNoteReviewResult(5, 5), "easy");
+})();
+
+console.log("spacedRepetition tests passed");
@@ -0,0 +1,74 @@
+// 大学名の表記ゆれ対策（正規化・別名キー・似た名前の検出）
+// 「東京大学」「東京大学　」「ＡＢＣ大学」などが別の大学として登録されないようにする。
+const DEFAULT_MAX_DISTANCE = 2;
+
+// NFKC で全角英数・全角スペースを半角にそろえ、空白を1つにまとめて前後を削る
+function normalizeUniversityName(name) {
+  return String(name ?? "")
+    .normalize("NFKC")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// 別名テーブルの照合用キー。空白の有無・英字の大文字小文字の違いは同じ大学とみなす
+function universityNameKey(name) {
+  return normalizeUniversityName(name).replace(/\s/g, "").toLowerCase();
+}
+
+// 編集距離（挿入・削除・置換をそれぞれ1とする）
+function levenshtein(a, b) {
+  const s = Array.from(String(a));
+  const t = Array.from(String(b));
+  if (!s.length) return t.length;
+  if (!t.length) return s.length;
+
+  let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[t.length];
+}
+
+/**
+ * 名前の近い大学の組を探す（管理者が統合するかを判断するためのレポート）。
+ * rows: [{ id, name, ... }]
+ * 戻り値: [{ a, b, distance }]（distance の小さい順。0 は正規化すると同じ名前）
+ * 短い名前どうし（「東大」と「京大」など）は1文字違いでも別の大学なので、許す距離は短い方の長さの 1/3 まで。
+ */
+function findNearDuplicateUniversities(rows, { maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+  const items = rows
+    .map((row) => {
+      const key = universityNameKey(row.name);
+      return { row, key, length: Array.from(key).length };
+    })
+    .filter((x) => x.key);
+  const pairs = [];
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const x = items[i];
+      const y = items[j];
+      // 長さの差だけで距離の下限が決まるので、明らかに遠いものは計算しない
+      if (Math.abs(x.length - y.length) > maxDistance) continue;
+
+      const distance = levenshtein(x.key, y.key);
+      if (distance <= Math.min(maxDistance, Math.floor(Math.min(x.length, y.length) / 3))) {
+        pairs.push({ a: x.row, b: y.row, distance });
+      }
+    }
+  }
+
+  return pairs.sort((p, q) => p.distance - q.distance || p.a.id - q.a.id || p.b.id - q.b.id);
+}
+
+module.exports = {
+  normalizeUniversityName,
+  universityNameKey,
+  levenshtein,
+  findNearDuplicateUniversities,
+};
@@ -0,0 +1,51 @@
+const assert = require("assert");
+const {
+  normalizeUniversityName,
+  universityNameKey,
+  levenshtein,
+  findNearDuplicateUniversities,
+} = require("./universityNames");
+
+(function testNormalizeUniversityName() {
+  assert.strictEqual(normalizeUniversityName("東京大学　"), "東京大学");
+  assert.strictEqual(normalizeUniversityName("  ＡＢＣ　　大学 "), "ABC 大学");
+  assert.strictEqual(normalizeUniversityName(null), "");
+})();
+
+(function testUniversityNameKeyIgnoresSpacesAndCase() {
+  assert.strictEqual(universityNameKey("Ｗａｓｅｄａ　University"), "wasedauniversity");
+  assert.strictEqual(universityNameKey("東京 大学"), universityNameKey("東京大学"));
+})();
+
+(function testLevenshtein() {
+  assert.strictEqual(levenshtein("東京大学", "東京大学"), 0);
+  assert.strictEqual(levenshtein("東京大学", "東京大"), 1);
+  assert.strictEqual(levenshtein("東京大学", "京都大学"), 2);
+  assert.strictEqual(levenshtein("", "abc"), 3);
+  // サロゲートペアも1文字として数える
+  assert.strictEqual(levenshtein("𠮷田大学", "吉田大学"), 1);
+})();
+
+(function testFindNearDuplicateUniversities() {
+  const rows = [
+    { id: 1, name: "東京大学" },
+    { id: 2, name: "東京大学　" },
+    { id: 3, name: "東京大" },
+    { id: 4, name: "東大" },
+    { id: 5, name: "京大" },
+    { id: 6, name: "早稲田大学" },
+  ];
+  const pairs = findNearDuplicateUniversities(rows, { maxDistance: 1 });
+  assert.deepStrictEqual(
+    pairs.map((p) => [p.a.id, p.b.id, p.distance]),
+    [
+      [1, 2, 0],
+      [1, 3, 1],
+      [2, 3, 1],
+    ]
+  );
+  // 「東大」と「京大」は1文字違いでも拾わない
+  assert.ok(!pairs.some((p) => p.a.id === 4 && p.b.id === 5));
+})();
+
+console.log("universityNames tests passed");
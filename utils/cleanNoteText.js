@@ -10,7 +10,8 @@ const NOISE_PATTERNS = [
   /^戻る$/,
 ];
 
-function cleanNoteText(noteText) {
+// HTML・ゼロ幅文字・UI の文言（NOISE_PATTERNS）を落とし、行ごとに空白を整える（文字数では切らない）
+function cleanNoteLines(noteText) {
   const raw = String(noteText || "");
 
   const noHtml = raw
@@ -38,7 +39,12 @@ function cleanNoteText(noteText) {
     compact.push(line.replace(/\s*([。！？])\s*/g, "$1 "));
   }
 
-  const joined = compact.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+  return compact.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// AI に渡す本文用。cleanNoteLines で整えたうえで MAX_CHARS に収める
+function cleanNoteText(noteText) {
+  const joined = cleanNoteLines(noteText);
 
   if (joined.length <= MAX_CHARS) {
     return { cleanedText: joined, wasTruncated: false };
@@ -73,5 +79,6 @@ function cleanNoteText(noteText) {
 
 module.exports = {
   cleanNoteText,
+  cleanNoteLines,
   MAX_CHARS,
 };